@@ -27,10 +27,11 @@ export const UNIT = {
     METER: 2,
 };
 
+// The CRS defined by WKT strings have the units 'degree' and 'meter'
 function _unitFromProj4Unit(projunit) {
-    if (projunit === 'degrees') {
+    if (projunit === 'degrees' || projunit === 'degree') {
         return UNIT.DEGREE;
-    } else if (projunit === 'm') {
+    } else if (projunit === 'm' || projunit === 'meter' || projunit === 'metre') {
         return UNIT.METER;
     } else {
         return undefined;
@@ -214,6 +214,9 @@ MainLoop.prototype._step = function _step(view, timestamp) {
 
     view.camera.camera3D.matrixAutoUpdate = oldAutoUpdate;
 
+    // Abort the requests of the tiles that were culled or deleted
+    this.scheduler.abortObsoleteCommands();
+
     // Clear the cache of expired resources
     Cache.flush();
 
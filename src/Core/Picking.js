@@ -101,6 +101,15 @@ function findLayerInParent(obj) {
 
 const raycaster = new THREE.Raycaster();
 
+function findBatchTableInParent(obj) {
+    if (obj.batchTable) {
+        return obj.batchTable;
+    }
+    if (obj.parent) {
+        return findBatchTableInParent(obj.parent);
+    }
+}
+
 /**
  * @module Picking
  *
@@ -265,4 +274,36 @@ export default {
 
         return target;
     },
+
+    /*
+     * Picking method of the 3D Tiles layers. Uses pickObjectsAt, and adds the
+     * batch id, the batch table and the properties of the picked features of
+     * the batched models. The hidden features are not picked.
+     */
+    pick3dTilesAt(view, viewCoords, radius, layer) {
+        const results = [];
+        for (const result of this.pickObjectsAt(view, viewCoords, radius, layer.object3d)) {
+            // the features of the point clouds are their points, or their
+            // batches of points, and the features of the instanced models
+            // are their instances
+            const batchIds = result.object.geometry && result.object.geometry.attributes._BATCHID;
+            let index;
+            if (result.object.isPoints) {
+                index = result.index;
+            } else if (batchIds && result.face) {
+                index = result.instanceId != undefined ? result.instanceId : result.face.a;
+            }
+            const batchTable = index != undefined && findBatchTableInParent(result.object);
+            if (batchTable) {
+                result.batchId = batchIds ? batchIds.getX(index) : index;
+                if (!batchTable.isShown(result.batchId)) {
+                    continue;
+                }
+                result.batchTable = batchTable;
+                result.properties = batchTable.getProperties(result.batchId);
+            }
+            results.push(result);
+        }
+        return results;
+    },
 };
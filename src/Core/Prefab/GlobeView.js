@@ -195,7 +195,10 @@ GlobeView.prototype.addLayer = function addLayer(layer) {
         const colorLayerCount = this.getLayers(l => l.type === 'color').length;
         layer.sequence = colorLayerCount;
     } else if (layer.type == 'elevation') {
-        if (layer.source.protocol === 'wmts' && layer.source.tileMatrixSet !== 'WGS84G') {
+        // The tile matrix set of a source configured from capabilities is
+        // checked once the source is ready, by View.addLayer
+        if (layer.source.protocol === 'wmts' && layer.source.tileMatrixSet !== 'WGS84G' &&
+            !(layer.source.capabilities && !layer.source.tileMatrixSet)) {
             throw new Error('Only WGS84G tileMatrixSet is currently supported for WMTS elevation layers');
         }
     }
@@ -0,0 +1,211 @@
+// The Source classes, by protocol
+export const sources = new Map();
+
+// The functions fetching the data of the sources, by format
+export const fetchers = new Map();
+
+// The functions parsing the fetched data, by format
+export const parsers = new Map();
+
+// The formats of the files read by the FileSource
+export const fileFormats = new Map();
+
+function checkName(kind, name) {
+    if (typeof name != 'string' || !name) {
+        throw new Error(`Registry: the ${kind} must be a non-empty string, not '${name}'`);
+    }
+}
+
+function checkFunction(name, fn, optional) {
+    if (typeof fn != 'function' && !(optional && fn === undefined)) {
+        throw new Error(`Registry: ${name} must be a function`);
+    }
+}
+
+function unknown(kind, name, map) {
+    return new Error(`Unknown ${kind} '${name}', the registered ones are: ${Array.from(map.keys()).join(', ')}`);
+}
+
+/**
+ * The registry of the protocols, data formats and file formats iTowns reads.
+ * Registering new ones extends iTowns without modifying it: a protocol is
+ * handled by a {@link Source} class, a data format by a function fetching the
+ * data and an optional function parsing it, and a file format of the {@link
+ * FileSource} by a function fetching the file and a function converting it to
+ * GeoJSON. A registered name can be registered again, to replace its
+ * implementation.
+ *
+ * @example <caption>Read CSV files of points</caption>
+ * itowns.Registry.registerFileFormat('text/csv', {
+ *     extensions: ['.csv'],
+ *     fetcher: itowns.Fetcher.text,
+ *     parser: text => ({
+ *         type: 'FeatureCollection',
+ *         features: text.trim().split('\n').slice(1).map((line) => {
+ *             const [name, x, y] = line.split(',');
+ *             return { type: 'Feature', properties: { name }, geometry: { type: 'Point', coordinates: [+x, +y] } };
+ *         }),
+ *     }),
+ * });
+ *
+ * @module Registry
+ */
+export default {
+    /**
+     * Register the {@link Source} class of a protocol, used for the sources
+     * of the layers whose <code>protocol</code> is this one.
+     *
+     * @param {string} protocol - The protocol, like <code>wmts</code>.
+     * @param {function} SourceClass - The class, implementing the
+     * <code>urlFromExtent</code> and <code>extentInsideLimit</code> methods
+     * of the {@link Source}, and constructed with the source parameters and
+     * the CRS of the layer.
+     */
+    registerSource(protocol, SourceClass) {
+        checkName('protocol', protocol);
+        checkFunction('the source class', SourceClass);
+        const prototype = SourceClass.prototype || {};
+        if (typeof prototype.urlFromExtent != 'function' || typeof prototype.extentInsideLimit != 'function') {
+            throw new Error(`Registry: the source class of '${protocol}' must implement urlFromExtent and extentInsideLimit`);
+        }
+        sources.set(protocol, SourceClass);
+    },
+
+    /**
+     * Get the {@link Source} class of a protocol.
+     *
+     * @param {string} protocol - The protocol.
+     *
+     * @return {function} The class.
+     * @throws {Error} If the protocol isn't registered.
+     */
+    getSource(protocol) {
+        if (!sources.has(protocol)) {
+            throw unknown('source protocol', protocol, sources);
+        }
+        return sources.get(protocol);
+    },
+
+    /**
+     * Register a format of the data of the sources, like a mime type of
+     * images or of vector tiles.
+     *
+     * @param {string} format - The format, like <code>image/png</code>.
+     * @param {Object} functions - The functions reading the data.
+     * @param {function} functions.fetcher - Called with the url and the
+     * {@link NetworkOptions} of the source, it returns a promise resolving
+     * with the fetched data, like the functions of the {@link
+     * module:Fetcher}.
+     * @param {function} [functions.parser] - Called with the fetched data and
+     * the parsing options, like the crs of the source and the one of the
+     * layer, it returns the parsed data or a promise resolving with it. The
+     * fetched data isn't parsed if there's no parser.
+     */
+    registerFormat(format, functions = {}) {
+        checkName('format', format);
+        checkFunction(`the fetcher of '${format}'`, functions.fetcher);
+        checkFunction(`the parser of '${format}'`, functions.parser, true);
+        fetchers.set(format, functions.fetcher);
+        if (functions.parser) {
+            parsers.set(format, functions.parser);
+        } else {
+            parsers.delete(format);
+        }
+    },
+
+    /**
+     * Get the function fetching the data of a format.
+     *
+     * @param {string} format - The format.
+     *
+     * @return {function} The fetcher.
+     * @throws {Error} If the format isn't registered.
+     */
+    getFetcher(format) {
+        if (!fetchers.has(format)) {
+            throw unknown('format', format, fetchers);
+        }
+        return fetchers.get(format);
+    },
+
+    /**
+     * Get the function parsing the data of a format.
+     *
+     * @param {string} format - The format.
+     *
+     * @return {function} The parser, undefined if the data of this format
+     * isn't parsed.
+     */
+    getParser(format) {
+        return parsers.get(format);
+    },
+
+    /**
+     * Register a format of the files read by the {@link FileSource}. The
+     * format of a file is the <code>format</code> of its source, or is found
+     * from the extension of its url.
+     *
+     * @param {string} format - The format, like <code>application/gpx+xml</code>.
+     * @param {Object} description - The description of the format.
+     * @param {string[]} [description.extensions=[]] - The extensions of the
+     * files of this format, like <code>.gpx</code>.
+     * @param {function} description.fetcher - The function fetching the
+     * file, like {@link module:Fetcher.text}.
+     * @param {function} description.parser - Called with the fetched file and
+     * the parameters of the source, it returns a GeoJSON object, or a promise
+     * resolving with it, that is then read by {@link module:GeoJsonParser}.
+     * @param {boolean} [description.crsInFile=false] - True if the files
+     * describe their CRS, that is then read by the GeoJsonParser in the
+     * <code>crs</code> of the GeoJSON object, making the
+     * <code>projection</code> of the source optional.
+     */
+    registerFileFormat(format, description = {}) {
+        checkName('file format', format);
+        checkFunction(`the fetcher of '${format}'`, description.fetcher);
+        checkFunction(`the parser of '${format}'`, description.parser);
+        const extensions = description.extensions || [];
+        if (!Array.isArray(extensions) || extensions.some(e => typeof e != 'string' || e[0] != '.')) {
+            throw new Error(`Registry: the extensions of '${format}' must be an array of strings like '.json'`);
+        }
+        fileFormats.set(format, {
+            format,
+            extensions: extensions.map(e => e.toLowerCase()),
+            fetcher: description.fetcher,
+            parser: description.parser,
+            crsInFile: !!description.crsInFile,
+        });
+    },
+
+    /**
+     * Get the description of a file format.
+     *
+     * @param {string} format - The format.
+     *
+     * @return {Object} The description of the format, see [registerFileFormat]{@link
+     * module:Registry.registerFileFormat}.
+     * @throws {Error} If the format isn't registered.
+     */
+    getFileFormat(format) {
+        if (!fileFormats.has(format)) {
+            throw unknown('file format', format, fileFormats);
+        }
+        return fileFormats.get(format);
+    },
+
+    /**
+     * Find the format of a file from the extension of its url.
+     *
+     * @param {string} url - The url of the file.
+     *
+     * @return {Object} The description of the format, undefined if no format
+     * has this extension.
+     */
+    findFileFormat(url) {
+        const path = url.split(/[?#]/)[0].toLowerCase();
+        for (const description of fileFormats.values()) {
+            if (description.extensions.some(e => path.endsWith(e))) {
+                return description;
+            }
+        }
+    },
+};
@@ -1,10 +1,128 @@
+import * as THREE from 'three';
+
 const data = new Map();
 const stats = new Map();
+const events = new THREE.EventDispatcher();
+
+// Default memory budget, in bytes
+const DEFAULT_BUDGET = 512 * 1024 * 1024;
+
+let budget = DEFAULT_BUDGET;
+// Sum of the sizes of the entries
+let size = 0;
+let evictions = 0;
+let disposals = 0;
+
+// Bytes per channel of each type, and channels per texel of each format
+const BYTES_BY_TYPE = {
+    [THREE.UnsignedByteType]: 1,
+    [THREE.ByteType]: 1,
+    [THREE.ShortType]: 2,
+    [THREE.UnsignedShortType]: 2,
+    [THREE.HalfFloatType]: 2,
+    [THREE.IntType]: 4,
+    [THREE.UnsignedIntType]: 4,
+    [THREE.FloatType]: 4,
+};
+const CHANNELS_BY_FORMAT = {
+    [THREE.AlphaFormat]: 1,
+    [THREE.LuminanceFormat]: 1,
+    [THREE.LuminanceAlphaFormat]: 2,
+    [THREE.RGBFormat]: 3,
+    [THREE.RGBAFormat]: 4,
+};
+
+// Approximate size in memory of the THREE resources of a value
+function sizeOf(value) {
+    if (!value) {
+        return 0;
+    } else if (Array.isArray(value)) {
+        return value.reduce((sum, v) => sum + sizeOf(v), 0);
+    } else if (value.isTexture) {
+        const image = value.image;
+        if (!image || !image.width || !image.height) {
+            return 0;
+        }
+        return image.width * image.height *
+            (CHANNELS_BY_FORMAT[value.format] || 4) * (BYTES_BY_TYPE[value.type] || 1);
+    } else if (value.isBufferGeometry) {
+        let bytes = value.index ? value.index.array.byteLength : 0;
+        for (const name of Object.keys(value.attributes)) {
+            bytes += value.attributes[name].array.byteLength;
+        }
+        return bytes;
+    } else if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+        return value.byteLength;
+    }
+    return 0;
+}
+
+// A texture is used while a LayeredMaterial displays it, a shared geometry
+// while a mesh counts it
+function isInUse(value) {
+    if (Array.isArray(value)) {
+        return value.some(isInUse);
+    }
+    return !!value && (value.materialsCount > 0 || value._count > 0);
+}
+
+function dispose(value) {
+    if (Array.isArray(value)) {
+        value.forEach(dispose);
+    } else if (value && (value.isTexture || value.isBufferGeometry)) {
+        value.dispose();
+        disposals++;
+    }
+}
+
+function remove(key, entry) {
+    data.delete(key);
+    size -= entry.size;
+    evictions++;
+    // Resources still displayed are disposed by their users
+    if (!isInUse(entry.resolved)) {
+        dispose(entry.resolved);
+    }
+}
+
+// Evicts the least recently used entries that aren't in use, until the cache
+// fits in its budget. Entries are in the Map in the order of their last use.
+function enforceBudget() {
+    if (size <= budget) {
+        return;
+    }
+    const evicted = [];
+    for (const [key, entry] of data) {
+        if (size <= budget) {
+            break;
+        }
+        if (!isInUse(entry.resolved)) {
+            remove(key, entry);
+            evicted.push(key);
+        }
+    }
+    events.dispatchEvent({ type: 'evict', keys: evicted, size, budget });
+}
+
+function setSize(entry, value) {
+    entry.resolved = value;
+    size -= entry.size;
+    entry.size = sizeOf(value);
+    size += entry.size;
+}
 
 /**
  * This is a copy of the Map object, except that it also store a value for last
  * time used. This value is used for cache expiration mechanism.
  * <br><br>
+ * The cache also estimates the memory used by the THREE resources of its
+ * entries (textures, geometries and typed arrays, or promises resolving with
+ * them). When it exceeds the [memory budget]{@link
+ * module:Cache.setMemoryBudget}, the least recently used entries are removed
+ * and their resources disposed. Resources still displayed, i.e. textures
+ * referenced by a <code>LayeredMaterial</code> and geometries shared by
+ * meshes, are kept.
+ * <br><br>
  * This module can be imported anywhere, its data will be shared, as it is a
  * single instance.
  *
@@ -21,6 +139,11 @@ const stats = new Map();
  * Cache.delete('foo');
  *
  * Cache.clear();
+ *
+ * // Display the cache pressure
+ * Cache.addEventListener('evict', (event) => {
+ *     console.log(`${event.keys.length} entries evicted, ${event.size} / ${event.budget} bytes used`);
+ * });
  */
 const Cache = {
     /**
@@ -62,6 +185,9 @@ const Cache = {
         if (entry) {
             stat.hit++;
             entry.lastTimeUsed = Date.now();
+            // Move the entry to the end of the Map, the most recently used
+            data.delete(key);
+            data.set(key, entry);
             return entry.value;
         }
 
@@ -72,6 +198,8 @@ const Cache = {
      * Adds or updates an entry with a specified key. A lifetime can be added,
      * by specifying a numerical value or using the {@link Cache.POLICIES}
      * values. By default an entry has an infinite lifetime.
+     * <br><br>
+     * If the value is a promise, its size is computed once it is resolved.
      *
      * @name module:Cache.set
      * @function
@@ -83,18 +211,38 @@ const Cache = {
      * @return {Object} the added value
      */
     set: (key, value, lifetime = Infinity) => {
+        const previous = data.get(key);
+        if (previous) {
+            data.delete(key);
+            size -= previous.size;
+        }
         const entry = {
             value,
             lastTimeUsed: Date.now(),
             lifetime,
+            size: 0,
         };
         data.set(key, entry);
 
+        if (value && typeof value.then == 'function') {
+            value.then((resolved) => {
+                // The entry may have been removed or replaced meanwhile
+                if (data.get(key) === entry) {
+                    setSize(entry, resolved);
+                    enforceBudget();
+                }
+            }, () => {});
+        } else {
+            setSize(entry, value);
+            enforceBudget();
+        }
+
         return value;
     },
 
     /**
-     * Deletes the specified entry from the cache.
+     * Deletes the specified entry from the cache. Its resources aren't
+     * disposed.
      *
      * @name module:Cache.delete
      * @function
@@ -103,15 +251,24 @@ const Cache = {
      *
      * @return {boolean} - Confirmation that the entry has been deleted.
      */
-    delete: key => data.delete(key),
+    delete: (key) => {
+        const entry = data.get(key);
+        if (entry) {
+            size -= entry.size;
+        }
+        return data.delete(key);
+    },
 
     /**
-     * Removes all entries of the cache.
+     * Removes all entries of the cache. Their resources aren't disposed.
      *
      * @name module:Cache.clear
      * @function
      */
-    clear: data.clear(),
+    clear: () => {
+        data.clear();
+        size = 0;
+    },
 
     /**
      * Flush the cache: entries that have been present for too long since the
@@ -119,6 +276,8 @@ const Cache = {
      * time is the current time, but the interval can be reduced by doing
      * something like <code>Cache.flush(Date.now() - reductionTime)</code>. If
      * you want to clear the whole cache, use {@link Cache.clear} instead.
+     * The resources of the removed entries are disposed, unless they are
+     * still in use.
      *
      * @name module:Cache.flush
      * @function
@@ -135,11 +294,16 @@ const Cache = {
     flush: (time = Date.now()) => {
         const before = data.size;
 
+        const evicted = [];
         data.forEach((entry, key) => {
             if (entry.lifetime < time - entry.lastTimeUsed) {
-                data.delete(key);
+                remove(key, entry);
+                evicted.push(key);
             }
         });
+        if (evicted.length) {
+            events.dispatchEvent({ type: 'evict', keys: evicted, size, budget });
+        }
 
         let hit = 0;
         let miss = 0;
@@ -151,6 +315,64 @@ const Cache = {
 
         return { before, after: data.size, hit, miss };
     },
+
+    /**
+     * Sets the memory budget of the cache. The least recently used entries are
+     * removed until the estimated size of the cache fits in it.
+     *
+     * @name module:Cache.setMemoryBudget
+     * @function
+     *
+     * @param {number} bytes - the budget, in bytes. The default one is 512
+     * MiB, <code>Infinity</code> disables the limit.
+     */
+    setMemoryBudget: (bytes) => {
+        budget = bytes;
+        enforceBudget();
+    },
+
+    /**
+     * Returns statistics about the cache, for debugging purposes.
+     *
+     * @name module:Cache.getStatistics
+     * @function
+     *
+     * @return {Object} <code>count</code> the number of entries,
+     * <code>size</code> their estimated size in bytes, <code>budget</code> the
+     * memory budget, and <code>evictions</code> and <code>disposals</code> the
+     * number of removed entries and disposed resources since the page was
+     * loaded.
+     */
+    getStatistics: () => ({ count: data.size, size, budget, evictions, disposals }),
+
+    /**
+     * Adds a listener to an event of the cache. The <code>evict</code> event
+     * is dispatched when entries are removed because of their lifetime or of
+     * the memory budget, with the removed <code>keys</code>, the new
+     * <code>size</code> of the cache and its <code>budget</code>.
+     *
+     * @name module:Cache.addEventListener
+     * @function
+     *
+     * @param {string} type - the type of the event.
+     * @param {function} listener - the function called with the event.
+     */
+    addEventListener: (type, listener) => {
+        events.addEventListener(type, listener);
+    },
+
+    /**
+     * Removes a listener added with {@link module:Cache.addEventListener}.
+     *
+     * @name module:Cache.removeEventListener
+     * @function
+     *
+     * @param {string} type - the type of the event.
+     * @param {function} listener - the listener.
+     */
+    removeEventListener: (type, listener) => {
+        events.removeEventListener(type, listener);
+    },
 };
 
 Object.freeze(Cache);
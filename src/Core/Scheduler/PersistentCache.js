@@ -0,0 +1,463 @@
+import Fetcher from '../../Provider/Fetcher';
+import TileMesh from '../TileMesh';
+
+const DB_NAME = 'itowns-cache';
+const DB_VERSION = 2;
+// The payloads are stored apart from their metadata, to compute the size of
+// the partitions and to evict payloads without reading them
+const PAYLOADS = 'payloads';
+const METADATA = 'metadata';
+const PARTITION_INDEX = 'partition';
+
+// Default options of the persistent cache of a source
+const DEFAULT_QUOTA = 100 * 1024 * 1024;
+const DEFAULT_EXPIRY = 7 * 24 * 3600 * 1000;
+// Number of payloads fetched at the same time when seeding
+const SEED_CONCURRENCY = 4;
+
+let indexedDBFactory;
+let database;
+// Running statistics and total size of each partition
+const partitions = new Map();
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openDatabase() {
+    if (!database) {
+        const factory = indexedDBFactory || (typeof window !== 'undefined' && window.indexedDB);
+        if (!factory) {
+            database = Promise.reject(new Error('PersistentCache: IndexedDB is not available'));
+        } else {
+            const request = factory.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                // The first version stored the payloads with their metadata,
+                // they are dropped
+                for (const name of [PAYLOADS, METADATA]) {
+                    if (db.objectStoreNames.contains(name)) {
+                        db.deleteObjectStore(name);
+                    }
+                }
+                db.createObjectStore(PAYLOADS, { keyPath: 'url' });
+                const metadata = db.createObjectStore(METADATA, { keyPath: 'url' });
+                metadata.createIndex(PARTITION_INDEX, 'partition');
+            };
+            database = promisify(request);
+        }
+        // Avoid unhandled rejections, each operation reports the error
+        database.catch(() => {});
+    }
+    return database;
+}
+
+function transaction(mode) {
+    return openDatabase().then(db => db.transaction([PAYLOADS, METADATA], mode));
+}
+
+function objectStore(name, mode) {
+    return openDatabase().then(db => db.transaction(name, mode).objectStore(name));
+}
+
+function getPartition(name) {
+    if (!partitions.has(name)) {
+        partitions.set(name, {
+            hits: 0,
+            misses: 0,
+            staleHits: 0,
+            writes: 0,
+            evictions: 0,
+            errors: 0,
+            size: undefined,
+            count: undefined,
+        });
+    }
+    return partitions.get(name);
+}
+
+// Reads the metadata of the payloads of a partition, without the payloads
+function getPartitionMetadata(name) {
+    return objectStore(METADATA, 'readonly').then(store => promisify(store.index(PARTITION_INDEX).getAll(name)));
+}
+
+// Reads the metadata of a payload and the payload, or undefined if it isn't
+// stored
+function getRecord(url) {
+    return transaction('readonly').then(t => Promise.all([
+        promisify(t.objectStore(METADATA).get(url)),
+        promisify(t.objectStore(PAYLOADS).get(url)),
+    ])).then(([metadata, payload]) => {
+        if (metadata && payload) {
+            return { metadata, blob: payload.blob };
+        }
+    });
+}
+
+// Deletes payloads and their metadata
+function deleteRecords(records) {
+    return transaction('readwrite').then(t => Promise.all(records.map(record => Promise.all([
+        promisify(t.objectStore(METADATA).delete(record.url)),
+        promisify(t.objectStore(PAYLOADS).delete(record.url)),
+    ]).then(() => record))));
+}
+
+// Reads the total size of a partition from the database, only once
+function loadPartitionSize(name) {
+    const partition = getPartition(name);
+    if (partition.size !== undefined) {
+        return Promise.resolve(partition);
+    }
+    return getPartitionMetadata(name).then((records) => {
+        if (partition.size === undefined) {
+            partition.size = records.reduce((size, record) => size + record.size, 0);
+            partition.count = records.length;
+        }
+        return partition;
+    });
+}
+
+// Options of the persistent cache of a source, or undefined if it's disabled
+function getOptions(source) {
+    if (!source.persistentCache) {
+        return;
+    }
+    const options = source.persistentCache === true ? {} : source.persistentCache;
+    return {
+        name: options.name || source.url,
+        quota: options.quota || DEFAULT_QUOTA,
+        expiry: options.expiry || DEFAULT_EXPIRY,
+    };
+}
+
+function isExpired(metadata, options) {
+    return Date.now() - metadata.date > options.expiry;
+}
+
+// Deletes the least recently used payloads of a partition until it fits in
+// its quota, sorted by their metadata.
+function evict(options, partition) {
+    return getPartitionMetadata(options.name).then((records) => {
+        records.sort((a, b) => a.lastAccess - b.lastAccess);
+        const deleted = [];
+        let size = partition.size;
+        for (const record of records) {
+            if (size <= options.quota) {
+                break;
+            }
+            size -= record.size;
+            deleted.push(record);
+        }
+        return deleteRecords(deleted).then(records => records.forEach((record) => {
+            partition.size -= record.size;
+            partition.count--;
+            partition.evictions++;
+        }));
+    });
+}
+
+function store(url, blob, options) {
+    const partition = getPartition(options.name);
+    const now = Date.now();
+    const record = {
+        url,
+        partition: options.name,
+        size: blob.size,
+        date: now,
+        lastAccess: now,
+    };
+    return loadPartitionSize(options.name)
+        .then(() => transaction('readwrite'))
+        .then((t) => {
+            const metadata = t.objectStore(METADATA);
+            return promisify(metadata.get(url)).then((previous) => {
+                if (previous) {
+                    partition.size -= previous.size;
+                    partition.count--;
+                }
+                return Promise.all([
+                    promisify(metadata.put(record)),
+                    promisify(t.objectStore(PAYLOADS).put({ url, blob })),
+                ]);
+            });
+        })
+        .then(() => {
+            partition.size += record.size;
+            partition.count++;
+            partition.writes++;
+            if (partition.size > options.quota) {
+                return evict(options, partition);
+            }
+        });
+}
+
+// Builds the result of fetcher from a payload, by fetching it from an object
+// url.
+function fromBlob(blob, fetcher, networkOptions) {
+    const url = URL.createObjectURL(blob);
+    return fetcher(url, networkOptions).then((result) => {
+        URL.revokeObjectURL(url);
+        return result;
+    }, (error) => {
+        URL.revokeObjectURL(url);
+        throw error;
+    });
+}
+
+// Lists the urls that a layer would fetch to texture the tiles of its parent
+// layer between the levels zoom.min and zoom.max, inside extent.
+function listUrls(layer, parentLayer, extent, zoom) {
+    const source = layer.source;
+    const urls = new Set();
+    const visit = (tileExtent, level) => {
+        if (!tileExtent.intersectsExtent(extent)) {
+            return;
+        }
+        if (level >= zoom.min) {
+            // getCoordsForSource only needs these properties of a tile
+            const tile = { extent: tileExtent, level, wmtsCoords: {} };
+            for (const coords of TileMesh.prototype.getCoordsForSource.call(tile, source)) {
+                if (!coords.isTiledCrs()) {
+                    coords.zoom = level;
+                }
+                if (coords.zoom >= 0 && source.extentInsideLimit(coords)) {
+                    urls.add(source.urlFromExtent(coords));
+                }
+            }
+        }
+        if (level < zoom.max) {
+            for (const child of tileExtent.subdivision()) {
+                visit(child, level + 1);
+            }
+        }
+    };
+    for (const root of parentLayer.schemeTile) {
+        visit(root, 0);
+    }
+    return Array.from(urls);
+}
+
+/**
+ * Options of the persistent cache of a source, given as its
+ * <code>persistentCache</code> property. <code>true</code> enables the cache
+ * with the default options.
+ *
+ * @typedef {Object} PersistentCacheOptions
+ * @property {string} [name] - the name of the partition of the cache used by
+ * the source. Defaults to the url of the source. Several sources can share a
+ * partition.
+ * @property {number} [quota=104857600] - the maximum size of the partition,
+ * in bytes. When it is exceeded, the least recently used payloads are
+ * deleted.
+ * @property {number} [expiry=604800000] - the time in milliseconds after
+ * which a payload is fetched again. An expired payload is still used when the
+ * network fails.
+ */
+
+/**
+ * A persistent cache of the payloads fetched by {@link DataSourceProvider},
+ * stored in IndexedDB, to avoid downloading them again on each reload and to
+ * use a view offline. Payloads are stored as they are fetched (images, BIL,
+ * vector tiles, GeoJSON...) and indexed by their url.
+ * <br><br>
+ * The cache is used by sources whose <code>persistentCache</code> property is
+ * set, see {@link PersistentCacheOptions}. The payloads of a source are stored
+ * in a partition, with its own quota and expiry.
+ *
+ * @module PersistentCache
+ *
+ * @example
+ * view.addLayer({
+ *     type: 'color',
+ *     id: 'ortho',
+ *     source: {
+ *         protocol: 'wmts',
+ *         url: 'http://server.geo/wmts',
+ *         name: 'ORTHO',
+ *         tileMatrixSet: 'PM',
+ *         format: 'image/jpeg',
+ *         persistentCache: { quota: 500 * 1024 * 1024 },
+ *     },
+ * });
+ *
+ * // Before going in the field, download the area of work
+ * PersistentCache.seed(view, 'ortho', new Extent('EPSG:4326', 4.7, 4.9, 45.7, 45.8), { min: 10, max: 16 })
+ *     .then(result => console.log(`${result.count} tiles stored`));
+ */
+export default {
+    /**
+     * Use another IndexedDB implementation than <code>window.indexedDB</code>,
+     * like a fake one for testing. The database is opened again on the next
+     * operation.
+     *
+     * @param {IDBFactory} factory - the IndexedDB implementation.
+     */
+    setIndexedDB(factory) {
+        indexedDBFactory = factory;
+        database = undefined;
+        partitions.clear();
+    },
+
+    /**
+     * Fetch a payload of a source, from the cache if it's there and fresh,
+     * from the network otherwise. A payload fetched from the network is
+     * stored in the cache.
+     *
+     * @param {string} url - the url of the payload.
+     * @param {Source} source - the source of the payload.
+     * @param {function} fetcher - the {@link Fetcher} function building the
+     * result from the payload, like <code>Fetcher.texture</code>.
+     * @param {NetworkOptions} [networkOptions=source.networkOptions] - the
+     * options of the requests.
+     *
+     * @return {Promise} a Promise resolving with the result of fetcher.
+     */
+    fetch(url, source, fetcher, networkOptions = source.networkOptions) {
+        const options = getOptions(source);
+        if (!options) {
+            return fetcher(url, networkOptions);
+        }
+        const partition = getPartition(options.name);
+        return getRecord(url)
+            .catch(() => undefined)
+            .then((record) => {
+                if (record && !isExpired(record.metadata, options)) {
+                    partition.hits++;
+                    record.metadata.lastAccess = Date.now();
+                    objectStore(METADATA, 'readwrite').then(s => s.put(record.metadata)).catch(() => {});
+                    return fromBlob(record.blob, fetcher, networkOptions);
+                }
+                partition.misses++;
+                return Fetcher.blob(url, networkOptions).then(blob =>
+                    store(url, blob, options).catch(() => {
+                        partition.errors++;
+                    }).then(() => fromBlob(blob, fetcher, networkOptions)),
+                (error) => {
+                    if (record && error.name != 'AbortError') {
+                        // Offline: an expired payload is better than nothing
+                        partition.staleHits++;
+                        return fromBlob(record.blob, fetcher, networkOptions);
+                    }
+                    throw error;
+                });
+            });
+    },
+
+    /**
+     * Download and store the payloads needed to display a layer in an extent,
+     * between two levels of the tiles of the view. Payloads already stored and
+     * fresh aren't downloaded again.
+     *
+     * @param {View} view - the view of the layer.
+     * @param {Layer|string} layerOrId - the layer, or its id. Its source must
+     * have a <code>persistentCache</code>.
+     * @param {Extent} extent - the extent to store.
+     * @param {Object} zoom - the levels of the tiles of the view to store.
+     * @param {number} zoom.min - the first level.
+     * @param {number} zoom.max - the last level.
+     * @param {function} [onProgress] - called with the number of processed
+     * payloads and the total number of payloads, each time a payload is
+     * processed.
+     *
+     * @return {Promise} a Promise resolving with the number of payloads of the
+     * extent (<code>count</code>), the number of downloaded ones
+     * (<code>downloaded</code>) and the urls that couldn't be fetched
+     * (<code>errors</code>).
+     */
+    seed(view, layerOrId, extent, zoom, onProgress) {
+        const layer = typeof layerOrId === 'string' ? view.getLayers(l => l.id === layerOrId)[0] : layerOrId;
+        if (!layer) {
+            return Promise.reject(new Error(`PersistentCache: layer ${layerOrId} not found`));
+        }
+        const parentLayer = view.getParentLayer(layer);
+        return Promise.resolve(layer.whenReady).then(() => {
+            const source = layer.source;
+            const options = source && getOptions(source);
+            if (!options || !parentLayer || !parentLayer.schemeTile || source.fetchExtent) {
+                throw new Error(`PersistentCache: layer ${layer.id} can't be seeded, its source must have a persistentCache and fetch tiles`);
+            }
+
+            const localExtent = extent.as(parentLayer.extent.crs());
+            const urls = listUrls(layer, parentLayer, localExtent, zoom);
+            const result = { count: urls.length, downloaded: 0, errors: [] };
+            let processed = 0;
+            let next = 0;
+
+            const seedNext = () => {
+                if (next >= urls.length) {
+                    return Promise.resolve();
+                }
+                const url = urls[next++];
+                return objectStore(METADATA, 'readonly')
+                    .then(s => promisify(s.get(url)))
+                    .then((metadata) => {
+                        if (metadata && !isExpired(metadata, options)) {
+                            return;
+                        }
+                        return Fetcher.blob(url, source.networkOptions)
+                            .then(blob => store(url, blob, options))
+                            .then(() => { result.downloaded++; });
+                    })
+                    .catch(() => { result.errors.push(url); })
+                    .then(() => {
+                        processed++;
+                        if (onProgress) {
+                            onProgress(processed, urls.length);
+                        }
+                        return seedNext();
+                    });
+            };
+
+            const workers = [];
+            for (let i = 0; i < SEED_CONCURRENCY; i++) {
+                workers.push(seedNext());
+            }
+            return Promise.all(workers).then(() => result);
+        });
+    },
+
+    /**
+     * Statistics of a partition of the cache: <code>hits</code>,
+     * <code>misses</code>, <code>staleHits</code> (expired payloads used
+     * because the network failed), <code>writes</code>, <code>evictions</code>
+     * and <code>errors</code> since the page was loaded, and the
+     * <code>count</code> and total <code>size</code> of the stored payloads.
+     *
+     * @param {Source|string} sourceOrName - a source, or the name of a
+     * partition.
+     *
+     * @return {Promise} a Promise resolving with the statistics.
+     */
+    getStats(sourceOrName) {
+        const name = typeof sourceOrName === 'string' ? sourceOrName : getOptions(sourceOrName).name;
+        return loadPartitionSize(name).then(partition => Object.assign({ name }, partition));
+    },
+
+    /**
+     * Delete the payloads of a partition, or all the payloads.
+     *
+     * @param {Source|string} [sourceOrName] - a source, or the name of a
+     * partition. By default, the whole cache is cleared.
+     *
+     * @return {Promise} a Promise resolving when the payloads are deleted.
+     */
+    clear(sourceOrName) {
+        if (!sourceOrName) {
+            partitions.clear();
+            return transaction('readwrite').then(t => Promise.all([
+                promisify(t.objectStore(METADATA).clear()),
+                promisify(t.objectStore(PAYLOADS).clear()),
+            ]));
+        }
+        const name = typeof sourceOrName === 'string' ? sourceOrName : getOptions(sourceOrName).name;
+        return getPartitionMetadata(name).then(deleteRecords)
+            .then(() => {
+                const partition = getPartition(name);
+                partition.size = 0;
+                partition.count = 0;
+            });
+    },
+};
@@ -4,6 +4,7 @@
  * Description: Cette classe singleton gère les requetes/Commandes  de la scène. Ces commandes peuvent etre synchrone ou asynchrone. Elle permet d'executer, de prioriser  et d'annuler les commandes de la pile. Les commandes executées sont placées dans une autre file d'attente.
  */
 
+/* global AbortController */
 import PriorityQueue from 'js-priority-queue';
 import DataSourceProvider from '../../Provider/DataSourceProvider';
 import TileProvider from '../../Provider/TileProvider';
@@ -77,17 +78,35 @@ function _instanciateQueue() {
             cancelled: 0,
             // commands pending
             pending: 0,
+            // commands aborted while executing
+            aborted: 0,
         },
+        // commands in progress
+        running: new Set(),
         execute(cmd, provider) {
             this.counters.pending--;
             this.counters.executing++;
+            // Providers pass the signal to the Fetcher to abort their requests
+            if (typeof AbortController !== 'undefined') {
+                cmd.abortController = new AbortController();
+                cmd.signal = cmd.abortController.signal;
+            }
+            this.running.add(cmd);
             return provider.executeCommand(cmd).then((result) => {
                 this.counters.executing--;
+                this.running.delete(cmd);
                 cmd.resolve(result);
                 // only count successul commands
                 this.counters.executed++;
             }, (err) => {
                 this.counters.executing--;
+                this.running.delete(cmd);
+                // A request shared with an aborted command is aborted too
+                if ((cmd.signal && cmd.signal.aborted) || (err && err.name == 'AbortError')) {
+                    this.counters.aborted++;
+                    cmd.reject(new CancelledCommandException(cmd));
+                    return;
+                }
                 cmd.reject(err);
                 this.counters.failed++;
                 if (__DEBUG__ && this.counters.failed < 3) {
@@ -312,6 +331,32 @@ Scheduler.prototype.resetCommandsCount = function resetCommandsCount(type) {
     return sum;
 };
 
+/**
+ * Aborts the commands in progress that aren't needed anymore, i.e. whose
+ * <code>earlyDropFunction</code> returns true, for example because their
+ * requester tile has been culled or deleted. Their requests are aborted and
+ * they are rejected with a {@link CancelledCommandException}.
+ *
+ * @return {number} the number of aborted commands.
+ */
+Scheduler.prototype.abortObsoleteCommands = function abortObsoleteCommands() {
+    let count = 0;
+    const abort = (queue) => {
+        for (const cmd of queue.running) {
+            if (cmd.abortController && !cmd.signal.aborted &&
+                cmd.earlyDropFunction && cmd.earlyDropFunction(cmd)) {
+                cmd.abortController.abort();
+                count++;
+            }
+        }
+    };
+    abort(this.defaultQueue);
+    for (const q of this.hostQueues) {
+        abort(q[1]);
+    }
+    return count;
+};
+
 Scheduler.prototype.deQueue = function deQueue(queue) {
     var st = drawNextLayer(queue.storages);
     while (st && st.length > 0) {
@@ -37,6 +37,9 @@ function TileMesh(layer, geometry, material, extent, level) {
     this.setDisplayed(false);
 
     this.layerUpdateState = {};
+    // Incremented when an elevation texture is set on the tile or on one of
+    // its descendants, to clamp the features to the new terrain
+    this.elevationVersion = 0;
 
     this.material.setUuid(this.id);
 
@@ -121,6 +124,9 @@ TileMesh.prototype.setTextureElevation = function setTextureElevation(layer, ele
     }
     this.setBBoxZ(elevation.min, elevation.max);
     this.material.setLayerTextures(layer, elevation.texture, offsetScale);
+    for (let node = this; node instanceof TileMesh; node = node.parent) {
+        node.elevationVersion++;
+    }
 };
 
 
@@ -164,7 +170,9 @@ TileMesh.prototype.changeSequenceLayers = function changeSequenceLayers(sequence
 };
 
 TileMesh.prototype.getCoordsForSource = function getCoordsForSource(source) {
-    if (source.protocol.indexOf('wmts') == 0) {
+    if (source.protocol.indexOf('wmts') == 0 && source.tileMatrices) {
+        return OGCWebServiceHelper.computeTileMatricesCoordinates(this, source);
+    } else if (source.protocol.indexOf('wmts') == 0) {
         OGCWebServiceHelper.computeTileMatrixSetCoordinates(this, source.tileMatrixSet);
         return this.wmtsCoords[source.tileMatrixSet];
     } else if (source.protocol == 'wms' && this.extent.crs() != source.projection) {
@@ -176,14 +184,21 @@ TileMesh.prototype.getCoordsForSource = function getCoordsForSource(source) {
             throw new Error('unsupported projection wms for this viewer');
         }
     } else if (source.protocol == 'tms' || source.protocol == 'xyz') {
-        // Special globe case: use the P(seudo)M(ercator) coordinates
-        if (is4326(this.extent.crs()) &&
+        if (is4326(this.extent.crs()) && source.tileMatrixSet == 'WGS84G') {
+            // Geographic tiles, matching the tiles of the globe
+            OGCWebServiceHelper.computeTileMatrixSetCoordinates(this, 'WGS84G');
+            return this.wmtsCoords.WGS84G;
+        } else if (is4326(this.extent.crs()) &&
                 (source.extent.crs() == 'EPSG:3857' || is4326(source.extent.crs()))) {
+            // Special globe case: use the P(seudo)M(ercator) coordinates
             OGCWebServiceHelper.computeTileMatrixSetCoordinates(this, 'PM');
             return this.wmtsCoords.PM;
         } else {
             return OGCWebServiceHelper.computeTMSCoordinates(this, source.extent, source.origin);
         }
+    } else if (source.protocol == 'cog') {
+        // COGSource reprojects its pixels into the extent of the tile
+        return [this.extent];
     } else if (source.extent.crs() == this.extent.crs()) {
         // Currently extent.as() always clone the extent, even if the output
         // crs is the same.
@@ -195,7 +210,9 @@ TileMesh.prototype.getCoordsForSource = function getCoordsForSource(source) {
 };
 
 TileMesh.prototype.getZoomForLayer = function getZoomForLayer(layer) {
-    if (layer.source.protocol.indexOf('wmts') == 0) {
+    if (layer.source.protocol.indexOf('wmts') == 0 && layer.source.tileMatrices) {
+        return OGCWebServiceHelper.computeTileMatricesCoordinates(this, layer.source)[0].zoom;
+    } else if (layer.source.protocol.indexOf('wmts') == 0) {
         OGCWebServiceHelper.computeTileMatrixSetCoordinates(this, layer.source.tileMatrixSet);
         return this.wmtsCoords[layer.source.tileMatrixSet][0].zoom;
     } else {
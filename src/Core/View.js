@@ -13,22 +13,28 @@ import GeometryLayer from '../Layer/GeometryLayer';
 
 import Scheduler from './Scheduler/Scheduler';
 import Picking from './Picking';
+import Coordinates from './Geographic/Coordinates';
+import Fetcher from '../Provider/Fetcher';
+import { EMPTY_TEXTURE_ZOOM } from '../Renderer/LayeredMaterialConstants';
 import WMTSSource from '../Source/WMTSSource';
 import WMSSource from '../Source/WMSSource';
 import WFSSource from '../Source/WFSSource';
 import TMSSource from '../Source/TMSSource';
 import StaticSource from '../Source/StaticSource';
+import COGSource from '../Source/COGSource';
 import FileSource from '../Source/FileSource';
-
-const supportedSource = new Map([
-    ['wmts', WMTSSource],
-    ['file', FileSource],
-    ['wfs', WFSSource],
-    ['wms', WMSSource],
-    ['tms', TMSSource],
-    ['xyz', TMSSource],
-    ['static', StaticSource],
-]);
+import FlatGeobufSource from '../Source/FlatGeobufSource';
+import Registry from './Registry';
+
+Registry.registerSource('wmts', WMTSSource);
+Registry.registerSource('file', FileSource);
+Registry.registerSource('wfs', WFSSource);
+Registry.registerSource('wms', WMSSource);
+Registry.registerSource('tms', TMSSource);
+Registry.registerSource('xyz', TMSSource);
+Registry.registerSource('static', StaticSource);
+Registry.registerSource('cog', COGSource);
+Registry.registerSource('flatgeobuf', FlatGeobufSource);
 
 export const VIEW_EVENTS = {
     /**
@@ -192,12 +198,28 @@ function _preprocessLayer(view, layer, provider, parentLayer) {
             }
         } else if (layer.source) {
             const protocol = layer.source.protocol;
-            layer.source = new (supportedSource.get(protocol))(layer.source, layer.projection);
+            const SourceClass = Registry.getSource(protocol);
+            layer.source = new SourceClass(layer.source, layer.projection);
             providerPreprocessing = layer.source.whenReady || providerPreprocessing;
         }
 
         // the last promise in the chain must return the layer
         layer.whenReady = providerPreprocessing.then(() => {
+            // The tile matrix set of a source configured from capabilities
+            // is only known once the source is ready
+            const source = layer.source;
+            if (layer.type != 'geometry' && source && source.capabilities) {
+                if (source.tileMatrixSet === 'PM') {
+                    layer.projection = 'EPSG:3857';
+                }
+                // The elevation textures of tiles in EPSG:4326, like the ones
+                // of the globe, are only read in the WGS84G tile matrix set
+                if (layer.type == 'elevation' && source.protocol === 'wmts' && source.tileMatrixSet !== 'WGS84G' &&
+                    parentLayer && parentLayer.extent.crs() == 'EPSG:4326') {
+                    parentLayer.detach(layer);
+                    throw new Error('Only WGS84G tileMatrixSet is currently supported for WMTS elevation layers');
+                }
+            }
             layer.ready = true;
             return layer;
         });
@@ -311,7 +333,7 @@ View.prototype.addLayer = function addLayer(layer, parentLayer) {
                 this.addFrameRequester(MAIN_LOOP_EVENTS.UPDATE_END, this._allLayersAreReadyCallback);
             }
             resolve(layer);
-        });
+        }, reject);
     });
 };
 
@@ -623,4 +645,91 @@ View.prototype.pickObjectsAt = function pickObjectsAt(mouseOrEvt, radius, ...whe
     return results;
 };
 
+function displayedTileAt(node, coordinates) {
+    if (!node.extent || !node.extent.isPointInside(coordinates)) {
+        return;
+    }
+    for (const child of node.children) {
+        const tile = displayedTileAt(child, coordinates);
+        if (tile) {
+            return tile;
+        }
+    }
+    if (node.material && node.material.visible) {
+        return node;
+    }
+}
+
+// Returns the extent of the texture of layer displayed at coordinates, or the
+// extent the tile would request if no texture is loaded yet
+function featureInfoExtent(tile, layer, coordinates) {
+    for (const texture of tile.material.getLayerTextures(layer)) {
+        if (texture.coords && texture.coords.zoom > EMPTY_TEXTURE_ZOOM) {
+            const box = texture.coords.isTiledCrs() ? texture.coords.as('EPSG:4326') : texture.coords;
+            if (box.isPointInside(coordinates)) {
+                return texture.coords;
+            }
+        }
+    }
+    return tile.getCoordsForSource(layer.source).find((coords) => {
+        const box = coords.isTiledCrs() ? coords.as('EPSG:4326') : coords;
+        return box.isPointInside(coordinates);
+    });
+}
+
+/**
+ * Queries the source of a color layer for the features displayed under the
+ * mouse, with a GetFeatureInfo request. The ground position under the mouse is
+ * found with <code>getPickingPositionFromDepth</code>, then the request is
+ * made for the image of the layer displayed at this position. Only layers with
+ * a {@link WMSSource} or a {@link WMTSSource} support it.
+ *
+ * @param {ColorLayer|string} layerOrId - the layer to query, or its id
+ * @param {Object} mouseOrEvt - mouse position in window coordinates (0, 0 = top-left)
+ * or MouseEvent or TouchEvent
+ * @param {string} [infoFormat='application/json'] - the format of the
+ * response. A JSON format is parsed to an object. The features of a XML or GML
+ * format are not read: the response is returned as a Document. Any other
+ * format is returned as a string.
+ * @return {Promise<Object|Document|string>} a promise resolved with the
+ * response, or with undefined if there is no ground under the mouse.
+ *
+ * @example
+ * viewerDiv.addEventListener('click', (event) => {
+ *     view.getFeatureInfoAt('Region', event).then(info => console.log(info));
+ * });
+ */
+View.prototype.getFeatureInfoAt = function getFeatureInfoAt(layerOrId, mouseOrEvt, infoFormat = 'application/json') {
+    const layer = (typeof (layerOrId) === 'string') ? layerIdToLayer(this, layerOrId) : layerOrId;
+    if (layer.type != 'color' || !layer.source || !layer.source.urlGetFeatureInfo) {
+        return Promise.reject(new Error(`Layer ${layer.id} doesn't support GetFeatureInfo requests`));
+    }
+
+    const mouse = (mouseOrEvt instanceof Event) ? this.eventToViewCoords(mouseOrEvt) : mouseOrEvt;
+    const position = this.getPickingPositionFromDepth(new THREE.Vector2(mouse.x, mouse.y));
+    if (!position) {
+        return Promise.resolve();
+    }
+
+    const parentLayer = this.getParentLayer(layer);
+    const coordinates = new Coordinates(this.referenceCrs, position).as(parentLayer.extent.crs());
+    let tile;
+    for (const node of parentLayer.level0Nodes) {
+        tile = tile || displayedTileAt(node, coordinates);
+    }
+    const extent = tile && featureInfoExtent(tile, layer, coordinates);
+    if (!extent) {
+        return Promise.resolve();
+    }
+
+    const url = layer.source.urlGetFeatureInfo(extent, coordinates, infoFormat);
+    if (/json/.test(infoFormat)) {
+        return Fetcher.json(url, layer.source.networkOptions);
+    } else if (/xml|gml/.test(infoFormat)) {
+        return Fetcher.xml(url, layer.source.networkOptions);
+    } else {
+        return Fetcher.text(url, layer.source.networkOptions);
+    }
+};
+
 export default View;
@@ -34,6 +34,32 @@ class ColorLayer extends Layer {
      * elements will be available using <code>layer.name</code> or something
      * else depending on the property name.
      * @param {WMTSSource|WMSSource|WFSSource|TMSSource|FileSource} [config.source] data source
+     * @param {Object|function} [config.style] - The style used to draw the
+     * features of the source, or a function returning the style, or an array
+     * of styles, of a feature. It's called with the properties of the feature,
+     * the feature and the zoom level. A style can contain:
+     * <ul>
+     * <li><code>fill</code>, <code>fillOpacity</code>, <code>stroke</code>,
+     * <code>strokeWidth</code> and <code>strokeOpacity</code> to draw the
+     * geometries, and <code>radius</code> and <code>lineWidth</code> for the
+     * points;</li>
+     * <li><code>text</code> to label the feature, with <code>textFont</code>
+     * (a CSS font family), <code>textSize</code> in pixels,
+     * <code>textWeight</code>, <code>textColor</code>,
+     * <code>textOpacity</code>, <code>textHaloColor</code> and
+     * <code>textHaloWidth</code>. The text is placed along the lines and the
+     * outlines of the polygons if <code>placement</code> is
+     * <code>line</code>, at the points, the middle of the lines and the
+     * center of the polygons otherwise;</li>
+     * <li><code>icon</code>, the name of an icon of the <code>sprite</code>,
+     * <code>{ image, json }</code> being a sprite sheet image and its
+     * description in the Mapbox sprite format, with <code>iconSize</code>
+     * and <code>iconOpacity</code>;</li>
+     * <li><code>allowOverlap</code> to draw the text and the icon even if they
+     * overlap the ones of other features.</li>
+     * </ul>
+     * The values of a style can also be expressions evaluated for each
+     * feature, see {@link module:FeatureStyle}.
      * @example
      * // Create a ColorLayer
      * const color = new ColorLayer('roads', {
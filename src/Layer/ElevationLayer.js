@@ -19,6 +19,12 @@ class ElevationLayer extends Layer {
      * elements will be available using <code>layer.name</code> or something
      * else depending on the property name.
      * @param {WMTSSource|WMSSource|WFSSource|TMSSource|FileSource} [config.source] data source
+     * <br><br>
+     * The supported formats of elevation tiles are
+     * <code>image/x-bil;bits=32</code>, PNG encoding elevations
+     * (<code>image/png;encoding=terrain-rgb</code> for Mapbox Terrain-RGB,
+     * <code>image/png;encoding=terrarium</code> for Terrarium) and
+     * <code>application/vnd.quantized-mesh</code> for Cesium terrains.
      *
      * @example
      * // Create an ElevationLayer
@@ -0,0 +1,359 @@
+import * as THREE from 'three';
+import GeometryLayer from './GeometryLayer';
+import FeatureProcessing from '../Process/FeatureProcessing';
+import { MAIN_LOOP_EVENTS } from '../Core/MainLoop';
+
+// A label is hidden by the terrain if the terrain is closer than it, by more
+// than this part of its distance
+const OCCLUSION_TOLERANCE = 0.01;
+
+const vector = new THREE.Vector3();
+
+// Whether an object is displayed, i.e. it and all its ancestors are visible
+function isDisplayed(object) {
+    for (let o = object; o; o = o.parent) {
+        if (!o.visible) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function hide(label) {
+    if (label.element) {
+        label.element.style.display = 'none';
+    }
+}
+
+function removeElement(label) {
+    if (label.element) {
+        if (label.element.parentNode) {
+            label.element.parentNode.removeChild(label.element);
+        }
+        label.element = undefined;
+    }
+}
+
+function createElement(label, container) {
+    const style = label.style;
+    const element = document.createElement('div');
+    element.className = `itowns-label ${style.className || ''}`.trim();
+    Object.assign(element.style, style.css, { position: 'absolute', left: '0px', top: '0px' });
+    if (style.icon) {
+        const image = document.createElement('img');
+        image.src = style.icon;
+        // The size of the label is known once the icon is loaded
+        image.onload = () => { label.width = undefined; };
+        element.appendChild(image);
+    }
+    if (style.text) {
+        const text = document.createElement('span');
+        text.textContent = style.text;
+        element.appendChild(text);
+    }
+    container.appendChild(element);
+    label.element = element;
+}
+
+function overlaps(a, b) {
+    return a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+}
+
+class LabelLayer extends GeometryLayer {
+    /**
+     * A layer displaying the point features of a source as labels: HTML
+     * elements, with a text and an icon, following the points on the screen.
+     * Labels stay legible whatever the orientation of the camera, unlike the
+     * texts drawn in the textures of the color layers.
+     * <br><br>
+     * The labels are hidden when they are too close or too far from the
+     * camera, when the terrain is in front of them, and when they overlap a
+     * label of higher priority, or a closer one.
+     *
+     * @constructor
+     * @extends GeometryLayer
+     *
+     * @param {string} id - The id of the layer, that should be unique.
+     * @param {Object} [config] - Optional configuration, all elements in it
+     * will be merged as is in the layer.
+     * @param {WFSSource|FileSource} [config.source] - The source of the point
+     * features.
+     * @param {Object|function} [config.style] - The style of the labels, or a
+     * function returning the style of a feature, called with its properties
+     * and the feature. A style can contain:
+     * <ul>
+     * <li><code>text</code>, the text of the label;</li>
+     * <li><code>icon</code>, the url of an image displayed before the text;</li>
+     * <li><code>className</code>, CSS classes of the HTML element of the
+     * label, that already has the <code>itowns-label</code> class;</li>
+     * <li><code>css</code>, CSS properties of the HTML element, like
+     * <code>{ color: 'white', fontSize: '14px' }</code>;</li>
+     * <li><code>priority</code>, labels with a higher priority are kept
+     * when labels overlap, defaults to 0;</li>
+     * <li><code>altitude</code>, the altitude of the label, in meters. It
+     * defaults to the one of the point;</li>
+     * <li><code>minDistance</code> and <code>maxDistance</code>, overriding
+     * the ones of the layer.</li>
+     * </ul>
+     * Features without text nor icon are not displayed.
+     * @param {number} [config.minDistance=0] - The distance to the camera, in
+     * meters, under which the labels are hidden.
+     * @param {number} [config.maxDistance=Infinity] - The distance to the
+     * camera, in meters, over which the labels are hidden.
+     * @param {boolean} [config.declutter=true] - Hide the labels overlapping
+     * other ones.
+     * @param {number} [config.padding=2] - The space between labels, in pixels,
+     * when decluttering.
+     * @param {boolean} [config.occlusion=true] - Hide the labels behind the
+     * terrain, using the depth buffer of the view.
+     *
+     * @example
+     * view.addLayer(new itowns.LabelLayer('cities', {
+     *     source: {
+     *         protocol: 'file',
+     *         url: 'https://server.geo/cities.geojson',
+     *         projection: 'EPSG:4326',
+     *     },
+     *     style: properties => ({
+     *         text: properties.name,
+     *         priority: properties.population,
+     *         maxDistance: properties.capital ? Infinity : 500000,
+     *     }),
+     * }));
+     */
+    constructor(id, config = {}) {
+        super(id, new THREE.Group(), config);
+        this.isLabelLayer = true;
+        this.style = config.style || {};
+        this.minDistance = config.minDistance || 0;
+        this.maxDistance = config.maxDistance === undefined ? Infinity : config.maxDistance;
+        this.declutter = config.declutter === undefined ? true : config.declutter;
+        this.padding = config.padding === undefined ? 2 : config.padding;
+        this.occlusion = config.occlusion === undefined ? true : config.occlusion;
+
+        // The objects containing the labels of the tiles
+        this.labelObjects = new Set();
+    }
+
+    update(context, layer, node) {
+        if (!this.domElement) {
+            this.attachToView(context.view);
+        }
+        const objects = FeatureProcessing.update(context, layer, node);
+        if (objects) {
+            objects.forEach(object => this.labelObjects.add(object));
+        }
+        return objects;
+    }
+
+    /**
+     * Create the labels of some features, in an object added to a tile.
+     *
+     * @param {FeatureCollection} collection - The features.
+     *
+     * @return {THREE.Object3D} An object, whose <code>labels</code> property
+     * contains the labels.
+     */
+    convert(collection) {
+        const object = new THREE.Object3D();
+        // The positions of the labels are already in world coordinates
+        object.layer = this;
+        object.labels = [];
+        for (const feature of collection.features) {
+            const style = typeof this.style == 'function' ? this.style(feature.properties, feature) : this.style;
+            if (feature.type.indexOf('point') < 0 || !style || !(style.text || style.icon)) {
+                continue;
+            }
+            for (const vertex of feature.vertices) {
+                let coordinates = vertex;
+                if (style.altitude !== undefined) {
+                    coordinates = vertex.as('EPSG:4326');
+                    coordinates.setAltitude(style.altitude);
+                    coordinates = coordinates.as(vertex.crs);
+                }
+                object.labels.push({
+                    position: coordinates.xyz(),
+                    style,
+                    priority: style.priority || 0,
+                    properties: feature.properties,
+                });
+            }
+        }
+        return object;
+    }
+
+    /**
+     * Create the HTML element containing the labels, over the view, and update
+     * the labels after each rendering of the view. It's done the first time
+     * the layer is updated.
+     *
+     * @param {View} view - The view displaying the layer.
+     */
+    attachToView(view) {
+        const viewerDiv = view.mainLoop.gfxEngine.renderer.domElement.parentElement;
+        this.domElement = document.createElement('div');
+        Object.assign(this.domElement.style, {
+            position: 'absolute',
+            top: '0px',
+            left: '0px',
+            width: '100%',
+            height: '100%',
+            overflow: 'hidden',
+            pointerEvents: 'none',
+        });
+        viewerDiv.appendChild(this.domElement);
+        // The depth of the terrain is read again when its tiles change
+        view.addFrameRequester(MAIN_LOOP_EVENTS.UPDATE_START, () => {
+            const tileLayer = view.getParentLayer(this);
+            for (const source of view._changeSources) {
+                if (source === tileLayer || source.layer === tileLayer || source.type == 'elevation') {
+                    this._depth = undefined;
+                }
+            }
+        });
+        view.addFrameRequester(MAIN_LOOP_EVENTS.AFTER_RENDER, () => this.updateLabels(view));
+    }
+
+    /**
+     * Place the labels on the screen, and hide the ones that shouldn't be
+     * displayed.
+     *
+     * @param {View} view - The view displaying the layer.
+     */
+    updateLabels(view) {
+        const camera = view.camera.camera3D;
+        const dim = view.mainLoop.gfxEngine.getWindowSize();
+        const candidates = [];
+
+        for (const object of this.labelObjects) {
+            if (!object.parent || !this.visible || !isDisplayed(object)) {
+                object.labels.forEach(removeElement);
+                if (!object.parent) {
+                    this.labelObjects.delete(object);
+                }
+                continue;
+            }
+            for (const label of object.labels) {
+                const distance = camera.position.distanceTo(label.position);
+                const min = label.style.minDistance === undefined ? this.minDistance : label.style.minDistance;
+                const max = label.style.maxDistance === undefined ? this.maxDistance : label.style.maxDistance;
+                vector.copy(label.position).project(camera);
+                if (distance < min || distance > max || vector.z > 1 || Math.abs(vector.x) > 1 || Math.abs(vector.y) > 1) {
+                    hide(label);
+                } else {
+                    label.distance = distance;
+                    label.x = (vector.x + 1) / 2 * dim.x;
+                    label.y = (1 - vector.y) / 2 * dim.y;
+                    candidates.push(label);
+                }
+            }
+        }
+
+        // The labels of higher priority, then the closest ones, are kept
+        candidates.sort((a, b) => (b.priority - a.priority) || (a.distance - b.distance));
+
+        const isOccluded = this.occlusion && candidates.length ? this.occlusionTest(view, candidates) : () => false;
+        const placed = [];
+        for (const label of candidates) {
+            if (isOccluded(label)) {
+                hide(label);
+                continue;
+            }
+            if (!label.element) {
+                createElement(label, this.domElement);
+            }
+            if (label.width === undefined) {
+                label.element.style.display = '';
+                label.width = label.element.offsetWidth;
+                label.height = label.element.offsetHeight;
+            }
+            const box = {
+                left: label.x - label.width / 2 - this.padding,
+                right: label.x + label.width / 2 + this.padding,
+                top: label.y - label.height / 2 - this.padding,
+                bottom: label.y + label.height / 2 + this.padding,
+            };
+            if (this.declutter && placed.some(p => overlaps(p, box))) {
+                hide(label);
+                continue;
+            }
+            placed.push(box);
+            label.element.style.display = '';
+            label.element.style.transform = `translate(${Math.round(label.x - label.width / 2)}px, ${Math.round(label.y - label.height / 2)}px)`;
+        }
+    }
+
+    /**
+     * Read the depth buffer of the terrain, as done by
+     * <code>getPickingPositionFromDepth</code>, to test if labels are behind
+     * the terrain. The full size depth buffer of the view is used if it has
+     * read it, otherwise only the zone of the labels is rendered and read.
+     * The depths are kept until the camera or the tiles change.
+     *
+     * @param {View} view - The view displaying the layer.
+     * @param {Object[]} labels - The labels to test, placed on the screen.
+     *
+     * @return {function} A function returning whether a label is hidden by
+     * the terrain.
+     */
+    occlusionTest(view, labels) {
+        const tileLayer = view.getParentLayer(this);
+        if (!view.readDepthBuffer || !tileLayer) {
+            return () => false;
+        }
+        const g = view.mainLoop.gfxEngine;
+        const camera = view.camera.camera3D;
+        const dim = g.getWindowSize();
+
+        // The pixels of the labels
+        const pixel = label => [Math.min(Math.floor(label.x), dim.x - 1), Math.min(Math.floor(label.y), dim.y - 1)];
+
+        const zone = { x: dim.x, y: dim.y, width: 0, height: 0 };
+        for (const label of labels) {
+            const [x, y] = pixel(label);
+            zone.x = Math.min(zone.x, x);
+            zone.y = Math.min(zone.y, y);
+            zone.width = Math.max(zone.width, x + 1);
+            zone.height = Math.max(zone.height, y + 1);
+        }
+        zone.width -= zone.x;
+        zone.height -= zone.y;
+
+        const depth = this._depth;
+        if (!depth || !depth.matrix.equals(camera.matrixWorld) || !depth.projection.equals(camera.projectionMatrix) ||
+            zone.x < depth.zone.x || zone.y < depth.zone.y ||
+            zone.x + zone.width > depth.zone.x + depth.zone.width ||
+            zone.y + zone.height > depth.zone.y + depth.zone.height) {
+            let buffer = view._fullSizeDepthBuffer;
+            if (buffer) {
+                zone.x = 0;
+                zone.y = 0;
+                zone.width = dim.x;
+                zone.height = dim.y;
+            } else {
+                const mask = camera.layers.mask;
+                camera.layers.mask = 1 << tileLayer.threejsLayer;
+                buffer = view.readDepthBuffer(zone.x, zone.y, zone.width, zone.height);
+                camera.layers.mask = mask;
+            }
+            this._depth = {
+                zone,
+                buffer,
+                matrix: camera.matrixWorld.clone(),
+                projection: camera.projectionMatrix.clone(),
+            };
+        }
+
+        const { zone: read, buffer } = this._depth;
+        return (label) => {
+            const [x, y] = pixel(label);
+            // The first pixel of the buffer is the bottom-left one
+            const id = ((read.y + read.height - y - 1) * read.width + x - read.x) * 4;
+            const terrainZ = g.depthBufferRGBAValueToOrthoZ(buffer.slice(id, id + 4), camera);
+            const labelZ = -vector.copy(label.position).applyMatrix4(camera.matrixWorldInverse).z;
+            return terrainZ < labelZ * (1 - OCCLUSION_TOLERANCE);
+        };
+    }
+}
+
+export default LabelLayer;
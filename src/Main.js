@@ -3,24 +3,35 @@ export { default as Extent } from './Core/Geographic/Extent';
 export { default as Ellipsoid } from './Core/Math/Ellipsoid';
 export { ImageryLayers } from './Layer/Layer';
 export { default as GeometryLayer } from './Layer/GeometryLayer';
+export { default as LabelLayer } from './Layer/LabelLayer';
 export { STRATEGY_MIN_NETWORK_TRAFFIC, STRATEGY_GROUP, STRATEGY_PROGRESSIVE, STRATEGY_DICHOTOMY } from './Layer/LayerUpdateStrategy';
 export { default as GlobeView, GLOBE_VIEW_EVENTS, createGlobeLayer } from './Core/Prefab/GlobeView';
 export { default as PlanarView, createPlanarLayer } from './Core/Prefab/PlanarView';
 export { default as PanoramaView, createPanoramaLayer } from './Core/Prefab/PanoramaView';
 export { default as Panorama } from './Core/Prefab/Panorama/Constants';
 export { default as Fetcher } from './Provider/Fetcher';
+export { default as Registry } from './Core/Registry';
+export { default as PersistentCache } from './Core/Scheduler/PersistentCache';
 export { MAIN_LOOP_EVENTS } from './Core/MainLoop';
 export { default as View } from './Core/View';
 export { VIEW_EVENTS } from './Core/View';
 export { default as GpxParser } from './Parser/GpxParser';
 export { default as GeoJsonParser } from './Parser/GeoJsonParser';
+export { default as ShapefileParser } from './Parser/ShapefileParser';
+export { default as GeoPackageParser } from './Parser/GeoPackageParser';
+export { default as PrjParser } from './Parser/PrjParser';
+export { default as MapboxStyleParser } from './Parser/MapboxStyleParser';
+export { default as StyleExpressionParser } from './Parser/StyleExpressionParser';
 export { process3dTilesNode, init3dTilesLayer, $3dTilesCulling, $3dTilesSubdivisionControl, pre3dTilesUpdate } from './Process/3dTilesProcessing';
 export { default as FeatureProcessing } from './Process/FeatureProcessing';
 export { updateLayeredMaterialNodeImagery, updateLayeredMaterialNodeElevation } from './Process/LayeredMaterialNodeProcessing';
 export { ColorLayersOrdering } from './Renderer/ColorLayersOrdering';
 export { default as PointsMaterial } from './Renderer/PointsMaterial';
+export { default as LineMaterial } from './Renderer/LineMaterial';
 export { default as PointCloudProcessing } from './Process/PointCloudProcessing';
 export { default as Feature2Mesh } from './Renderer/ThreeExtended/Feature2Mesh';
+export { default as FeatureStyle } from './Renderer/ThreeExtended/FeatureStyle';
+export { default as WideLine } from './Renderer/ThreeExtended/WideLine';
 export { default as FlyControls } from './Renderer/ThreeExtended/FlyControls';
 export { default as FirstPersonControls } from './Renderer/ThreeExtended/FirstPersonControls';
 export { default as PlanarControls } from './Renderer/ThreeExtended/PlanarControls';
@@ -2,6 +2,7 @@ import * as THREE from 'three';
 import GLTFLoader from './GLTFLoader';
 import LegacyGLTFLoader from './LegacyGLTFLoader';
 import BatchTableParser from './BatchTableParser';
+import BatchTable from '../Renderer/BatchTable';
 import Capabilities from '../Core/System/Capabilities';
 import shaderUtils from '../Renderer/Shader/ShaderUtils';
 import utf8Decoder from '../utils/Utf8Decoder';
@@ -48,6 +49,107 @@ function applyOptionalCesiumRTC(data, gltf) {
     }
 }
 
+// The promises of the decoders loaded lazily, by loading function
+const decoders = new Map();
+
+// Get a decoder of the glTF extensions, loaded the first time it's needed. A
+// decoder that can't be loaded is undefined: the models are then read without
+// it, when the extension isn't required.
+function getDecoder(decoder, name) {
+    if (typeof decoder != 'function') {
+        return Promise.resolve(decoder);
+    }
+    if (!decoders.has(decoder)) {
+        decoders.set(decoder, Promise.resolve().then(decoder).catch((error) => {
+            console.warn(`The ${name} decoder of the glTF models can't be loaded: ${error.message || error}`);
+        }));
+    }
+    return decoders.get(decoder);
+}
+
+/**
+ * Parse a glTF model of a 3D Tiles content, as a binary glTF or as a JSON glTF,
+ * and prepare it for the 3D Tiles layers: its up axis is changed to Z, its
+ * materials are overridden or patched, and its CESIUM_RTC center is applied.
+ *
+ * @param {ArrayBuffer} buffer - the glTF model.
+ * @param {Object} options - the options of {@link module:B3dmParser.parse}.
+ * @return {Promise} - a promise that resolves with the glTF object of the
+ * three.js loaders.
+ * @private
+ */
+export function parseGltf(buffer, options) {
+    const gltfUpAxis = options.gltfUpAxis;
+    const urlBase = options.urlBase;
+    const isBinary = utf8Decoder.decode(new Uint8Array(buffer, 0, 4)) == 'glTF';
+    // The JSON of the binary glTF 1.0 and 2.0 starts at the byte 20, after its length
+    const json = JSON.parse(utf8Decoder.decode(isBinary ?
+        new Uint8Array(buffer, 20, new DataView(buffer).getUint32(12, true)) :
+        new Uint8Array(buffer)));
+    const extensionsUsed = json.extensionsUsed || [];
+
+    return Promise.all([
+        extensionsUsed.indexOf('KHR_draco_mesh_compression') >= 0 ? getDecoder(options.dracoLoader, 'Draco') : undefined,
+        extensionsUsed.indexOf('KHR_texture_basisu') >= 0 ? getDecoder(options.ktx2Loader, 'KTX2') : undefined,
+    ]).then(([dracoLoader, ktx2Loader]) => new Promise((resolve, reject) => {
+        const onload = (gltf) => {
+            for (const scene of gltf.scenes) {
+                scene.traverse(filterUnsupportedSemantics);
+            }
+            // Rotation managed
+            if (gltfUpAxis === undefined || gltfUpAxis === 'Y') {
+                gltf.scene.applyMatrix(matrixChangeUpVectorZtoY);
+            } else if (gltfUpAxis === 'X') {
+                gltf.scene.applyMatrix(matrixChangeUpVectorZtoX);
+            }
+
+            // RTC managed
+            if (isBinary) {
+                applyOptionalCesiumRTC(buffer, gltf.scene);
+            }
+
+            const init_mesh = function f_init(mesh) {
+                mesh.frustumCulled = false;
+                if (mesh.material) {
+                    if (options.overrideMaterials) {
+                        mesh.material.dispose();
+                        if (typeof (options.overrideMaterials) === 'object' &&
+                            options.overrideMaterials.isMaterial) {
+                            mesh.material = options.overrideMaterials.clone();
+                        } else {
+                            mesh.material = new THREE.MeshLambertMaterial({ color: 0xffffff });
+                        }
+                    } else if (Capabilities.isLogDepthBufferSupported()
+                                && mesh.material.isRawShaderMaterial
+                                && !options.doNotPatchMaterial) {
+                        shaderUtils.patchMaterialForLogDepthSupport(mesh.material);
+                        console.warn('b3dm shader has been patched to add log depth buffer support');
+                    }
+                    mesh.material.transparent = options.opacity < 1.0;
+                    mesh.material.opacity = options.opacity;
+                }
+            };
+            gltf.scene.traverse(init_mesh);
+
+            resolve(gltf);
+        };
+
+        let version;
+        if (isBinary) {
+            version = new DataView(buffer, 0, 20).getUint32(4, true);
+        } else {
+            version = json.asset && /^2/.test(json.asset.version) ? 2 : 1;
+        }
+
+        if (version === 1) {
+            legacyGLTFLoader.parse(buffer, onload, urlBase);
+        } else {
+            glTFLoader.setDRACOLoader(dracoLoader).setKTX2Loader(ktx2Loader);
+            glTFLoader.parse(buffer, urlBase, onload, reject);
+        }
+    }));
+}
+
 export default {
     /** @module B3dmParser */
     /** Parse b3dm buffer and extract THREE.Scene and batch table
@@ -59,12 +161,12 @@ export default {
      * @param {boolean=} [options.doNotPatchMaterial='false'] - disable patching material with logarithmic depth buffer support.
      * @param {float} [options.opacity=1.0] - the b3dm opacity.
      * @param {boolean|Material=} [options.overrideMaterials='false'] - override b3dm's embedded glTF materials. If overrideMaterials is a three.js material, it will be the material used to override.
-     * @return {Promise} - a promise that resolves with an object containig a THREE.Scene (gltf) and a batch table (batchTable).
+     * @param {Object|function=} options.dracoLoader - the decoder of the glTF 2.0 meshes compressed with the KHR_draco_mesh_compression extension, like the THREE.DRACOLoader: it has a <code>decodeDracoFile(buffer, onLoad, attributeIDs, attributeTypes)</code> method. It can be a function returning the decoder or a promise of the decoder, called once, when a model first needs it, to load the decoder lazily. Without decoder, the uncompressed meshes are read, or the models whose extension is required are rejected.
+     * @param {Object|function=} options.ktx2Loader - the decoder of the glTF 2.0 textures in KTX2 files of the KHR_texture_basisu extension, like the THREE.KTX2Loader: it has a <code>parse(buffer, onLoad, onError)</code> method. It is loaded lazily in the same way. Without decoder, the fallback images of the textures are used, if any.
+     * @return {Promise} - a promise that resolves with an object containig a THREE.Scene (gltf) and a {@link BatchTable} (batchTable).
      *
      */
     parse(buffer, options) {
-        const gltfUpAxis = options.gltfUpAxis;
-        const urlBase = options.urlBase;
         if (!buffer) {
             throw new Error('No array buffer provided.');
         }
@@ -96,71 +198,32 @@ export default {
             b3dmHeader.BTBinaryLength = view.getUint32(byteOffset, true);
             byteOffset += Uint32Array.BYTES_PER_ELEMENT;
 
+            // The feature table gives the number of features of the batch table
+            let batchLength = 0;
+            if (b3dmHeader.FTJSONLength > 0) {
+                const featureTable = JSON.parse(utf8Decoder.decode(new Uint8Array(buffer, 28, b3dmHeader.FTJSONLength)));
+                batchLength = featureTable.BATCH_LENGTH || 0;
+            }
+
             const promises = [];
             if (b3dmHeader.BTJSONLength > 0) {
                 const sizeBegin = 28 + b3dmHeader.FTJSONLength + b3dmHeader.FTBinaryLength;
+                const binaryBegin = sizeBegin + b3dmHeader.BTJSONLength;
                 promises.push(BatchTableParser.parse(
-                    buffer.slice(sizeBegin, b3dmHeader.BTJSONLength + sizeBegin)));
+                    buffer.slice(sizeBegin, binaryBegin), {
+                        binary: buffer.slice(binaryBegin, binaryBegin + b3dmHeader.BTBinaryLength),
+                        batchLength,
+                    }));
             } else {
                 promises.push(Promise.resolve({}));
             }
-            // TODO: missing feature table
-            promises.push(new Promise((resolve/* , reject */) => {
-                const onload = (gltf) => {
-                    for (const scene of gltf.scenes) {
-                        scene.traverse(filterUnsupportedSemantics);
-                    }
-                    // Rotation managed
-                    if (gltfUpAxis === undefined || gltfUpAxis === 'Y') {
-                        gltf.scene.applyMatrix(matrixChangeUpVectorZtoY);
-                    } else if (gltfUpAxis === 'X') {
-                        gltf.scene.applyMatrix(matrixChangeUpVectorZtoX);
-                    }
-
-                    // RTC managed
-                    applyOptionalCesiumRTC(buffer.slice(28 + b3dmHeader.FTJSONLength +
-                        b3dmHeader.FTBinaryLength + b3dmHeader.BTJSONLength +
-                        b3dmHeader.BTBinaryLength), gltf.scene);
-
-                    const init_mesh = function f_init(mesh) {
-                        mesh.frustumCulled = false;
-                        if (mesh.material) {
-                            if (options.overrideMaterials) {
-                                mesh.material.dispose();
-                                if (typeof (options.overrideMaterials) === 'object' &&
-                                    options.overrideMaterials.isMaterial) {
-                                    mesh.material = options.overrideMaterials.clone();
-                                } else {
-                                    mesh.material = new THREE.MeshLambertMaterial({ color: 0xffffff });
-                                }
-                            } else if (Capabilities.isLogDepthBufferSupported()
-                                        && mesh.material.isRawShaderMaterial
-                                        && !options.doNotPatchMaterial) {
-                                shaderUtils.patchMaterialForLogDepthSupport(mesh.material);
-                                console.warn('b3dm shader has been patched to add log depth buffer support');
-                            }
-                            mesh.material.transparent = options.opacity < 1.0;
-                            mesh.material.opacity = options.opacity;
-                        }
-                    };
-                    gltf.scene.traverse(init_mesh);
-
-                    resolve(gltf);
-                };
-
-                const gltfBuffer = buffer.slice(28 + b3dmHeader.FTJSONLength +
-                    b3dmHeader.FTBinaryLength + b3dmHeader.BTJSONLength +
-                    b3dmHeader.BTBinaryLength);
-
-                const version = new DataView(gltfBuffer, 0, 20).getUint32(4, true);
-
-                if (version === 1) {
-                    legacyGLTFLoader.parse(gltfBuffer, onload, urlBase);
-                } else {
-                    glTFLoader.parse(gltfBuffer, urlBase, onload);
-                }
+            promises.push(parseGltf(buffer.slice(28 + b3dmHeader.FTJSONLength +
+                b3dmHeader.FTBinaryLength + b3dmHeader.BTJSONLength +
+                b3dmHeader.BTBinaryLength), options));
+            return Promise.all(promises).then(values => ({
+                gltf: values[1],
+                batchTable: new BatchTable(values[0], batchLength || undefined),
             }));
-            return Promise.all(promises).then(values => ({ gltf: values[1], batchTable: values[0] }));
         } else {
             throw new Error('Invalid b3dm file.');
         }
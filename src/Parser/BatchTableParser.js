@@ -1,16 +1,79 @@
 import utf8Decoder from '../utils/Utf8Decoder';
 
+// The types of the components of the binary properties, with their size and
+// the getter of the DataView reading them
+const componentTypes = {
+    BYTE: [1, 'getInt8'],
+    UNSIGNED_BYTE: [1, 'getUint8'],
+    SHORT: [2, 'getInt16'],
+    UNSIGNED_SHORT: [2, 'getUint16'],
+    INT: [4, 'getInt32'],
+    UNSIGNED_INT: [4, 'getUint32'],
+    FLOAT: [4, 'getFloat32'],
+    DOUBLE: [8, 'getFloat64'],
+};
+
+// The number of components of the types of the binary properties
+const types = {
+    SCALAR: 1,
+    VEC2: 2,
+    VEC3: 3,
+    VEC4: 4,
+};
+
+// Read a property stored in the binary body, as an array of batchLength
+// numbers, or of arrays of numbers for the vectors
+function readBinaryProperty(name, property, binary, batchLength) {
+    const componentType = componentTypes[property.componentType];
+    const count = types[property.type];
+    if (!componentType || !count) {
+        throw new Error(`Invalid type of the batch table property ${name}: ${property.componentType} ${property.type}`);
+    }
+    if (!binary) {
+        throw new Error(`The batch table property ${name} is stored in a missing binary body`);
+    }
+    const [size, getter] = componentType;
+    const byteOffset = property.byteOffset || 0;
+    if (byteOffset + batchLength * count * size > binary.byteLength) {
+        throw new Error(`The batch table property ${name} exceeds the binary body`);
+    }
+    const view = new DataView(binary, byteOffset);
+    const values = new Array(batchLength);
+    for (let i = 0; i < batchLength; i++) {
+        if (count == 1) {
+            values[i] = view[getter](i * size, true);
+        } else {
+            values[i] = new Array(count);
+            for (let j = 0; j < count; j++) {
+                values[i][j] = view[getter]((i * count + j) * size, true);
+            }
+        }
+    }
+    return values;
+}
+
 export default {
     /** @module BatchTableParser */
-    /** Parse batch table buffer and convert to JSON
+    /** Parse batch table buffer and convert to JSON. The properties stored in
+     * the binary body are read as arrays, like the ones stored in the JSON.
      * @function parse
      * @param {ArrayBuffer} buffer - the batch table buffer.
+     * @param {Object} [options] - additional properties.
+     * @param {ArrayBuffer} [options.binary] - the binary body of the batch table.
+     * @param {number} [options.batchLength] - the number of features, read in
+     * the feature table of the tile. It is required to read the binary body.
      * @return {Promise} - a promise that resolves with a JSON object.
      *
      */
-    parse(buffer) {
+    parse(buffer, options = {}) {
         const content = utf8Decoder.decode(new Uint8Array(buffer));
         const json = JSON.parse(content);
+        for (const name of Object.keys(json)) {
+            const property = json[name];
+            if (name != 'extensions' && name != 'extras' && property && property.componentType) {
+                json[name] = readBinaryProperty(name, property, options.binary, options.batchLength || 0);
+            }
+        }
         return Promise.resolve(json);
     },
 };
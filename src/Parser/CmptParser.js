@@ -0,0 +1,39 @@
+import utf8Decoder from '../utils/Utf8Decoder';
+
+export default {
+    /** @module CmptParser */
+    /** Parse a cmpt buffer, a composite of 3D Tiles contents, and extract its
+     * inner tiles. They are parsed by the parsers of their format, and may
+     * be composite tiles themselves.
+     * @function parse
+     * @param {ArrayBuffer} buffer - the cmpt buffer.
+     * @return {Promise} - a promise that resolves with an array of the
+     * ArrayBuffers of the inner tiles.
+     *
+     */
+    parse(buffer) {
+        if (!buffer) {
+            throw new Error('No array buffer provided.');
+        }
+        const view = new DataView(buffer);
+        const magic = utf8Decoder.decode(new Uint8Array(buffer, 0, 4));
+        if (magic != 'cmpt') {
+            throw new Error('Invalid cmpt file.');
+        }
+        // Version, byteLength and tilesLength are uint32
+        const tilesLength = view.getUint32(12, true);
+
+        const tiles = [];
+        let byteOffset = 16;
+        for (let i = 0; i < tilesLength; i++) {
+            // The inner tiles start with their magic, version and byteLength
+            const byteLength = byteOffset + 12 <= buffer.byteLength ? view.getUint32(byteOffset + 8, true) : 0;
+            if (byteLength < 12 || byteOffset + byteLength > buffer.byteLength) {
+                throw new Error(`The inner tile ${i} exceeds the cmpt file.`);
+            }
+            tiles.push(buffer.slice(byteOffset, byteOffset + byteLength));
+            byteOffset += byteLength;
+        }
+        return Promise.resolve(tiles);
+    },
+};
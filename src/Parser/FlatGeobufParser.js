@@ -0,0 +1,492 @@
+import utf8Decoder from '../utils/Utf8Decoder';
+
+// The magic bytes of the files: 'fgb', the major version, 'fgb' and the patch
+// version
+const MAGIC = [0x66, 0x67, 0x62, 0x03, 0x66, 0x67, 0x62];
+const MAGIC_SIZE = 8;
+
+// The size of a node of the index: its bounding box and an offset
+const NODE_SIZE = 40;
+// The ranges of the file separated by less bytes are read together
+const MAX_GAP = 16384;
+
+const GEOMETRY_TYPES = {
+    Unknown: 0,
+    Point: 1,
+    LineString: 2,
+    Polygon: 3,
+    MultiPoint: 4,
+    MultiLineString: 5,
+    MultiPolygon: 6,
+};
+
+const COLUMN_TYPES = {
+    Byte: 0,
+    UByte: 1,
+    Bool: 2,
+    Short: 3,
+    UShort: 4,
+    Int: 5,
+    UInt: 6,
+    Long: 7,
+    ULong: 8,
+    Float: 9,
+    Double: 10,
+    String: 11,
+    Json: 12,
+    DateTime: 13,
+    Binary: 14,
+};
+
+// A table of a FlatBuffer: its position in the view and the one of its vtable
+function readTable(view, offset) {
+    return { view, offset, vtable: offset - view.getInt32(offset, true) };
+}
+
+// The position of a field in a table, 0 if the field isn't stored
+function fieldOffset(table, field) {
+    const position = 4 + 2 * field;
+    if (position >= table.view.getUint16(table.vtable, true)) {
+        return 0;
+    }
+    const offset = table.view.getUint16(table.vtable + position, true);
+    return offset ? table.offset + offset : 0;
+}
+
+// The position of the object referenced by a field
+function indirect(table, field) {
+    const offset = fieldOffset(table, field);
+    return offset ? offset + table.view.getUint32(offset, true) : 0;
+}
+
+function readUint64(view, offset) {
+    return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+}
+
+function readInt64(view, offset) {
+    return view.getUint32(offset, true) + view.getInt32(offset + 4, true) * 0x100000000;
+}
+
+function readScalar(table, field, type, defaultValue) {
+    const offset = fieldOffset(table, field);
+    if (!offset) {
+        return defaultValue;
+    }
+    return type == 'Uint64' ? readUint64(table.view, offset) : table.view[`get${type}`](offset, true);
+}
+
+function readString(table, field) {
+    const offset = indirect(table, field);
+    if (!offset) {
+        return undefined;
+    }
+    const view = table.view;
+    const length = view.getUint32(offset, true);
+    return utf8Decoder.decode(new Uint8Array(view.buffer, view.byteOffset + offset + 4, length));
+}
+
+// The position of the first element of a vector and its length
+function readVector(table, field) {
+    const offset = indirect(table, field);
+    return offset ? { start: offset + 4, length: table.view.getUint32(offset, true) } : { start: 0, length: 0 };
+}
+
+function readNumbers(table, field, type, size) {
+    const vector = readVector(table, field);
+    const values = new Array(vector.length);
+    for (let i = 0; i < vector.length; i++) {
+        values[i] = table.view[`get${type}`](vector.start + i * size, true);
+    }
+    return values;
+}
+
+function readTables(table, field) {
+    const vector = readVector(table, field);
+    const tables = [];
+    for (let i = 0; i < vector.length; i++) {
+        const offset = vector.start + 4 * i;
+        tables.push(readTable(table.view, offset + table.view.getUint32(offset, true)));
+    }
+    return tables;
+}
+
+function readColumns(table, field) {
+    return readTables(table, field).map(column => ({
+        name: readString(column, 0),
+        type: readScalar(column, 1, 'Uint8', 0),
+    }));
+}
+
+function readGeometry(geometry, type) {
+    if (type == GEOMETRY_TYPES.Unknown) {
+        type = readScalar(geometry, 6, 'Uint8', 0);
+    }
+    if (type == GEOMETRY_TYPES.MultiPolygon) {
+        return {
+            type: 'MultiPolygon',
+            coordinates: readTables(geometry, 7).map(part => readGeometry(part, GEOMETRY_TYPES.Polygon).coordinates),
+        };
+    }
+
+    const ends = readNumbers(geometry, 0, 'Uint32', 4);
+    const xy = readNumbers(geometry, 1, 'Float64', 8);
+    const z = readNumbers(geometry, 2, 'Float64', 8);
+    const points = (start, end) => {
+        const coordinates = [];
+        for (let i = start; i < end; i++) {
+            coordinates.push(z.length ? [xy[2 * i], xy[2 * i + 1], z[i]] : [xy[2 * i], xy[2 * i + 1]]);
+        }
+        return coordinates;
+    };
+    // The lines of the multi lines, and the rings of the polygons, end at the
+    // ends of the geometry
+    const parts = () => {
+        if (!ends.length) {
+            return [points(0, xy.length / 2)];
+        }
+        return ends.map((end, i) => points(i ? ends[i - 1] : 0, end));
+    };
+
+    switch (type) {
+        case GEOMETRY_TYPES.Point:
+            return { type: 'Point', coordinates: points(0, 1)[0] };
+        case GEOMETRY_TYPES.MultiPoint:
+            return { type: 'MultiPoint', coordinates: points(0, xy.length / 2) };
+        case GEOMETRY_TYPES.LineString:
+            return { type: 'LineString', coordinates: points(0, xy.length / 2) };
+        case GEOMETRY_TYPES.MultiLineString:
+            return { type: 'MultiLineString', coordinates: parts() };
+        case GEOMETRY_TYPES.Polygon:
+            return { type: 'Polygon', coordinates: parts() };
+        default:
+            // The curves, surfaces and collections aren't supported
+            return null;
+    }
+}
+
+function readProperties(table, columns) {
+    const view = table.view;
+    const vector = readVector(table, 1);
+    const properties = {};
+    let offset = vector.start;
+    const end = vector.start + vector.length;
+    while (offset < end) {
+        const column = columns[view.getUint16(offset, true)];
+        offset += 2;
+        let value;
+        switch (column.type) {
+            case COLUMN_TYPES.Byte:
+                value = view.getInt8(offset);
+                offset += 1;
+                break;
+            case COLUMN_TYPES.UByte:
+                value = view.getUint8(offset);
+                offset += 1;
+                break;
+            case COLUMN_TYPES.Bool:
+                value = !!view.getUint8(offset);
+                offset += 1;
+                break;
+            case COLUMN_TYPES.Short:
+                value = view.getInt16(offset, true);
+                offset += 2;
+                break;
+            case COLUMN_TYPES.UShort:
+                value = view.getUint16(offset, true);
+                offset += 2;
+                break;
+            case COLUMN_TYPES.Int:
+                value = view.getInt32(offset, true);
+                offset += 4;
+                break;
+            case COLUMN_TYPES.UInt:
+                value = view.getUint32(offset, true);
+                offset += 4;
+                break;
+            case COLUMN_TYPES.Long:
+                value = readInt64(view, offset);
+                offset += 8;
+                break;
+            case COLUMN_TYPES.ULong:
+                value = readUint64(view, offset);
+                offset += 8;
+                break;
+            case COLUMN_TYPES.Float:
+                value = view.getFloat32(offset, true);
+                offset += 4;
+                break;
+            case COLUMN_TYPES.Double:
+                value = view.getFloat64(offset, true);
+                offset += 8;
+                break;
+            case COLUMN_TYPES.String:
+            case COLUMN_TYPES.Json:
+            case COLUMN_TYPES.DateTime:
+            case COLUMN_TYPES.Binary: {
+                const length = view.getUint32(offset, true);
+                const bytes = new Uint8Array(view.buffer, view.byteOffset + offset + 4, length);
+                if (column.type == COLUMN_TYPES.Binary) {
+                    value = bytes.slice();
+                } else {
+                    value = utf8Decoder.decode(bytes);
+                    if (column.type == COLUMN_TYPES.Json) {
+                        value = JSON.parse(value);
+                    }
+                }
+                offset += 4 + length;
+                break;
+            }
+            default:
+                throw new Error(`FlatGeobufParser: unsupported column type ${column.type}`);
+        }
+        properties[column.name] = value;
+    }
+    return properties;
+}
+
+// The ranges of nodes of each level of the index, from the leaves to the root,
+// that is stored first
+function levelBounds(count, nodeSize) {
+    const counts = [count];
+    let n = count;
+    do {
+        n = Math.ceil(n / nodeSize);
+        counts.push(n);
+    } while (n != 1);
+    const bounds = [];
+    let end = counts.reduce((sum, c) => sum + c, 0);
+    for (const c of counts) {
+        bounds.push([end - c, end]);
+        end -= c;
+    }
+    return bounds;
+}
+
+// Group the ranges separated by less than maxGap bytes, to read them at once
+function mergeRanges(ranges, maxGap) {
+    const merged = [];
+    for (const range of ranges.slice().sort((a, b) => a.start - b.start)) {
+        const last = merged[merged.length - 1];
+        if (last && range.start - last.end <= maxGap) {
+            last.end = Math.max(last.end, range.end);
+            last.ranges.push(range);
+        } else {
+            merged.push({ start: range.start, end: range.end, ranges: [range] });
+        }
+    }
+    return merged;
+}
+
+// Read the merged ranges, calling callback with each range and a view on its
+// bytes
+function readRanges(readBytes, ranges, callback) {
+    return Promise.all(mergeRanges(ranges, MAX_GAP).map(merged =>
+        readBytes(merged.start, merged.end - merged.start).then((buffer) => {
+            for (const range of merged.ranges) {
+                callback(range, new DataView(buffer, range.start - merged.start, range.end - range.start));
+            }
+        })));
+}
+
+/**
+ * The description of a FlatGeobuf file, read from its header.
+ *
+ * @typedef {Object} FlatGeobufHeader
+ * @property {string} [name] - The name of the dataset.
+ * @property {number[]} [envelope] - The bounding box of the features, as
+ * <code>[minX, minY, maxX, maxY]</code>.
+ * @property {number} geometryType - The type of the geometries, 0 if they
+ * have different types.
+ * @property {boolean} hasZ - True if the geometries have z coordinates.
+ * @property {Object[]} columns - The <code>name</code> and
+ * <code>type</code> of the properties of the features.
+ * @property {number} featuresCount - The number of features.
+ * @property {number} indexNodeSize - The number of children of the nodes of
+ * the index, 0 if the file has no index.
+ * @property {string} [crs] - The CRS, like <code>EPSG:2154</code>.
+ * @property {string} [wkt] - The WKT description of the CRS.
+ * @property {number} indexOffset - The position of the index in the file.
+ * @property {number} featuresOffset - The position of the features in the
+ * file.
+ */
+
+/**
+ * The FlatGeobufParser module reads a <a
+ * href="https://flatgeobuf.org">FlatGeobuf</a> file by parts: its header,
+ * then its packed Hilbert R-tree index to find the features intersecting a
+ * bounding box, and then only these features. The features are returned as
+ * GeoJSON, to be read by {@link module:GeoJsonParser}.
+ *
+ * @module FlatGeobufParser
+ */
+export default {
+    /**
+     * Parse the header of a FlatGeobuf file.
+     *
+     * @param {function} readBytes - function returning a Promise resolving
+     * with the ArrayBuffer of <code>length</code> bytes of the file at
+     * <code>offset</code>, called with <code>(offset, length)</code>.
+     *
+     * @return {Promise} a Promise resolving with the {@link
+     * module:FlatGeobufParser~FlatGeobufHeader} of the file.
+     */
+    parseHeader(readBytes) {
+        return readBytes(0, MAGIC_SIZE + 4).then((buffer) => {
+            const bytes = new Uint8Array(buffer);
+            if (MAGIC.some((b, i) => i != 3 && bytes[i] != b)) {
+                throw new Error('FlatGeobufParser: not a FlatGeobuf file');
+            } else if (bytes[3] != MAGIC[3]) {
+                throw new Error(`FlatGeobufParser: unsupported version ${bytes[3]}`);
+            }
+            const headerSize = new DataView(buffer).getUint32(MAGIC_SIZE, true);
+            return readBytes(MAGIC_SIZE + 4, headerSize).then((headerBuffer) => {
+                const view = new DataView(headerBuffer);
+                const table = readTable(view, view.getUint32(0, true));
+                const envelope = readNumbers(table, 1, 'Float64', 8);
+                const header = {
+                    name: readString(table, 0),
+                    envelope: envelope.length >= 4 ? envelope.slice(0, 4) : undefined,
+                    geometryType: readScalar(table, 2, 'Uint8', 0),
+                    hasZ: !!readScalar(table, 3, 'Uint8', 0),
+                    columns: readColumns(table, 7),
+                    featuresCount: readScalar(table, 8, 'Uint64', 0),
+                    indexNodeSize: readScalar(table, 9, 'Uint16', 16),
+                    indexOffset: MAGIC_SIZE + 4 + headerSize,
+                };
+                const crs = indirect(table, 10) && readTable(view, indirect(table, 10));
+                if (crs) {
+                    const code = readScalar(crs, 1, 'Int32', 0);
+                    const org = readString(crs, 0) || 'EPSG';
+                    const codeString = readString(crs, 5);
+                    if (code) {
+                        header.crs = `${org}:${code}`;
+                    } else if (codeString) {
+                        header.crs = `${org}:${codeString}`;
+                    }
+                    header.wkt = readString(crs, 4);
+                }
+                let indexSize = 0;
+                if (header.indexNodeSize > 1 && header.featuresCount > 0) {
+                    const bounds = levelBounds(header.featuresCount, header.indexNodeSize);
+                    indexSize = bounds[0][1] * NODE_SIZE;
+                }
+                header.featuresOffset = header.indexOffset + indexSize;
+                return header;
+            });
+        });
+    },
+
+    /**
+     * Search the index for the features whose bounding box intersects a
+     * bounding box. The index is read level by level, from the root, only
+     * reading the nodes intersecting the bounding box.
+     *
+     * @param {function} readBytes - function reading the bytes of the file,
+     * see [parseHeader]{@link module:FlatGeobufParser.parseHeader}.
+     * @param {FlatGeobufHeader} header - The header of the file.
+     * @param {number[]} bbox - The bounding box, as <code>[minX, minY, maxX,
+     * maxY]</code>, in the CRS of the file.
+     *
+     * @return {Promise} a Promise resolving with the positions of the
+     * features, as <code>{ index, offset, length }</code> objects, whose
+     * <code>length</code> is undefined for the last feature of the file.
+     */
+    search(readBytes, header, bbox) {
+        if (header.indexNodeSize < 2) {
+            throw new Error('FlatGeobufParser: the file has no spatial index');
+        }
+        if (!header.featuresCount) {
+            return Promise.resolve([]);
+        }
+        const nodeSize = header.indexNodeSize;
+        const bounds = levelBounds(header.featuresCount, nodeSize);
+        const leaves = bounds[0];
+        const hits = [];
+
+        const searchLevel = (level, nodes) => {
+            const levelEnd = bounds[level][1];
+            const ranges = nodes.map((first) => {
+                const end = Math.min(first + nodeSize, levelEnd);
+                // The offset of the next leaf is the end of the last feature
+                const readEnd = level == 0 ? Math.min(end + 1, levelEnd) : end;
+                return {
+                    first,
+                    last: end,
+                    start: header.indexOffset + first * NODE_SIZE,
+                    end: header.indexOffset + readEnd * NODE_SIZE,
+                };
+            });
+            const children = [];
+            return readRanges(readBytes, ranges, (range, view) => {
+                for (let node = range.first; node < range.last; node++) {
+                    const offset = (node - range.first) * NODE_SIZE;
+                    if (view.getFloat64(offset, true) > bbox[2] || view.getFloat64(offset + 8, true) > bbox[3] ||
+                        view.getFloat64(offset + 16, true) < bbox[0] || view.getFloat64(offset + 24, true) < bbox[1]) {
+                        continue;
+                    }
+                    const position = readUint64(view, offset + 32);
+                    if (level == 0) {
+                        const hasNext = (node + 1 - range.first) * NODE_SIZE < view.byteLength;
+                        hits.push({
+                            index: node - leaves[0],
+                            offset: position,
+                            length: hasNext ? readUint64(view, offset + NODE_SIZE + 32) - position : undefined,
+                        });
+                    } else {
+                        children.push(position);
+                    }
+                }
+            }).then(() => {
+                if (level == 0 || !children.length) {
+                    return hits.sort((a, b) => a.offset - b.offset);
+                }
+                return searchLevel(level - 1, children);
+            });
+        };
+        return searchLevel(bounds.length - 1, [0]);
+    },
+
+    /**
+     * Read features of the file.
+     *
+     * @param {function} readBytes - function reading the bytes of the file,
+     * see [parseHeader]{@link module:FlatGeobufParser.parseHeader}.
+     * @param {FlatGeobufHeader} header - The header of the file.
+     * @param {Object[]} positions - The positions of the features, found by
+     * [search]{@link module:FlatGeobufParser.search}.
+     *
+     * @return {Promise} a Promise resolving with the GeoJSON features, without
+     * the ones whose geometry isn't supported.
+     */
+    readFeatures(readBytes, header, positions) {
+        // The length of the last feature is the size prefixing it
+        return Promise.all(positions.map((position) => {
+            if (position.length !== undefined) {
+                return position;
+            }
+            return readBytes(header.featuresOffset + position.offset, 4).then(buffer =>
+                Object.assign({}, position, { length: 4 + new DataView(buffer).getUint32(0, true) }));
+        })).then((sized) => {
+            const features = new Array(sized.length);
+            const ranges = sized.map((position, i) => ({
+                i,
+                start: header.featuresOffset + position.offset,
+                end: header.featuresOffset + position.offset + position.length,
+            }));
+            return readRanges(readBytes, ranges, (range, view) => {
+                const table = readTable(view, 4 + view.getUint32(4, true));
+                const geometryOffset = indirect(table, 0);
+                const geometry = geometryOffset && readGeometry(readTable(view, geometryOffset), header.geometryType);
+                if (geometry) {
+                    const columns = indirect(table, 2) ? readColumns(table, 2) : header.columns;
+                    features[range.i] = {
+                        type: 'Feature',
+                        id: sized[range.i].index,
+                        properties: readProperties(table, columns),
+                        geometry,
+                    };
+                }
+            }).then(() => features.filter(f => f));
+        });
+    },
+};
@@ -1,6 +1,8 @@
 // This file is copy pasted from THREE
 /* CUSTOM ITOWNS */
 /* Add the extention _BATCHID */
+/* Add the extensions KHR_draco_mesh_compression and KHR_texture_basisu, */
+/* decoded by the loaders set with setDRACOLoader and setKTX2Loader */
 /* eslint-disable */
 import * as THREE from 'three';
 /* END CUSTOM ITOWNS */
@@ -75,6 +77,25 @@ export default ( function () {
 
 		},
 
+		/* CUSTOM ITOWNS */
+		// The loaders decoding the extensions: the DRACOLoader has a
+		// decodeDracoFile( buffer, onLoad, attributeIDs, attributeTypes )
+		// method, and the KTX2Loader a parse( buffer, onLoad, onError ) method
+		setDRACOLoader: function ( dracoLoader ) {
+
+			this.dracoLoader = dracoLoader;
+			return this;
+
+		},
+
+		setKTX2Loader: function ( ktx2Loader ) {
+
+			this.ktx2Loader = ktx2Loader;
+			return this;
+
+		},
+		/* END CUSTOM ITOWNS */
+
 		parse: function ( data, path, onLoad, onError ) {
 
 			var content;
@@ -140,8 +161,39 @@ export default ( function () {
 
 				}
 
+				/* CUSTOM ITOWNS */
+				if ( json.extensionsUsed.indexOf( EXTENSIONS.KHR_DRACO_MESH_COMPRESSION ) >= 0 && this.dracoLoader ) {
+
+					extensions[ EXTENSIONS.KHR_DRACO_MESH_COMPRESSION ] = new GLTFDracoMeshCompressionExtension( json, this.dracoLoader );
+
+				}
+
+				if ( json.extensionsUsed.indexOf( EXTENSIONS.KHR_TEXTURE_BASISU ) >= 0 && this.ktx2Loader ) {
+
+					extensions[ EXTENSIONS.KHR_TEXTURE_BASISU ] = new GLTFTextureBasisUExtension( this.ktx2Loader );
+
+				}
+				/* END CUSTOM ITOWNS */
+
 			}
 
+			/* CUSTOM ITOWNS */
+			// Without their decoder, the models can only be read if these
+			// extensions aren't required
+			var extensionsRequired = json.extensionsRequired || [];
+
+			for ( var name of [ EXTENSIONS.KHR_DRACO_MESH_COMPRESSION, EXTENSIONS.KHR_TEXTURE_BASISU ] ) {
+
+				if ( extensionsRequired.indexOf( name ) >= 0 && ! extensions[ name ] ) {
+
+					if ( onError ) onError( new Error( 'THREE.GLTFLoader: the required extension ' + name + ' has no decoder.' ) );
+					return;
+
+				}
+
+			}
+			/* END CUSTOM ITOWNS */
+
 			console.time( 'GLTFLoader' );
 
 			var parser = new GLTFParser( json, extensions, {
@@ -216,8 +268,133 @@ export default ( function () {
 		KHR_BINARY_GLTF: 'KHR_binary_glTF',
 		KHR_LIGHTS: 'KHR_lights',
 		KHR_MATERIALS_COMMON: 'KHR_materials_common',
-		KHR_MATERIALS_PBR_SPECULAR_GLOSSINESS: 'KHR_materials_pbrSpecularGlossiness'
+		KHR_MATERIALS_PBR_SPECULAR_GLOSSINESS: 'KHR_materials_pbrSpecularGlossiness',
+		/* CUSTOM ITOWNS */
+		KHR_DRACO_MESH_COMPRESSION: 'KHR_draco_mesh_compression',
+		KHR_TEXTURE_BASISU: 'KHR_texture_basisu'
+		/* END CUSTOM ITOWNS */
+	};
+
+	/* CUSTOM ITOWNS */
+	var ATTRIBUTES = {
+		POSITION: 'position',
+		NORMAL: 'normal',
+		TEXCOORD_0: 'uv',
+		TEXCOORD_1: 'uv2',
+		COLOR_0: 'color',
+		WEIGHTS_0: 'skinWeight',
+		JOINTS_0: 'skinIndex',
+		_BATCHID: '_BATCHID'
+	};
+
+	/**
+	 * DRACO Mesh Compression Extension
+	 *
+	 * Specification: https://github.com/KhronosGroup/glTF/tree/master/extensions/2.0/Khronos/KHR_draco_mesh_compression
+	 */
+	function GLTFDracoMeshCompressionExtension( json, dracoLoader ) {
+
+		this.name = EXTENSIONS.KHR_DRACO_MESH_COMPRESSION;
+		this.json = json;
+		this.dracoLoader = dracoLoader;
+
+	}
+
+	GLTFDracoMeshCompressionExtension.prototype.decodePrimitive = function ( primitive, parser ) {
+
+		var json = this.json;
+		var dracoLoader = this.dracoLoader;
+		var bufferViewIndex = primitive.extensions[ this.name ].bufferView;
+		var gltfAttributeMap = primitive.extensions[ this.name ].attributes;
+		var threeAttributeMap = {};
+		var attributeNormalizedMap = {};
+		var attributeTypeMap = {};
+
+		for ( var attributeName in gltfAttributeMap ) {
+
+			var threeAttributeName = ATTRIBUTES[ attributeName ] || attributeName.toLowerCase();
+			threeAttributeMap[ threeAttributeName ] = gltfAttributeMap[ attributeName ];
+
+			if ( primitive.attributes[ attributeName ] !== undefined ) {
+
+				var accessorDef = json.accessors[ primitive.attributes[ attributeName ] ];
+				attributeTypeMap[ threeAttributeName ] = WEBGL_COMPONENT_TYPES[ accessorDef.componentType ].name;
+				attributeNormalizedMap[ threeAttributeName ] = accessorDef.normalized === true;
+
+			}
+
+		}
+
+		return parser.getDependency( 'bufferView', bufferViewIndex ).then( function ( bufferView ) {
+
+			return new Promise( function ( resolve ) {
+
+				dracoLoader.decodeDracoFile( bufferView, function ( geometry ) {
+
+					for ( var name in geometry.attributes ) {
+
+						if ( attributeNormalizedMap[ name ] !== undefined ) {
+
+							geometry.attributes[ name ].normalized = attributeNormalizedMap[ name ];
+
+						}
+
+					}
+
+					resolve( geometry );
+
+				}, threeAttributeMap, attributeTypeMap );
+
+			} );
+
+		} );
+
+	};
+
+	/**
+	 * BasisU Texture Extension, the textures in KTX2 files
+	 *
+	 * Specification: https://github.com/KhronosGroup/glTF/tree/master/extensions/2.0/Khronos/KHR_texture_basisu
+	 */
+	function GLTFTextureBasisUExtension( ktx2Loader ) {
+
+		this.name = EXTENSIONS.KHR_TEXTURE_BASISU;
+		this.ktx2Loader = ktx2Loader;
+
+	}
+
+	GLTFTextureBasisUExtension.prototype.loadTexture = function ( textureDef, parser ) {
+
+		var ktx2Loader = this.ktx2Loader;
+		var source = parser.json.images[ textureDef.extensions[ this.name ].source ];
+		var buffer;
+
+		if ( source.bufferView !== undefined ) {
+
+			buffer = parser.getDependency( 'bufferView', source.bufferView );
+
+		} else {
+
+			buffer = new Promise( function ( resolve, reject ) {
+
+				parser.fileLoader.load( resolveURL( source.uri, parser.options.path ), resolve, undefined, reject );
+
+			} );
+
+		}
+
+		return buffer.then( function ( buffer ) {
+
+			return new Promise( function ( resolve, reject ) {
+
+				ktx2Loader.parse( buffer, resolve, reject );
+
+			} );
+
+		} );
+
 	};
+	/* END CUSTOM ITOWNS */
 
 	/**
 	 * Lights Extension
@@ -1535,7 +1712,10 @@ export default ( function () {
 			// For VEC3: itemSize is 3, elementBytes is 4, itemBytes is 12.
 			var elementBytes = TypedArray.BYTES_PER_ELEMENT;
 			var itemBytes = elementBytes * itemSize;
-			var byteStride = json.bufferViews[ accessorDef.bufferView ].byteStride;
+			/* CUSTOM ITOWNS */
+			// the accessors of the compressed primitives have no bufferView
+			var byteStride = accessorDef.bufferView !== undefined ? json.bufferViews[ accessorDef.bufferView ].byteStride : undefined;
+			/* END CUSTOM ITOWNS */
 			var normalized = accessorDef.normalized === true;
 			var array, bufferAttribute;
 
@@ -1617,9 +1797,37 @@ export default ( function () {
 		var options = this.options;
 		var textureLoader = this.textureLoader;
 
+		var textureDef = json.textures[ textureIndex ];
+
+		/* CUSTOM ITOWNS */
+		// The KTX2 textures are decoded by the KTX2Loader, or replaced by their
+		// fallback image
+		if ( textureDef.extensions && textureDef.extensions[ EXTENSIONS.KHR_TEXTURE_BASISU ] ) {
+
+			var basisuExtension = this.extensions[ EXTENSIONS.KHR_TEXTURE_BASISU ];
+
+			if ( basisuExtension ) {
+
+				return basisuExtension.loadTexture( textureDef, parser ).then( function ( texture ) {
+
+					return configureSampler( texture, textureDef, json );
+
+				} );
+
+			}
+
+			if ( textureDef.source === undefined ) {
+
+				console.warn( 'THREE.GLTFLoader: the KTX2 texture ' + textureIndex + ' is ignored, without decoder nor fallback image.' );
+				return Promise.resolve( null );
+
+			}
+
+		}
+		/* END CUSTOM ITOWNS */
+
 		var URL = window.URL || window.webkitURL;
 
-		var textureDef = json.textures[ textureIndex ];
 		var source = json.images[ textureDef.source ];
 		var sourceURI = source.uri;
 		var isObjectURL = false;
@@ -1661,10 +1869,6 @@ export default ( function () {
 
 			}
 
-			texture.flipY = false;
-
-			if ( textureDef.name !== undefined ) texture.name = textureDef.name;
-
 			texture.format = textureDef.format !== undefined ? WEBGL_TEXTURE_FORMATS[ textureDef.format ] : THREE.RGBAFormat;
 
 			if ( textureDef.internalFormat !== undefined && texture.format !== WEBGL_TEXTURE_FORMATS[ textureDef.internalFormat ] ) {
@@ -1676,20 +1880,32 @@ export default ( function () {
 
 			texture.type = textureDef.type !== undefined ? WEBGL_TEXTURE_DATATYPES[ textureDef.type ] : THREE.UnsignedByteType;
 
-			var samplers = json.samplers || {};
-			var sampler = samplers[ textureDef.sampler ] || {};
-
-			texture.magFilter = WEBGL_FILTERS[ sampler.magFilter ] || THREE.LinearFilter;
-			texture.minFilter = WEBGL_FILTERS[ sampler.minFilter ] || THREE.LinearMipMapLinearFilter;
-			texture.wrapS = WEBGL_WRAPPINGS[ sampler.wrapS ] || THREE.RepeatWrapping;
-			texture.wrapT = WEBGL_WRAPPINGS[ sampler.wrapT ] || THREE.RepeatWrapping;
-
-			return texture;
+			return configureSampler( texture, textureDef, json );
 
 		} );
 
 	};
 
+	/* CUSTOM ITOWNS */
+	function configureSampler( texture, textureDef, json ) {
+
+		texture.flipY = false;
+
+		if ( textureDef.name !== undefined ) texture.name = textureDef.name;
+
+		var samplers = json.samplers || {};
+		var sampler = samplers[ textureDef.sampler ] || {};
+
+		texture.magFilter = WEBGL_FILTERS[ sampler.magFilter ] || THREE.LinearFilter;
+		texture.minFilter = WEBGL_FILTERS[ sampler.minFilter ] || THREE.LinearMipMapLinearFilter;
+		texture.wrapS = WEBGL_WRAPPINGS[ sampler.wrapS ] || THREE.RepeatWrapping;
+		texture.wrapT = WEBGL_WRAPPINGS[ sampler.wrapT ] || THREE.RepeatWrapping;
+
+		return texture;
+
+	}
+	/* END CUSTOM ITOWNS */
+
 	/**
 	 * Asynchronously assigns a texture to the given material parameters.
 	 * @param {Object} materialParams
@@ -1902,6 +2118,8 @@ export default ( function () {
 	 */
 	GLTFParser.prototype.loadGeometries = function ( primitives ) {
 
+		var parser = this;
+		var extensions = this.extensions;
 		var cache = this.primitiveCache;
 
 		return this.getDependencies( 'accessor' ).then( function ( accessors ) {
@@ -1989,6 +2207,18 @@ export default ( function () {
 
 					}
 
+					/* CUSTOM ITOWNS */
+					// The compressed primitives are decoded, without decoder their
+					// uncompressed attributes are used
+					var dracoExtension = extensions[ EXTENSIONS.KHR_DRACO_MESH_COMPRESSION ];
+
+					if ( dracoExtension && primitive.extensions && primitive.extensions[ EXTENSIONS.KHR_DRACO_MESH_COMPRESSION ] ) {
+
+						geometry = dracoExtension.decodePrimitive( primitive, parser ).then( addUncompressedAttributes.bind( null, geometry ) );
+
+					}
+					/* END CUSTOM ITOWNS */
+
 					// Cache this geometry
 					cache.push( {
 
@@ -2003,12 +2233,32 @@ export default ( function () {
 
 			}
 
-			return geometries;
+			/* CUSTOM ITOWNS */
+			return Promise.all( geometries );
+			/* END CUSTOM ITOWNS */
 
 		} );
 
 	};
 
+	/* CUSTOM ITOWNS */
+	function addUncompressedAttributes( geometry, decoded ) {
+
+		for ( var name in geometry.attributes ) {
+
+			if ( decoded.attributes[ name ] === undefined ) {
+
+				decoded.addAttribute( name, geometry.attributes[ name ] );
+
+			}
+
+		}
+
+		return decoded;
+
+	}
+	/* END CUSTOM ITOWNS */
+
 	/**
 	 * Specification: https://github.com/KhronosGroup/glTF/blob/master/specification/2.0/README.md#meshes
 	 * @param {number} meshIndex
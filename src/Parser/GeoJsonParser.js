@@ -1,4 +1,4 @@
-import Coordinates from '../Core/Geographic/Coordinates';
+import Coordinates, { crsToUnit } from '../Core/Geographic/Coordinates';
 import Extent from '../Core/Geographic/Extent';
 
 function applyOffset(indices, offset) {
@@ -22,6 +22,11 @@ function readCRS(json) {
                     return `EPSG:${json.crs.properties.name.substr(codeStart + 1)}`;
                 }
             }
+            // A CRS known by proj4, like the ones read by the ShapefileParser
+            // and the GeoPackageParser
+            if (crsToUnit(json.crs.properties.name)) {
+                return json.crs.properties.name;
+            }
         }
         throw new Error(`Unsupported CRS type '${json.crs}'`);
     }
@@ -30,7 +35,7 @@ function readCRS(json) {
 }
 
 const coords = new Coordinates('EPSG:4978', 0, 0, 0);
-function readCoordinates(crsIn, crsOut, coordinates, extent, target) {
+function readCoordinates(crsIn, crsOut, coordinates, extent, target, defaultAltitude = 1) {
     // coordinates is a list of pair [[x1, y1], [x2, y2], ..., [xn, yn]]
     let offset = 0;
     if (target) {
@@ -40,8 +45,7 @@ function readCoordinates(crsIn, crsOut, coordinates, extent, target) {
     const out = target || new Array(coordinates.length);
 
     let i = 0;
-    // TODO: 1 is a default z value, makes this configurable
-    let z = 1;
+    let z = defaultAltitude;
     for (const pair of coordinates) {
         if (typeof pair[2] == 'number') {
             z = pair[2];
@@ -70,7 +74,7 @@ function readCoordinates(crsIn, crsOut, coordinates, extent, target) {
 const GeometryToCoordinates = {
     point(feature, crsIn, crsOut, coordsIn, filteringExtent, options) {
         const extent = options.buildExtent ? new Extent(crsOut, Infinity, -Infinity, Infinity, -Infinity) : undefined;
-        let coordinates = readCoordinates(crsIn, crsOut, coordsIn, extent);
+        let coordinates = readCoordinates(crsIn, crsOut, coordsIn, extent, undefined, options.defaultAltitude);
         if (filteringExtent) {
             coordinates = coordinates.filter(c => filteringExtent.isPointInside(c));
         }
@@ -83,7 +87,7 @@ const GeometryToCoordinates = {
     polygon(feature, crsIn, crsOut, coordsIn, filteringExtent, options) {
         const extent = options.buildExtent ? new Extent(crsOut, Infinity, -Infinity, Infinity, -Infinity) : undefined;
         // read contour first
-        const coordinates = readCoordinates(crsIn, crsOut, coordsIn[0], extent);
+        const coordinates = readCoordinates(crsIn, crsOut, coordsIn[0], extent, undefined, options.defaultAltitude);
         if (filteringExtent && !filteringExtent.isPointInside(coordinates[0])) {
             return;
         }
@@ -91,7 +95,7 @@ const GeometryToCoordinates = {
         let offset = coordinates.length;
         // Then read optional holes
         for (let i = 1; i < coordsIn.length; i++) {
-            readCoordinates(crsIn, crsOut, coordsIn[i], extent, coordinates);
+            readCoordinates(crsIn, crsOut, coordsIn[i], extent, coordinates, options.defaultAltitude);
             const count = coordinates.length - offset;
             indices.push({ offset, count });
             offset += count;
@@ -104,7 +108,7 @@ const GeometryToCoordinates = {
     },
     lineString(feature, crsIn, crsOut, coordsIn, filteringExtent, options) {
         const extent = options.buildExtent ? new Extent(crsOut, Infinity, -Infinity, Infinity, -Infinity) : undefined;
-        const coordinates = readCoordinates(crsIn, crsOut, coordsIn, extent);
+        const coordinates = readCoordinates(crsIn, crsOut, coordsIn, extent, undefined, options.defaultAltitude);
         if (filteringExtent && !filteringExtent.isPointInside(coordinates[0])) {
             return;
         }
@@ -287,6 +291,8 @@ export default {
      * @param {boolean} [options.buildExtent=false] - If true the geometry will
      * have an extent property containing the area covered by the geom
      * @param {function} [options.filter] - Filter function to remove features
+     * @param {number} [options.defaultAltitude=1] - The altitude of the
+     * coordinates without altitude.
      *
      * @return {Promise} A promise resolving with a [FeatureCollection]{@link
      * module:GeoJsonParser~FeatureCollection}.
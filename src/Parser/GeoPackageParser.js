@@ -0,0 +1,357 @@
+import PrjParser from './PrjParser';
+import utf8Decoder from '../utils/Utf8Decoder';
+
+const SQLITE_HEADER = 'SQLite format 3\0';
+const SQLITE_UTF8 = 1;
+
+// The types of the b-tree pages of the tables
+const TABLE_INTERIOR_PAGE = 0x05;
+const TABLE_LEAF_PAGE = 0x0d;
+
+const WKB_POINT = 1;
+const WKB_LINESTRING = 2;
+const WKB_POLYGON = 3;
+const WKB_MULTIPOINT = 4;
+const WKB_MULTILINESTRING = 5;
+const WKB_MULTIPOLYGON = 6;
+const WKB_GEOMETRYCOLLECTION = 7;
+
+// The sizes of the envelopes of the GeoPackage geometries
+const ENVELOPE_SIZES = [0, 32, 48, 48, 64];
+
+function readVarint(data, offset) {
+    let value = 0;
+    for (let i = 0; i < 9; i++) {
+        const byte = data[offset + i];
+        if (i == 8) {
+            return { value: value * 256 + byte, length: 9 };
+        }
+        value = value * 128 + (byte & 0x7f);
+        if (byte < 0x80) {
+            return { value, length: i + 1 };
+        }
+    }
+}
+
+// A big-endian signed integer
+function readInt(data, offset, length) {
+    let value = data[offset] & 0x80 ? data[offset] - 256 : data[offset];
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + data[offset + i];
+    }
+    return value;
+}
+
+// The values of a record, decoded from their serial types
+function readRecord(payload) {
+    const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+    const values = [];
+    const header = readVarint(payload, 0);
+    let typeOffset = header.length;
+    let offset = header.value;
+    while (typeOffset < header.value) {
+        const type = readVarint(payload, typeOffset);
+        typeOffset += type.length;
+        const serialType = type.value;
+        if (serialType == 0) {
+            values.push(null);
+        } else if (serialType <= 6) {
+            const length = [0, 1, 2, 3, 4, 6, 8][serialType];
+            values.push(readInt(payload, offset, length));
+            offset += length;
+        } else if (serialType == 7) {
+            values.push(view.getFloat64(offset));
+            offset += 8;
+        } else if (serialType == 8 || serialType == 9) {
+            values.push(serialType - 8);
+        } else if (serialType >= 12) {
+            const length = Math.floor((serialType - 12) / 2);
+            const bytes = payload.subarray(offset, offset + length);
+            values.push(serialType % 2 ? utf8Decoder.decode(bytes) : bytes);
+            offset += length;
+        }
+    }
+    return values;
+}
+
+/*
+ * A minimal reader of SQLite databases, reading the rows of their tables.
+ */
+class SQLiteReader {
+    constructor(buffer) {
+        this.data = new Uint8Array(buffer);
+        this.view = new DataView(buffer);
+        if (String.fromCharCode(...this.data.subarray(0, 16)) != SQLITE_HEADER) {
+            throw new Error('Invalid GeoPackage: not a SQLite database');
+        }
+        if (this.view.getUint32(56) > SQLITE_UTF8) {
+            throw new Error('Unsupported GeoPackage: the text must be encoded in UTF-8');
+        }
+        const pageSize = this.view.getUint16(16);
+        this.pageSize = pageSize == 1 ? 65536 : pageSize;
+        this.usableSize = this.pageSize - this.data[20];
+    }
+
+    // The payload of a cell, following its overflow pages
+    payload(offset, size) {
+        const maxLocal = this.usableSize - 35;
+        if (size <= maxLocal) {
+            return this.data.subarray(offset, offset + size);
+        }
+        const minLocal = Math.floor((this.usableSize - 12) * 32 / 255) - 23;
+        let local = minLocal + (size - minLocal) % (this.usableSize - 4);
+        if (local > maxLocal) {
+            local = minLocal;
+        }
+        const payload = new Uint8Array(size);
+        payload.set(this.data.subarray(offset, offset + local));
+        let page = this.view.getUint32(offset + local);
+        let position = local;
+        while (position < size && page) {
+            const start = (page - 1) * this.pageSize;
+            const length = Math.min(size - position, this.usableSize - 4);
+            payload.set(this.data.subarray(start + 4, start + 4 + length), position);
+            position += length;
+            page = this.view.getUint32(start);
+        }
+        return payload;
+    }
+
+    // The rows of the b-tree of a table, as [rowid, values] pairs
+    rows(page, rows = []) {
+        const start = (page - 1) * this.pageSize;
+        const header = page == 1 ? start + 100 : start;
+        const type = this.data[header];
+        const count = this.view.getUint16(header + 3);
+        const pointers = header + (type == TABLE_INTERIOR_PAGE ? 12 : 8);
+        for (let i = 0; i < count; i++) {
+            const cell = start + this.view.getUint16(pointers + 2 * i);
+            if (type == TABLE_INTERIOR_PAGE) {
+                this.rows(this.view.getUint32(cell), rows);
+            } else if (type == TABLE_LEAF_PAGE) {
+                const size = readVarint(this.data, cell);
+                const rowid = readVarint(this.data, cell + size.length);
+                const payload = this.payload(cell + size.length + rowid.length, size.value);
+                rows.push([rowid.value, readRecord(payload)]);
+            }
+        }
+        if (type == TABLE_INTERIOR_PAGE) {
+            this.rows(this.view.getUint32(header + 8), rows);
+        }
+        return rows;
+    }
+
+    /*
+     * Read the rows of a table, as objects whose keys are the names of the
+     * columns.
+     */
+    table(name) {
+        if (!this.schema) {
+            this.schema = this.rows(1).map(row => ({
+                type: row[1][0], name: row[1][1], rootpage: row[1][3], sql: row[1][4],
+            }));
+        }
+        const table = this.schema.find(t => t.type == 'table' && t.name.toLowerCase() == name.toLowerCase());
+        if (!table) {
+            throw new Error(`Invalid GeoPackage: no ${name} table`);
+        }
+        const columns = parseColumns(table.sql);
+        return this.rows(table.rootpage).map((row) => {
+            const object = {};
+            columns.forEach((column, i) => {
+                // The INTEGER PRIMARY KEY column is the rowid
+                object[column.name] = column.isRowid ? row[0] : row[1][i];
+            });
+            return object;
+        });
+    }
+}
+
+// The columns of a CREATE TABLE statement
+function parseColumns(sql) {
+    const definitions = [];
+    let depth = 0;
+    let current = '';
+    for (const c of sql.substring(sql.indexOf('(') + 1, sql.lastIndexOf(')'))) {
+        if (c == ',' && depth == 0) {
+            definitions.push(current);
+            current = '';
+        } else {
+            depth += (c == '(') - (c == ')');
+            current += c;
+        }
+    }
+    definitions.push(current);
+    return definitions.map(d => d.trim())
+        .filter(d => !/^(CONSTRAINT|PRIMARY|UNIQUE|CHECK|FOREIGN)\b/i.test(d))
+        .map(d => ({
+            name: /^(?:"([^"]+)"|`([^`]+)`|\[([^\]]+)\]|(\S+))/.exec(d).slice(1).find(n => n),
+            // A column of type INTEGER that is the primary key is an alias of the rowid
+            isRowid: /^\S+\s+INTEGER\s.*\bPRIMARY\s+KEY\b/i.test(d),
+        }));
+}
+
+function readWkb(view, offset) {
+    const littleEndian = view.getUint8(offset) == 1;
+    const code = view.getUint32(offset + 1, littleEndian);
+    // The ISO codes add 1000 for Z, 2000 for M and 3000 for ZM, the extended
+    // ones set the high bits
+    const baseType = (code & 0xffff) % 1000;
+    const dimension = Math.floor((code & 0xffff) / 1000);
+    const hasZ = dimension == 1 || dimension == 3 || (code & 0x80000000) != 0;
+    const hasM = dimension == 2 || dimension == 3 || (code & 0x40000000) != 0;
+    const size = 2 + hasZ + hasM;
+    offset += 5;
+
+    const point = () => {
+        const coordinates = [];
+        for (let i = 0; i < (hasZ ? 3 : 2); i++) {
+            coordinates.push(view.getFloat64(offset + 8 * i, littleEndian));
+        }
+        offset += 8 * size;
+        return coordinates;
+    };
+    const points = () => {
+        const count = view.getUint32(offset, littleEndian);
+        offset += 4;
+        const coordinates = [];
+        for (let i = 0; i < count; i++) {
+            coordinates.push(point());
+        }
+        return coordinates;
+    };
+    const rings = () => {
+        const count = view.getUint32(offset, littleEndian);
+        offset += 4;
+        const coordinates = [];
+        for (let i = 0; i < count; i++) {
+            coordinates.push(points());
+        }
+        return coordinates;
+    };
+    const geometries = () => {
+        const count = view.getUint32(offset, littleEndian);
+        offset += 4;
+        const parts = [];
+        for (let i = 0; i < count; i++) {
+            const part = readWkb(view, offset);
+            parts.push(part.geometry);
+            offset = part.offset;
+        }
+        return parts;
+    };
+
+    let geometry;
+    switch (baseType) {
+        case WKB_POINT:
+            geometry = { type: 'Point', coordinates: point() };
+            break;
+        case WKB_LINESTRING:
+            geometry = { type: 'LineString', coordinates: points() };
+            break;
+        case WKB_POLYGON:
+            geometry = { type: 'Polygon', coordinates: rings() };
+            break;
+        case WKB_MULTIPOINT:
+            geometry = { type: 'MultiPoint', coordinates: geometries().map(g => g.coordinates) };
+            break;
+        case WKB_MULTILINESTRING:
+            geometry = { type: 'MultiLineString', coordinates: geometries().map(g => g.coordinates) };
+            break;
+        case WKB_MULTIPOLYGON:
+            geometry = { type: 'MultiPolygon', coordinates: geometries().map(g => g.coordinates) };
+            break;
+        case WKB_GEOMETRYCOLLECTION:
+            geometry = { type: 'GeometryCollection', geometries: geometries() };
+            break;
+        default:
+            throw new Error(`Unsupported WKB geometry type ${code}`);
+    }
+    return { geometry, offset };
+}
+
+// Read a GeoPackage geometry: a header followed by a WKB geometry
+function readGeometry(blob) {
+    if (!blob || blob.length < 8 || blob[0] != 0x47 || blob[1] != 0x50) {
+        return null;
+    }
+    const flags = blob[3];
+    // The empty geometries
+    if (flags & 0x10) {
+        return null;
+    }
+    const view = new DataView(blob.buffer, blob.byteOffset, blob.byteLength);
+    return readWkb(view, 8 + ENVELOPE_SIZES[(flags >> 1) & 0x07]).geometry;
+}
+
+/**
+ * The GeoPackageParser module provides a [parse]{@link
+ * module:GeoPackageParser.parse} method that reads the features of a
+ * GeoPackage file, a SQLite database, and returns a GeoJSON object, that can
+ * then be read by {@link module:GeoJsonParser}.
+ *
+ * @module GeoPackageParser
+ */
+export default {
+    /**
+     * Parse the features of a table of a GeoPackage. The CRS of the features
+     * is read from the <code>gpkg_spatial_ref_sys</code> table, its definition
+     * being added to proj4 if it's unknown, see {@link module:PrjParser}.
+     *
+     * @param {ArrayBuffer} buffer - The content of the GeoPackage file.
+     * @param {Object} [options] - Options controlling the parsing.
+     * @param {string} [options.layer] - The name of the table of features to
+     * read, the first one of the <code>gpkg_contents</code> by default.
+     *
+     * @return {Promise} A promise resolving with a GeoJSON FeatureCollection,
+     * with a <code>crs</code>.
+     *
+     * @example
+     * itowns.Fetcher.arrayBuffer('https://server.geo/roads.gpkg')
+     *     .then(buffer => itowns.GeoPackageParser.parse(buffer, { layer: 'roads' }))
+     *     .then(geojson => itowns.GeoJsonParser.parse(geojson, { crsOut: view.referenceCrs }));
+     */
+    parse(buffer, options = {}) {
+        return Promise.resolve().then(() => {
+            const reader = new SQLiteReader(buffer);
+            const contents = reader.table('gpkg_contents').filter(c => c.data_type == 'features' &&
+                (!options.layer || c.table_name == options.layer));
+            if (!contents.length) {
+                throw new Error(`No features table ${options.layer || ''} in the GeoPackage`);
+            }
+            const tableName = contents[0].table_name;
+            const column = reader.table('gpkg_geometry_columns').find(c => c.table_name == tableName);
+            const srs = reader.table('gpkg_spatial_ref_sys').find(s => s.srs_id == column.srs_id);
+
+            const geojson = { type: 'FeatureCollection', features: [] };
+            const columns = parseColumns(reader.schema.find(t => t.name == tableName).sql);
+            const id = columns.find(c => c.isRowid);
+            for (const row of reader.table(tableName)) {
+                const geometry = readGeometry(row[column.column_name]);
+                if (!geometry) {
+                    continue;
+                }
+                const properties = {};
+                for (const c of columns) {
+                    if (c.name != column.column_name && c != id) {
+                        properties[c.name] = row[c.name];
+                    }
+                }
+                geojson.features.push({ type: 'Feature', id: id ? row[id.name] : undefined, properties, geometry });
+            }
+
+            if (srs && srs.srs_id > 0) {
+                const isEpsg = srs.organization && srs.organization.toUpperCase() == 'EPSG';
+                const definition = srs.definition && srs.definition != 'undefined' ? srs.definition : undefined;
+                let crs = isEpsg ? `EPSG:${srs.organization_coordsys_id}` : undefined;
+                if (definition) {
+                    crs = PrjParser.parse(definition, crs);
+                }
+                if (crs) {
+                    geojson.crs = { type: 'name', properties: { name: crs } };
+                }
+            }
+            return geojson;
+        });
+    },
+};
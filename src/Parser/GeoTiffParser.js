@@ -0,0 +1,419 @@
+import pako from 'pako';
+
+// TIFF tags used to read a (Cloud Optimized) GeoTIFF
+const TAGS = {
+    NewSubfileType: 254,
+    ImageWidth: 256,
+    ImageLength: 257,
+    BitsPerSample: 258,
+    Compression: 259,
+    StripOffsets: 273,
+    SamplesPerPixel: 277,
+    RowsPerStrip: 278,
+    StripByteCounts: 279,
+    PlanarConfiguration: 284,
+    Predictor: 317,
+    TileWidth: 322,
+    TileLength: 323,
+    TileOffsets: 324,
+    TileByteCounts: 325,
+    SampleFormat: 339,
+    ModelPixelScale: 33550,
+    ModelTiepoint: 33922,
+    GeoKeyDirectory: 34735,
+    GdalNoData: 42113,
+};
+
+// GeoKeys used to find the CRS of the image
+const GEOKEYS = {
+    RasterType: 1025,
+    GeographicType: 2048,
+    ProjectedCSType: 3072,
+};
+
+const RASTER_PIXEL_IS_POINT = 2;
+const USER_DEFINED = 32767;
+
+// Size in bytes of each TIFF field type
+const FIELD_TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+
+const COMPRESSION_NONE = 1;
+const COMPRESSION_LZW = 5;
+const COMPRESSION_DEFLATE = 8;
+const COMPRESSION_ADOBE_DEFLATE = 32946;
+
+const PREDICTOR_HORIZONTAL = 2;
+
+const SAMPLE_FORMAT_UINT = 1;
+const SAMPLE_FORMAT_INT = 2;
+const SAMPLE_FORMAT_FLOAT = 3;
+
+function readFieldValues(view, offset, type, count, littleEndian) {
+    const values = [];
+    for (let i = 0; i < count; i++) {
+        switch (type) {
+            case 1: // BYTE
+            case 2: // ASCII
+            case 7: // UNDEFINED
+                values.push(view.getUint8(offset + i));
+                break;
+            case 3: // SHORT
+                values.push(view.getUint16(offset + i * 2, littleEndian));
+                break;
+            case 4: // LONG
+                values.push(view.getUint32(offset + i * 4, littleEndian));
+                break;
+            case 5: // RATIONAL
+                values.push(view.getUint32(offset + i * 8, littleEndian) / view.getUint32(offset + i * 8 + 4, littleEndian));
+                break;
+            case 6: // SBYTE
+                values.push(view.getInt8(offset + i));
+                break;
+            case 8: // SSHORT
+                values.push(view.getInt16(offset + i * 2, littleEndian));
+                break;
+            case 9: // SLONG
+                values.push(view.getInt32(offset + i * 4, littleEndian));
+                break;
+            case 10: // SRATIONAL
+                values.push(view.getInt32(offset + i * 8, littleEndian) / view.getInt32(offset + i * 8 + 4, littleEndian));
+                break;
+            case 11: // FLOAT
+                values.push(view.getFloat32(offset + i * 4, littleEndian));
+                break;
+            case 12: // DOUBLE
+                values.push(view.getFloat64(offset + i * 8, littleEndian));
+                break;
+            default:
+                throw new Error(`GeoTiffParser: unsupported field type ${type}`);
+        }
+    }
+    if (type == 2) {
+        // Strip the terminating NUL of ASCII values
+        return String.fromCharCode(...values).replace(/\0+$/, '');
+    }
+    return values;
+}
+
+// Reads the entries of the IFD at offset. Values that don't fit in the entry
+// are read with readBytes, as they may be out of the bytes already fetched.
+function readIFD(readBytes, offset, littleEndian) {
+    return readBytes(offset, 2).then((buffer) => {
+        const count = new DataView(buffer).getUint16(0, littleEndian);
+        return readBytes(offset + 2, count * 12 + 4).then((entriesBuffer) => {
+            const view = new DataView(entriesBuffer);
+            const fields = {};
+            const promises = [];
+            for (let i = 0; i < count; i++) {
+                const tag = view.getUint16(i * 12, littleEndian);
+                const type = view.getUint16(i * 12 + 2, littleEndian);
+                const valueCount = view.getUint32(i * 12 + 4, littleEndian);
+                const size = (FIELD_TYPE_SIZES[type] || 1) * valueCount;
+                if (size <= 4) {
+                    fields[tag] = readFieldValues(view, i * 12 + 8, type, valueCount, littleEndian);
+                } else {
+                    const valueOffset = view.getUint32(i * 12 + 8, littleEndian);
+                    promises.push(readBytes(valueOffset, size).then((values) => {
+                        fields[tag] = readFieldValues(new DataView(values), 0, type, valueCount, littleEndian);
+                    }));
+                }
+            }
+            const next = view.getUint32(count * 12, littleEndian);
+            return Promise.all(promises).then(() => ({ fields, next }));
+        });
+    });
+}
+
+function readGeoKeys(directory) {
+    const geoKeys = {};
+    if (!directory) {
+        return geoKeys;
+    }
+    // Only the keys stored directly in the directory are read: the CRS keys
+    // we are interested in are always SHORT values
+    for (let i = 4; i < 4 + directory[3] * 4; i += 4) {
+        if (directory[i + 1] === 0) {
+            geoKeys[directory[i]] = directory[i + 3];
+        }
+    }
+    return geoKeys;
+}
+
+function readCrs(geoKeys) {
+    const code = geoKeys[GEOKEYS.ProjectedCSType] || geoKeys[GEOKEYS.GeographicType];
+    if (code && code !== USER_DEFINED) {
+        return `EPSG:${code}`;
+    }
+}
+
+function readImage(fields) {
+    const value = (tag, defaultValue) => (fields[tag] ? fields[tag][0] : defaultValue);
+    const width = value(TAGS.ImageWidth);
+    const height = value(TAGS.ImageLength);
+    const tiled = fields[TAGS.TileWidth] !== undefined;
+
+    const image = {
+        width,
+        height,
+        // Strips are handled as tiles as large as the image
+        tileWidth: tiled ? value(TAGS.TileWidth) : width,
+        tileHeight: tiled ? value(TAGS.TileLength) : value(TAGS.RowsPerStrip, height),
+        tileOffsets: tiled ? fields[TAGS.TileOffsets] : fields[TAGS.StripOffsets],
+        tileByteCounts: tiled ? fields[TAGS.TileByteCounts] : fields[TAGS.StripByteCounts],
+        samplesPerPixel: value(TAGS.SamplesPerPixel, 1),
+        bitsPerSample: value(TAGS.BitsPerSample, 1),
+        sampleFormat: value(TAGS.SampleFormat, SAMPLE_FORMAT_UINT),
+        compression: value(TAGS.Compression, COMPRESSION_NONE),
+        predictor: value(TAGS.Predictor, 1),
+        planarConfiguration: value(TAGS.PlanarConfiguration, 1),
+        // bit 2 of NewSubfileType flags transparency masks
+        isMask: (value(TAGS.NewSubfileType, 0) & 4) !== 0,
+    };
+    image.tilesAcross = Math.ceil(width / image.tileWidth);
+    image.tilesDown = Math.ceil(height / image.tileHeight);
+
+    if (fields[TAGS.GdalNoData] !== undefined) {
+        image.noData = Number(fields[TAGS.GdalNoData]);
+        if (image.sampleFormat === SAMPLE_FORMAT_FLOAT && image.bitsPerSample === 32) {
+            // Make the value comparable to the samples
+            image.noData = Math.fround(image.noData);
+        }
+    }
+
+    const pixelScale = fields[TAGS.ModelPixelScale];
+    const tiepoint = fields[TAGS.ModelTiepoint];
+    if (pixelScale && tiepoint) {
+        const geoKeys = readGeoKeys(fields[TAGS.GeoKeyDirectory]);
+        // With PixelIsPoint, the tie point is the center of the pixel
+        const shift = geoKeys[GEOKEYS.RasterType] === RASTER_PIXEL_IS_POINT ? 0.5 : 0;
+        image.resolution = [pixelScale[0], pixelScale[1]];
+        image.origin = [
+            tiepoint[3] - (tiepoint[0] + shift) * pixelScale[0],
+            tiepoint[4] + (tiepoint[1] + shift) * pixelScale[1],
+        ];
+        image.crs = readCrs(geoKeys);
+    }
+
+    return image;
+}
+
+function decodeLZW(input, size) {
+    const CLEAR_CODE = 256;
+    const EOI_CODE = 257;
+    const output = new Uint8Array(size);
+    const prefixes = new Uint16Array(4096);
+    const suffixes = new Uint8Array(4096);
+    const firsts = new Uint8Array(4096);
+    const lengths = new Uint16Array(4096);
+    for (let i = 0; i < 256; i++) {
+        suffixes[i] = i;
+        firsts[i] = i;
+        lengths[i] = 1;
+    }
+
+    let position = 0;
+    // Writes the string of code in the output, from its last byte
+    function write(code) {
+        const length = lengths[code];
+        for (let i = position + length - 1; i >= position; i--) {
+            if (i < size) {
+                output[i] = suffixes[code];
+            }
+            code = prefixes[code];
+        }
+        position += length;
+    }
+
+    let next = 258;
+    let width = 9;
+    let previous = -1;
+    let bitOffset = 0;
+    const bitLength = input.length * 8;
+    while (bitOffset + width <= bitLength && position < size) {
+        const byte = bitOffset >>> 3;
+        const chunk = (input[byte] << 16) | (input[byte + 1] << 8) | input[byte + 2];
+        const code = (chunk >>> (24 - (bitOffset & 7) - width)) & ((1 << width) - 1);
+        bitOffset += width;
+
+        if (code === EOI_CODE) {
+            break;
+        } else if (code === CLEAR_CODE) {
+            next = 258;
+            width = 9;
+            previous = -1;
+        } else if (previous === -1) {
+            write(code);
+            previous = code;
+        } else {
+            if (next < 4096) {
+                prefixes[next] = previous;
+                suffixes[next] = code < next ? firsts[code] : firsts[previous];
+                firsts[next] = firsts[previous];
+                lengths[next] = lengths[previous] + 1;
+                next++;
+            }
+            write(code);
+            previous = code;
+            // TIFF LZW switches to the next code width one code early
+            if (next >= (1 << width) - 1 && width < 12) {
+                width++;
+            }
+        }
+    }
+    return output;
+}
+
+function decompress(image, buffer) {
+    const size = image.tileWidth * image.tileHeight * image.samplesPerPixel * image.bitsPerSample / 8;
+    switch (image.compression) {
+        case COMPRESSION_NONE:
+            return new Uint8Array(buffer);
+        case COMPRESSION_LZW:
+            return decodeLZW(new Uint8Array(buffer), size);
+        case COMPRESSION_DEFLATE:
+        case COMPRESSION_ADOBE_DEFLATE:
+            return pako.inflate(new Uint8Array(buffer));
+        default:
+            throw new Error(`GeoTiffParser: unsupported compression ${image.compression}`);
+    }
+}
+
+function createSampleArray(image, length) {
+    const bits = image.bitsPerSample;
+    switch (image.sampleFormat) {
+        case SAMPLE_FORMAT_UINT:
+            if (bits == 8) return new Uint8Array(length);
+            if (bits == 16) return new Uint16Array(length);
+            if (bits == 32) return new Uint32Array(length);
+            break;
+        case SAMPLE_FORMAT_INT:
+            if (bits == 8) return new Int8Array(length);
+            if (bits == 16) return new Int16Array(length);
+            if (bits == 32) return new Int32Array(length);
+            break;
+        case SAMPLE_FORMAT_FLOAT:
+            if (bits == 32) return new Float32Array(length);
+            if (bits == 64) return new Float64Array(length);
+            break;
+        default:
+    }
+    throw new Error(`GeoTiffParser: unsupported sample format ${image.sampleFormat} on ${bits} bits`);
+}
+
+/**
+ * An image of a GeoTIFF: the full resolution image, one of its overviews or a
+ * mask.
+ *
+ * @typedef {Object} GeoTiffImage
+ * @property {number} width - width of the image, in pixels.
+ * @property {number} height - height of the image, in pixels.
+ * @property {number} tileWidth - width of the internal tiles (or strips).
+ * @property {number} tileHeight - height of the internal tiles (or strips).
+ * @property {number} tilesAcross - number of tiles in a row.
+ * @property {number} tilesDown - number of tiles in a column.
+ * @property {number[]} tileOffsets - offsets of the tiles in the file.
+ * @property {number[]} tileByteCounts - sizes of the tiles in the file.
+ * @property {number} samplesPerPixel - number of bands.
+ * @property {boolean} isMask - true if the image is a transparency mask.
+ * @property {number} [noData] - the no data value, from the GDAL_NODATA tag.
+ * @property {number[]} [origin] - coordinates of the top left corner of the
+ * image.
+ * @property {number[]} [resolution] - size of a pixel, along x and y.
+ * @property {string} [crs] - the CRS of the image, from its GeoKeys.
+ */
+
+/**
+ * The GeoTiffParser module reads a GeoTIFF by parts: first its header and
+ * images descriptions, then the internal tiles that are needed. This is what
+ * a Cloud Optimized GeoTIFF is designed for. Supported images are tiled or
+ * stripped, chunky, with 8, 16, 32 or 64 bits samples, compressed with
+ * deflate, LZW or not compressed.
+ *
+ * @module GeoTiffParser
+ */
+export default {
+    /**
+     * Parse the header of a GeoTIFF and the description of all its images.
+     *
+     * @param {function} readBytes - function returning a Promise resolving
+     * with the ArrayBuffer of <code>length</code> bytes of the file at
+     * <code>offset</code>, called with <code>(offset, length)</code>.
+     *
+     * @return {Promise} a Promise resolving with the images of the file, an
+     * array of {@link module:GeoTiffParser~GeoTiffImage}, in file order.
+     */
+    parseHeader(readBytes) {
+        return readBytes(0, 8).then((buffer) => {
+            const view = new DataView(buffer);
+            const byteOrder = view.getUint16(0);
+            if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) {
+                throw new Error('GeoTiffParser: not a TIFF file');
+            }
+            const littleEndian = byteOrder === 0x4949;
+            const magic = view.getUint16(2, littleEndian);
+            if (magic === 43) {
+                throw new Error('GeoTiffParser: BigTIFF files are not supported');
+            } else if (magic !== 42) {
+                throw new Error('GeoTiffParser: not a TIFF file');
+            }
+
+            const images = [];
+            const readNext = (offset) => {
+                if (!offset) {
+                    return images;
+                }
+                return readIFD(readBytes, offset, littleEndian).then((ifd) => {
+                    const image = readImage(ifd.fields);
+                    image.littleEndian = littleEndian;
+                    images.push(image);
+                    return readNext(ifd.next);
+                });
+            };
+            return readNext(view.getUint32(4, littleEndian));
+        });
+    },
+
+    /**
+     * Decode an internal tile of an image.
+     *
+     * @param {GeoTiffImage} image - the image of the tile.
+     * @param {ArrayBuffer} buffer - the bytes of the tile, as stored in the
+     * file.
+     *
+     * @return {TypedArray} the samples of the tile, pixel by pixel, row by
+     * row. Its type depends on the sample format of the image.
+     */
+    decodeTile(image, buffer) {
+        if (image.planarConfiguration !== 1 && image.samplesPerPixel > 1) {
+            throw new Error('GeoTiffParser: only chunky planar configuration is supported');
+        }
+        const bytes = decompress(image, buffer);
+        const length = image.tileWidth * image.tileHeight * image.samplesPerPixel;
+        const samples = createSampleArray(image, length);
+        const bytesPerSample = samples.BYTES_PER_ELEMENT;
+        if (bytesPerSample === 1) {
+            samples.set(bytes.subarray(0, length));
+        } else {
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            const count = Math.min(length, Math.floor(bytes.byteLength / bytesPerSample));
+            const getter = `get${samples.constructor.name.replace('Array', '')}`;
+            for (let i = 0; i < count; i++) {
+                samples[i] = view[getter](i * bytesPerSample, image.littleEndian);
+            }
+        }
+
+        if (image.predictor === PREDICTOR_HORIZONTAL) {
+            const spp = image.samplesPerPixel;
+            const rowLength = image.tileWidth * spp;
+            for (let row = 0; row < image.tileHeight; row++) {
+                for (let i = row * rowLength + spp; i < (row + 1) * rowLength; i++) {
+                    samples[i] += samples[i - spp];
+                }
+            }
+        } else if (image.predictor !== 1) {
+            throw new Error(`GeoTiffParser: unsupported predictor ${image.predictor}`);
+        }
+
+        return samples;
+    },
+};
@@ -5,10 +5,8 @@
  */
 
 import * as THREE from 'three';
-import Line from 'three.meshline';
 import Coordinates from '../Core/Geographic/Coordinates';
-import Capabilities from '../Core/System/Capabilities';
-import shaderUtils from '../Renderer/Shader/ShaderUtils';
+import WideLine from '../Renderer/ThreeExtended/WideLine';
 
 function _gpxToWayPointsArray(gpxXML) {
     return gpxXML.getElementsByTagName('wpt');
@@ -80,8 +78,7 @@ function _gpxToWayPointsMesh(gpxXML, crs) {
 function updatePath(renderer, scene, camera) {
     const distance = getDistance(this, camera);
     this.material.depthTest = distance < this.geometry.boundingSphere.radius * 2;
-    const size = renderer.getSize();
-    this.material.uniforms.resolution.value.set(size.width, size.height);
+    this.material.update(renderer);
 }
 
 function _gpxToWTrackPointsMesh(gpxXML, options) {
@@ -95,32 +92,25 @@ function _gpxToWTrackPointsMesh(gpxXML, options) {
             if (trackPts.length) {
                 gpxXML.center = gpxXML.center || _gpxPtToCartesian(trackPts[0], options.crs);
 
-                var geometry = new THREE.Geometry();
+                const positions = [];
+                const colors = [];
 
                 for (const trackPt of trackPts) {
                     const point = _gpxPtToCartesian(trackPt, options.crs).sub(gpxXML.center);
-                    geometry.vertices.push(point);
+                    positions.push(point.x, point.y, point.z);
+                    colors.push(1, 0, 0);
                 }
 
-                var line = new Line.MeshLine();
-                line.setGeometry(geometry);
                 // Due to limitations in the ANGLE layer,
                 // with the WebGL renderer on Windows platforms
                 // lineWidth will always be 1 regardless of the set value
-                // Use MeshLine to fix it
-                var material = new Line.MeshLineMaterial({
-                    lineWidth: options.lineWidth || 12,
-                    sizeAttenuation: 0,
-                    color: new THREE.Color(0xFF0000),
+                // Use wide lines to fix it
+                const pathMesh = WideLine.create(positions, colors, [{ offset: 0, count: trackPts.length }], {
+                    linewidth: options.lineWidth || 12,
+                    lineCap: 'round',
                 });
+                pathMesh.geometry.computeBoundingSphere();
 
-                if (Capabilities.isLogDepthBufferSupported()) {
-                    material.fragmentShader = material.fragmentShader.replace(/.*/, '').substr(1);
-                    shaderUtils.patchMaterialForLogDepthSupport(material);
-                    console.warn('MeshLineMaterial shader has been patched to add log depth buffer support');
-                }
-
-                const pathMesh = new THREE.Mesh(line.geometry, material);
                 // update size screen uniform
                 // update depth test for visibilty path, because of the proximity of the terrain and gpx mesh
                 pathMesh.onBeforeRender = updatePath;
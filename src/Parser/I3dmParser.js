@@ -0,0 +1,273 @@
+import * as THREE from 'three';
+import { parseGltf } from './B3dmParser';
+import BatchTableParser from './BatchTableParser';
+import BatchTable from '../Renderer/BatchTable';
+import InstancedMesh from '../Renderer/ThreeExtended/InstancedMesh';
+import { ellipsoidSizes } from '../Core/Geographic/Coordinates';
+import Fetcher from '../Provider/Fetcher';
+import utf8Decoder from '../utils/Utf8Decoder';
+
+const componentTypes = {
+    BYTE: Int8Array,
+    UNSIGNED_BYTE: Uint8Array,
+    SHORT: Int16Array,
+    UNSIGNED_SHORT: Uint16Array,
+    INT: Int32Array,
+    UNSIGNED_INT: Uint32Array,
+    FLOAT: Float32Array,
+};
+
+const size = ellipsoidSizes();
+const oneOverRadiiSquared = new THREE.Vector3(1 / (size.x * size.x), 1 / (size.y * size.y), 1 / (size.z * size.z));
+
+// Read a property of the feature table, stored in its JSON header or in its
+// binary body
+function readProperty(featureTable, binary, name, count, components, componentType) {
+    const property = featureTable[name];
+    if (property == undefined) {
+        return;
+    } else if (Array.isArray(property) || typeof property != 'object') {
+        return property;
+    }
+    const TypedArray = componentTypes[property.componentType || componentType];
+    if (!TypedArray) {
+        throw new Error(`Invalid componentType ${property.componentType} of the i3dm property ${name}`);
+    }
+    const byteOffset = property.byteOffset || 0;
+    if (byteOffset + count * components * TypedArray.BYTES_PER_ELEMENT > binary.byteLength) {
+        throw new Error(`The i3dm property ${name} exceeds the binary body of the feature table`);
+    }
+    return new TypedArray(binary.slice(byteOffset, byteOffset + count * components * TypedArray.BYTES_PER_ELEMENT));
+}
+
+// Decode a unit vector encoded with the oct-encoding, over 16 bits by component
+function octDecode(x, y, target) {
+    x = x / 65535 * 2 - 1;
+    y = y / 65535 * 2 - 1;
+    const z = 1 - Math.abs(x) - Math.abs(y);
+    if (z < 0) {
+        const oldX = x;
+        x = (1 - Math.abs(y)) * (x >= 0 ? 1 : -1);
+        y = (1 - Math.abs(oldX)) * (y >= 0 ? 1 : -1);
+    }
+    return target.set(x, y, z).normalize();
+}
+
+function readVectors(featureTable, binary, name, count) {
+    const vectors = readProperty(featureTable, binary, name, count, 3, 'FLOAT');
+    if (vectors) {
+        return (i, target) => target.fromArray(vectors, i * 3);
+    }
+    const encoded = readProperty(featureTable, binary, `${name}_OCT32P`, count, 2, 'UNSIGNED_SHORT');
+    if (encoded) {
+        return (i, target) => octDecode(encoded[i * 2], encoded[i * 2 + 1], target);
+    }
+}
+
+const position = new THREE.Vector3();
+const up = new THREE.Vector3();
+const right = new THREE.Vector3();
+const forward = new THREE.Vector3();
+const scale = new THREE.Vector3();
+
+/**
+ * Read the matrices of the instances, from their positions, orientations and
+ * scales.
+ *
+ * @param {Object} featureTable - The JSON header of the feature table.
+ * @param {ArrayBuffer} binary - The binary body of the feature table.
+ *
+ * @return {Object} The number of instances (<code>count</code>), their
+ * matrices (<code>matrices</code>), their batch ids (<code>batchIds</code>)
+ * and the center of their positions (<code>rtcCenter</code>).
+ * @private
+ */
+export function readInstances(featureTable, binary) {
+    const count = featureTable.INSTANCES_LENGTH;
+    if (!(count >= 0)) {
+        throw new Error('The i3dm feature table has no INSTANCES_LENGTH');
+    }
+
+    const positions = readProperty(featureTable, binary, 'POSITION', count, 3, 'FLOAT');
+    let readPosition;
+    if (positions) {
+        readPosition = i => position.fromArray(positions, i * 3);
+    } else {
+        const quantized = readProperty(featureTable, binary, 'POSITION_QUANTIZED', count, 3, 'UNSIGNED_SHORT');
+        if (!quantized) {
+            throw new Error('The i3dm feature table has no POSITION or POSITION_QUANTIZED');
+        }
+        const offset = new THREE.Vector3().fromArray(readProperty(featureTable, binary, 'QUANTIZED_VOLUME_OFFSET', 1, 3, 'FLOAT'));
+        const volume = new THREE.Vector3().fromArray(readProperty(featureTable, binary, 'QUANTIZED_VOLUME_SCALE', 1, 3, 'FLOAT'));
+        readPosition = i => position.fromArray(quantized, i * 3).divideScalar(65535).multiply(volume).add(offset);
+    }
+    const rtc = readProperty(featureTable, binary, 'RTC_CENTER', 1, 3, 'FLOAT');
+    const rtcCenter = rtc ? new THREE.Vector3().fromArray(rtc) : undefined;
+
+    const readUp = readVectors(featureTable, binary, 'NORMAL_UP', count);
+    const readRight = readVectors(featureTable, binary, 'NORMAL_RIGHT', count);
+    const eastNorthUp = featureTable.EAST_NORTH_UP;
+    const scales = readProperty(featureTable, binary, 'SCALE', count, 1, 'FLOAT');
+    const nonUniformScales = readProperty(featureTable, binary, 'SCALE_NON_UNIFORM', count, 3, 'FLOAT');
+    const batchIds = readProperty(featureTable, binary, 'BATCH_ID', count, 1, 'UNSIGNED_SHORT');
+
+    const matrices = [];
+    for (let i = 0; i < count; i++) {
+        readPosition(i);
+        const matrix = new THREE.Matrix4();
+        if (readUp && readRight) {
+            readUp(i, up);
+            readRight(i, right);
+            forward.crossVectors(right, up);
+            matrix.makeBasis(right, up, forward);
+        } else if (eastNorthUp) {
+            // the east-north-up frame of the geocentric position
+            up.copy(position);
+            if (rtcCenter) {
+                up.add(rtcCenter);
+            }
+            up.multiply(oneOverRadiiSquared).normalize();
+            right.set(-up.y, up.x, 0).normalize();
+            forward.crossVectors(up, right);
+            matrix.makeBasis(right, forward, up);
+        }
+        if (nonUniformScales) {
+            matrix.scale(scale.fromArray(nonUniformScales, i * 3));
+        }
+        if (scales) {
+            matrix.scale(scale.setScalar(scales[i]));
+        }
+        matrix.setPosition(position);
+        matrices.push(matrix);
+    }
+
+    return {
+        count,
+        matrices,
+        batchIds: batchIds || Uint32Array.from(matrices, (m, i) => i),
+        rtcCenter,
+    };
+}
+
+// Replace the meshes of the model by instanced meshes, with the matrices of
+// the instances
+function instantiate(scene, instances) {
+    const group = new THREE.Group();
+    const matrix = new THREE.Matrix4();
+    scene.updateMatrixWorld(true);
+    scene.traverse((mesh) => {
+        if (!mesh.isMesh) {
+            return;
+        }
+        const instanced = new InstancedMesh(mesh.geometry, mesh.material, instances.count);
+        instanced.geometry.addAttribute('_BATCHID', new THREE.InstancedBufferAttribute(Float32Array.from(instances.batchIds), 1));
+        // the bounding volumes of the geometries don't include the instances
+        instanced.frustumCulled = false;
+        for (let i = 0; i < instances.count; i++) {
+            instanced.setMatrixAt(i, matrix.multiplyMatrices(instances.matrices[i], mesh.matrixWorld));
+        }
+        group.add(instanced);
+    });
+    if (instances.rtcCenter) {
+        group.position.copy(instances.rtcCenter);
+        group.updateMatrix();
+    }
+    return group;
+}
+
+// The glTF model of the i3dm is instanced with three.js materials
+function replaceShaderMaterials(scene) {
+    let replaced = false;
+    scene.traverse((mesh) => {
+        if (mesh.isMesh && mesh.material.isShaderMaterial) {
+            replaced = true;
+            mesh.material.dispose();
+            mesh.material = new THREE.MeshLambertMaterial({ color: 0xffffff });
+        }
+    });
+    if (replaced) {
+        console.warn('The shaders of the glTF materials of an i3dm tile can\'t be instanced, they are replaced by a MeshLambertMaterial');
+    }
+}
+
+export default {
+    /** @module I3dmParser */
+    /** Parse an i3dm buffer, whose glTF model is instanced at the positions,
+     * the orientations and the scales of its feature table, and read its batch
+     * table. The glTF model is embedded in the i3dm, or downloaded from its
+     * url. Its meshes are replaced by {@link InstancedMesh}es, whose instances
+     * are the features of the batch table.
+     * @function parse
+     * @param {ArrayBuffer} buffer - the i3dm buffer.
+     * @param {Object} options - additional properties, as the options of
+     * {@link module:B3dmParser.parse}.
+     * @param {string} options.urlBase - the base url of the i3dm, to resolve
+     * the url of its glTF model.
+     * @param {Object} [options.networkOptions] - the fetch options used to
+     * download the glTF model.
+     * @return {Promise} - a promise that resolves with an object containing a
+     * THREE.Group of the instanced meshes (object3d) and a {@link BatchTable}
+     * (batchTable).
+     *
+     */
+    parse(buffer, options) {
+        if (!buffer) {
+            throw new Error('No array buffer provided.');
+        }
+        const view = new DataView(buffer);
+        const header = {
+            magic: utf8Decoder.decode(new Uint8Array(buffer, 0, 4)),
+            version: view.getUint32(4, true),
+            byteLength: view.getUint32(8, true),
+            FTJSONLength: view.getUint32(12, true),
+            FTBinaryLength: view.getUint32(16, true),
+            BTJSONLength: view.getUint32(20, true),
+            BTBinaryLength: view.getUint32(24, true),
+            gltfFormat: view.getUint32(28, true),
+        };
+        if (header.magic != 'i3dm') {
+            throw new Error('Invalid i3dm file.');
+        }
+
+        let byteOffset = 32;
+        const featureTable = JSON.parse(utf8Decoder.decode(new Uint8Array(buffer, byteOffset, header.FTJSONLength)));
+        byteOffset += header.FTJSONLength;
+        const instances = readInstances(featureTable, buffer.slice(byteOffset, byteOffset + header.FTBinaryLength));
+        byteOffset += header.FTBinaryLength;
+
+        let batchTable = Promise.resolve({});
+        const batchLength = featureTable.BATCH_ID ?
+            instances.batchIds.reduce((max, id) => Math.max(max, id + 1), 0) :
+            instances.count;
+        if (header.BTJSONLength > 0) {
+            const binaryBegin = byteOffset + header.BTJSONLength;
+            batchTable = BatchTableParser.parse(
+                buffer.slice(byteOffset, binaryBegin), {
+                    binary: buffer.slice(binaryBegin, binaryBegin + header.BTBinaryLength),
+                    batchLength,
+                });
+        }
+        byteOffset += header.BTJSONLength + header.BTBinaryLength;
+
+        const end = header.byteLength || buffer.byteLength;
+        let gltf;
+        const gltfOptions = Object.assign({}, options);
+        if (header.gltfFormat == 0) {
+            // the url of the glTF model, padded with spaces or zeros
+            const uri = utf8Decoder.decode(new Uint8Array(buffer, byteOffset, end - byteOffset)).replace(/[\s\0]+$/, '');
+            const url = /^[a-z]+:|^\//i.test(uri) ? uri : (options.urlBase || '') + uri;
+            gltfOptions.urlBase = THREE.LoaderUtils.extractUrlBase(url);
+            gltf = Fetcher.arrayBuffer(url, options.networkOptions).then(data => parseGltf(data, gltfOptions));
+        } else {
+            gltf = parseGltf(buffer.slice(byteOffset, end), gltfOptions);
+        }
+
+        return Promise.all([batchTable, gltf]).then(([json, gltf]) => {
+            replaceShaderMaterials(gltf.scene);
+            return {
+                object3d: instantiate(gltf.scene, instances),
+                batchTable: new BatchTable(json, batchLength),
+            };
+        });
+    },
+};
@@ -0,0 +1,820 @@
+import * as THREE from 'three';
+import Fetcher from '../Provider/Fetcher';
+
+const color = new THREE.Color();
+
+// Geometry types of the style specification, from the GeoJSON or the iTowns
+// feature types
+function geometryType(type) {
+    type = type ? type.toLowerCase() : '';
+    if (type.indexOf('point') >= 0) {
+        return 'Point';
+    } else if (type.indexOf('line') >= 0) {
+        return 'LineString';
+    } else if (type.indexOf('polygon') >= 0) {
+        return 'Polygon';
+    }
+    return 'Unknown';
+}
+
+// Parses a CSS color in { r, g, b, a }, with r, g and b between 0 and 1.
+// Returns undefined if the value isn't a color.
+function parseColor(value) {
+    if (typeof value != 'string' || !/^\s*(#|rgb|hsl)/.test(value)) {
+        return;
+    }
+    let a = 1;
+    // THREE.Color ignores the alpha component
+    const alpha = value.replace(/\s/g, '').match(/^(rgb|hsl)a\((.*),([^,]*)\)$/);
+    if (alpha) {
+        value = `${alpha[1]}(${alpha[2]})`;
+        a = parseFloat(alpha[3]);
+    }
+    color.setStyle(value);
+    return { r: color.r, g: color.g, b: color.b, a };
+}
+
+function colorToString(c) {
+    const r = Math.round(c.r * 255);
+    const g = Math.round(c.g * 255);
+    const b = Math.round(c.b * 255);
+    return `rgba(${r},${g},${b},${c.a})`;
+}
+
+function isInterpolatable(value) {
+    return typeof value == 'number' || Array.isArray(value) || parseColor(value) !== undefined;
+}
+
+// Interpolates numbers, arrays of numbers and colors. Other values can't be
+// interpolated: the lower one is kept.
+function interpolate(a, b, t) {
+    if (typeof a == 'number' && typeof b == 'number') {
+        return a + (b - a) * t;
+    } else if (Array.isArray(a) && Array.isArray(b)) {
+        return a.map((v, i) => interpolate(v, b[i], t));
+    }
+    const ca = parseColor(a);
+    const cb = parseColor(b);
+    if (ca && cb) {
+        return colorToString({
+            r: interpolate(ca.r, cb.r, t),
+            g: interpolate(ca.g, cb.g, t),
+            b: interpolate(ca.b, cb.b, t),
+            a: interpolate(ca.a, cb.a, t),
+        });
+    }
+    return t < 1 ? a : b;
+}
+
+// The interpolation factor of input between the stops x0 and x1
+function factor(input, x0, x1, base) {
+    const range = x1 - x0;
+    if (range == 0) {
+        return 0;
+    } else if (base == 1) {
+        return (input - x0) / range;
+    }
+    return (Math.pow(base, input - x0) - 1) / (Math.pow(base, range) - 1);
+}
+
+// stops is an array of [input, output], sorted by input
+function interpolateStops(stops, input, base = 1) {
+    if (input <= stops[0][0]) {
+        return stops[0][1];
+    }
+    for (let i = 1; i < stops.length; i++) {
+        if (input < stops[i][0]) {
+            const t = factor(input, stops[i - 1][0], stops[i][0], base);
+            return interpolate(stops[i - 1][1], stops[i][1], t);
+        }
+    }
+    return stops[stops.length - 1][1];
+}
+
+function stepStops(stops, input) {
+    let output = stops[0][1];
+    for (const stop of stops) {
+        if (input >= stop[0]) {
+            output = stop[1];
+        }
+    }
+    return output;
+}
+
+// Pairs [a, b, c, d] as [[a, b], [c, d]]
+function pairs(array) {
+    const result = [];
+    for (let i = 0; i + 1 < array.length; i += 2) {
+        result.push([array[i], array[i + 1]]);
+    }
+    return result;
+}
+
+/*
+ * Expressions are compiled in functions of a context, containing the
+ * properties, the geometry type, the id of the feature and the zoom.
+ */
+const compareOps = {
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+};
+
+const mathOps = {
+    '+': args => args.reduce((a, b) => a + b, 0),
+    '*': args => args.reduce((a, b) => a * b, 1),
+    '-': args => (args.length == 1 ? -args[0] : args[0] - args[1]),
+    '/': args => args[0] / args[1],
+    '%': args => args[0] % args[1],
+    '^': args => Math.pow(args[0], args[1]),
+    abs: args => Math.abs(args[0]),
+    ceil: args => Math.ceil(args[0]),
+    floor: args => Math.floor(args[0]),
+    round: args => Math.round(args[0]),
+    sqrt: args => Math.sqrt(args[0]),
+    ln: args => Math.log(args[0]),
+    log10: args => Math.log(args[0]) / Math.LN10,
+    log2: args => Math.log(args[0]) / Math.LN2,
+    min: args => Math.min(...args),
+    max: args => Math.max(...args),
+    e: () => Math.E,
+    pi: () => Math.PI,
+    concat: args => args.map(a => (a === null ? '' : a)).join(''),
+    downcase: args => String(args[0]).toLowerCase(),
+    upcase: args => String(args[0]).toUpperCase(),
+    length: args => args[0].length,
+    at: args => args[1][args[0]],
+    rgb: args => `rgb(${args[0]},${args[1]},${args[2]})`,
+    rgba: args => `rgba(${args[0]},${args[1]},${args[2]},${args[3]})`,
+    typeof: args => (Array.isArray(args[0]) ? 'array' : typeof args[0]),
+    'to-string': args => (args[0] === null ? '' : String(args[0])),
+    'to-boolean': args => !!args[0],
+    'to-number': (args) => {
+        for (const arg of args) {
+            const number = Number(arg);
+            if (arg !== null && !isNaN(number)) {
+                return number;
+            }
+        }
+        return 0;
+    },
+};
+
+function compileExpression(expression) {
+    if (!Array.isArray(expression)) {
+        return () => expression;
+    }
+    const op = expression[0];
+    const args = expression.slice(1);
+    const compiled = () => args.map(compileExpression);
+
+    if (compareOps[op]) {
+        const [a, b] = compiled();
+        return ctx => compareOps[op](a(ctx), b(ctx));
+    } else if (mathOps[op]) {
+        const fns = compiled();
+        return ctx => mathOps[op](fns.map(f => f(ctx)));
+    }
+
+    switch (op) {
+        case 'literal':
+            return () => args[0];
+        case 'get': {
+            const [key, object] = compiled();
+            return (ctx) => {
+                const values = object ? object(ctx) : ctx.properties;
+                const value = values[key(ctx)];
+                return value === undefined ? null : value;
+            };
+        }
+        case 'has': {
+            const [key, object] = compiled();
+            return ctx => (key(ctx) in (object ? object(ctx) : ctx.properties));
+        }
+        case 'properties':
+            return ctx => ctx.properties;
+        case 'geometry-type':
+            return ctx => ctx.type;
+        case 'id':
+            return ctx => (ctx.id === undefined ? null : ctx.id);
+        case 'zoom':
+            return ctx => ctx.zoom;
+        // Type assertions and conversions pass the values through
+        case 'array':
+        case 'boolean':
+        case 'number':
+        case 'object':
+        case 'string':
+        case 'to-color': {
+            const [value] = compiled().slice(-1);
+            return value;
+        }
+        case 'all': {
+            const fns = compiled();
+            return ctx => fns.every(f => f(ctx));
+        }
+        case 'any': {
+            const fns = compiled();
+            return ctx => fns.some(f => f(ctx));
+        }
+        case '!': {
+            const [value] = compiled();
+            return ctx => !value(ctx);
+        }
+        case 'in': {
+            const [needle, haystack] = compiled();
+            return ctx => haystack(ctx).indexOf(needle(ctx)) >= 0;
+        }
+        case 'coalesce': {
+            const fns = compiled();
+            return (ctx) => {
+                for (const f of fns) {
+                    const value = f(ctx);
+                    if (value !== null && value !== undefined) {
+                        return value;
+                    }
+                }
+                return null;
+            };
+        }
+        case 'case': {
+            const branches = pairs(args).map(p => p.map(compileExpression));
+            const fallback = compileExpression(args[args.length - 1]);
+            return (ctx) => {
+                const branch = branches.find(b => b[0](ctx));
+                return branch ? branch[1](ctx) : fallback(ctx);
+            };
+        }
+        case 'match': {
+            const input = compileExpression(args[0]);
+            // Labels are literal values, or arrays of literal values
+            const branches = pairs(args.slice(1)).map(p => [[].concat(p[0]), compileExpression(p[1])]);
+            const fallback = compileExpression(args[args.length - 1]);
+            return (ctx) => {
+                const value = input(ctx);
+                const branch = branches.find(b => b[0].indexOf(value) >= 0);
+                return branch ? branch[1](ctx) : fallback(ctx);
+            };
+        }
+        case 'step': {
+            const input = compileExpression(args[0]);
+            const stops = [[-Infinity, compileExpression(args[1])]].concat(
+                pairs(args.slice(2)).map(p => [p[0], compileExpression(p[1])]));
+            return ctx => stepStops(stops, input(ctx))(ctx);
+        }
+        case 'interpolate':
+        case 'interpolate-hcl':
+        case 'interpolate-lab': {
+            const type = args[0];
+            // Cubic bezier curves are approximated by linear interpolations
+            const base = type[0] == 'exponential' ? type[1] : 1;
+            const input = compileExpression(args[1]);
+            const stops = pairs(args.slice(2)).map(p => [p[0], compileExpression(p[1])]);
+            return (ctx) => {
+                const values = stops.map(stop => [stop[0], stop[1](ctx)]);
+                return interpolateStops(values, input(ctx), base);
+            };
+        }
+        default:
+            throw new Error(`Unsupported style expression operator: ${op}`);
+    }
+}
+
+// Zoom and property functions of the style specification before expressions
+function compileFunction(fn) {
+    const stops = fn.stops || [];
+    const defaultValue = fn.default === undefined ? null : fn.default;
+
+    // Zoom and property functions have stops with { zoom, value } inputs:
+    // they are made of a property function by zoom level
+    if (stops.length && typeof stops[0][0] == 'object') {
+        const zooms = [];
+        stops.forEach((stop) => {
+            let level = zooms.find(z => z[0] == stop[0].zoom);
+            if (!level) {
+                level = [stop[0].zoom, []];
+                zooms.push(level);
+            }
+            level[1].push([stop[0].value, stop[1]]);
+        });
+        const levels = zooms.map(z => [z[0], compileFunction(Object.assign({}, fn, { stops: z[1] }))]);
+        const zoomType = isInterpolatable(stops[0][1]) ? 'exponential' : 'interval';
+        return (ctx) => {
+            const values = levels.map(level => [level[0], level[1](ctx)]);
+            return zoomType == 'interval' ? stepStops(values, ctx.zoom) : interpolateStops(values, ctx.zoom, fn.base);
+        };
+    }
+
+    const type = fn.type || (isInterpolatable(stops.length ? stops[0][1] : undefined) ? 'exponential' : 'interval');
+    return (ctx) => {
+        const input = fn.property === undefined ? ctx.zoom : ctx.properties[fn.property];
+        if (type == 'identity') {
+            return input === undefined ? defaultValue : input;
+        } else if (input === undefined || input === null) {
+            return defaultValue;
+        } else if (type == 'categorical') {
+            const stop = stops.find(s => s[0] === input);
+            return stop ? stop[1] : defaultValue;
+        } else if (type == 'interval') {
+            return stepStops(stops, input);
+        }
+        return interpolateStops(stops, input, fn.base);
+    };
+}
+
+// The operators handled by compileExpression, besides compareOps and mathOps
+const OPERATORS = ['literal', 'get', 'has', 'properties', 'geometry-type', 'id', 'zoom', 'array', 'boolean',
+    'number', 'object', 'string', 'to-color', 'all', 'any', '!', 'in', 'coalesce', 'case', 'match', 'step',
+    'interpolate', 'interpolate-hcl', 'interpolate-lab'];
+
+// Arrays are expressions, or constants like font stacks
+function isExpression(value) {
+    return Array.isArray(value) && typeof value[0] == 'string' &&
+        (compareOps[value[0]] !== undefined || mathOps[value[0]] !== undefined || OPERATORS.indexOf(value[0]) >= 0);
+}
+
+function compileValue(value) {
+    if (isExpression(value)) {
+        return compileExpression(value);
+    } else if (value && typeof value == 'object' && (value.stops || value.type == 'identity')) {
+        return compileFunction(value);
+    }
+    return () => value;
+}
+
+// Tells whether a filter uses the expression syntax, or the legacy one
+function isExpressionFilter(filter) {
+    if (filter === true || filter === false) {
+        return true;
+    } else if (!Array.isArray(filter) || filter.length == 0) {
+        return false;
+    }
+    switch (filter[0]) {
+        case 'has':
+            return filter.length >= 2 && filter[1] !== '$id' && filter[1] !== '$type';
+        case 'in':
+            return filter.length >= 3 && (typeof filter[1] != 'string' || Array.isArray(filter[2]));
+        case '!in':
+        case '!has':
+        case 'none':
+            return false;
+        case '==':
+        case '!=':
+        case '>':
+        case '>=':
+        case '<':
+        case '<=':
+            return filter.length != 3 || Array.isArray(filter[1]) || Array.isArray(filter[2]);
+        case 'any':
+        case 'all':
+            return filter.slice(1).every(f => isExpressionFilter(f) || typeof f == 'boolean');
+        default:
+            return true;
+    }
+}
+
+function legacyValue(ctx, key) {
+    if (key == '$type') {
+        return ctx.type;
+    } else if (key == '$id') {
+        return ctx.id;
+    }
+    return ctx.properties[key];
+}
+
+function compileLegacyFilter(filter) {
+    const op = filter[0];
+    const key = filter[1];
+    switch (op) {
+        case '==':
+        case '!=':
+        case '<':
+        case '<=':
+        case '>':
+        case '>=':
+            return (ctx) => {
+                const value = legacyValue(ctx, key);
+                // Values of different types can only be different
+                if (typeof value != typeof filter[2]) {
+                    return op == '!=';
+                }
+                return compareOps[op](value, filter[2]);
+            };
+        case 'in':
+            return ctx => filter.indexOf(legacyValue(ctx, key), 2) >= 2;
+        case '!in':
+            return ctx => filter.indexOf(legacyValue(ctx, key), 2) < 2;
+        case 'has':
+            return ctx => legacyValue(ctx, key) !== undefined;
+        case '!has':
+            return ctx => legacyValue(ctx, key) === undefined;
+        case 'all': {
+            const filters = filter.slice(1).map(compileLegacyFilter);
+            return ctx => filters.every(f => f(ctx));
+        }
+        case 'any': {
+            const filters = filter.slice(1).map(compileLegacyFilter);
+            return ctx => filters.some(f => f(ctx));
+        }
+        case 'none': {
+            const filters = filter.slice(1).map(compileLegacyFilter);
+            return ctx => !filters.some(f => f(ctx));
+        }
+        default:
+            throw new Error(`Unsupported style filter operator: ${op}`);
+    }
+}
+
+function compileFilterContext(filter) {
+    if (filter === undefined || filter === null) {
+        return () => true;
+    } else if (isExpressionFilter(filter)) {
+        const expression = compileExpression(filter);
+        return ctx => expression(ctx) === true;
+    }
+    return compileLegacyFilter(filter);
+}
+
+// The paint and layout properties of the style specification used to draw
+// each type of layer, with their default values
+const PROPERTIES = {
+    fill: {
+        'fill-color': '#000000',
+        'fill-opacity': 1,
+        'fill-outline-color': undefined,
+    },
+    line: {
+        'line-color': '#000000',
+        'line-opacity': 1,
+        'line-width': 1,
+        'line-dasharray': undefined,
+        'line-cap': 'butt',
+        'line-join': 'miter',
+    },
+    circle: {
+        'circle-color': '#000000',
+        'circle-opacity': 1,
+        'circle-radius': 5,
+        'circle-stroke-color': '#000000',
+        'circle-stroke-opacity': 1,
+        'circle-stroke-width': 0,
+    },
+    symbol: {
+        'symbol-placement': 'point',
+        'text-field': '',
+        'text-font': ['Open Sans Regular', 'Arial Unicode MS Regular'],
+        'text-size': 16,
+        'text-transform': 'none',
+        'text-color': '#000000',
+        'text-opacity': 1,
+        'text-halo-color': 'rgba(0,0,0,0)',
+        'text-halo-width': 0,
+        'text-allow-overlap': false,
+        'icon-image': '',
+        'icon-size': 1,
+        'icon-opacity': 1,
+        'icon-allow-overlap': false,
+    },
+};
+
+const FONT_WEIGHTS = {
+    thin: 100,
+    light: 300,
+    regular: 'normal',
+    medium: 500,
+    semibold: 600,
+    bold: 'bold',
+    black: 900,
+};
+
+// The CSS family and weight of a font stack, named like 'Open Sans Bold'
+function toFont(fonts) {
+    const words = [].concat(fonts)[0].split(' ');
+    let weight = 'normal';
+    const family = words.filter((word) => {
+        const name = word.toLowerCase();
+        if (FONT_WEIGHTS[name] !== undefined) {
+            weight = FONT_WEIGHTS[name];
+            return false;
+        }
+        return name != 'italic';
+    }).join(' ');
+    return { family: `"${family}", sans-serif`, weight };
+}
+
+// Replaces the {property} tokens of a text by the values of the properties
+function resolveTokens(text, properties) {
+    if (typeof text != 'string') {
+        return text === null || text === undefined ? '' : String(text);
+    }
+    return text.replace(/\{([^}]+)\}/g, (match, key) => (properties[key] === undefined ? '' : properties[key]));
+}
+
+// The geometry types each type of layer can draw
+const DRAWN_TYPES = {
+    fill: ['Polygon'],
+    line: ['LineString', 'Polygon'],
+    circle: ['Point'],
+    symbol: ['Point', 'LineString', 'Polygon'],
+};
+
+// Compiles a layer of the style, keeping its index to preserve the layers
+// order when drawing
+function compileLayer(layer, order) {
+    const paint = {};
+    const values = Object.assign({}, PROPERTIES[layer.type], layer.layout, layer.paint);
+    Object.keys(values).forEach((name) => {
+        paint[name] = compileValue(values[name]);
+    });
+    return {
+        layer,
+        order,
+        filter: compileFilterContext(layer.filter),
+        paint,
+    };
+}
+
+function isVisible(compiled, ctx) {
+    const layer = compiled.layer;
+    return (!layer['source-layer'] || ctx.properties.vt_layer === layer['source-layer']) &&
+        DRAWN_TYPES[layer.type].indexOf(ctx.type) >= 0 &&
+        compiled.filter(ctx);
+}
+
+function isInZoomRange(layer, zoom) {
+    return zoom === undefined ||
+        ((layer.minzoom === undefined || zoom >= layer.minzoom) &&
+        (layer.maxzoom === undefined || zoom < layer.maxzoom));
+}
+
+// The Feature2Texture style of a layer for a feature, or undefined if the
+// feature isn't drawn.
+function toStyle(compiled, ctx, sprite) {
+    const paint = name => compiled.paint[name](ctx);
+    const style = { order: compiled.order };
+    switch (compiled.layer.type) {
+        case 'fill':
+            style.fill = paint('fill-color');
+            style.fillOpacity = paint('fill-opacity');
+            if (paint('fill-outline-color')) {
+                style.stroke = paint('fill-outline-color');
+                style.strokeWidth = 1;
+                style.strokeOpacity = style.fillOpacity;
+            }
+            return style.fillOpacity > 0 ? style : undefined;
+        case 'line':
+            style.stroke = paint('line-color');
+            style.strokeOpacity = paint('line-opacity');
+            style.strokeWidth = paint('line-width');
+            style.lineCap = paint('line-cap');
+            style.lineJoin = paint('line-join');
+            // The dashes are in line widths
+            if (paint('line-dasharray')) {
+                style.strokeDashArray = paint('line-dasharray').map(d => d * style.strokeWidth);
+            }
+            return style.strokeOpacity > 0 && style.strokeWidth > 0 ? style : undefined;
+        case 'circle':
+            style.fill = paint('circle-color');
+            style.fillOpacity = paint('circle-opacity');
+            style.radius = paint('circle-radius');
+            if (paint('circle-stroke-width') > 0) {
+                style.stroke = paint('circle-stroke-color');
+                style.strokeOpacity = paint('circle-stroke-opacity');
+                style.lineWidth = paint('circle-stroke-width');
+            }
+            return style.radius > 0 ? style : undefined;
+        case 'symbol': {
+            let text = resolveTokens(paint('text-field'), ctx.properties);
+            const transform = paint('text-transform');
+            if (transform == 'uppercase') {
+                text = text.toUpperCase();
+            } else if (transform == 'lowercase') {
+                text = text.toLowerCase();
+            }
+            if (text && paint('text-opacity') > 0) {
+                const font = toFont(paint('text-font'));
+                Object.assign(style, {
+                    text,
+                    textFont: font.family,
+                    textWeight: font.weight,
+                    textSize: paint('text-size'),
+                    textColor: paint('text-color'),
+                    textOpacity: paint('text-opacity'),
+                    textHaloColor: paint('text-halo-color'),
+                    textHaloWidth: paint('text-halo-width'),
+                });
+            }
+            const icon = resolveTokens(paint('icon-image'), ctx.properties);
+            if (icon && sprite && sprite.json[icon]) {
+                Object.assign(style, {
+                    icon,
+                    sprite,
+                    iconSize: paint('icon-size'),
+                    iconOpacity: paint('icon-opacity'),
+                });
+            }
+            style.placement = paint('symbol-placement') == 'point' ? 'point' : 'line';
+            style.allowOverlap = paint('text-allow-overlap') && (!style.icon || paint('icon-allow-overlap'));
+            return style.text || style.icon ? style : undefined;
+        }
+        default:
+    }
+}
+
+function createFilter(compiledLayers) {
+    return (properties, geometry, zoom) => {
+        const ctx = { properties, type: geometryType(geometry && geometry.type), id: properties.id, zoom };
+        return compiledLayers.some(compiled => isVisible(compiled, ctx));
+    };
+}
+
+function createStyle(compiledLayers, sprite) {
+    return (properties, feature, zoom) => {
+        const ctx = { properties, type: geometryType(feature && feature.type), id: properties.id, zoom };
+        const styles = [];
+        for (const compiled of compiledLayers) {
+            if (isInZoomRange(compiled.layer, zoom) && isVisible(compiled, ctx)) {
+                const style = toStyle(compiled, ctx, sprite);
+                if (style) {
+                    styles.push(style);
+                }
+            }
+        }
+        return styles;
+    };
+}
+
+// The source of a layer, from a vector source of the style and its TileJSON
+function toSource(source, tileJSON, overrides) {
+    const tiles = source.tiles || tileJSON.tiles;
+    if ((!tiles || !tiles.length) && !overrides.url) {
+        throw new Error('A vector source of the style has no tiles');
+    }
+    return Object.assign({
+        protocol: 'xyz',
+        // eslint-disable-next-line no-template-curly-in-string
+        url: tiles && tiles[0].replace(/\{([xyz])\}/g, '${$1}'),
+        format: 'application/x-protobuf;type=mapbox-vector',
+        projection: 'EPSG:4326',
+        origin: (source.scheme || tileJSON.scheme) == 'tms' ? 'bottom' : 'top',
+        tileMatrixSet: 'PM',
+        zoom: {
+            min: source.minzoom || tileJSON.minzoom || 0,
+            max: source.maxzoom || tileJSON.maxzoom || 22,
+        },
+    }, overrides);
+}
+
+/**
+ * Reads [Mapbox GL styles]{@link https://www.mapbox.com/mapbox-gl-js/style-spec/}
+ * to display vector tiles in color layers. The <code>fill</code>,
+ * <code>line</code>, <code>circle</code>, <code>symbol</code> and
+ * <code>background</code> layers of the style are drawn. Filters can use the legacy syntax or expressions, and
+ * paint properties can be constants, zoom and property functions, or
+ * expressions.
+ *
+ * @module MapboxStyleParser
+ */
+export default {
+    /**
+     * Parse a style, and create the configurations of the color layers
+     * displaying it: one layer by vector source used by the style, whose
+     * <code>filter</code> and <code>style</code> apply the layers of the style
+     * in their order. The first one has the <code>background</code> layer of
+     * the style.
+     *
+     * @param {Object|string} style - The style, or its url.
+     * @param {Object} [options] - Options controlling the parsing.
+     * @param {Object} [options.networkOptions] - Fetch options of the requests
+     * of the style and the TileJSON of its sources.
+     * @param {function} [options.filter] - A function selecting the layers of
+     * the style to display. It's called with each layer of the style.
+     * @param {Object} [options.source] - Properties overriding the ones of the
+     * sources of the layers, e.g. to use another tile server. If it has an
+     * <code>url</code>, the TileJSON of the vector sources of the style are not
+     * requested.
+     *
+     * @return {Promise} A Promise resolving with an array of layers
+     * configurations, to pass to <code>View.addLayer</code>, possibly after
+     * adding other properties.
+     *
+     * @example
+     * itowns.MapboxStyleParser.parse('https://server.geo/style.json').then((layers) => {
+     *     layers.forEach(layer => view.addLayer(layer));
+     * });
+     */
+    parse(style, options = {}) {
+        const networkOptions = options.networkOptions;
+        const overrides = options.source || {};
+        const fetched = typeof style == 'string' ? Fetcher.json(style, networkOptions) : Promise.resolve(style);
+        return fetched.then((json) => {
+            const selected = json.layers.filter(layer => !options.filter || options.filter(layer));
+            const isHidden = layer => layer.layout && layer.layout.visibility == 'none';
+            const background = selected.find(layer => layer.type == 'background');
+            const bySource = new Map();
+            selected.forEach((layer, order) => {
+                if (DRAWN_TYPES[layer.type] && !isHidden(layer) && json.sources[layer.source] && json.sources[layer.source].type == 'vector') {
+                    if (!bySource.has(layer.source)) {
+                        bySource.set(layer.source, []);
+                    }
+                    bySource.get(layer.source).push(compileLayer(layer, order));
+                }
+            });
+
+            const names = Array.from(bySource.keys());
+            const fetchedTileJSONs = Promise.all(names.map((name) => {
+                const source = json.sources[name];
+                return source.url && !overrides.url ? Fetcher.json(source.url, networkOptions) : {};
+            }));
+            const hasIcons = selected.some(layer => layer.type == 'symbol' && layer.layout && layer.layout['icon-image']);
+            const loadedSprite = json.sprite && hasIcons ? this.loadSprite(json.sprite, networkOptions) : undefined;
+
+            return Promise.all([fetchedTileJSONs, loadedSprite]).then(([tileJSONs, sprite]) => names.map((name, i) => {
+                const compiledLayers = bySource.get(name);
+                const layer = {
+                    type: 'color',
+                    id: name,
+                    transparent: i > 0 || !background,
+                    source: toSource(json.sources[name], tileJSONs[i], overrides),
+                    filter: createFilter(compiledLayers),
+                    style: createStyle(compiledLayers, sprite),
+                };
+                if (i == 0 && background) {
+                    layer.backgroundLayer = {
+                        paint: { 'background-color': this.backgroundColor(background) },
+                    };
+                }
+                return layer;
+            }));
+        });
+    },
+
+    /**
+     * Load a sprite sheet: its image, and the description of the icons it
+     * contains, as used by the <code>icon</code> of the styles.
+     *
+     * @param {string} url - The url of the sprite, without the
+     * <code>.json</code> and <code>.png</code> extensions.
+     * @param {Object} [networkOptions] - Fetch options of the requests.
+     *
+     * @return {Promise} A Promise resolving with an object with the
+     * <code>image</code> and the <code>json</code> of the sprite.
+     */
+    loadSprite(url, networkOptions = {}) {
+        // The image is drawn in canvas used as textures, that must not be tainted
+        const imageOptions = Object.assign({ crossOrigin: 'anonymous' }, networkOptions);
+        return Promise.all([
+            Fetcher.json(`${url}.json`, networkOptions),
+            Fetcher.texture(`${url}.png`, imageOptions),
+        ]).then(([json, texture]) => ({ json, image: texture.image }));
+    },
+
+    /**
+     * The color of a <code>background</code> layer, as an opaque CSS color.
+     *
+     * @param {Object} layer - The background layer of a style.
+     * @param {number} [zoom] - The zoom level, for zoom dependent colors. It
+     * defaults to the minimum zoom of the layer.
+     *
+     * @return {string} The color.
+     */
+    backgroundColor(layer, zoom = layer.minzoom || 0) {
+        const paint = Object.assign({ 'background-color': '#000000' }, layer.paint);
+        const value = compileValue(paint['background-color'])({ properties: {}, zoom });
+        const c = parseColor(value);
+        return c ? `#${color.setRGB(c.r, c.g, c.b).getHexString()}` : value;
+    },
+
+    /**
+     * Compile a filter of the style, using the legacy syntax or expressions.
+     *
+     * @param {Array} filter - The filter.
+     *
+     * @return {function} A function returning whether a feature passes the
+     * filter, called with its properties, its geometry type
+     * (<code>Point</code>, <code>LineString</code> or <code>Polygon</code>)
+     * and the zoom level.
+     */
+    compileFilter(filter) {
+        const compiled = compileFilterContext(filter);
+        return (properties, type, zoom) => compiled({ properties, type, id: properties.id, zoom });
+    },
+
+    /**
+     * Compile a property of the style: a constant, a zoom or property function,
+     * or an expression.
+     *
+     * @param {*} value - The value of the property.
+     *
+     * @return {function} A function returning the value of the property,
+     * called with the zoom level, the properties of the feature and its
+     * geometry type, like <code>Polygon</code> or <code>multipolygon</code>.
+     */
+    compileProperty(value) {
+        const compiled = compileValue(value);
+        return (zoom, properties = {}, type) => compiled({ properties, type: geometryType(type), id: properties.id, zoom });
+    },
+};
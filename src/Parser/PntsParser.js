@@ -1,13 +1,20 @@
 import * as THREE from 'three';
 import BatchTableParser from './BatchTableParser';
+import BatchTable from '../Renderer/BatchTable';
 import utf8Decoder from '../utils/Utf8Decoder';
 
+const batchIdTypes = {
+    UNSIGNED_BYTE: Uint8Array,
+    UNSIGNED_SHORT: Uint16Array,
+    UNSIGNED_INT: Uint32Array,
+};
+
 export default {
     /** @module PntsParser */
     /** Parse pnts buffer and extract THREE.Points and batch table
      * @function parse
      * @param {ArrayBuffer} buffer - the pnts buffer.
-     * @return {Promise} - a promise that resolves with an object containig a THREE.Points (point) and a batch table (batchTable).
+     * @return {Promise} - a promise that resolves with an object containig a THREE.Points (point) and a {@link BatchTable} (batchTable), whose features are the points. When the feature table has a <code>BATCH_ID</code>, the features are the batches of points instead, and the batch id of each point is its <code>_BATCHID</code> attribute.
      *
      */
     parse: function parse(buffer) {
@@ -18,7 +25,6 @@ export default {
 
         let byteOffset = 0;
         const pntsHeader = {};
-        let batchTable = {};
         let point = {};
 
         // Magic type is unsigned char [4]
@@ -50,15 +56,21 @@ export default {
                 point = parseFeatureBinary(buffer, byteOffset, pntsHeader.FTJSONLength);
             }
 
-            // batch table
+            // batch table, describing each point, or the batches of points
+            // of the BATCH_ID
+            const batchLength = point.batchLength || 0;
+            let batchTable = Promise.resolve({});
             if (pntsHeader.BTJSONLength > 0) {
                 const sizeBegin = 28 + pntsHeader.FTJSONLength + pntsHeader.FTBinaryLength;
+                const binaryBegin = sizeBegin + pntsHeader.BTJSONLength;
                 batchTable = BatchTableParser.parse(
-                    buffer.slice(sizeBegin, pntsHeader.BTJSONLength + sizeBegin));
+                    buffer.slice(sizeBegin, binaryBegin), {
+                        binary: buffer.slice(binaryBegin, binaryBegin + pntsHeader.BTBinaryLength),
+                        batchLength,
+                    });
             }
 
-            const pnts = { point, batchTable };
-            return Promise.resolve(pnts);
+            return batchTable.then(json => ({ point, batchTable: new BatchTable(json, batchLength) }));
         } else {
             throw new Error('Invalid pnts file.');
         }
@@ -101,8 +113,19 @@ function parseFeatureBinary(array, byteOffset, FTJSONLength) {
     if (parseJSON.NORMAL_OCT16P) {
         throw new Error('For pnts loader, NORMAL_OCT16P: not yet managed');
     }
+    let batchLength = lengthFeature;
     if (parseJSON.BATCH_ID) {
-        throw new Error('For pnts loader, BATCH_ID: not yet managed');
+        const TypedArray = batchIdTypes[parseJSON.BATCH_ID.componentType || 'UNSIGNED_SHORT'];
+        if (!TypedArray) {
+            throw new Error(`Invalid componentType ${parseJSON.BATCH_ID.componentType} of the pnts BATCH_ID`);
+        }
+        if (!(parseJSON.BATCH_LENGTH > 0)) {
+            throw new Error('The pnts feature table has a BATCH_ID but no BATCH_LENGTH');
+        }
+        const byteOffsetBatch = parseJSON.BATCH_ID.byteOffset + subArrayJson.length + byteOffset;
+        const batchIds = new TypedArray(array.slice(byteOffsetBatch, byteOffsetBatch + lengthFeature * TypedArray.BYTES_PER_ELEMENT));
+        geometry.addAttribute('_BATCHID', new THREE.BufferAttribute(Float32Array.from(batchIds), 1));
+        batchLength = parseJSON.BATCH_LENGTH;
     }
 
     // Add RTC feature
@@ -112,5 +135,7 @@ function parseFeatureBinary(array, byteOffset, FTJSONLength) {
     return {
         geometry,
         offset,
+        length: lengthFeature,
+        batchLength,
     };
 }
@@ -0,0 +1,54 @@
+import proj4 from 'proj4';
+
+// The EPSG code identifying the whole CRS is the last authority, in the root
+// element of the WKT
+const AUTHORITY = /(?:AUTHORITY|ID)\[\s*"EPSG"\s*,\s*"?(\d+)"?\s*\]\s*\]\s*$/i;
+const WGS84 = /^GEOGCS\[\s*"[^"]*"\s*,\s*DATUM\[\s*"[^"]*WGS[_ ]?(19)?84"/i;
+
+/**
+ * Read the CRS of the <code>.prj</code> files of the Shapefiles, and of the
+ * definitions of the spatial reference systems of the GeoPackages, described
+ * in the Well-Known Text format.
+ *
+ * @module PrjParser
+ */
+export default {
+    /**
+     * Find the CRS described by a WKT string. It's its EPSG code when the WKT
+     * has one, or its name otherwise. The CRS is defined in proj4 if it isn't
+     * already.
+     *
+     * @param {string} wkt - The WKT description of the CRS.
+     * @param {string} [crs] - The name of the CRS, like
+     * <code>EPSG:2154</code>, if it's already known.
+     *
+     * @return {string} The CRS.
+     *
+     * @example
+     * const crs = itowns.PrjParser.parse(prj);
+     * // 'EPSG:2154'
+     */
+    parse(wkt, crs) {
+        wkt = wkt.trim();
+        if (!crs) {
+            const authority = AUTHORITY.exec(wkt);
+            const name = /^\w+\[\s*"([^"]+)"/.exec(wkt);
+            if (authority) {
+                crs = `EPSG:${authority[1]}`;
+            } else if (WGS84.test(wkt)) {
+                crs = 'EPSG:4326';
+            } else if (name) {
+                crs = name[1];
+            } else {
+                throw new Error(`Unsupported CRS definition '${wkt}'`);
+            }
+        }
+        if (!proj4.defs(crs)) {
+            proj4.defs(crs, wkt);
+            if (!proj4.defs(crs)) {
+                throw new Error(`Unsupported CRS definition '${wkt}'`);
+            }
+        }
+        return crs;
+    },
+};
@@ -0,0 +1,144 @@
+import { DataTexture, AlphaFormat, FloatType } from 'three';
+
+// Size of the elevation textures the meshes are rasterized into
+const SIZE_TEXTURE_TILE = 256;
+// Size of the header: center (3 doubles), min and max heights (2 floats),
+// bounding sphere (4 doubles) and horizon occlusion point (3 doubles)
+const HEADER_SIZE = 88;
+const MAX_VALUE = 32767;
+
+function zigZagDecode(value) {
+    return (value >> 1) ^ (-(value & 1));
+}
+
+// Reads count zig-zag and delta encoded uint16 values
+function readDeltas(view, offset, count) {
+    const values = new Uint16Array(count);
+    let value = 0;
+    for (let i = 0; i < count; i++) {
+        value += zigZagDecode(view.getUint16(offset + i * 2, true));
+        values[i] = value;
+    }
+    return values;
+}
+
+// Reads count high water mark encoded indices
+function readIndices(view, offset, count, bytesPerIndex) {
+    const indices = new Uint32Array(count);
+    let highest = 0;
+    for (let i = 0; i < count; i++) {
+        const code = bytesPerIndex == 2 ? view.getUint16(offset + i * 2, true) : view.getUint32(offset + i * 4, true);
+        indices[i] = highest - code;
+        if (code === 0) {
+            highest++;
+        }
+    }
+    return indices;
+}
+
+function readMesh(buffer) {
+    const view = new DataView(buffer);
+    const minHeight = view.getFloat32(24, true);
+    const maxHeight = view.getFloat32(28, true);
+
+    let offset = HEADER_SIZE;
+    const vertexCount = view.getUint32(offset, true);
+    offset += 4;
+    const u = readDeltas(view, offset, vertexCount);
+    offset += vertexCount * 2;
+    const v = readDeltas(view, offset, vertexCount);
+    offset += vertexCount * 2;
+    const h = readDeltas(view, offset, vertexCount);
+    offset += vertexCount * 2;
+
+    const heights = new Float32Array(vertexCount);
+    for (let i = 0; i < vertexCount; i++) {
+        heights[i] = minHeight + (h[i] / MAX_VALUE) * (maxHeight - minHeight);
+    }
+
+    // Indices are aligned on their size
+    const bytesPerIndex = vertexCount > 65536 ? 4 : 2;
+    if (offset % bytesPerIndex) {
+        offset += bytesPerIndex - (offset % bytesPerIndex);
+    }
+    const triangleCount = view.getUint32(offset, true);
+    offset += 4;
+    const indices = readIndices(view, offset, triangleCount * 3, bytesPerIndex);
+
+    return { u, v, heights, indices };
+}
+
+// Interpolates the heights of each triangle at the center of the texels it
+// covers. Rows of the texture go from north to south, like in BIL files.
+function rasterize(mesh, size) {
+    const data = new Float32Array(size * size);
+    const { u, v, heights, indices } = mesh;
+    const scale = size / MAX_VALUE;
+    // Texels on edges shared by two triangles are written twice, which is
+    // harmless, but texels must not be missed because of rounding errors
+    const epsilon = -1e-6;
+
+    for (let t = 0; t < indices.length; t += 3) {
+        const a = indices[t];
+        const b = indices[t + 1];
+        const c = indices[t + 2];
+        // Triangle vertices in texel space, y going south
+        const ax = u[a] * scale;
+        const ay = size - v[a] * scale;
+        const bx = u[b] * scale;
+        const by = size - v[b] * scale;
+        const cx = u[c] * scale;
+        const cy = size - v[c] * scale;
+        const area = (bx - ax) * (cy - ay) - (cx - ax) * (by - ay);
+        if (area === 0) {
+            continue;
+        }
+
+        const minI = Math.max(0, Math.floor(Math.min(ax, bx, cx) - 0.5));
+        const maxI = Math.min(size - 1, Math.ceil(Math.max(ax, bx, cx) - 0.5));
+        const minJ = Math.max(0, Math.floor(Math.min(ay, by, cy) - 0.5));
+        const maxJ = Math.min(size - 1, Math.ceil(Math.max(ay, by, cy) - 0.5));
+        for (let j = minJ; j <= maxJ; j++) {
+            const y = j + 0.5;
+            for (let i = minI; i <= maxI; i++) {
+                const x = i + 0.5;
+                const wa = ((bx - x) * (cy - y) - (cx - x) * (by - y)) / area;
+                const wb = ((cx - x) * (ay - y) - (ax - x) * (cy - y)) / area;
+                const wc = 1 - wa - wb;
+                if (wa >= epsilon && wb >= epsilon && wc >= epsilon) {
+                    data[j * size + i] = wa * heights[a] + wb * heights[b] + wc * heights[c];
+                }
+            }
+        }
+    }
+    return data;
+}
+
+/**
+ * The QuantizedMeshParser module provides a [parse]{@link
+ * module:QuantizedMeshParser.parse} method that reads a Cesium
+ * [quantized-mesh]{@link https://github.com/CesiumGS/quantized-mesh} terrain
+ * tile into an elevation texture. Extensions (normals, water mask, metadata)
+ * are ignored.
+ *
+ * @module QuantizedMeshParser
+ */
+export default {
+    /**
+     * Parse a quantized-mesh tile and rasterize its triangles into a float
+     * elevation texture, like the ones of BIL files.
+     *
+     * @param {ArrayBuffer} buffer - the content of the tile.
+     * @param {Object} [options] - options controlling the parsing.
+     * @param {number} [options.size=256] - size of the texture.
+     *
+     * @return {Promise} a Promise resolving with a THREE.DataTexture.
+     */
+    parse(buffer, options = {}) {
+        const size = options.size || SIZE_TEXTURE_TILE;
+        const mesh = readMesh(buffer);
+        const texture = new DataTexture(rasterize(mesh, size), size, size, AlphaFormat, FloatType);
+        texture.needsUpdate = true;
+        return Promise.resolve(texture);
+    },
+};
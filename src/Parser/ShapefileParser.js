@@ -0,0 +1,324 @@
+import pako from 'pako';
+import PrjParser from './PrjParser';
+import utf8Decoder, { TextDecoder } from '../utils/Utf8Decoder';
+
+const ZIP_LOCAL_FILE = 0x04034b50;
+const ZIP_CENTRAL_DIRECTORY = 0x02014b50;
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+const SHP_FILE_CODE = 9994;
+
+// The shape types, the ones with Z values are 10 more than their 2D types and
+// the ones with M values 20 more
+const SHAPE_POINT = 1;
+const SHAPE_POLYLINE = 3;
+const SHAPE_POLYGON = 5;
+const SHAPE_MULTIPOINT = 8;
+const SHAPE_MULTIPATCH = 31;
+
+const DBF_DELETED = 0x2a;
+const DBF_END_OF_FIELDS = 0x0d;
+
+// The Windows code pages of the .cpg files
+const CODE_PAGES = {
+    1250: 'windows-1250',
+    1251: 'windows-1251',
+    1252: 'windows-1252',
+    65001: 'utf-8',
+    88591: 'iso-8859-1',
+};
+
+// Read the files of a zip archive, as Uint8Arrays indexed by their names
+function unzip(buffer) {
+    const view = new DataView(buffer);
+    let end = buffer.byteLength - 22;
+    while (end >= 0 && view.getUint32(end, true) != ZIP_END_OF_CENTRAL_DIRECTORY) {
+        end--;
+    }
+    if (end < 0) {
+        throw new Error('Invalid zip file: no central directory found');
+    }
+    const files = {};
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) != ZIP_CENTRAL_DIRECTORY) {
+            throw new Error('Invalid zip file: corrupted central directory');
+        }
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = utf8Decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (view.getUint32(localOffset, true) != ZIP_LOCAL_FILE) {
+            throw new Error(`Invalid zip file: no local header for ${name}`);
+        }
+        const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = new Uint8Array(buffer, start, compressedSize);
+        if (method == ZIP_STORED) {
+            files[name] = data;
+        } else if (method == ZIP_DEFLATED) {
+            files[name] = pako.inflateRaw(data);
+        } else {
+            throw new Error(`Unsupported compression method ${method} of ${name}`);
+        }
+    }
+    return files;
+}
+
+function readPoints(view, offset, count, zOffset) {
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        const point = [view.getFloat64(offset + 16 * i, true), view.getFloat64(offset + 16 * i + 8, true)];
+        if (zOffset !== undefined) {
+            point.push(view.getFloat64(zOffset + 8 * i, true));
+        }
+        points.push(point);
+    }
+    return points;
+}
+
+function ringArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    return area / 2;
+}
+
+function isInsideRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        if ((ring[i][1] > point[1]) != (ring[j][1] > point[1]) &&
+            point[0] < (ring[j][0] - ring[i][0]) * (point[1] - ring[i][1]) / (ring[j][1] - ring[i][1]) + ring[i][0]) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// The outer rings of the Shapefiles are clockwise and their holes are
+// counterclockwise. A hole belongs to the outer ring containing it.
+function toPolygons(rings) {
+    const polygons = [];
+    const holes = [];
+    for (const ring of rings) {
+        if (ringArea(ring) <= 0) {
+            polygons.push([ring]);
+        } else {
+            holes.push(ring);
+        }
+    }
+    for (const hole of holes) {
+        const polygon = polygons.find(p => isInsideRing(hole[0], p[0]));
+        if (polygon) {
+            polygon.push(hole);
+        } else {
+            // A ring with the wrong orientation
+            polygons.push([hole]);
+        }
+    }
+    return polygons;
+}
+
+function readShape(view, offset) {
+    const type = view.getInt32(offset, true);
+    const baseType = type == SHAPE_MULTIPATCH ? 0 : type % 10;
+    const hasZ = type > 10 && type < 20;
+    switch (baseType) {
+        case SHAPE_POINT:
+            return {
+                type: 'Point',
+                coordinates: readPoints(view, offset + 4, 1, hasZ ? offset + 20 : undefined)[0],
+            };
+        case SHAPE_MULTIPOINT: {
+            const count = view.getInt32(offset + 36, true);
+            const zOffset = hasZ ? offset + 40 + 16 * count + 16 : undefined;
+            return { type: 'MultiPoint', coordinates: readPoints(view, offset + 40, count, zOffset) };
+        }
+        case SHAPE_POLYLINE:
+        case SHAPE_POLYGON: {
+            const partCount = view.getInt32(offset + 36, true);
+            const count = view.getInt32(offset + 40, true);
+            const pointsOffset = offset + 44 + 4 * partCount;
+            const zOffset = hasZ ? pointsOffset + 16 * count + 16 : undefined;
+            const points = readPoints(view, pointsOffset, count, zOffset);
+            const parts = [];
+            for (let i = 0; i < partCount; i++) {
+                const start = view.getInt32(offset + 44 + 4 * i, true);
+                const end = i < partCount - 1 ? view.getInt32(offset + 48 + 4 * i, true) : count;
+                parts.push(points.slice(start, end));
+            }
+            if (baseType == SHAPE_POLYLINE) {
+                return parts.length == 1 ?
+                    { type: 'LineString', coordinates: parts[0] } :
+                    { type: 'MultiLineString', coordinates: parts };
+            }
+            const polygons = toPolygons(parts);
+            return polygons.length == 1 ?
+                { type: 'Polygon', coordinates: polygons[0] } :
+                { type: 'MultiPolygon', coordinates: polygons };
+        }
+        default:
+            // The null shapes, and the multipatches that aren't supported
+            return null;
+    }
+}
+
+function readShp(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    if (view.getInt32(0) != SHP_FILE_CODE) {
+        throw new Error('Invalid shp file');
+    }
+    const geometries = [];
+    // The lengths of the file and of the records are in 16 bits words
+    const length = Math.min(2 * view.getInt32(24), data.byteLength);
+    let offset = 100;
+    while (offset + 8 <= length) {
+        const contentLength = 2 * view.getInt32(offset + 4);
+        geometries.push(readShape(view, offset + 8));
+        offset += 8 + contentLength;
+    }
+    return geometries;
+}
+
+function readDbfValue(type, text) {
+    const value = text.trim();
+    switch (type) {
+        case 'N':
+        case 'F':
+            return value == '' || isNaN(value) ? null : Number(value);
+        case 'L':
+            if (/^[YyTt]$/.test(value)) {
+                return true;
+            }
+            return /^[NnFf]$/.test(value) ? false : null;
+        case 'D':
+            return value.length == 8 ? `${value.substr(0, 4)}-${value.substr(4, 2)}-${value.substr(6, 2)}` : null;
+        default:
+            return value;
+    }
+}
+
+// Read the attributes of the records, undefined for the deleted ones
+function readDbf(data, decoder) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const count = view.getUint32(4, true);
+    const headerLength = view.getUint16(8, true);
+    const recordLength = view.getUint16(10, true);
+    const fields = [];
+    for (let offset = 32; data[offset] != DBF_END_OF_FIELDS && offset < headerLength; offset += 32) {
+        const name = utf8Decoder.decode(data.subarray(offset, offset + 11)).replace(/\0[\s\S]*$/, '');
+        fields.push({ name, type: String.fromCharCode(data[offset + 11]), length: data[offset + 16] });
+    }
+    const records = [];
+    for (let i = 0; i < count; i++) {
+        let offset = headerLength + i * recordLength;
+        if (data[offset] == DBF_DELETED) {
+            records.push(undefined);
+            continue;
+        }
+        offset++;
+        const properties = {};
+        for (const field of fields) {
+            properties[field.name] = readDbfValue(field.type, decoder.decode(data.subarray(offset, offset + field.length)));
+            offset += field.length;
+        }
+        records.push(properties);
+    }
+    return records;
+}
+
+function getDecoder(cpg) {
+    if (cpg) {
+        const label = cpg.trim();
+        try {
+            return new TextDecoder(CODE_PAGES[label] || label);
+        } catch (e) {
+            // The polyfill of TextDecoder only decodes UTF-8
+        }
+    }
+    return utf8Decoder;
+}
+
+/**
+ * The ShapefileParser module provides a [parse]{@link
+ * module:ShapefileParser.parse} method that reads an ESRI Shapefile and
+ * returns a GeoJSON object, that can then be read by {@link
+ * module:GeoJsonParser}.
+ *
+ * @module ShapefileParser
+ */
+export default {
+    /**
+     * Parse a zipped Shapefile, containing its <code>.shp</code> file, and
+     * optionally its <code>.dbf</code>, <code>.prj</code> and
+     * <code>.cpg</code> files. The geometries are read from the
+     * <code>.shp</code> file, the properties from the <code>.dbf</code> file,
+     * whose encoding is given by the <code>.cpg</code> file, and the CRS from
+     * the <code>.prj</code> file, see {@link module:PrjParser}.
+     *
+     * @param {ArrayBuffer} buffer - The content of the zip file, or of a
+     * <code>.shp</code> file.
+     * @param {Object} [options] - Options controlling the parsing.
+     * @param {string} [options.layer] - The name of the Shapefile to read in
+     * the zip file, without extension, the first one by default.
+     *
+     * @return {Promise} A promise resolving with a GeoJSON FeatureCollection,
+     * whose <code>crs</code> is the one of the <code>.prj</code> file.
+     *
+     * @example
+     * itowns.Fetcher.arrayBuffer('https://server.geo/buildings.zip')
+     *     .then(buffer => itowns.ShapefileParser.parse(buffer))
+     *     .then(geojson => itowns.GeoJsonParser.parse(geojson, { crsOut: view.referenceCrs }));
+     */
+    parse(buffer, options = {}) {
+        return Promise.resolve().then(() => {
+            const view = new DataView(buffer);
+            if (view.getInt32(0) == SHP_FILE_CODE) {
+                return {
+                    type: 'FeatureCollection',
+                    features: readShp(new Uint8Array(buffer)).filter(geometry => geometry)
+                        .map(geometry => ({ type: 'Feature', properties: {}, geometry })),
+                };
+            }
+
+            const files = unzip(buffer);
+            const names = Object.keys(files).filter(name => /\.shp$/i.test(name) &&
+                (!options.layer || name.replace(/^.*\//, '').replace(/\.shp$/i, '') == options.layer));
+            if (!names.length) {
+                throw new Error('No shp file found in the zip file');
+            }
+            const base = names[0].replace(/\.shp$/i, '');
+            const file = (extension) => {
+                const name = Object.keys(files).find(n => n.toLowerCase() == `${base}.${extension}`.toLowerCase());
+                return name ? files[name] : undefined;
+            };
+
+            const geometries = readShp(file('shp'));
+            const dbf = file('dbf');
+            const cpg = file('cpg');
+            const records = dbf ? readDbf(dbf, getDecoder(cpg && utf8Decoder.decode(cpg))) : [];
+            const geojson = { type: 'FeatureCollection', features: [] };
+            geometries.forEach((geometry, i) => {
+                // The deleted records have no properties
+                if (geometry && (!dbf || records[i])) {
+                    geojson.features.push({ type: 'Feature', properties: records[i] || {}, geometry });
+                }
+            });
+
+            const prj = file('prj');
+            if (prj) {
+                const crs = PrjParser.parse(utf8Decoder.decode(prj));
+                geojson.crs = { type: 'name', properties: { name: crs } };
+            }
+            return geojson;
+        });
+    },
+};
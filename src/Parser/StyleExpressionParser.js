@@ -0,0 +1,500 @@
+import * as THREE from 'three';
+
+// The operators, the longest first
+const OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '=~', '!~',
+    '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '(', ')', '[', ']', ',', '.'];
+
+const KEYWORDS = {
+    true: true,
+    false: false,
+    null: null,
+    undefined,
+    NaN,
+    Infinity,
+};
+
+const CONSTANTS = {
+    Math: { PI: Math.PI, E: Math.E },
+    Number: { POSITIVE_INFINITY: Infinity, NEGATIVE_INFINITY: -Infinity },
+};
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r' };
+
+function syntaxError(text, message) {
+    return new Error(`Invalid style expression "${text}": ${message}`);
+}
+
+// ${name}, ${feature.name} and ${feature['name']} are the property 'name'
+function variableName(content) {
+    const match = /^feature(?:\.(\w+)|\[\s*(['"])(.*)\2\s*\])$/.exec(content);
+    return match ? match[1] || match[3] : content;
+}
+
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        const c = text[i];
+        const rest = text.slice(i);
+        if (/\s/.test(c)) {
+            i++;
+        } else if (rest.startsWith('${')) {
+            const end = text.indexOf('}', i);
+            if (end < 0) {
+                throw syntaxError(text, 'unterminated variable');
+            }
+            tokens.push({ type: 'variable', value: variableName(text.slice(i + 2, end).trim()) });
+            i = end + 1;
+        } else if (/^\.?\d/.test(rest)) {
+            const number = /^(\d*\.?\d+|\d+\.)([eE][+-]?\d+)?/.exec(rest)[0];
+            tokens.push({ type: 'literal', value: Number(number) });
+            i += number.length;
+        } else if (c == '"' || c == "'") {
+            let value = '';
+            let j = i + 1;
+            while (j < text.length && text[j] != c) {
+                if (text[j] == '\\' && j + 1 < text.length) {
+                    j++;
+                    value += ESCAPES[text[j]] || text[j];
+                } else {
+                    value += text[j];
+                }
+                j++;
+            }
+            if (j >= text.length) {
+                throw syntaxError(text, 'unterminated string');
+            }
+            tokens.push({ type: 'literal', value });
+            i = j + 1;
+        } else if (/[A-Za-z_]/.test(c)) {
+            const name = /^[A-Za-z_]\w*/.exec(rest)[0];
+            tokens.push({ type: 'identifier', value: name });
+            i += name.length;
+        } else {
+            const operator = OPERATORS.find(o => rest.startsWith(o));
+            if (!operator) {
+                throw syntaxError(text, `unexpected character '${c}'`);
+            }
+            if (operator == '==' || operator == '!=') {
+                throw syntaxError(text, `'${operator}' isn't supported, use '${operator}='`);
+            }
+            tokens.push({ type: 'operator', value: operator });
+            i += operator.length;
+        }
+    }
+    return tokens;
+}
+
+// Values
+
+function isVector(value) {
+    return !!value && (value.isVector2 || value.isVector3 || value.isVector4);
+}
+
+function vectorFrom(components) {
+    switch (components.length) {
+        case 2: return new THREE.Vector2().fromArray(components);
+        case 3: return new THREE.Vector3().fromArray(components);
+        case 4: return new THREE.Vector4().fromArray(components);
+        default: throw new Error(`Invalid vector of ${components.length} components`);
+    }
+}
+
+function stringOf(value) {
+    if (isVector(value)) {
+        return `(${value.toArray().join(', ')})`;
+    }
+    return String(value);
+}
+
+// Apply a function of numbers to each component of the vectors
+function componentwise(fn) {
+    return (...args) => {
+        const vector = args.find(isVector);
+        if (!vector) {
+            return fn(...args);
+        }
+        const length = vector.toArray().length;
+        const components = [];
+        for (let i = 0; i < length; i++) {
+            components.push(fn(...args.map(a => (isVector(a) ? a.toArray()[i] : a))));
+        }
+        return vectorFrom(components);
+    };
+}
+
+function vector(length) {
+    return (...args) => {
+        let components = [];
+        for (const arg of args) {
+            components = components.concat(isVector(arg) ? arg.toArray() : [Number(arg)]);
+        }
+        if (components.length == 1) {
+            components = new Array(length).fill(components[0]);
+        }
+        if (components.length != length) {
+            throw new Error(`vec${length} expects ${length} components, not ${components.length}`);
+        }
+        return vectorFrom(components);
+    };
+}
+
+function color(css = 'white', alpha = 1) {
+    const c = new THREE.Color();
+    c.r = NaN;
+    c.setStyle(css.replace(/^(rgb|hsl)a\((.*),[^,]*\)$/, '$1($2)'));
+    if (Number.isNaN(c.r)) {
+        throw new Error(`Invalid color '${css}'`);
+    }
+    return new THREE.Vector4(c.r, c.g, c.b, alpha);
+}
+
+function hsla(h, s, l, a) {
+    const c = new THREE.Color().setHSL(h, s, l);
+    return new THREE.Vector4(c.r, c.g, c.b, a);
+}
+
+const FUNCTIONS = {
+    color,
+    rgb: (r, g, b) => new THREE.Vector4(r / 255, g / 255, b / 255, 1),
+    rgba: (r, g, b, a) => new THREE.Vector4(r / 255, g / 255, b / 255, a),
+    hsl: (h, s, l) => hsla(h, s, l, 1),
+    hsla,
+    vec2: vector(2),
+    vec3: vector(3),
+    vec4: vector(4),
+    regExp: (pattern, flags) => new RegExp(pattern, flags),
+    Boolean: value => Boolean(value),
+    Number: value => Number(value),
+    String: stringOf,
+    isNaN: value => Number.isNaN(Number(value)),
+    isFinite: value => Number.isFinite(Number(value)),
+    abs: componentwise(Math.abs),
+    sqrt: componentwise(Math.sqrt),
+    cos: componentwise(Math.cos),
+    sin: componentwise(Math.sin),
+    tan: componentwise(Math.tan),
+    acos: componentwise(Math.acos),
+    asin: componentwise(Math.asin),
+    atan: componentwise(Math.atan),
+    atan2: componentwise(Math.atan2),
+    radians: componentwise(THREE.Math.degToRad),
+    degrees: componentwise(THREE.Math.radToDeg),
+    sign: componentwise(Math.sign),
+    floor: componentwise(Math.floor),
+    ceil: componentwise(Math.ceil),
+    round: componentwise(Math.round),
+    exp: componentwise(Math.exp),
+    log: componentwise(Math.log),
+    exp2: componentwise(x => Math.pow(2, x)),
+    log2: componentwise(Math.log2),
+    fract: componentwise(x => x - Math.floor(x)),
+    pow: componentwise(Math.pow),
+    min: componentwise(Math.min),
+    max: componentwise(Math.max),
+    clamp: componentwise(THREE.Math.clamp),
+    mix: componentwise((x, y, a) => x * (1 - a) + y * a),
+    length: v => (isVector(v) ? v.length() : Math.abs(v)),
+    distance: (a, b) => (isVector(a) ? a.clone().sub(b).length() : Math.abs(a - b)),
+    normalize: v => (isVector(v) ? v.clone().normalize() : Math.sign(v)),
+    dot: (a, b) => (isVector(a) ? a.dot(b) : a * b),
+    cross: (a, b) => new THREE.Vector3().crossVectors(a, b),
+};
+
+const COMPONENTS = { x: 0, y: 1, z: 2, w: 3, r: 0, g: 1, b: 2, a: 3 };
+
+function member(object, property) {
+    if (object == undefined) {
+        return undefined;
+    }
+    if (isVector(object) || Array.isArray(object)) {
+        const components = isVector(object) ? object.toArray() : object;
+        return components[property in COMPONENTS ? COMPONENTS[property] : property];
+    }
+    return Object.prototype.hasOwnProperty.call(object, property) ? object[property] : undefined;
+}
+
+function callMethod(object, name, args) {
+    if (object instanceof RegExp && (name == 'test' || name == 'exec')) {
+        object.lastIndex = 0;
+        if (name == 'test') {
+            return object.test(stringOf(args[0]));
+        }
+        // exec returns the first captured group
+        const match = object.exec(stringOf(args[0]));
+        return match ? match[1] : null;
+    } else if (name == 'toString') {
+        return stringOf(object);
+    }
+    throw new Error(`Unknown method ${name} of ${stringOf(object)}`);
+}
+
+const ARITHMETIC = {
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => a / b,
+    '%': (a, b) => a % b,
+};
+
+function binary(operator, a, b) {
+    switch (operator) {
+        case '+':
+            if (typeof a == 'string' || typeof b == 'string') {
+                return stringOf(a) + stringOf(b);
+            }
+            return componentwise(ARITHMETIC[operator])(a, b);
+        case '-':
+        case '*':
+        case '/':
+        case '%':
+            return componentwise(ARITHMETIC[operator])(a, b);
+        case '===':
+        case '!==': {
+            const equal = isVector(a) && isVector(b) ? a.equals(b) : a === b;
+            return operator == '===' ? equal : !equal;
+        }
+        case '<': return a < b;
+        case '>': return a > b;
+        case '<=': return a <= b;
+        case '>=': return a >= b;
+        case '=~':
+        case '!~': {
+            const match = a instanceof RegExp ? callMethod(a, 'test', [b]) : callMethod(b, 'test', [a]);
+            return operator == '=~' ? match : !match;
+        }
+        default: throw new Error(`Unknown operator ${operator}`);
+    }
+}
+
+function evaluate(node, properties) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'variable':
+            return Object.prototype.hasOwnProperty.call(properties, node.name) ? properties[node.name] : undefined;
+        case 'array':
+            return node.elements.map(e => evaluate(e, properties));
+        case 'unary': {
+            const value = evaluate(node.argument, properties);
+            if (node.operator == '!') {
+                return !value;
+            }
+            return node.operator == '-' ? componentwise(v => -v)(value) : componentwise(Number)(value);
+        }
+        case 'binary':
+            return binary(node.operator, evaluate(node.left, properties), evaluate(node.right, properties));
+        case 'logical': {
+            const left = evaluate(node.left, properties);
+            if (node.operator == '&&') {
+                return left && evaluate(node.right, properties);
+            }
+            return left || evaluate(node.right, properties);
+        }
+        case 'conditional':
+            return evaluate(node.test, properties) ?
+                evaluate(node.consequent, properties) :
+                evaluate(node.alternate, properties);
+        case 'member':
+            return member(evaluate(node.object, properties), evaluate(node.property, properties));
+        case 'call':
+            return FUNCTIONS[node.name](...node.args.map(a => evaluate(a, properties)));
+        case 'method':
+            return callMethod(evaluate(node.object, properties), node.name, node.args.map(a => evaluate(a, properties)));
+        default:
+            throw new Error(`Unknown expression ${node.type}`);
+    }
+}
+
+// Recursive descent parser, from the lowest precedence to the highest
+function parseTokens(text, defines, parsing) {
+    const tokens = tokenize(text);
+    let position = 0;
+
+    const isOperator = (...operators) => position < tokens.length &&
+        tokens[position].type == 'operator' && operators.indexOf(tokens[position].value) >= 0;
+    const expect = (operator) => {
+        if (!isOperator(operator)) {
+            throw syntaxError(text, position < tokens.length ?
+                `'${operator}' expected instead of '${tokens[position].value}'` :
+                `'${operator}' expected at the end`);
+        }
+        position++;
+    };
+
+    let ternary;
+
+    const list = (end) => {
+        const elements = [];
+        if (!isOperator(end)) {
+            elements.push(ternary());
+            while (isOperator(',')) {
+                position++;
+                elements.push(ternary());
+            }
+        }
+        expect(end);
+        return elements;
+    };
+
+    const identifier = () => {
+        const token = tokens[position];
+        if (!token || token.type != 'identifier') {
+            throw syntaxError(text, 'name expected');
+        }
+        position++;
+        return token.value;
+    };
+
+    const primary = () => {
+        const token = tokens[position];
+        if (!token) {
+            throw syntaxError(text, 'unexpected end');
+        }
+        position++;
+        if (token.type == 'literal') {
+            return { type: 'literal', value: token.value };
+        } else if (token.type == 'variable') {
+            if (defines && Object.prototype.hasOwnProperty.call(defines, token.value)) {
+                // eslint-disable-next-line no-use-before-define
+                return parseDefine(token.value, defines, parsing);
+            }
+            return { type: 'variable', name: token.value };
+        } else if (token.type == 'identifier') {
+            if (Object.prototype.hasOwnProperty.call(KEYWORDS, token.value)) {
+                return { type: 'literal', value: KEYWORDS[token.value] };
+            } else if (Object.prototype.hasOwnProperty.call(CONSTANTS, token.value)) {
+                expect('.');
+                const name = identifier();
+                if (!Object.prototype.hasOwnProperty.call(CONSTANTS[token.value], name)) {
+                    throw syntaxError(text, `unknown constant ${token.value}.${name}`);
+                }
+                return { type: 'literal', value: CONSTANTS[token.value][name] };
+            } else if (Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+                expect('(');
+                return { type: 'call', name: token.value, args: list(')') };
+            }
+            throw syntaxError(text, `unknown function or name '${token.value}'`);
+        } else if (token.value == '(') {
+            const node = ternary();
+            expect(')');
+            return node;
+        } else if (token.value == '[') {
+            return { type: 'array', elements: list(']') };
+        }
+        throw syntaxError(text, `unexpected '${token.value}'`);
+    };
+
+    const postfix = () => {
+        let node = primary();
+        for (;;) {
+            if (isOperator('.')) {
+                position++;
+                const name = identifier();
+                if (isOperator('(')) {
+                    position++;
+                    node = { type: 'method', object: node, name, args: list(')') };
+                } else {
+                    node = { type: 'member', object: node, property: { type: 'literal', value: name } };
+                }
+            } else if (isOperator('[')) {
+                position++;
+                const property = ternary();
+                expect(']');
+                node = { type: 'member', object: node, property };
+            } else {
+                return node;
+            }
+        }
+    };
+
+    const unary = () => {
+        if (isOperator('!', '-', '+')) {
+            const operator = tokens[position++].value;
+            return { type: 'unary', operator, argument: unary() };
+        }
+        return postfix();
+    };
+
+    const binaryLevel = (type, operators, next) => () => {
+        let node = next();
+        while (isOperator(...operators)) {
+            const operator = tokens[position++].value;
+            node = { type, operator, left: node, right: next() };
+        }
+        return node;
+    };
+
+    const multiplicative = binaryLevel('binary', ['*', '/', '%'], unary);
+    const additive = binaryLevel('binary', ['+', '-'], multiplicative);
+    const relational = binaryLevel('binary', ['<', '>', '<=', '>='], additive);
+    const equality = binaryLevel('binary', ['===', '!==', '=~', '!~'], relational);
+    const and = binaryLevel('logical', ['&&'], equality);
+    const or = binaryLevel('logical', ['||'], and);
+
+    ternary = () => {
+        const test = or();
+        if (!isOperator('?')) {
+            return test;
+        }
+        position++;
+        const consequent = ternary();
+        expect(':');
+        return { type: 'conditional', test, consequent, alternate: ternary() };
+    };
+
+    if (!tokens.length) {
+        throw syntaxError(text, 'empty expression');
+    }
+    const node = ternary();
+    if (position < tokens.length) {
+        throw syntaxError(text, `unexpected '${tokens[position].value}'`);
+    }
+    return node;
+}
+
+// The defines are replaced by their expressions, that can use other defines
+function parseDefine(name, defines, parsing = []) {
+    if (parsing.indexOf(name) >= 0) {
+        throw new Error(`Invalid style: the define ${name} references itself`);
+    }
+    const define = defines[name];
+    if (typeof define != 'string') {
+        return { type: 'literal', value: define };
+    }
+    return parseTokens(define, defines, parsing.concat(name));
+}
+
+export default {
+    /** @module StyleExpressionParser */
+    /** Parse an expression of the <a
+     * href="https://github.com/AnalyticalGraphicsInc/3d-tiles/tree/master/specification/Styling">3D
+     * Tiles styling language</a>, like <code>${height} > 50 ? color('red') :
+     * color('white')</code>. The expressions read the properties of the
+     * features with variables, like <code>${height}</code> or
+     * <code>${feature['height']}</code>, and can use the operators and the
+     * built-in functions of the specification: <code>color()</code>,
+     * <code>rgb()</code>, <code>rgba()</code>, <code>hsl()</code>,
+     * <code>hsla()</code>, <code>regExp()</code>, the vectors and the math
+     * functions. The comparisons and the logical operators behave as in
+     * JavaScript. The colors are THREE.Vector4, with components between 0 and
+     * 1.
+     *
+     * @function parse
+     * @param {string} expression - The expression.
+     * @param {Object} [defines] - The expressions of the variables of the
+     * style, by name, replacing the properties of the same name.
+     * @return {function} The evaluation of the expression, called with the
+     * properties of a feature, by name, and returning the value of the
+     * expression.
+     * @throws {Error} If the expression isn't valid.
+     *
+     * @example
+     * const expression = itowns.StyleExpressionParser.parse("regExp('^Rue').test(${name}) ? 'street' : 'other'");
+     * expression({ name: 'Rue de Rivoli' }); // 'street'
+     */
+    parse(expression, defines) {
+        const node = parseTokens(String(expression), defines);
+        return properties => evaluate(node, properties || {});
+    },
+};
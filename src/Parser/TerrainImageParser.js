@@ -0,0 +1,73 @@
+import { DataTexture, AlphaFormat, FloatType } from 'three';
+
+// Functions computing the elevation of a pixel from its red, green and blue
+// components, for each supported encoding
+const ENCODINGS = {
+    // https://www.mapbox.com/help/access-elevation-data/
+    'terrain-rgb': (r, g, b) => -10000 + (r * 65536 + g * 256 + b) * 0.1,
+    // https://github.com/tilezen/joerd/blob/master/docs/formats.md#terrarium
+    terrarium: (r, g, b) => (r * 256 + g + b / 256) - 32768,
+};
+
+let canvas;
+
+function getPixels(image) {
+    canvas = canvas || document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0);
+    return context.getImageData(0, 0, image.width, image.height).data;
+}
+
+/**
+ * The TerrainImageParser module decodes images whose colors encode elevations,
+ * like the [Mapbox Terrain-RGB]{@link https://www.mapbox.com/help/access-elevation-data/}
+ * or the [Terrarium]{@link https://github.com/tilezen/joerd/blob/master/docs/formats.md#terrarium}
+ * PNG tiles, into float elevation textures like the ones of BIL files.
+ *
+ * @module TerrainImageParser
+ */
+export default {
+    /**
+     * Decode the elevations of RGBA pixels.
+     *
+     * @param {Uint8Array|Uint8ClampedArray} pixels - the pixels, 4 bytes each.
+     * @param {string} encoding - <code>terrain-rgb</code> or
+     * <code>terrarium</code>.
+     *
+     * @return {Float32Array} the elevation of each pixel.
+     */
+    decode(pixels, encoding) {
+        const decodePixel = ENCODINGS[encoding];
+        if (!decodePixel) {
+            throw new Error(`TerrainImageParser: unsupported encoding ${encoding}`);
+        }
+        const elevations = new Float32Array(pixels.length / 4);
+        for (let i = 0; i < elevations.length; i++) {
+            elevations[i] = decodePixel(pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2]);
+        }
+        return elevations;
+    },
+
+    /**
+     * Parse a texture of an image encoding elevations.
+     *
+     * @param {THREE.Texture} texture - the texture, as returned by {@link
+     * Fetcher}.texture. Its image must be readable, i.e. same origin or
+     * fetched with CORS.
+     * @param {Object} options - options controlling the parsing.
+     * @param {string} options.encoding - <code>terrain-rgb</code> or
+     * <code>terrarium</code>.
+     *
+     * @return {Promise} a Promise resolving with a THREE.DataTexture of the
+     * elevations, with the same size as the image.
+     */
+    parse(texture, options) {
+        const image = texture.image;
+        const elevations = this.decode(getPixels(image), options.encoding);
+        const result = new DataTexture(elevations, image.width, image.height, AlphaFormat, FloatType);
+        result.needsUpdate = true;
+        return Promise.resolve(result);
+    },
+};
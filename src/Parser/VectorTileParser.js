@@ -32,9 +32,7 @@ function readPBF(file, options) {
                 const y = 1 << extentSource.zoom;
                 feature = l.feature(i).toGeoJSON(extentSource.col, y - extentSource.row - 1, extentSource.zoom);
             }
-            if (layers.length > 1) {
-                feature.properties.vt_layer = layer_id;
-            }
+            feature.properties.vt_layer = layer_id;
 
             geojson.features.push(feature);
         }
@@ -44,7 +42,7 @@ function readPBF(file, options) {
         crsIn: options.crsIn,
         crsOut: options.crsOut,
         filteringExtent: options.filteringExtent,
-        filter: options.filter,
+        filter: options.filter && ((properties, geometry) => options.filter(properties, geometry, extentSource.zoom)),
         buildExtent: true,
     }).then((f) => {
         f.extent.zoom = extentSource.zoom;
@@ -69,6 +67,9 @@ export default {
      * @param {Extent=} options.filteringExtent - Optional filter to reject features
      * outside of this extent.
      * @param {function=} options.filter - Filter function to remove features.
+     * It's called with the properties of each feature, its geometry, and the
+     * zoom level of the tile. The name of the layer of the tile containing the
+     * feature is its <code>vt_layer</code> property.
      * @param {string=} options.origin - This option is to be set to the correct
      * value, bottom or top (default being bottom), if the computation of the
      * coordinates needs to be inverted to same scheme as OSM, Google Maps or
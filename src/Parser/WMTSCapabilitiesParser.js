@@ -0,0 +1,218 @@
+import Extent from '../Core/Geographic/Extent';
+
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+// Returns the direct children of node whose local name (i.e. without
+// namespace prefix) is localName. Namespace prefixes are free in a WMTS
+// capabilities document, so they can't be used to find elements.
+function getChildren(node, localName) {
+    const result = [];
+    if (!node) {
+        return result;
+    }
+    for (let i = 0; i < node.childNodes.length; i++) {
+        const child = node.childNodes[i];
+        if (child.nodeType === 1 && (child.localName || child.nodeName.split(':').pop()) === localName) {
+            result.push(child);
+        }
+    }
+    return result;
+}
+
+function getChild(node, localName) {
+    return getChildren(node, localName)[0];
+}
+
+function getText(node, localName) {
+    const child = getChild(node, localName);
+    return child ? child.textContent.trim() : undefined;
+}
+
+function getNumbers(node, localName) {
+    const text = getText(node, localName);
+    return text ? text.split(/\s+/).map(Number) : undefined;
+}
+
+function getHref(node) {
+    if (!node) {
+        return;
+    }
+    return node.getAttributeNS(XLINK_NS, 'href') || node.getAttribute('xlink:href') || undefined;
+}
+
+function readTileMatrixSet(node) {
+    const tileMatrixSet = {
+        identifier: getText(node, 'Identifier'),
+        supportedCRS: getText(node, 'SupportedCRS'),
+        wellKnownScaleSet: getText(node, 'WellKnownScaleSet'),
+        tileMatrices: [],
+    };
+
+    for (const tileMatrix of getChildren(node, 'TileMatrix')) {
+        tileMatrixSet.tileMatrices.push({
+            identifier: getText(tileMatrix, 'Identifier'),
+            scaleDenominator: Number(getText(tileMatrix, 'ScaleDenominator')),
+            topLeftCorner: getNumbers(tileMatrix, 'TopLeftCorner'),
+            tileWidth: Number(getText(tileMatrix, 'TileWidth')),
+            tileHeight: Number(getText(tileMatrix, 'TileHeight')),
+            matrixWidth: Number(getText(tileMatrix, 'MatrixWidth')),
+            matrixHeight: Number(getText(tileMatrix, 'MatrixHeight')),
+        });
+    }
+
+    return tileMatrixSet;
+}
+
+function readTileMatrixSetLink(node) {
+    const link = {
+        tileMatrixSet: getText(node, 'TileMatrixSet'),
+    };
+
+    const limits = getChild(node, 'TileMatrixSetLimits');
+    if (limits) {
+        link.limits = {};
+        for (const tileMatrixLimits of getChildren(limits, 'TileMatrixLimits')) {
+            link.limits[getText(tileMatrixLimits, 'TileMatrix')] = {
+                minTileRow: Number(getText(tileMatrixLimits, 'MinTileRow')),
+                maxTileRow: Number(getText(tileMatrixLimits, 'MaxTileRow')),
+                minTileCol: Number(getText(tileMatrixLimits, 'MinTileCol')),
+                maxTileCol: Number(getText(tileMatrixLimits, 'MaxTileCol')),
+            };
+        }
+    }
+
+    return link;
+}
+
+function readLayer(node) {
+    const layer = {
+        identifier: getText(node, 'Identifier'),
+        title: getText(node, 'Title'),
+        formats: getChildren(node, 'Format').map(f => f.textContent.trim()),
+        styles: [],
+        tileMatrixSetLinks: getChildren(node, 'TileMatrixSetLink').map(readTileMatrixSetLink),
+        resourceUrls: [],
+    };
+
+    for (const style of getChildren(node, 'Style')) {
+        const identifier = getText(style, 'Identifier');
+        layer.styles.push(identifier);
+        if (style.getAttribute('isDefault') === 'true') {
+            layer.defaultStyle = identifier;
+        }
+    }
+    layer.defaultStyle = layer.defaultStyle || layer.styles[0];
+
+    for (const resourceUrl of getChildren(node, 'ResourceURL')) {
+        layer.resourceUrls.push({
+            format: resourceUrl.getAttribute('format'),
+            resourceType: resourceUrl.getAttribute('resourceType'),
+            template: resourceUrl.getAttribute('template'),
+        });
+    }
+
+    const bbox = getChild(node, 'WGS84BoundingBox');
+    if (bbox) {
+        const lower = getNumbers(bbox, 'LowerCorner');
+        const upper = getNumbers(bbox, 'UpperCorner');
+        layer.extent = new Extent('EPSG:4326', lower[0], upper[0], lower[1], upper[1]);
+    }
+
+    return layer;
+}
+
+function readGetTileUrls(root) {
+    const urls = {};
+    const operationsMetadata = getChild(root, 'OperationsMetadata');
+    const getTile = getChildren(operationsMetadata, 'Operation').find(o => o.getAttribute('name') === 'GetTile');
+    if (!getTile) {
+        return urls;
+    }
+    for (const dcp of getChildren(getTile, 'DCP')) {
+        for (const get of getChildren(getChild(dcp, 'HTTP'), 'Get')) {
+            const href = getHref(get);
+            const constraint = getChildren(get, 'Constraint').find(c => c.getAttribute('name') === 'GetEncoding');
+            // Without any constraint, KVP is the default encoding
+            const encodings = constraint ?
+                getChildren(getChild(constraint, 'AllowedValues'), 'Value').map(v => v.textContent.trim()) :
+                ['KVP'];
+            for (const encoding of encodings) {
+                urls[encoding] = urls[encoding] || href;
+            }
+        }
+    }
+    return urls;
+}
+
+function readAttribution(root) {
+    const provider = getChild(root, 'ServiceProvider');
+    const name = getText(provider, 'ProviderName');
+    if (name) {
+        return {
+            name,
+            url: getHref(getChild(provider, 'ProviderSite')),
+        };
+    }
+}
+
+/**
+ * An object describing a WMTS capabilities document, limited to what is
+ * needed to configure a {@link WMTSSource}.
+ *
+ * @typedef {Object} WMTSCapabilities
+ * @property {Object} layers - the layers of the document, indexed by their
+ * identifier. Each layer has an <code>identifier</code>, a <code>title</code>,
+ * its <code>formats</code>, its <code>styles</code> identifiers and its
+ * <code>defaultStyle</code>, its <code>tileMatrixSetLinks</code> (with the
+ * limits of each tile matrix, indexed by tile matrix identifier), its
+ * <code>resourceUrls</code> (RESTful templates) and its <code>extent</code>
+ * in EPSG:4326.
+ * @property {Object} tileMatrixSets - the tile matrix sets of the document,
+ * indexed by their identifier. Each one has its <code>supportedCRS</code> and
+ * its <code>tileMatrices</code> (identifier, scale denominator, top left
+ * corner, tile size and matrix size).
+ * @property {Object} getTileUrls - the GetTile urls, indexed by encoding
+ * (<code>KVP</code> or <code>REST</code>).
+ * @property {Attribution} [attribution] - the provider of the service.
+ */
+
+/**
+ * The WMTSCapabilitiesParser module provides a [parse]{@link
+ * module:WMTSCapabilitiesParser.parse} method that reads a WMTS GetCapabilities
+ * document.
+ *
+ * @module WMTSCapabilitiesParser
+ */
+export default {
+    /**
+     * Parse a WMTS GetCapabilities document.
+     *
+     * @param {Document} xml - the capabilities document, as returned by
+     * {@link Fetcher}.xml
+     *
+     * @return {WMTSCapabilities} the capabilities
+     */
+    parse(xml) {
+        const root = xml.documentElement;
+        if (!root || (root.localName || root.nodeName) !== 'Capabilities') {
+            throw new Error('WMTSCapabilitiesParser: not a WMTS capabilities document');
+        }
+
+        const capabilities = {
+            layers: {},
+            tileMatrixSets: {},
+            getTileUrls: readGetTileUrls(root),
+            attribution: readAttribution(root),
+        };
+
+        const contents = getChild(root, 'Contents');
+        for (const layer of getChildren(contents, 'Layer').map(readLayer)) {
+            capabilities.layers[layer.identifier] = layer;
+        }
+        for (const tileMatrixSet of getChildren(contents, 'TileMatrixSet').map(readTileMatrixSet)) {
+            capabilities.tileMatrixSets[tileMatrixSet.identifier] = tileMatrixSet;
+        }
+
+        return capabilities;
+    },
+};
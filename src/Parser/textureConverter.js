@@ -23,6 +23,7 @@ export default {
                 undefined;
 
             const extentTexture = extentDestination.as(layer.projection);
+            extentTexture.zoom = extentDestination.zoom;
             texture = Feature2Texture.createTextureFromFeature(data, extentTexture, 256, layer.style, backgroundColor);
             texture.parsedData = data;
             texture.coords = extentDestination;
@@ -1,5 +1,12 @@
 import * as THREE from 'three';
 import Extent from '../Core/Geographic/Extent';
+import CancelledCommandException from '../Core/Scheduler/CancelledCommandException';
+
+// The children of a tile aren't needed anymore once it is culled or deleted,
+// or once the layer is hidden
+function isObsolete(cmd) {
+    return cmd.requester && (!cmd.requester.parent || !cmd.requester.visible || !cmd.layer.visible);
+}
 
 function requestNewTile(view, scheduler, geometryLayer, metadata, parent, redraw) {
     const command = {
@@ -11,6 +18,7 @@ function requestNewTile(view, scheduler, geometryLayer, metadata, parent, redraw
         /* specific params */
         metadata,
         redraw,
+        earlyDropFunction: isObsolete,
     };
 
     return scheduler.execute(command);
@@ -34,15 +42,12 @@ function subdivideNode(context, layer, node, cullingTest) {
 
 const tmpBox3 = new THREE.Box3();
 const tmpSphere = new THREE.Sphere();
+const tmpBoxMatrix = new THREE.Matrix4();
 function boundingVolumeToExtent(crs, volume, transform) {
     if (volume.region) {
-        return new Extent('EPSG:4326',
-            THREE.Math.radToDeg(volume.region[0]),
-            THREE.Math.radToDeg(volume.region[2]),
-            THREE.Math.radToDeg(volume.region[1]),
-            THREE.Math.radToDeg(volume.region[3]));
+        return volume.extent.clone();
     } else if (volume.box) {
-        const box = tmpBox3.copy(volume.box).applyMatrix4(transform);
+        const box = tmpBox3.copy(volume.box).applyMatrix4(tmpBoxMatrix.multiplyMatrices(transform, volume.matrix));
         return Extent.fromBox3(crs, box);
     } else {
         const sphere = tmpSphere.copy(volume.sphere).applyMatrix4(transform);
@@ -88,6 +93,12 @@ function _subdivideNodeAdditive(context, layer, node, cullingTest) {
             context.view.notifyChange(child);
             child.loaded = true;
             delete child.promise;
+        }, (error) => {
+            if (!(error instanceof CancelledCommandException)) {
+                throw error;
+            }
+            // the child is requested again when it's needed
+            delete child.promise;
         });
     }
 }
@@ -100,61 +111,96 @@ function _subdivideNodeSubstractive(context, layer, node) {
         }
         node.pendingSubdivision = true;
 
-        const promises = [];
-        for (let i = 0; i < childrenTiles.length; i++) {
-            promises.push(
-                requestNewTile(context.view, context.scheduler, layer, childrenTiles[i], node, false).then((tile) => {
-                    childrenTiles[i].loaded = true;
-                    node.add(tile);
-                    tile.updateMatrixWorld();
-                    if (node.additiveRefinement) {
-                        context.view.notifyChange(node);
-                    }
-                    layer.tileIndex.index[tile.tileId].loaded = true;
-                }));
-        }
-        Promise.all(promises).then(() => {
+        // the children replace the node together, once they are all loaded.
+        // A failed child, like a cancelled one, resolves to undefined.
+        const promises = childrenTiles.map(child =>
+            requestNewTile(context.view, context.scheduler, layer, child, node, false).catch(() => undefined));
+        Promise.all(promises).then((tiles) => {
             node.pendingSubdivision = false;
+            if (tiles.some(tile => !tile)) {
+                // some commands were cancelled or failed: the node is
+                // subdivided again when it's needed
+                for (const tile of tiles) {
+                    if (tile) {
+                        disposeTile(tile);
+                    }
+                }
+                return;
+            }
+            for (const tile of tiles) {
+                node.add(tile);
+                tile.updateMatrixWorld();
+                layer.tileIndex.index[tile.tileId].loaded = true;
+            }
             context.view.notifyChange(node);
         });
     }
 }
 
+const tmpPosition = new THREE.Vector3();
+const tmpInverse = new THREE.Matrix4();
+
+/**
+ * Test if the camera is inside a volume of a tile, as its viewer request
+ * volume.
+ *
+ * @param {Camera} camera - The camera.
+ * @param {Object} volume - The volume, converted by the 3D Tiles index.
+ * @param {THREE.Matrix4} tileMatrixWorld - The matrix of the tile.
+ *
+ * @return {boolean} true if the camera is inside the volume.
+ * @private
+ */
+export function isCameraInVolume(camera, volume, tileMatrixWorld) {
+    if (volume.region) {
+        // the regions are geographic, whatever the transform of the tile
+        const position = camera.position('EPSG:4326');
+        return volume.extent.isPointInside(position) &&
+            position.altitude() >= volume.minHeight &&
+            position.altitude() <= volume.maxHeight;
+    } else if (volume.box) {
+        // in the frame of the box
+        tmpInverse.getInverse(tmpBoxMatrix.multiplyMatrices(tileMatrixWorld, volume.matrix));
+        return volume.box.containsPoint(tmpPosition.copy(camera.camera3D.position).applyMatrix4(tmpInverse));
+    } else if (volume.sphere) {
+        return tmpSphere.copy(volume.sphere).applyMatrix4(tileMatrixWorld).containsPoint(camera.camera3D.position);
+    }
+    return true;
+}
+
+/**
+ * Test if a volume of a tile, as its bounding volume, is outside the view
+ * frustum of the camera.
+ *
+ * @param {Camera} camera - The camera.
+ * @param {Object} volume - The volume, converted by the 3D Tiles index.
+ * @param {THREE.Matrix4} tileMatrixWorld - The matrix of the tile.
+ *
+ * @return {boolean} true if the volume is culled.
+ * @private
+ */
+export function isVolumeCulled(camera, volume, tileMatrixWorld) {
+    if (volume.region) {
+        return !camera.isBox3Visible(volume.region.box3D,
+            tmpBoxMatrix.multiplyMatrices(tileMatrixWorld, volume.region.matrix));
+    } else if (volume.box) {
+        return !camera.isBox3Visible(volume.box, tmpBoxMatrix.multiplyMatrices(tileMatrixWorld, volume.matrix));
+    } else if (volume.sphere) {
+        return !camera.isSphereVisible(volume.sphere, tileMatrixWorld);
+    }
+    return false;
+}
+
 export function $3dTilesCulling(camera, node, tileMatrixWorld) {
     // For viewer Request Volume https://github.com/AnalyticalGraphicsInc/3d-tiles-samples/tree/master/tilesets/TilesetWithRequestVolume
-    if (node.viewerRequestVolume) {
-        const nodeViewer = node.viewerRequestVolume;
-        if (nodeViewer.region) {
-            // TODO
-            return true;
-        }
-        if (nodeViewer.box) {
-            // TODO
-            return true;
-        }
-        if (nodeViewer.sphere) {
-            const worldCoordinateCenter = nodeViewer.sphere.center.clone();
-            worldCoordinateCenter.applyMatrix4(tileMatrixWorld);
-            // To check the distance between the center sphere and the camera
-            if (!(camera.camera3D.position.distanceTo(worldCoordinateCenter) <= nodeViewer.sphere.radius)) {
-                return true;
-            }
-        }
+    // the tile is only requested and displayed when the camera is inside
+    if (node.viewerRequestVolume && !isCameraInVolume(camera, node.viewerRequestVolume, tileMatrixWorld)) {
+        return true;
     }
 
     // For bounding volume
     if (node.boundingVolume) {
-        const boundingVolume = node.boundingVolume;
-        if (boundingVolume.region) {
-            return !camera.isBox3Visible(boundingVolume.region.box3D,
-                tileMatrixWorld.clone().multiply(boundingVolume.region.matrix));
-        }
-        if (boundingVolume.box) {
-            return !camera.isBox3Visible(boundingVolume.box, tileMatrixWorld);
-        }
-        if (boundingVolume.sphere) {
-            return !camera.isSphereVisible(boundingVolume.sphere, tileMatrixWorld);
-        }
+        return isVolumeCulled(camera, node.boundingVolume, tileMatrixWorld);
     }
     return false;
 }
@@ -191,6 +237,13 @@ function cleanup3dTileset(layer, n, depth = 0) {
         if (n.dispose) {
             n.dispose();
         }
+        if (n.content) {
+            n.content.traverse((part) => {
+                if (part.batchTable) {
+                    part.batchTable.dispose();
+                }
+            });
+        }
         delete n.content;
         layer.tileIndex.index[n.tileId].loaded = false;
         n.remove(...n.children);
@@ -222,6 +275,18 @@ function _cleanupObject3D(n) {
     n.remove(...n.children);
 }
 
+// Frees the resources of a tile that was loaded but never displayed
+function disposeTile(tile) {
+    if (tile.content) {
+        tile.content.traverse((part) => {
+            if (part.batchTable) {
+                part.batchTable.dispose();
+            }
+        });
+    }
+    _cleanupObject3D(tile);
+}
+
 // this is a layer
 export function pre3dTilesUpdate(context) {
     if (!this.visible) {
@@ -274,7 +339,7 @@ export function computeNodeSSE(camera, node) {
     } else if (node.boundingVolume.box) {
         // boundingVolume.box is affected by matrixWorld
         boundingVolumeBox.copy(node.boundingVolume.box);
-        boundingVolumeBox.applyMatrix4(node.matrixWorld);
+        boundingVolumeBox.applyMatrix4(tmpBoxMatrix.multiplyMatrices(node.matrixWorld, node.boundingVolume.matrix));
         node.distance = boundingVolumeBox.distanceToPoint(camera.camera3D.position);
     } else if (node.boundingVolume.sphere) {
         // boundingVolume.sphere is affected by matrixWorld
@@ -311,7 +376,8 @@ function setDisplayed(node, display) {
     // To change the display state, we change node.content.visible instead of
     // node.material.visible
     if (node.content) {
-        node.content.visible = display;
+        // the content is also culled by its own bounding volume
+        node.content.visible = display && !node.contentCulled;
     }
 }
 
@@ -333,6 +399,8 @@ export function process3dTilesNode(cullingTest = $3dTilesCulling, subdivisionTes
         // do proper culling
         const isVisible = cullingTest ? (!cullingTest(context.camera, node, node.matrixWorld)) : true;
         node.visible = isVisible;
+        node.contentCulled = isVisible && cullingTest && node.contentBoundingVolume ?
+            isVolumeCulled(context.camera, node.contentBoundingVolume, node.matrixWorld) : false;
 
 
         if (isVisible) {
@@ -2,22 +2,37 @@ import * as THREE from 'three';
 import LayerUpdateState from '../Layer/LayerUpdateState';
 import CancelledCommandException from '../Core/Scheduler/CancelledCommandException';
 import ObjectRemovalHelper from './ObjectRemovalHelper';
+import Feature2Mesh from '../Renderer/ThreeExtended/Feature2Mesh';
+import DEMUtils from '../utils/DEMUtils';
 
 
 const vector = new THREE.Vector3();
 function applyOffset(obj, offset, quaternion, offsetAltitude) {
     if (obj.geometry) {
         if (obj.geometry instanceof THREE.BufferGeometry) {
-            for (let i = 0; i < obj.geometry.attributes.position.count; i++) {
-                const i3 = 3 * i;
-                vector.fromArray(obj.geometry.attributes.position.array, i3);
-                vector.add(offset).applyQuaternion(quaternion);
-                if (offsetAltitude) {
-                    vector.z -= offsetAltitude;
+            // The wide lines also have the positions of the other ends of
+            // their segments
+            const attributes = [obj.geometry.attributes.position, obj.geometry.attributes.other];
+            for (const attribute of attributes.filter(a => a)) {
+                for (let i = 0; i < attribute.count; i++) {
+                    const i3 = 3 * i;
+                    vector.fromArray(attribute.array, i3);
+                    vector.add(offset).applyQuaternion(quaternion);
+                    if (offsetAltitude) {
+                        vector.z -= offsetAltitude;
+                    }
+                    vector.toArray(attribute.array, i3);
+                }
+                attribute.needsUpdate = true;
+            }
+            // The normals of the extruded polygons are only rotated
+            const normal = obj.geometry.attributes.normal;
+            if (normal) {
+                for (let i = 0; i < normal.count; i++) {
+                    vector.fromArray(normal.array, 3 * i).applyQuaternion(quaternion).toArray(normal.array, 3 * i);
                 }
-                vector.toArray(obj.geometry.attributes.position.array, i3);
+                normal.needsUpdate = true;
             }
-            obj.geometry.attributes.position.needsUpdate = true;
         } else {
             for (const v of obj.geometry.vertices) {
                 v.add(offset).applyQuaternion(quaternion);
@@ -42,6 +57,30 @@ function assignLayer(object, layer) {
     }
 }
 
+// Convert again the meshes converted by Feature2Mesh, with a new style or on a
+// new terrain. A single mesh is replaced by the converted one.
+function reconvert(feat, style) {
+    const restyled = Feature2Mesh.restyle(feat, style);
+    restyled.minAltitude = feat.minAltitude;
+    restyled.geometryOffset = feat.geometryOffset;
+    if (restyled.geometryOffset) {
+        applyOffset(restyled, restyled.geometryOffset.offset, restyled.geometryOffset.quaternion, restyled.geometryOffset.altitude);
+    }
+    return restyled;
+}
+
+// The features of a tile aren't needed anymore once it is culled or deleted,
+// or once the layer is hidden
+function isObsolete(cmd) {
+    return !cmd.requester.parent || !cmd.requester.material || !cmd.requester.visible || !cmd.layer.visible;
+}
+
+// The features not in the absolute altitude mode are placed on the ground
+// read in the tiles of the layer they're attached to
+function isClamped(layer) {
+    return layer.altitudeMode !== undefined && layer.altitudeMode != 'absolute';
+}
+
 const quaternion = new THREE.Quaternion();
 export default {
     update(context, layer, node) {
@@ -58,18 +97,31 @@ export default {
         // FIXME: traverse is do for each frame in each object3D
         const opacity = layer.opacity === undefined ? 1.0 : layer.opacity;
         const wireframe = layer.wireframe === undefined ? false : layer.wireframe;
-        for (const feat of features) {
+        for (let feat of features) {
+            // The meshes converted by Feature2Mesh are restyled when a new
+            // style is assigned to the layer, and clamped again when finer
+            // elevation textures are loaded
+            if (layer.style && feat.style !== undefined && feat.style !== layer.style) {
+                feat = reconvert(feat, layer.style);
+                feat.elevationVersion = node.elevationVersion;
+            } else if (isClamped(layer) && feat.style !== undefined && feat.elevationVersion !== node.elevationVersion) {
+                feat = reconvert(feat, feat.style);
+                feat.elevationVersion = node.elevationVersion;
+            }
             feat.traverse((o) => {
-                if (o.material) {
-                    o.material.transparent = opacity < 1.0;
-                    o.material.opacity = opacity;
-                    o.material.wireframe = wireframe;
+                // The extruded polygons can have a material for their walls
+                // and one for their roofs
+                for (const material of o.material ? [].concat(o.material) : []) {
+                    const materialOpacity = opacity * (o.styleOpacity === undefined ? 1.0 : o.styleOpacity);
+                    material.transparent = materialOpacity < 1.0;
+                    material.opacity = materialOpacity;
+                    material.wireframe = wireframe;
 
                     if (layer.size) {
-                        o.material.size = layer.size;
+                        material.size = layer.size;
                     }
                     if (layer.linewidth) {
-                        o.material.linewidth = layer.linewidth;
+                        material.linewidth = layer.linewidth;
                     }
                 }
             });
@@ -102,12 +154,21 @@ export default {
 
         node.layerUpdateState[layer.id].newTry();
 
+        if (isClamped(layer) && !layer.groundAltitude) {
+            const tileLayer = node.layer;
+            layer.groundAltitude = (coordinates) => {
+                const result = DEMUtils.getElevationValueAt(tileLayer, coordinates);
+                return result ? result.z : 0;
+            };
+        }
+
         const command = {
             layer,
             extentsSource,
             view: context.view,
             threejsLayer: layer.threejsLayer,
             requester: node,
+            earlyDropFunction: isObsolete,
         };
 
         context.scheduler.execute(command).then((result) => {
@@ -134,12 +195,15 @@ export default {
                     quaternion.setFromRotationMatrix(node.matrixWorld).inverse();
                     // const quaternion = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 0, 1), node.extent.center().geodesicNormal).inverse();
                     applyOffset(result, tmp, quaternion, result.minAltitude);
+                    // Kept to apply it again to restyled meshes
+                    result.geometryOffset = { offset: tmp, quaternion: quaternion.clone(), altitude: result.minAltitude };
                 }
 
                 if (result.minAltitude) {
                     result.position.z = result.minAltitude;
                 }
                 result.layer = layer;
+                result.elevationVersion = node.elevationVersion;
                 node.add(result);
                 node.updateMatrixWorld();
             } else {
@@ -149,7 +213,7 @@ export default {
         (err) => {
             if (err instanceof CancelledCommandException) {
                 node.layerUpdateState[layer.id].success();
-            } else if (err instanceof SyntaxError) {
+            } else if (err instanceof SyntaxError || err.emptyTile) {
                 node.layerUpdateState[layer.id].failure(0, true);
             } else {
                 node.layerUpdateState[layer.id].failure(Date.now());
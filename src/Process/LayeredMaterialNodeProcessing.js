@@ -3,14 +3,16 @@ import { chooseNextLevelToFetch } from '../Layer/LayerUpdateStrategy';
 import LayerUpdateState from '../Layer/LayerUpdateState';
 import { ImageryLayers } from '../Layer/Layer';
 import CancelledCommandException from '../Core/Scheduler/CancelledCommandException';
-import { SIZE_TEXTURE_TILE } from '../Provider/OGCWebServiceHelper';
+import OGCWebServiceHelper from '../Provider/OGCWebServiceHelper';
 import computeMinMaxElevation from '../Parser/XbilParser';
 
 // max retry loading before changing the status to definitiveError
 const MAX_RETRY = 4;
 
 function getSourceExtent(node, extent, targetLevel, source) {
-    if (source && source.getSourceExtents) {
+    if (source && source.tileMatrices) {
+        return OGCWebServiceHelper.getTileMatricesParent(extent, targetLevel, source);
+    } else if (source && source.getSourceExtents) {
         return source.getSourceExtents(extent).extent;
     } else if (extent.isTiledCrs()) {
         return extent.extentParent(targetLevel);
@@ -77,7 +79,7 @@ function initNodeElevationTextureFromParent(node, parent, layer) {
         if (!useMinMaxFromParent) {
             const { min, max } = computeMinMaxElevation(
                 texture.image.data,
-                SIZE_TEXTURE_TILE, SIZE_TEXTURE_TILE,
+                texture.image.width, texture.image.height,
                 pitch);
             elevation.min = min;
             elevation.max = max;
@@ -87,13 +89,13 @@ function initNodeElevationTextureFromParent(node, parent, layer) {
     }
 }
 
-function getIndiceWithPitch(i, pitch, w) {
+function getIndiceWithPitch(i, pitch, w, h, parentWidth, parentHeight) {
     // Return corresponding indice in parent tile using pitch
     const currentX = (i % w) / w;  // normalized
-    const currentY = Math.floor(i / w) / w; // normalized
+    const currentY = Math.floor(i / w) / h; // normalized
     const newX = pitch.x + currentX * pitch.z;
     const newY = pitch.y + currentY * pitch.w;
-    const newIndice = Math.floor(newY * w) * w + Math.floor(newX * w);
+    const newIndice = Math.floor(newY * parentHeight) * parentWidth + Math.floor(newX * parentWidth);
     return newIndice;
 }
 
@@ -107,7 +109,9 @@ function insertSignificantValuesFromParent(texture, node, parent, layer) {
 
         for (var i = 0; i < l; ++i) {
             if (tData[i] === layer.noDataValue) {
-                tData[i] = textureParent.image.data[getIndiceWithPitch(i, pitch, 256)];
+                tData[i] = textureParent.image.data[getIndiceWithPitch(i, pitch,
+                    texture.image.width, texture.image.height,
+                    textureParent.image.width, textureParent.image.height)];
             }
         }
     }
@@ -292,6 +296,9 @@ export function updateLayeredMaterialNodeImagery(context, layer, node, parent) {
         (err) => {
             if (err instanceof CancelledCommandException) {
                 node.layerUpdateState[layer.id].success();
+            } else if (err.emptyTile) {
+                // The source has no data for this tile, keep the current texture
+                node.layerUpdateState[layer.id].noMoreUpdatePossible();
             } else {
                 if (__DEBUG__) {
                     console.warn('Imagery texture update error for', node, err);
@@ -359,7 +366,7 @@ export function updateLayeredMaterialNodeElevation(context, layer, node, parent)
 
     const extentsSource = [];
     for (const nodeExtent of extentsDestination) {
-        const extentSource = getSourceExtent(node, nodeExtent, targetLevel);
+        const extentSource = getSourceExtent(node, nodeExtent, targetLevel, layer.source);
         if (extentSource && !layer.source.extentInsideLimit(extentSource)) {
             node.layerUpdateState[layer.id].noMoreUpdatePossible();
             return;
@@ -417,6 +424,9 @@ export function updateLayeredMaterialNodeElevation(context, layer, node, parent)
         (err) => {
             if (err instanceof CancelledCommandException) {
                 node.layerUpdateState[layer.id].success();
+            } else if (err.emptyTile) {
+                // The source has no data for this tile, keep the current elevation
+                node.layerUpdateState[layer.id].noMoreUpdatePossible();
             } else {
                 if (__DEBUG__) {
                     console.warn('Elevation texture update error for', node, err);
@@ -14,7 +14,9 @@ export default {
                 obj.geometry = null;
             }
             if (obj.material) {
-                obj.material.dispose();
+                for (const material of [].concat(obj.material)) {
+                    material.dispose();
+                }
                 obj.material = null;
             }
         }
@@ -1,9 +1,14 @@
 import * as THREE from 'three';
 import B3dmParser from '../Parser/B3dmParser';
 import PntsParser from '../Parser/PntsParser';
+import I3dmParser from '../Parser/I3dmParser';
+import CmptParser from '../Parser/CmptParser';
 import Fetcher from './Fetcher';
+import NetworkPolicy from './NetworkPolicy';
 import OBB from '../Renderer/ThreeExtended/OBB';
 import Extent from '../Core/Geographic/Extent';
+import Picking from '../Core/Picking';
+import $3dTilesStyle from '../Renderer/3dTilesStyle';
 import { pre3dTilesUpdate, process3dTilesNode, init3dTilesLayer } from '../Process/3dTilesProcessing';
 import utf8Decoder from '../utils/Utf8Decoder';
 
@@ -30,8 +35,10 @@ export function $3dTilesIndex(tileset, baseURL) {
 
         // getBox only use inverseTileTransform for volume.region so let's not
         // compute the inverse matrix each time
+        const contentVolume = node.content ? node.content.boundingVolume : undefined;
         if ((node.viewerRequestVolume && node.viewerRequestVolume.region)
-            || (node.boundingVolume && node.boundingVolume.region)) {
+            || (node.boundingVolume && node.boundingVolume.region)
+            || (contentVolume && contentVolume.region)) {
             if (node._worldFromLocalTransform) {
                 inverseTileTransform.getInverse(node._worldFromLocalTransform);
             } else {
@@ -41,6 +48,16 @@ export function $3dTilesIndex(tileset, baseURL) {
 
         node.viewerRequestVolume = node.viewerRequestVolume ? getBox(node.viewerRequestVolume, inverseTileTransform) : undefined;
         node.boundingVolume = getBox(node.boundingVolume, inverseTileTransform);
+        // the tighter volume of the content, used to cull the content only
+        node.contentBoundingVolume = contentVolume ? getBox(contentVolume, inverseTileTransform) : undefined;
+
+        // the refinement is inherited from the parent, the roots define it
+        // (or replace their content by default)
+        if (node.refine) {
+            node.refine = node.refine.toUpperCase();
+        } else {
+            node.refine = parent ? parent.refine : 'REPLACE';
+        }
 
         this.index[counter] = node;
         node.tileId = counter;
@@ -83,6 +100,17 @@ export function getObjectToUpdateForAttachedLayers(meta) {
     }
 }
 
+function styleTile(layer, tile, style) {
+    try {
+        if (!style.applyToTile(tile) && !layer._warnedUnstylablePoints) {
+            layer._warnedUnstylablePoints = true;
+            console.warn(`The points of the 3D Tiles layer ${layer.id} can only be colored by the style, with their material`);
+        }
+    } catch (e) {
+        console.warn(`The style of the 3D Tiles layer ${layer.id} can't be applied: ${e.message}`);
+    }
+}
+
 function preprocessDataLayer(layer, view, scheduler) {
     layer.preUpdate = layer.preUpdate || pre3dTilesUpdate;
     layer.update = layer.update || process3dTilesNode();
@@ -90,9 +118,26 @@ function preprocessDataLayer(layer, view, scheduler) {
     layer.cleanupDelay = layer.cleanupDelay || 1000;
     // override the default method, since updated objects are metadata in this case
     layer.getObjectToUpdateForAttachedLayers = getObjectToUpdateForAttachedLayers;
+    // the picked features are described by the batch tables of the tiles
+    layer.pickObjectsAt = (view, mouse, radius) => Picking.pick3dTilesAt(view, mouse, radius, layer);
+    // the style is applied again to the loaded tiles when it is replaced
+    layer._style = layer.style ? new $3dTilesStyle(layer.style) : undefined;
+    layer.defineLayerProperty('style', undefined, () => {
+        const style = layer.style ? new $3dTilesStyle(layer.style) : undefined;
+        layer._style = style;
+        layer.object3d.traverse((tile) => {
+            if (tile.content) {
+                styleTile(layer, tile, style || new $3dTilesStyle());
+            }
+        });
+        view.notifyChange(layer);
+    });
 
     layer._cleanableTiles = [];
-    return Fetcher.json(layer.url, layer.networkOptions).then((tileset) => {
+    if (layer.transformRequest) {
+        layer.networkOptions = Object.assign({}, layer.networkOptions, { transformRequest: layer.transformRequest });
+    }
+    return NetworkPolicy.fetch(layer.url, Fetcher.json, layer.networkOptions, layer.networkPolicy, layer).then((tileset) => {
         layer.tileset = tileset;
         const urlPrefix = layer.url.slice(0, layer.url.lastIndexOf('/') + 1);
         layer.tileIndex = new $3dTilesIndex(tileset, urlPrefix);
@@ -101,7 +146,49 @@ function preprocessDataLayer(layer, view, scheduler) {
     });
 }
 
-function getBox(volume, inverseTileTransform) {
+// Complete the degenerate axes of the boxes, whose half-length is 0, with
+// orthonormal axes
+function completeAxes(axes) {
+    for (let i = 0; i < 3; i++) {
+        if (axes[i].lengthSq() == 0) {
+            const a = axes[(i + 1) % 3];
+            const b = axes[(i + 2) % 3];
+            axes[i].crossVectors(a, b);
+            if (axes[i].lengthSq() == 0) {
+                // a perpendicular of the other axis, or the default axis
+                const other = a.lengthSq() > 0 ? a : b;
+                if (other.lengthSq() > 0) {
+                    axes[i].set(0, 0, 0).setComponent(Math.abs(other.x) < 0.9 ? 0 : 1, 1).cross(other);
+                } else {
+                    axes[i].setComponent(i, 1);
+                }
+            }
+            axes[i].normalize();
+        }
+    }
+}
+
+/**
+ * Convert a bounding volume of a tileset to three.js objects.
+ * <ul>
+ * <li>A region becomes an {@link OBB} (<code>region</code>), in the frame
+ * of the tile. The regions aren't affected by the transforms of the tiles:
+ * the inverse transform of the tile is applied to the OBB. Its extent, in
+ * degrees (<code>extent</code>), and its heights (<code>minHeight</code> and
+ * <code>maxHeight</code>) are kept.</li>
+ * <li>A box becomes a THREE.Box3 centered on the origin (<code>box</code>),
+ * and the matrix of its axes and its center (<code>matrix</code>).</li>
+ * <li>A sphere becomes a THREE.Sphere (<code>sphere</code>).</li>
+ * </ul>
+ *
+ * @param {Object} volume - The volume, as in the tileset.
+ * @param {THREE.Matrix4} inverseTileTransform - The inverse of the transform
+ * of the tile, in the world.
+ *
+ * @return {Object} The converted volume.
+ * @private
+ */
+export function getBox(volume, inverseTileTransform) {
     if (volume.region) {
         const region = volume.region;
         const extent = new Extent('EPSG:4326',
@@ -119,43 +206,59 @@ function getBox(volume, inverseTileTransform) {
         box.matrix.premultiply(inverseTileTransform);
         // update position, rotation and scale
         box.matrix.decompose(box.position, box.quaternion, box.scale);
-        return { region: box };
+        return { region: box, extent, minHeight: region[4], maxHeight: region[5] };
     } else if (volume.box) {
-        // TODO: only works for axis aligned boxes
         const box = volume.box;
         // box[0], box[1], box[2] = center of the box
         // box[3], box[4], box[5] = x axis direction and half-length
         // box[6], box[7], box[8] = y axis direction and half-length
         // box[9], box[10], box[11] = z axis direction and half-length
-        const center = new THREE.Vector3(box[0], box[1], box[2]);
-        const w = center.x - box[3];
-        const e = center.x + box[3];
-        const s = center.y - box[7];
-        const n = center.y + box[7];
-        const b = center.z - box[11];
-        const t = center.z + box[11];
+        const axes = [3, 6, 9].map(i => new THREE.Vector3(box[i], box[i + 1], box[i + 2]));
+        const halfSize = new THREE.Vector3(axes[0].length(), axes[1].length(), axes[2].length());
+        axes.forEach(axis => axis.normalize());
+        completeAxes(axes);
+        const matrix = new THREE.Matrix4().makeBasis(axes[0], axes[1], axes[2])
+            .setPosition(new THREE.Vector3(box[0], box[1], box[2]));
 
-        return { box: new THREE.Box3(new THREE.Vector3(w, s, b), new THREE.Vector3(e, n, t)) };
+        return { box: new THREE.Box3(halfSize.clone().negate(), halfSize), matrix };
     } else if (volume.sphere) {
         const sphere = new THREE.Sphere(new THREE.Vector3(volume.sphere[0], volume.sphere[1], volume.sphere[2]), volume.sphere[3]);
         return { sphere };
     }
 }
 
-function b3dmToMesh(data, layer, url) {
-    const urlBase = THREE.LoaderUtils.extractUrlBase(url);
-    const options = {
+// The options of the glTF models of the layer: see B3dmParser.parse, the
+// dracoLoader and the ktx2Loader of the layer decode the glTF extensions
+function gltfOptions(layer, url) {
+    return {
         gltfUpAxis: layer.asset.gltfUpAxis,
-        urlBase,
+        urlBase: THREE.LoaderUtils.extractUrlBase(url),
         overrideMaterials: layer.overrideMaterials,
         doNotPatchMaterial: layer.doNotPatchMaterial,
         opacity: layer.opacity,
+        networkOptions: layer.networkOptions,
+        dracoLoader: layer.dracoLoader,
+        ktx2Loader: layer.ktx2Loader,
     };
-    return B3dmParser.parse(data, options).then((result) => {
-        const batchTable = result.batchTable;
-        const object3d = result.gltf.scene;
-        return { batchTable, object3d };
-    });
+}
+
+function attachBatchTable(layer, content) {
+    if (!content.batchTable.attach(content.object3d) && !layer._warnedUnstylable) {
+        layer._warnedUnstylable = true;
+        console.warn(`The features of the 3D Tiles layer ${layer.id} can't be styled with the glTF materials, set its 'overrideMaterials' option`);
+    }
+    return content;
+}
+
+function b3dmToMesh(data, layer, url) {
+    return B3dmParser.parse(data, gltfOptions(layer, url)).then(result => attachBatchTable(layer, {
+        batchTable: result.batchTable,
+        object3d: result.gltf.scene,
+    }));
+}
+
+function i3dmToMesh(data, layer, url) {
+    return I3dmParser.parse(data, gltfOptions(layer, url)).then(result => attachBatchTable(layer, result));
 }
 
 function pntsParse(data, layer) {
@@ -171,11 +274,42 @@ function pntsParse(data, layer) {
             points.position.copy(result.point.offset);
         }
 
-        return { object3d: points };
+        return { object3d: points, batchTable: result.batchTable };
     });
 }
 
-export function configureTile(tile, layer, metadata, parent) {
+const supportedFormats = {
+    b3dm: b3dmToMesh,
+    pnts: pntsParse,
+    i3dm: i3dmToMesh,
+    // the inner tiles of the composite tiles are parsed by their format
+    cmpt: (data, layer, url) => CmptParser.parse(data)
+        .then(tiles => Promise.all(tiles.map(tile => parseContent(tile, layer, url))))
+        .then((contents) => {
+            const object3d = new THREE.Group();
+            for (const content of contents) {
+                object3d.add(content.object3d);
+            }
+            return { object3d };
+        }),
+};
+
+// Parse the content of a tile, by its format: the parts of the content with
+// features have their batch table
+function parseContent(data, layer, url) {
+    const magic = utf8Decoder.decode(new Uint8Array(data, 0, 4));
+    if (!supportedFormats[magic]) {
+        return Promise.reject(`Unsupported magic code ${magic}`);
+    }
+    return Promise.resolve().then(() => supportedFormats[magic](data, layer, url)).then((content) => {
+        if (content.batchTable) {
+            content.object3d.batchTable = content.batchTable;
+        }
+        return content;
+    });
+}
+
+export function configureTile(tile, layer, metadata) {
     tile.frustumCulled = false;
     tile.layer = layer;
 
@@ -185,13 +319,11 @@ export function configureTile(tile, layer, metadata, parent) {
     }
     tile.geometricError = metadata.geometricError;
     tile.tileId = metadata.tileId;
-    if (metadata.refine) {
-        tile.additiveRefinement = (metadata.refine.toUpperCase() === 'ADD');
-    } else {
-        tile.additiveRefinement = parent ? (parent.additiveRefinement) : false;
-    }
+    // the refinement inherited from the parents is set by $3dTilesIndex
+    tile.additiveRefinement = metadata.refine === 'ADD';
     tile.viewerRequestVolume = metadata.viewerRequestVolume;
     tile.boundingVolume = metadata.boundingVolume;
+    tile.contentBoundingVolume = metadata.contentBoundingVolume;
     if (tile.boundingVolume.region) {
         tile.add(tile.boundingVolume.region);
     }
@@ -202,8 +334,9 @@ function executeCommand(command) {
     const layer = command.layer;
     const metadata = command.metadata;
     const tile = new THREE.Object3D();
-    configureTile(tile, layer, metadata, command.requester);
-    const path = metadata.content ? metadata.content.url : undefined;
+    configureTile(tile, layer, metadata);
+    // the url of the content is its uri since the version 1.0 of 3D Tiles
+    const path = metadata.content ? metadata.content.uri || metadata.content.url : undefined;
 
     const setLayer = (obj) => {
         obj.layers.set(layer.threejsLayer);
@@ -213,35 +346,34 @@ function executeCommand(command) {
     if (path) {
         // Check if we have relative or absolute url (with tileset's lopocs for example)
         const url = path.startsWith('http') ? path : metadata.baseURL + path;
-        const supportedFormats = {
-            b3dm: b3dmToMesh,
-            pnts: pntsParse,
-        };
-        return Fetcher.arrayBuffer(url, layer.networkOptions).then((result) => {
+        // the request is aborted when the command is obsolete
+        const options = command.signal ? Object.assign({}, layer.networkOptions, { signal: command.signal }) : layer.networkOptions;
+        return NetworkPolicy.fetch(url, Fetcher.arrayBuffer, options, layer.networkPolicy, layer).then((result) => {
             if (result !== undefined) {
-                let func;
                 const magic = utf8Decoder.decode(new Uint8Array(result, 0, 4));
                 if (magic[0] === '{') {
                     result = JSON.parse(utf8Decoder.decode(new Uint8Array(result)));
                     const newPrefix = url.slice(0, url.lastIndexOf('/') + 1);
                     layer.tileIndex.extendTileset(result, metadata.tileId, newPrefix);
-                } else if (magic == 'b3dm') {
-                    func = supportedFormats.b3dm;
-                } else if (magic == 'pnts') {
-                    func = supportedFormats.pnts;
                 } else {
-                    return Promise.reject(`Unsupported magic code ${magic}`);
-                }
-                if (func) {
-                    // TODO: request should be delayed if there is a viewerRequestVolume
-                    return func(result, layer, url).then((content) => {
+                    return parseContent(result, layer, url).then((content) => {
                         tile.content = content.object3d;
                         if (content.batchTable) {
                             tile.batchTable = content.batchTable;
                         }
+                        if (layer._style) {
+                            styleTile(layer, tile, layer._style);
+                        }
                         tile.add(content.object3d);
                         tile.traverse(setLayer);
                         return tile;
+                    }, (error) => {
+                        // the tile is kept without content when it can't be
+                        // read, as without the decoder of a required glTF
+                        // extension: its children are still displayed
+                        console.warn(`The content ${url} of the 3D Tiles layer ${layer.id} can't be read: ${error.message || error}`);
+                        tile.traverse(setLayer);
+                        return tile;
                     });
                 }
             }
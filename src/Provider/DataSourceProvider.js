@@ -1,30 +1,33 @@
 import GeoJsonParser from '../Parser/GeoJsonParser';
 import VectorTileParser from '../Parser/VectorTileParser';
+import TerrainImageParser from '../Parser/TerrainImageParser';
+import QuantizedMeshParser from '../Parser/QuantizedMeshParser';
 import Fetcher from './Fetcher';
+import Registry from '../Core/Registry';
 import Cache from '../Core/Scheduler/Cache';
+import PersistentCache from '../Core/Scheduler/PersistentCache';
+import NetworkPolicy from './NetworkPolicy';
 import CancelledCommandException from '../Core/Scheduler/CancelledCommandException';
 
-export const supportedFetchers = new Map([
-    ['image/png', Fetcher.texture],
-    ['image/jpg', Fetcher.texture],
-    ['image/jpeg', Fetcher.texture],
-    ['image/x-bil;bits=32', Fetcher.textureFloat],
-    ['geojson', Fetcher.json],
-    ['application/json', Fetcher.json],
-    ['application/json', Fetcher.json],
-    ['application/x-protobuf;type=mapbox-vector', Fetcher.arrayBuffer],
-]);
-
-function noParsingNeeded(data) {
-    return data;
-}
-
-const supportedParsers = new Map([
-    ['geojson', GeoJsonParser.parse],
-    ['application/json', GeoJsonParser.parse],
-    ['application/x-protobuf;type=mapbox-vector', VectorTileParser.parse],
-    [true, noParsingNeeded],
-]);
+export { fetchers as supportedFetchers } from '../Core/Registry';
+
+// The data of the formats without parser, like the images, isn't parsed
+Registry.registerFormat('image/png', { fetcher: Fetcher.texture });
+Registry.registerFormat('image/jpg', { fetcher: Fetcher.texture });
+Registry.registerFormat('image/jpeg', { fetcher: Fetcher.texture });
+Registry.registerFormat('image/x-bil;bits=32', { fetcher: Fetcher.textureFloat });
+Registry.registerFormat('image/png;encoding=terrain-rgb', {
+    fetcher: Fetcher.texture,
+    parser: texture => TerrainImageParser.parse(texture, { encoding: 'terrain-rgb' }),
+});
+Registry.registerFormat('image/png;encoding=terrarium', {
+    fetcher: Fetcher.texture,
+    parser: texture => TerrainImageParser.parse(texture, { encoding: 'terrarium' }),
+});
+Registry.registerFormat('application/vnd.quantized-mesh', { fetcher: Fetcher.arrayBuffer, parser: QuantizedMeshParser.parse });
+Registry.registerFormat('geojson', { fetcher: Fetcher.json, parser: GeoJsonParser.parse });
+Registry.registerFormat('application/json', { fetcher: Fetcher.json, parser: GeoJsonParser.parse });
+Registry.registerFormat('application/x-protobuf;type=mapbox-vector', { fetcher: Fetcher.arrayBuffer, parser: VectorTileParser.parse });
 
 function isValidData(data, extentDestination, validFn) {
     if (data && (!validFn || validFn(data, extentDestination))) {
@@ -32,20 +35,35 @@ function isValidData(data, extentDestination, validFn) {
     }
 }
 
-function fetchData(url, format, networkOptions, extentSource) {
-    const fetcher = supportedFetchers.get(format);
-    if (fetcher) {
-        return fetcher(url, networkOptions).then((d) => {
+function fetchData(url, layer, extentSource, signal) {
+    const source = layer.source;
+    if (source.fetchExtent) {
+        // The source reads its data itself, with the network policy and the
+        // signal of the command, see COGSource
+        return source.fetchExtent(extentSource, layer.type, signal, layer).then((d) => {
             d.coords = extentSource;
             return d;
         });
-    } else {
-        throw new Error('Not supported format, not found fetcher in DataSourceProvider.supportedFetchers');
     }
+    // Throws an error if the format isn't registered
+    const fetcher = Registry.getFetcher(source.format);
+    const options = signal ? Object.assign({}, source.networkOptions, { signal }) : source.networkOptions;
+    const request = source.persistentCache ?
+        (u, o) => PersistentCache.fetch(u, source, fetcher, o) :
+        fetcher;
+    const fetched = NetworkPolicy.fetch(url, request, options, source.networkPolicy, layer);
+    return fetched.then((d) => {
+        d.coords = extentSource;
+        return d;
+    });
 }
 
 function parseData(data, layer, extentDestination) {
-    const type = data.isTexture || data.isFeature || layer.source.format;
+    const parser = Registry.getParser(layer.source.format);
+    // Textures don't need parsing, except the ones encoding elevations
+    if (!parser || data.isFeature) {
+        return data;
+    }
     const options = {
         buildExtent: true,
         crsIn: layer.source.projection,
@@ -54,23 +72,33 @@ function parseData(data, layer, extentDestination) {
         // filteringExtent: extentDestination.as(layer.projection),
         filteringExtent: layer.type === 'geometry' ? extentDestination : undefined,
         filter: layer.filter,
+        defaultAltitude: layer.defaultAltitude,
         origin: layer.source.origin,
     };
-    return supportedParsers.get(type)(data, options);
+    return parser(data, options);
 }
 
-function FetchAndConvertSourceData(url, layer, extentSource, extentDestination) {
+function FetchAndConvertSourceData(url, layer, extentSource, extentDestination, signal) {
     const source = layer.source;
     // Fetch data
-    return fetchData(url, source.format, source.networkOptions, extentSource)
+    return fetchData(url, layer, extentSource, signal)
         .then(fetchedData =>
     // Parse fetched data, it parses file to itowns's object
              parseData(fetchedData, layer, extentDestination))
+        .then((parsedData) => {
+            // Textures decoded by a parser cover the fetched extent
+            if (parsedData.isTexture && !parsedData.coords) {
+                parsedData.coords = extentSource;
+            }
+            return parsedData;
+        })
         .then(parsedData =>
     // Convert parsed data, it converts itowns's object to THREE's object
-            layer.convert(parsedData, extentDestination),
+            layer.convert(parsedData, extentDestination, layer),
             (err) => {
-                source.handlingError(err, url);
+                if (err.name != 'AbortError' && !err.emptyTile) {
+                    source.handlingError(err, url);
+                }
                 throw err;
             });
 }
@@ -115,7 +143,14 @@ export default {
                     convertedSourceData = layer.convert(validedParsedData, extDest, layer);
                 } else {
                     // Fetch and convert
-                    convertedSourceData = FetchAndConvertSourceData(url, layer, extSource, extDest);
+                    convertedSourceData = FetchAndConvertSourceData(url, layer, extSource, extDest, command.signal);
+                    // Aborted requests must be fetched again next time
+                    const promise = convertedSourceData;
+                    promise.catch((err) => {
+                        if (err.name == 'AbortError' && Cache.get(tag) === promise) {
+                            Cache.delete(tag);
+                        }
+                    });
                 }
                 // Put converted data in cache
                 Cache.set(tag, convertedSourceData, Cache.POLICIES.TEXTURE);
@@ -1,25 +1,112 @@
-import { TextureLoader, DataTexture, AlphaFormat, FloatType } from 'three';
+import { ImageLoader, Texture, DataTexture, AlphaFormat, FloatType, RGBFormat, RGBAFormat } from 'three';
 
-const textureLoader = new TextureLoader();
-const SIZE_TEXTURE_TILE = 256;
+const imageLoader = new ImageLoader();
+// A response without content is an error too: the data doesn't exist, like a
+// tile that NetworkPolicy classifies as empty with its emptyStatuses
 function checkResponse(response) {
-    if (!response.ok) {
+    if (!response.ok || response.status == 204) {
         var error = new Error(`Error loading ${response.url}: status ${response.status}`);
         error.response = response;
         throw error;
     }
 }
-const arrayBuffer = (url, options = {}) => fetch(url, options).then((response) => {
-    checkResponse(response);
-    return response.arrayBuffer();
-});
+// Error of aborted requests, named like the one of fetch
+function abortError(url) {
+    const error = new Error(`Loading ${url} aborted`);
+    error.name = 'AbortError';
+    return error;
+}
+
+// Applies the transformRequest hook of the options, if any. Resolves with the
+// url and the options of the request.
+function transform(url, options, kind) {
+    // Urls of local payloads, like the ones of PersistentCache, are kept
+    if (!options.transformRequest || /^(blob|data):/.test(url)) {
+        return Promise.resolve({ url, options });
+    }
+    return Promise.resolve(options.transformRequest(url, kind)).then((result) => {
+        if (!result) {
+            return { url, options };
+        } else if (typeof result == 'string') {
+            return { url: result, options };
+        }
+        const headers = Object.assign({}, options.headers, result.headers);
+        return { url: result.url || url, options: Object.assign({}, options, result, { headers }) };
+    });
+}
+
+// fetch, after transforming the request, and rejecting failed responses
+function request(url, options, kind) {
+    return transform(url, options, kind)
+        .then(r => fetch(r.url, r.options))
+        .then((response) => {
+            checkResponse(response);
+            return response;
+        });
+}
 
-const getTextureFloat = function getTextureFloat(buffer) {
-    const texture = new DataTexture(buffer, SIZE_TEXTURE_TILE, SIZE_TEXTURE_TILE, AlphaFormat, FloatType);
+const arrayBuffer = (url, options = {}) => request(url, options, 'arrayBuffer').then(response => response.arrayBuffer());
+
+// Loads an image with an img element, that can be aborted
+function loadImage(url, options) {
+    imageLoader.crossOrigin = options.crossOrigin;
+
+    return new Promise((resolve, reject) => {
+        const signal = options.signal;
+        if (signal && signal.aborted) {
+            reject(abortError(url));
+            return;
+        }
+        let image;
+        const onAbort = () => {
+            // Emptying the source stops the download
+            if (!image.complete) {
+                image.src = '';
+            }
+            reject(abortError(url));
+        };
+        // The listener is removed once the image is loaded or failed
+        const done = settle => (result) => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            settle(result);
+        };
+        // The error of an img element is an Event, without the details
+        image = imageLoader.load(url, done(resolve), () => {}, done(() => reject(new Error(`Error decoding the image ${url}`))));
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+// BIL tiles are square, their size is deduced from their number of values
+const getTextureFloat = function getTextureFloat(buffer, url) {
+    const size = Math.sqrt(buffer.length);
+    if (!Number.isInteger(size)) {
+        throw new Error(`Invalid BIL tile ${url}: its ${buffer.length} values aren't a square`);
+    }
+    const texture = new DataTexture(buffer, size, size, AlphaFormat, FloatType);
     texture.needsUpdate = true;
     return texture;
 };
 
+/**
+ * Wrappers over fetch and image loading. The options of all of them can
+ * contain an <code>AbortSignal</code> as <code>signal</code>, to abort the
+ * request: the promise is then rejected with an error named
+ * <code>AbortError</code>.
+ * <br><br>
+ * The options can also contain a <code>transformRequest</code> function,
+ * called before each request with the url and the name of the wrapper
+ * (<code>texture</code>, <code>json</code>, <code>arrayBuffer</code>...). It
+ * returns, or resolves with, a new url, or an object with the
+ * <code>url</code> and the fetch options to use, like <code>headers</code>
+ * merged with the ones of the options. This is how the
+ * <code>transformRequest</code> of the sources is applied.
+ *
+ * @module Fetcher
+ */
 export default {
 
     /**
@@ -31,10 +118,7 @@ export default {
      * @return {Promise}
      */
     text(url, options = {}) {
-        return fetch(url, options).then((response) => {
-            checkResponse(response);
-            return response.text();
-        });
+        return request(url, options, 'text').then(response => response.text());
     },
 
     /**
@@ -46,10 +130,7 @@ export default {
      * @return {Promise}
      */
     json(url, options = {}) {
-        return fetch(url, options).then((response) => {
-            checkResponse(response);
-            return response.json();
-        });
+        return request(url, options, 'json').then(response => response.json());
     },
 
     /**
@@ -61,35 +142,61 @@ export default {
      * @return {Promise}
      */
     xml(url, options = {}) {
-        return fetch(url, options).then((response) => {
-            checkResponse(response);
-            return response.text();
-        }).then(text => new window.DOMParser().parseFromString(text, 'text/xml'));
+        return request(url, options, 'xml')
+            .then(response => response.text())
+            .then(text => new window.DOMParser().parseFromString(text, 'text/xml'));
     },
 
     /**
-     * Wrapper around TextureLoader.
+     * Load a texture, like THREE.TextureLoader does, but the loading can be
+     * aborted, and can send headers. The image is fetched with fetch, so that
+     * the status of a failed response is known, e.g. by {@link
+     * module:NetworkPolicy}, then decoded by an img element. The urls of local
+     * payloads (<code>blob:</code> and <code>data:</code>) are loaded directly
+     * by the img element.
      *
      * @param {string} url
-     * @param {Object} options - options to pass to TextureLoader. Note that
-     * THREE.js docs mention withCredentials, but it is not actually used in TextureLoader.js.
-     * @param {string} options.crossOrigin - passed directly to html elements supporting it
+     * @param {Object} options - fetch options, and options to load the image.
+     * Note that THREE.js docs mention withCredentials, but it is not actually
+     * used in TextureLoader.js.
+     * @param {string} options.crossOrigin - passed directly to html elements
+     * supporting it. <code>use-credentials</code> also sends the credentials
+     * of the fetch request.
+     * @param {Object} [options.headers] - headers of the request.
+     * @param {AbortSignal} [options.signal] - a signal aborting the loading.
+     * The promise is then rejected with an <code>AbortError</code>.
      *
      * @return {Promise}
      */
     texture(url, options = {}) {
-        let res;
-        let rej;
-
-        textureLoader.crossOrigin = options.crossOrigin;
-
-        const promise = new Promise((resolve, reject) => {
-            res = resolve;
-            rej = reject;
+        return transform(url, options, 'texture').then((r) => {
+            if (/^(blob|data):/.test(r.url)) {
+                return loadImage(r.url, r.options);
+            }
+            const fetchOptions = Object.assign({}, r.options, { transformRequest: undefined });
+            if (r.options.crossOrigin == 'use-credentials' && !r.options.credentials) {
+                fetchOptions.credentials = 'include';
+            }
+            return request(r.url, fetchOptions, 'texture')
+                .then(response => response.blob())
+                .then((blob) => {
+                    const objectURL = URL.createObjectURL(blob);
+                    return loadImage(objectURL, r.options).then((image) => {
+                        URL.revokeObjectURL(objectURL);
+                        return image;
+                    }, (err) => {
+                        URL.revokeObjectURL(objectURL);
+                        throw err;
+                    });
+                });
+        }).then((image) => {
+            const texture = new Texture(image);
+            // JPEGs can't have an alpha channel, so memory can be saved by storing them as RGB.
+            const isJPEG = url.search(/\.(jpg|jpeg)$/) > 0 || url.search(/^data:image\/jpeg/) === 0;
+            texture.format = isJPEG ? RGBFormat : RGBAFormat;
+            texture.needsUpdate = true;
+            return texture;
         });
-
-        textureLoader.load(url, res, () => {}, rej);
-        return promise;
     },
     /**
      * Wrapper over fetch to get some ArrayBuffer
@@ -100,10 +207,25 @@ export default {
      * @return {Promise}
      */
     arrayBuffer,
+
+    /**
+     * Wrapper over fetch to get some Blob, i.e. the raw content of a file
+     *
+     * @param {string} url
+     * @param {Object} options - fetch options (passed directly to fetch)
+     *
+     * @return {Promise}
+     */
+    blob(url, options = {}) {
+        return request(url, options, 'blob').then(response => response.blob());
+    },
     textureFloat(url, options = {}) {
         return arrayBuffer(url, options).then((buffer) => {
+            if (buffer.byteLength % Float32Array.BYTES_PER_ELEMENT) {
+                throw new Error(`Invalid BIL tile ${url}: its ${buffer.byteLength} bytes aren't float32 values`);
+            }
             const floatArray = new Float32Array(buffer);
-            const texture = getTextureFloat(floatArray);
+            const texture = getTextureFloat(floatArray, url);
             return texture;
         });
     },
@@ -0,0 +1,184 @@
+/* global AbortController */
+
+/**
+ * A network policy controls how the requests of a source or a layer handle
+ * failures: how long a request can last, how many times it is retried, and
+ * which HTTP statuses mean that the data doesn't exist.
+ *
+ * @typedef {Object} NetworkPolicy
+ * @property {number} [timeout=30000] - the maximum duration of a request, in
+ * milliseconds, before it is aborted and retried. 0 disables it.
+ * @property {number} [retries=2] - the number of times a request is retried
+ * after a temporary failure: a status of <code>retryStatuses</code>, a
+ * timeout or a network error.
+ * @property {number} [backoff=500] - the delay before the first retry, in
+ * milliseconds. It doubles for each following retry. The
+ * <code>Retry-After</code> header of the response is used instead when the
+ * server sends it.
+ * @property {number} [maxDelay=30000] - the maximum delay before a retry. If
+ * the server asks for a longer one, the request fails.
+ * @property {Array.<number>} [retryStatuses=[408, 429, 500, 502, 503, 504]] -
+ * the HTTP statuses of temporary failures.
+ * @property {Array.<number>} [emptyStatuses=[204, 404]] - the HTTP statuses
+ * meaning that there is no data, e.g. a tile that doesn't exist. Such a
+ * request isn't retried, and its error has an <code>emptyTile</code> property
+ * set to <code>true</code>. The {@link Fetcher} rejects the responses without
+ * content (204) like the failed ones, so that they can be classified.
+ */
+const DEFAULT_POLICY = {
+    timeout: 30000,
+    retries: 2,
+    backoff: 500,
+    maxDelay: 30000,
+    retryStatuses: [408, 429, 500, 502, 503, 504],
+    emptyStatuses: [204, 404],
+};
+
+function namedError(name, message) {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+}
+
+// Waits for a delay, unless the signal is aborted
+function wait(delay, signal) {
+    return new Promise((resolve, reject) => {
+        let timer;
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(namedError('AbortError', 'Retry aborted'));
+        };
+        timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, delay);
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+// The delay asked by the Retry-After header, in seconds or as a date
+function retryAfter(response) {
+    const value = response && response.headers && response.headers.get('Retry-After');
+    if (!value) {
+        return;
+    }
+    const seconds = Number(value);
+    return isNaN(seconds) ? Date.parse(value) - Date.now() : seconds * 1000;
+}
+
+// Requests url once, aborting the request after policy.timeout
+function attempt(url, request, options, policy) {
+    const signal = options && options.signal;
+    if (!policy.timeout || typeof AbortController === 'undefined') {
+        return request(url, options);
+    }
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, policy.timeout);
+    const onAbort = () => controller.abort();
+    if (signal) {
+        signal.addEventListener('abort', onAbort);
+        if (signal.aborted) {
+            controller.abort();
+        }
+    }
+    const done = () => {
+        clearTimeout(timer);
+        if (signal) {
+            signal.removeEventListener('abort', onAbort);
+        }
+    };
+    return request(url, Object.assign({}, options, { signal: controller.signal })).then((result) => {
+        done();
+        return result;
+    }, (err) => {
+        done();
+        throw timedOut ? namedError('TimeoutError', `Loading ${url} timed out after ${policy.timeout}ms`) : err;
+    });
+}
+
+/**
+ * Requests with a {@link NetworkPolicy}, for {@link DataSourceProvider} and the
+ * 3D Tiles and point cloud providers. The policy is the
+ * <code>networkPolicy</code> of the source of a layer, or of the layer itself
+ * for 3D Tiles and point cloud layers.
+ * <br><br>
+ * Each failed request dispatches a <code>network-error</code> event on the
+ * layer, with the <code>url</code>, the <code>error</code>, the HTTP
+ * <code>status</code> if any, the <code>attempt</code> number starting at 0,
+ * whether the request will be <code>retrying</code>, and whether the data is
+ * <code>empty</code>.
+ *
+ * @module NetworkPolicy
+ *
+ * @example
+ * view.addLayer({
+ *     type: 'color',
+ *     id: 'ortho',
+ *     source: {
+ *         ...
+ *         networkPolicy: { timeout: 10000, retries: 4, emptyStatuses: [400, 404] },
+ *     },
+ * });
+ * view.getLayers(l => l.id == 'ortho')[0].addEventListener('network-error', (event) => {
+ *     if (!event.retrying && !event.empty) {
+ *         console.warn(`${event.url} failed`, event.error);
+ *     }
+ * });
+ */
+export default {
+    DEFAULT_POLICY,
+
+    /**
+     * Request an url, retrying temporary failures according to a policy.
+     *
+     * @param {string} url - the url.
+     * @param {function} request - the function doing the request, called with
+     * the url and the options, like the {@link Fetcher} functions.
+     * @param {Object} [options] - the options of the request. Its
+     * <code>signal</code> aborts the request and the retries.
+     * @param {NetworkPolicy} [policy] - the policy, merged with the default
+     * one.
+     * @param {Layer} [layer] - the layer on which the
+     * <code>network-error</code> events are dispatched.
+     *
+     * @return {Promise} a Promise resolving with the result of the request, or
+     * rejected with the last error.
+     */
+    fetch(url, request, options, policy, layer) {
+        policy = Object.assign({}, DEFAULT_POLICY, policy);
+        const signal = options && options.signal;
+
+        const run = count => attempt(url, request, options, policy).catch((error) => {
+            if (error.name == 'AbortError' || (signal && signal.aborted)) {
+                throw error;
+            }
+            const response = error.response;
+            const status = response ? response.status : undefined;
+            const empty = policy.emptyStatuses.indexOf(status) >= 0;
+            // Network failures of fetch are TypeErrors
+            const temporary = policy.retryStatuses.indexOf(status) >= 0 ||
+                error.name == 'TimeoutError' || error instanceof TypeError;
+            const delay = retryAfter(response) || policy.backoff * Math.pow(2, count);
+            const retrying = !empty && temporary && count < policy.retries && delay <= policy.maxDelay;
+
+            error.emptyTile = empty;
+            if (layer && layer.dispatchEvent) {
+                layer.dispatchEvent({ type: 'network-error', url, error, status, attempt: count, retrying, empty });
+            }
+            if (!retrying) {
+                throw error;
+            }
+            return wait(delay, signal).then(() => run(count + 1));
+        });
+
+        return run(0);
+    },
+};
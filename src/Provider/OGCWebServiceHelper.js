@@ -1,10 +1,49 @@
 import Projection from '../Core/Geographic/Projection';
 import Extent from '../Core/Geographic/Extent';
+import { crsIsGeographic } from '../Core/Geographic/Coordinates';
 
 export const SIZE_TEXTURE_TILE = 256;
 
 const tileCoord = new Extent('WMTS:WGS84G', 0, 0, 0);
 
+// Size of a pixel in the standardized rendering of WMTS, in meters
+const STANDARDIZED_PIXEL_SIZE = 0.00028;
+// Meters per degree at the equator of the WGS84 ellipsoid
+const METERS_PER_DEGREE = 2 * Math.PI * 6378137 / 360;
+
+function tileMatrixPixelSize(tileMatrix, crs) {
+    const metersPerUnit = crsIsGeographic(crs) ? METERS_PER_DEGREE : 1;
+    return tileMatrix.scaleDenominator * STANDARDIZED_PIXEL_SIZE / metersPerUnit;
+}
+
+// Returns the tile of the tile matrix at zoom containing the whole extent, or
+// undefined if the extent is spread over several tiles or is outside the
+// matrix. The tile is an extent in crs, with its zoom, row and col.
+function containingTile(extent, source, zoom) {
+    const tileMatrix = source.tileMatrices[zoom];
+    const pixelSize = tileMatrixPixelSize(tileMatrix, source.projection);
+    const tileSizeX = tileMatrix.tileWidth * pixelSize;
+    const tileSizeY = tileMatrix.tileHeight * pixelSize;
+    const [originX, originY] = tileMatrix.topLeftCorner;
+    const epsilon = 1e-6 * Math.min(tileSizeX, tileSizeY);
+
+    const col = Math.floor((extent.west() - originX + epsilon) / tileSizeX);
+    const row = Math.floor((originY - extent.north() + epsilon) / tileSizeY);
+    if (col < 0 || row < 0 || col >= tileMatrix.matrixWidth || row >= tileMatrix.matrixHeight ||
+        extent.east() - originX - epsilon > (col + 1) * tileSizeX ||
+        originY - extent.south() - epsilon > (row + 1) * tileSizeY) {
+        return;
+    }
+
+    const tile = new Extent(source.projection,
+        originX + col * tileSizeX, originX + (col + 1) * tileSizeX,
+        originY - (row + 1) * tileSizeY, originY - row * tileSizeY);
+    tile.zoom = zoom;
+    tile.row = row;
+    tile.col = col;
+    return tile;
+}
+
 export default {
     computeTileMatrixSetCoordinates(tile, tileMatrixSet) {
         tileMatrixSet = tileMatrixSet || 'WGS84G';
@@ -23,6 +62,78 @@ export default {
                 Projection.getCoordWMTS_WGS84(tileCoord, tile.extent, tileMatrixSet);
         }
     },
+    /**
+     * Computes the coordinates of a tile in the tile matrix set of a source
+     * defined by its tile matrices, like a {@link WMTSSource} with
+     * <code>tileMatrices</code>. The grid of such a tile matrix set may not
+     * match the tiles of the view at all: a tile of the view uses a single
+     * texture from the source, so it gets the finest tile of the source
+     * containing it whose resolution isn't better than needed.
+     * <br><br>
+     * The result is the extent of the tile in the projection of the source,
+     * with the <code>zoom</code>, <code>row</code> and <code>col</code> of the
+     * tile of the source. If no tile of the source contains it, the zoom is
+     * <code>-1</code>.
+     *
+     * @param {TileMesh} tile - the tile of the view
+     * @param {Source} source - the source with <code>tileMatrices</code>
+     *
+     * @return {Array.<Extent>} the coordinates
+     */
+    computeTileMatricesCoordinates(tile, source) {
+        if (!(source.tileMatrixSet in tile.wmtsCoords)) {
+            const extent = tile.extent.crs() == source.projection ? tile.extent.clone() : tile.extent.as(source.projection);
+            const texelSize = extent.dimensions().x / SIZE_TEXTURE_TILE;
+
+            let zoom = source.zoom.max;
+            for (let z = source.zoom.min; z <= source.zoom.max; z++) {
+                if (tileMatrixPixelSize(source.tileMatrices[z], source.projection) <= texelSize * 1.01) {
+                    zoom = z;
+                    break;
+                }
+            }
+
+            let parent;
+            for (; zoom >= source.zoom.min && !parent; zoom--) {
+                parent = containingTile(extent, source, zoom);
+            }
+
+            if (parent) {
+                extent.zoom = parent.zoom;
+                extent.row = parent.row;
+                extent.col = parent.col;
+            } else {
+                extent.zoom = -1;
+            }
+            tile.wmtsCoords[source.tileMatrixSet] = [extent];
+        }
+        return tile.wmtsCoords[source.tileMatrixSet];
+    },
+
+    /**
+     * Finds the tile of a source defined by its tile matrices, containing the
+     * coordinates computed by [computeTileMatricesCoordinates]{@link
+     * computeTileMatricesCoordinates}, at a zoom level. The tile matrices of
+     * such a source may not be nested: if no tile contains the coordinates
+     * at this zoom level, the tile of the next finer level containing it is
+     * returned.
+     *
+     * @param {Extent} coords - the coordinates
+     * @param {number} zoom - the zoom level
+     * @param {Source} source - the source with <code>tileMatrices</code>
+     *
+     * @return {Extent} the tile, with its <code>zoom</code>, <code>row</code>
+     * and <code>col</code>
+     */
+    getTileMatricesParent(coords, zoom, source) {
+        for (let z = Math.max(zoom, source.zoom.min); z <= coords.zoom; z++) {
+            const parent = containingTile(coords, source, z);
+            if (parent) {
+                return parent;
+            }
+        }
+    },
+
     // The origin parameter is to be set to the correct value, bottom or top
     // (default being bottom) if the computation of the coordinates needs to be
     // inverted to match the same scheme as OSM, Google Maps or other system.
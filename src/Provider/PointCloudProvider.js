@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import Fetcher from './Fetcher';
+import NetworkPolicy from './NetworkPolicy';
 import PointCloudProcessing from '../Process/PointCloudProcessing';
 import PotreeBinParser from '../Parser/PotreeBinParser';
 import PotreeCinParser from '../Parser/PotreeCinParser';
@@ -53,7 +54,7 @@ function createChildAABB(aabb, childIndex) {
 
 
 function parseOctree(layer, hierarchyStepSize, root) {
-    return Fetcher.arrayBuffer(`${root.baseurl}/r${root.name}.hrc`, layer.fetchOptions).then((blob) => {
+    return NetworkPolicy.fetch(`${root.baseurl}/r${root.name}.hrc`, Fetcher.arrayBuffer, layer.fetchOptions, layer.networkPolicy, layer).then((blob) => {
         const view = new DataView(blob);
 
         const stack = [];
@@ -233,6 +234,9 @@ export default {
 
         // default options
         layer.fetchOptions = layer.fetchOptions || {};
+        if (layer.transformRequest) {
+            layer.fetchOptions = Object.assign({}, layer.fetchOptions, { transformRequest: layer.transformRequest });
+        }
         layer.octreeDepthLimit = layer.octreeDepthLimit || -1;
         layer.pointBudget = layer.pointBudget || 2000000;
         layer.pointSize = layer.pointSize === 0 || !isNaN(layer.pointSize) ? layer.pointSize : 4;
@@ -253,7 +257,7 @@ export default {
         // this probably needs to be moved to somewhere else
         layer.pickObjectsAt = (view, mouse, radius) => Picking.pickPointsAt(view, mouse, radius, layer);
 
-        return Fetcher.json(`${layer.url}/${layer.file}`, layer.fetchOptions)
+        return NetworkPolicy.fetch(`${layer.url}/${layer.file}`, Fetcher.json, layer.fetchOptions, layer.networkPolicy, layer)
             .then((metadata) => {
                 parseMetadata(metadata, layer);
                 const bbox = computeBbox(layer);
@@ -285,7 +289,8 @@ export default {
         // when we request .hrc files)
         const url = `${metadata.baseurl}/r${metadata.name}.${layer.extension}?isleaf=${command.isLeaf ? 1 : 0}`;
 
-        return Fetcher.arrayBuffer(url, layer.fetchOptions).then(buffer => layer.parse(buffer, layer.metadata.pointAttributes)).then((geometry) => {
+        const options = command.signal ? Object.assign({}, layer.fetchOptions, { signal: command.signal }) : layer.fetchOptions;
+        return NetworkPolicy.fetch(url, Fetcher.arrayBuffer, options, layer.networkPolicy, layer).then(buffer => layer.parse(buffer, layer.metadata.pointAttributes)).then((geometry) => {
             const points = new THREE.Points(geometry, layer.material.clone());
             addPickingAttribute(points);
             points.frustumCulled = false;
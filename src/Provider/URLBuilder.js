@@ -13,7 +13,9 @@ export default {
      * <li><code>${y}</code> or <code>%ROW</code> will be replaced by
      * <code>coords.row</code></li>
      * <li><code>${z}</code> or <code>%TILEMATRIX</code> will be replaced by
-     * <code>coords.zoom</code></li>
+     * <code>coords.zoom</code>, or by the result of
+     * <code>layer.tileMatrixCallback(coords.zoom)</code> if the layer has this
+     * method</li>
      * </ul>
      *
      * @example
@@ -38,7 +40,8 @@ export default {
      * @return {string} the formed url
      */
     xyz: function xyz(coords, layer) {
-        return layer.url.replace(/(\$\{z\}|%TILEMATRIX)/, coords.zoom)
+        const tileMatrix = layer.tileMatrixCallback ? layer.tileMatrixCallback(coords.zoom) : coords.zoom;
+        return layer.url.replace(/(\$\{z\}|%TILEMATRIX)/, tileMatrix)
             .replace(/(\$\{y\}|%ROW)/, coords.row)
             .replace(/(\$\{x\}|%COL)/, coords.col);
     },
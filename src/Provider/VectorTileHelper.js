@@ -74,6 +74,9 @@ export default {
                 default:
                     extentTexture = coords.as(tile.extent.crs());
             }
+            if (extentTexture !== tile.extent) {
+                extentTexture.zoom = coords.zoom;
+            }
 
             const texture = Feature2Texture.createTextureFromFeature(
                 features,
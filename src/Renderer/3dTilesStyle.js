@@ -0,0 +1,210 @@
+import * as THREE from 'three';
+import StyleExpressionParser from '../Parser/StyleExpressionParser';
+
+// Hide the points whose size is 0, and give their size in pixels to the points
+// whose size is positive
+const pointSizeVertex = `
+#include <logdepthbuf_vertex>
+if (_POINTSIZE > 0.0) {
+    gl_PointSize = _POINTSIZE;
+} else if (_POINTSIZE == 0.0) {
+    gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+}
+`;
+
+function patchPointsShader(shader) {
+    shader.vertexShader = `attribute float _POINTSIZE;\n${shader.vertexShader.replace('#include <logdepthbuf_vertex>', pointSizeVertex)}`;
+}
+
+// Compile a property of the style: a constant, an expression or conditions
+function compile(value, defines) {
+    if (value == undefined) {
+        return;
+    } else if (typeof value == 'string') {
+        return StyleExpressionParser.parse(value, defines);
+    } else if (Array.isArray(value.conditions)) {
+        const conditions = value.conditions.map(c => [
+            compile(c[0], defines),
+            compile(c[1], defines),
+        ]);
+        return (properties) => {
+            for (const [condition, result] of conditions) {
+                if (condition(properties)) {
+                    return result(properties);
+                }
+            }
+        };
+    } else if (typeof value == 'object') {
+        throw new Error('Invalid style: the conditions must be an array');
+    }
+    return () => value;
+}
+
+function readColor(value, target) {
+    if (typeof value == 'string') {
+        target.color.setStyle(value);
+        target.opacity = 1;
+    } else if (value && value.isVector4) {
+        target.color.setRGB(value.x, value.y, value.z);
+        target.opacity = value.w;
+    } else {
+        target.color.setRGB(1, 1, 1);
+        target.opacity = 1;
+    }
+    return target;
+}
+
+const style = { color: new THREE.Color(), opacity: 1 };
+
+class $3dTilesStyle {
+    /**
+     * A style of the features of the 3D Tiles layers, written with the <a
+     * href="https://github.com/AnalyticalGraphicsInc/3d-tiles/tree/master/specification/Styling">3D
+     * Tiles styling language</a>. The expressions of the style, parsed by the
+     * {@link module:StyleExpressionParser}, read the properties of the
+     * batch tables of the tiles, and, for the point clouds, the
+     * <code>${POSITION}</code> and the <code>${COLOR}</code> of the points.
+     * <br><br>
+     * The style is the <code>style</code> of the 3D Tiles layers. It is
+     * applied to the tiles when they are loaded, and again to the loaded
+     * tiles when it is replaced: the tiles aren't downloaded again.
+     * <br><br>
+     * The colors of the features of the batched models are multiplied with
+     * the colors of their materials, and the features whose color is
+     * transparent are hidden (see {@link BatchTable}). The colors of the
+     * points replace their colors, and the point sizes are in pixels. The
+     * point clouds whose material isn't a THREE.PointsMaterial can only be
+     * colored.
+     *
+     * @constructor
+     *
+     * @param {Object} [style={}] - The style.
+     * @param {boolean|string|Object} [style.show=true] - Whether the features
+     * are shown.
+     * @param {string|Object} [style.color="color('white')"] - The color of the
+     * features.
+     * @param {number|string|Object} [style.pointSize] - The size of the
+     * points, in pixels. By default, it is the size of their material.
+     * @param {Object} [style.defines] - Expressions, by name, used by the other
+     * expressions as variables.
+     *
+     * @example
+     * layer.style = {
+     *     defines: { height: '${Height} * 1.2' },
+     *     show: '${height} > 10',
+     *     color: {
+     *         conditions: [
+     *             ['${height} > 50', "color('red')"],
+     *             ['regExp("^Tour").test(${name})', 'rgba(0, 0, 255, 0.5)'],
+     *             ['true', "color('white')"],
+     *         ],
+     *     },
+     * };
+     * // remove the style
+     * layer.style = undefined;
+     */
+    constructor(style = {}) {
+        const defines = style.defines;
+        this.show = compile(style.show, defines);
+        this.color = compile(style.color, defines);
+        this.pointSize = compile(style.pointSize, defines);
+    }
+
+    /**
+     * Apply the style to the content of a tile.
+     *
+     * @param {THREE.Object3D} tile - The tile, with its <code>content</code>,
+     * whose parts have their <code>batchTable</code>: the composite tiles have
+     * several parts.
+     *
+     * @return {boolean} false if the style can't be applied to the points of
+     * the tile, because of their material.
+     */
+    applyToTile(tile) {
+        let result = true;
+        if (tile.content) {
+            tile.content.traverse((part) => {
+                if (part.isPoints) {
+                    result = this.applyToPoints(part, part.batchTable) && result;
+                } else if (part.batchTable) {
+                    this.applyToBatchTable(part.batchTable);
+                }
+            });
+        }
+        return result;
+    }
+
+    applyToBatchTable(batchTable) {
+        for (let batchId = 0; batchId < batchTable.batchLength; batchId++) {
+            const properties = batchTable.getProperties(batchId);
+            const show = this.show ? !!this.show(properties) : true;
+            readColor(this.color && this.color(properties), style);
+            batchTable.setColor(batchId, style.color);
+            batchTable.setShow(batchId, show && style.opacity > 0);
+        }
+    }
+
+    applyToPoints(points, batchTable) {
+        const geometry = points.geometry;
+        const position = geometry.attributes.position;
+        const count = position.count;
+        // the original colors of the points, restored by the styles without color
+        if (!points.userData.colors && geometry.attributes.color) {
+            points.userData.colors = geometry.attributes.color.array.slice();
+        }
+        const colors = points.userData.colors;
+
+        const stylable = !points.material.isShaderMaterial;
+        if (stylable && !geometry.attributes._POINTSIZE) {
+            geometry.addAttribute('_POINTSIZE', new THREE.BufferAttribute(new Float32Array(count), 1));
+            points.material.onBeforeCompile = patchPointsShader;
+            points.material.needsUpdate = true;
+        }
+        if (this.color && !geometry.attributes.color) {
+            geometry.addAttribute('color', new THREE.BufferAttribute(new Uint8Array(count * 3), 3, true));
+        }
+        // the features are the points, or the batches of the _BATCHID of
+        // the points: a batch is shown if one of its points is shown
+        const batchIds = geometry.attributes._BATCHID;
+        const batchLength = batchTable ? batchTable.batchLength : 0;
+        const shownBatches = new Uint8Array(batchLength);
+
+        for (let i = 0; i < count; i++) {
+            const batchId = batchIds ? batchIds.getX(i) : i;
+            const properties = batchId < batchLength ? batchTable.getProperties(batchId) : {};
+            properties.POSITION = new THREE.Vector3().fromArray(position.array, i * 3);
+            properties.COLOR = colors ?
+                new THREE.Vector4(colors[i * 3] / 255, colors[i * 3 + 1] / 255, colors[i * 3 + 2] / 255, 1) :
+                new THREE.Vector4(1, 1, 1, 1);
+
+            const show = this.show ? !!this.show(properties) : true;
+            if (this.color) {
+                readColor(this.color(properties), style);
+                geometry.attributes.color.array[i * 3] = Math.round(style.color.r * 255);
+                geometry.attributes.color.array[i * 3 + 1] = Math.round(style.color.g * 255);
+                geometry.attributes.color.array[i * 3 + 2] = Math.round(style.color.b * 255);
+            } else if (colors) {
+                geometry.attributes.color.array.set(colors.subarray(i * 3, i * 3 + 3), i * 3);
+            }
+            if (show && batchId < batchLength) {
+                shownBatches[batchId] = 1;
+            }
+            if (stylable) {
+                const size = this.pointSize ? Number(this.pointSize(properties)) : -1;
+                geometry.attributes._POINTSIZE.array[i] = show ? size : 0;
+            }
+        }
+        for (let batchId = 0; batchId < batchLength; batchId++) {
+            batchTable.setShow(batchId, shownBatches[batchId] == 1);
+        }
+        if (geometry.attributes.color) {
+            geometry.attributes.color.needsUpdate = true;
+        }
+        if (stylable) {
+            geometry.attributes._POINTSIZE.needsUpdate = true;
+        }
+        return stylable || (!this.show && !this.pointSize);
+    }
+}
+
+export default $3dTilesStyle;
@@ -0,0 +1,205 @@
+import * as THREE from 'three';
+import ShaderUtils from './Shader/ShaderUtils';
+
+// The maximum width of the style textures, larger batches use several rows
+const MAX_TEXTURE_WIDTH = 4096;
+
+class BatchTable {
+    /**
+     * The batch table of a 3D Tiles model, describing its features, and
+     * styling them. The vertices of the model have a <code>_BATCHID</code>
+     * attribute, the index of their feature in the batch table. The color and
+     * the visibility of each feature are stored in a texture, read with this
+     * index by the shaders of the materials of the model.
+     * <br><br>
+     * Only the three.js materials, like the <code>MeshLambertMaterial</code>
+     * of the <code>overrideMaterials</code> option of the 3D Tiles layers,
+     * are styled: the shaders of the glTF 1.0 models are kept as is.
+     * <br><br>
+     * The batch tables are the <code>batchTable</code> of the tiles of the 3D
+     * Tiles layers, and of the results of their picking: the view must then
+     * be notified of the style changes.
+     *
+     * @constructor
+     *
+     * @param {Object} [json={}] - The batch table, as read by the {@link
+     * module:BatchTableParser}: its properties are arrays of values, by
+     * batch id.
+     * @param {number} [batchLength] - The number of features. By default, it
+     * is the length of the properties.
+     *
+     * @property {Object} properties - The properties of the batch table, by
+     * name.
+     * @property {number} batchLength - The number of features.
+     *
+     * @example <caption>Color the buildings higher than 50 meters</caption>
+     * const picked = view.pickObjectsAt(event, 3, layer).find(p => p.batchTable);
+     * picked.batchTable.styleFeatures((properties) => {
+     *     if (properties.height > 50) {
+     *         return { color: 'red' };
+     *     }
+     * });
+     * view.notifyChange(layer);
+     */
+    constructor(json = {}, batchLength) {
+        this.properties = {};
+        let length = 0;
+        for (const name of Object.keys(json)) {
+            if (name != 'extensions' && name != 'extras' && Array.isArray(json[name])) {
+                this.properties[name] = json[name];
+                length = Math.max(length, json[name].length);
+            }
+        }
+        this.extensions = json.extensions;
+        this.batchLength = batchLength == undefined ? length : batchLength;
+
+        const width = Math.max(1, Math.min(this.batchLength, MAX_TEXTURE_WIDTH));
+        const height = Math.max(1, Math.ceil(this.batchLength / width));
+        this.styles = new Uint8Array(width * height * 4).fill(255);
+        this.texture = new THREE.DataTexture(this.styles, width, height, THREE.RGBAFormat);
+        this.texture.needsUpdate = true;
+        this.uniforms = {
+            batchTexture: new THREE.Uniform(this.texture),
+            batchTextureSize: new THREE.Uniform(new THREE.Vector2(width, height)),
+            batchHighlightId: new THREE.Uniform(-1),
+            batchHighlightColor: new THREE.Uniform(new THREE.Color(0xffff00)),
+        };
+    }
+
+    /**
+     * Get the properties of a feature.
+     *
+     * @param {number} batchId - The batch id of the feature.
+     *
+     * @return {Object} The values of the properties of the feature, by name.
+     */
+    getProperties(batchId) {
+        const result = {};
+        for (const name of Object.keys(this.properties)) {
+            result[name] = this.properties[name][batchId];
+        }
+        return result;
+    }
+
+    /**
+     * Patch the materials of the meshes of a model to style its features.
+     * This is done by the 3D Tiles provider when the tiles are loaded.
+     *
+     * @param {THREE.Object3D} object3d - The model.
+     *
+     * @return {boolean} true if all the materials of the model were patched.
+     */
+    attach(object3d) {
+        let stylable = true;
+        object3d.traverse((obj) => {
+            if (!obj.material || !obj.geometry || !obj.geometry.attributes || !obj.geometry.attributes._BATCHID) {
+                return;
+            }
+            for (const material of Array.isArray(obj.material) ? obj.material : [obj.material]) {
+                if (!material.batchTable) {
+                    material.batchTable = this;
+                    stylable = ShaderUtils.patch3dTilesMaterial(material, 'USE_BATCH_STYLE') && stylable;
+                }
+            }
+        });
+        return stylable;
+    }
+
+    checkBatchId(batchId) {
+        if (!(batchId >= 0 && batchId < this.batchLength)) {
+            throw new Error(`Invalid batch id ${batchId}, the batch length is ${this.batchLength}`);
+        }
+    }
+
+    /**
+     * Set the color of a feature, multiplied with the color of its material.
+     *
+     * @param {number} batchId - The batch id of the feature.
+     * @param {THREE.Color|string|number} [color='white'] - The color, white
+     * to reset it.
+     */
+    setColor(batchId, color = 0xffffff) {
+        this.checkBatchId(batchId);
+        const c = color.isColor ? color : new THREE.Color(color);
+        this.styles[batchId * 4] = Math.round(c.r * 255);
+        this.styles[batchId * 4 + 1] = Math.round(c.g * 255);
+        this.styles[batchId * 4 + 2] = Math.round(c.b * 255);
+        this.texture.needsUpdate = true;
+    }
+
+    /**
+     * Show or hide a feature.
+     *
+     * @param {number} batchId - The batch id of the feature.
+     * @param {boolean} [show=true] - false to hide the feature.
+     */
+    setShow(batchId, show = true) {
+        this.checkBatchId(batchId);
+        this.styles[batchId * 4 + 3] = show ? 255 : 0;
+        this.texture.needsUpdate = true;
+    }
+
+    /**
+     * Check if a feature is shown.
+     *
+     * @param {number} batchId - The batch id of the feature.
+     *
+     * @return {boolean} true if the feature is shown.
+     */
+    isShown(batchId) {
+        return this.styles[batchId * 4 + 3] != 0;
+    }
+
+    /**
+     * Highlight a feature, displayed with a plain color whatever its style.
+     * Only one feature is highlighted at a time.
+     *
+     * @param {number} [batchId] - The batch id of the feature, undefined to
+     * remove the highlight.
+     * @param {THREE.Color|string|number} [color='yellow'] - The color of the
+     * highlight.
+     */
+    highlight(batchId, color = 0xffff00) {
+        if (batchId == undefined) {
+            this.uniforms.batchHighlightId.value = -1;
+            return;
+        }
+        this.checkBatchId(batchId);
+        this.uniforms.batchHighlightId.value = batchId;
+        this.uniforms.batchHighlightColor.value.set(color);
+    }
+
+    /**
+     * Style all the features, from their properties.
+     *
+     * @param {function} callback - Called with the properties and the batch id
+     * of each feature, it returns its style, an object with an optional
+     * <code>color</code> and an optional <code>show</code>, or undefined for
+     * the default style.
+     */
+    styleFeatures(callback) {
+        for (let batchId = 0; batchId < this.batchLength; batchId++) {
+            const style = callback(this.getProperties(batchId), batchId) || {};
+            this.setColor(batchId, style.color);
+            this.setShow(batchId, style.show);
+        }
+    }
+
+    /**
+     * Reset the style of all the features and remove the highlight.
+     */
+    resetStyle() {
+        this.styles.fill(255);
+        this.texture.needsUpdate = true;
+        this.highlight();
+    }
+
+    /**
+     * Free the style texture.
+     */
+    dispose() {
+        this.texture.dispose();
+    }
+}
+
+export default BatchTable;
@@ -214,6 +214,20 @@ const LayeredMaterial = function LayeredMaterial(options) {
     }
 };
 
+// Count the materials displaying a texture, so that the Cache doesn't dispose
+// of it
+function retain(texture) {
+    if (texture) {
+        texture.materialsCount = (texture.materialsCount || 0) + 1;
+    }
+}
+
+function release(texture) {
+    if (texture && texture.materialsCount) {
+        texture.materialsCount--;
+    }
+}
+
 LayeredMaterial.prototype = Object.create(THREE.RawShaderMaterial.prototype);
 LayeredMaterial.prototype.constructor = LayeredMaterial;
 
@@ -227,6 +241,7 @@ LayeredMaterial.prototype.dispose = function dispose() {
     for (let l = 0; l < layerTypesCount; l++) {
         for (let i = 0, max = this.textures[l].length; i < max; i++) {
             if (this.textures[l][i] instanceof THREE.Texture) {
+                release(this.textures[l][i]);
                 this.textures[l][i].dispose();
             }
         }
@@ -301,6 +316,7 @@ LayeredMaterial.prototype.removeColorLayer = function removeColorLayer(layer) {
     // Dispose Layers textures
     for (let i = offset, max = offset + texturesCount; i < max; i++) {
         if (this.textures[l_COLOR][i] instanceof THREE.Texture) {
+            release(this.textures[l_COLOR][i]);
             this.textures[l_COLOR][i].dispose();
         }
     }
@@ -363,6 +379,9 @@ LayeredMaterial.prototype._setTexture = function _setTexture(texture, layerType,
         this.loadedTexturesCount[layerType] += 1;
     }
 
+    release(this.textures[layerType][slot]);
+    retain(texture);
+
     // BEWARE: array [] -> size: 0; array [10]="wao" -> size: 11
     this.textures[layerType][slot] = texture || emptyTexture;
     this.offsetScale[layerType][slot] = offsetScale || new THREE.Vector4(0.0, 0.0, 1.0, 1.0);
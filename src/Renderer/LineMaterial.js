@@ -0,0 +1,85 @@
+import { Color, Vector2, Uniform, DoubleSide, RawShaderMaterial } from 'three';
+import LineVS from './Shader/LineVS.glsl';
+import LineFS from './Shader/LineFS.glsl';
+import Capabilities from '../Core/System/Capabilities';
+
+class LineMaterial extends RawShaderMaterial {
+    /**
+     * The material of the wide lines created by {@link module:WideLine}.
+     * Their colors are the ones of the vertices.
+     *
+     * @constructor
+     * @extends THREE.RawShaderMaterial
+     *
+     * @param {Object} [options] - The options of the material.
+     * @param {number} [options.linewidth=1] - The width of the lines.
+     * @param {string} [options.widthUnits='pixels'] - The units of the widths,
+     * <code>pixels</code> or <code>meters</code>.
+     * @param {THREE.Color|string} [options.casingColor] - The color of the
+     * outline of the lines.
+     * @param {number} [options.casingWidth=0] - The width of the outline, on
+     * each side of the lines.
+     * @param {number[]} [options.dashArray] - The length of the dashes and of
+     * the gaps between them, in meters.
+     * @param {number} [options.opacity=1] - The opacity of the lines.
+     */
+    constructor(options = {}) {
+        super({ side: DoubleSide });
+        this.vertexShader = LineVS;
+        this.fragmentShader = LineFS;
+
+        this.linewidth = options.linewidth || 1;
+        this.widthUnits = options.widthUnits || 'pixels';
+        this.casingColor = new Color(options.casingColor || 0x000000);
+        this.casingWidth = options.casingWidth || 0;
+        this.dashArray = options.dashArray;
+        this.resolution = new Vector2(1, 1);
+        if (options.opacity !== undefined) {
+            this.opacity = options.opacity;
+            this.transparent = options.opacity < 1.0;
+        }
+
+        this.uniforms.resolution = new Uniform(this.resolution);
+        this.uniforms.halfWidth = new Uniform(0);
+        this.uniforms.worldUnits = new Uniform(false);
+        this.uniforms.opacity = new Uniform(this.opacity);
+        this.uniforms.casingColor = new Uniform(this.casingColor);
+        this.uniforms.innerRatio = new Uniform(1);
+        this.uniforms.dashed = new Uniform(false);
+        this.uniforms.dashArray = new Uniform(new Vector2());
+
+        if (Capabilities.isLogDepthBufferSupported()) {
+            this.defines.USE_LOGDEPTHBUF = 1;
+            this.defines.USE_LOGDEPTHBUF_EXT = 1;
+        }
+
+        this.updateUniforms();
+    }
+
+    updateUniforms() {
+        const halfWidth = this.linewidth / 2 + this.casingWidth;
+        this.uniforms.halfWidth.value = halfWidth;
+        this.uniforms.worldUnits.value = this.widthUnits == 'meters';
+        this.uniforms.opacity.value = this.opacity;
+        this.uniforms.innerRatio.value = halfWidth > 0 ? this.linewidth / 2 / halfWidth : 1;
+        this.uniforms.dashed.value = !!(this.dashArray && this.dashArray.length == 2);
+        if (this.uniforms.dashed.value) {
+            this.uniforms.dashArray.value.fromArray(this.dashArray);
+        }
+    }
+
+    /**
+     * Set the size of the rendering and update the uniforms from the
+     * properties of the material, that can be changed after its creation. It's
+     * called before the rendering of the wide lines.
+     *
+     * @param {THREE.WebGLRenderer} renderer - The renderer.
+     */
+    update(renderer) {
+        const size = renderer.getSize();
+        this.resolution.set(size.width, size.height);
+        this.updateUniforms();
+    }
+}
+
+export default LineMaterial;
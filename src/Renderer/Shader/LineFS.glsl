@@ -0,0 +1,26 @@
+precision highp float;
+precision highp int;
+
+#include <logdepthbuf_pars_fragment>
+
+uniform float opacity;
+uniform vec3 casingColor;
+// The part of the half width drawn with the color of the line
+uniform float innerRatio;
+uniform bool dashed;
+uniform vec2 dashArray;
+
+varying vec3 vColor;
+varying vec2 vOffset;
+varying float vDistance;
+
+void main() {
+    if (dashed && mod(vDistance, dashArray.x + dashArray.y) > dashArray.x) {
+        discard;
+    }
+
+    vec3 color = length(vOffset) > innerRatio ? casingColor : vColor;
+    gl_FragColor = vec4(color, opacity);
+
+    #include <logdepthbuf_fragment>
+}
@@ -0,0 +1,47 @@
+precision highp float;
+precision highp int;
+
+#include <logdepthbuf_pars_vertex>
+#define EPSILON 1e-6
+
+attribute vec3 position;
+// The other end of the segment of the vertex
+attribute vec3 other;
+// The offset of the vertex, in half widths of the line, along the segment and
+// across it, and whether the segment goes from the other end to the vertex
+attribute vec3 offset;
+attribute float distance;
+attribute vec3 color;
+
+uniform mat4 projectionMatrix;
+uniform mat4 modelViewMatrix;
+uniform vec2 resolution;
+uniform float halfWidth;
+uniform bool worldUnits;
+
+varying vec3 vColor;
+varying vec2 vOffset;
+varying float vDistance;
+
+void main() {
+    vColor = color;
+    vOffset = offset.xy;
+    vDistance = distance;
+
+    gl_Position = projectionMatrix * (modelViewMatrix * vec4(position, 1.0));
+    vec4 otherPosition = projectionMatrix * (modelViewMatrix * vec4(other, 1.0));
+
+    // The direction of the segment on the screen, in pixels
+    vec2 halfResolution = 0.5 * resolution;
+    vec2 direction = (otherPosition.xy / otherPosition.w - gl_Position.xy / gl_Position.w) * halfResolution * offset.z;
+    direction = length(direction) > EPSILON ? normalize(direction) : vec2(1.0, 0.0);
+    vec2 normal = vec2(-direction.y, direction.x);
+
+    // The half width of the line in pixels, at the depth of the vertex
+    float pixels = worldUnits ? halfWidth * halfResolution.y * projectionMatrix[1][1] / gl_Position.w : halfWidth;
+
+    vec2 pixelOffset = (direction * offset.x + normal * offset.y) * pixels;
+    gl_Position.xy += pixelOffset / halfResolution * gl_Position.w;
+
+    #include <logdepthbuf_vertex>
+}
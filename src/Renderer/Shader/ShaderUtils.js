@@ -3,6 +3,78 @@ import PrecisionQualifier from './Chunk/PrecisionQualifier.glsl';
 const rePosition = new RegExp('gl_Position.*(?![^]*gl_Position)');
 const reMain = new RegExp('[^\\w]*main[^\\w]*(void)?[^\\w]*{');
 
+// The code added to the shaders of the materials of the 3D Tiles models, to
+// instantiate them and to style their features
+const parsVertex3dTiles = `
+#ifdef USE_INSTANCING
+attribute vec4 instanceRow0;
+attribute vec4 instanceRow1;
+attribute vec4 instanceRow2;
+#endif
+#ifdef USE_BATCH_STYLE
+attribute float _BATCHID;
+varying float vBatchId;
+#endif
+`;
+
+// The instance matrices are given by their first 3 rows
+const normalVertex3dTiles = `
+#include <beginnormal_vertex>
+#ifdef USE_INSTANCING
+objectNormal = vec3(dot(instanceRow0.xyz, objectNormal), dot(instanceRow1.xyz, objectNormal), dot(instanceRow2.xyz, objectNormal));
+#endif
+`;
+
+const vertex3dTiles = `
+#include <begin_vertex>
+#ifdef USE_INSTANCING
+transformed = vec3(dot(instanceRow0, vec4(transformed, 1.0)), dot(instanceRow1, vec4(transformed, 1.0)), dot(instanceRow2, vec4(transformed, 1.0)));
+#endif
+#ifdef USE_BATCH_STYLE
+vBatchId = _BATCHID;
+#endif
+`;
+
+const parsFragment3dTiles = `
+#ifdef USE_BATCH_STYLE
+uniform sampler2D batchTexture;
+uniform vec2 batchTextureSize;
+uniform float batchHighlightId;
+uniform vec3 batchHighlightColor;
+varying float vBatchId;
+#endif
+`;
+
+// The style of the feature is read in the texture, at the pixel of its batch id
+const fragment3dTiles = `
+#include <color_fragment>
+#ifdef USE_BATCH_STYLE
+float batchId = floor(vBatchId + 0.5);
+vec2 batchUv = vec2(mod(batchId, batchTextureSize.x), floor(batchId / batchTextureSize.x));
+vec4 batchStyle = texture2D(batchTexture, (batchUv + 0.5) / batchTextureSize);
+if (batchStyle.a == 0.0) {
+    discard;
+}
+diffuseColor *= batchStyle;
+if (batchId == batchHighlightId) {
+    diffuseColor.rgb = batchHighlightColor;
+}
+#endif
+`;
+
+// Called by three.js with the material as this: the same function is used for
+// all the materials, whose programs differ by their defines
+function onBeforeCompile3dTiles(shader) {
+    if (this.batchTable) {
+        Object.assign(shader.uniforms, this.batchTable.uniforms);
+    }
+    shader.vertexShader = `${parsVertex3dTiles}${shader.vertexShader
+        .replace('#include <beginnormal_vertex>', normalVertex3dTiles)
+        .replace('#include <begin_vertex>', vertex3dTiles)}`;
+    shader.fragmentShader = `${parsFragment3dTiles}${shader.fragmentShader
+        .replace('#include <color_fragment>', fragment3dTiles)}`;
+}
+
 export default {
     patchMaterialForLogDepthSupport(material) {
         // Check if the shader does not already use the log depth buffer
@@ -30,4 +102,29 @@ export default {
             USE_LOGDEPTHBUF_EXT: 1,
         };
     },
+
+    /**
+     * Patch a three.js material of a 3D Tiles model, to instantiate the model
+     * or to style its features. The shaders of the RawShaderMaterial and of
+     * the ShaderMaterial can't be patched.
+     *
+     * @param {THREE.Material} material - The material.
+     * @param {string} define - <code>USE_INSTANCING</code> to transform the
+     * vertices by the instance matrices, given by the
+     * <code>instanceRow0</code>, <code>instanceRow1</code> and
+     * <code>instanceRow2</code> attributes, or <code>USE_BATCH_STYLE</code>
+     * to style the features by their <code>_BATCHID</code> attribute, with
+     * the uniforms of the <code>batchTable</code> of the material.
+     *
+     * @return {boolean} false if the material can't be patched.
+     */
+    patch3dTilesMaterial(material, define) {
+        if (material.isShaderMaterial) {
+            return false;
+        }
+        material.defines = Object.assign({}, material.defines, { [define]: '' });
+        material.onBeforeCompile = onBeforeCompile3dTiles;
+        material.needsUpdate = true;
+        return true;
+    },
 };
@@ -1,5 +1,8 @@
 import * as THREE from 'three';
 import Earcut from 'earcut';
+import Coordinates from '../../Core/Geographic/Coordinates';
+import FeatureStyle from './FeatureStyle';
+import WideLine from './WideLine';
 
 function getProperty(name, options, defaultValue, ...args) {
     const property = options[name];
@@ -34,6 +37,87 @@ function fillColorArray(colors, length, r, g, b, offset) {
     }
 }
 
+// The altitude of coordinates, above the ellipsoid in a geocentric CRS
+function altitudeOf(coordinates) {
+    return coordinates.crs == 'EPSG:4978' ? coordinates.as('EPSG:4326').altitude() : coordinates._values[2];
+}
+
+// Interpolate between two coordinates, in geographic coordinates when they are
+// geocentric, so that the interpolated points don't go through the ellipsoid
+function interpolate(a, b, t) {
+    if (a.crs == 'EPSG:4978') {
+        return interpolate(a.as('EPSG:4326'), b.as('EPSG:4326'), t).as(a.crs);
+    }
+    return new Coordinates(a.crs,
+        a._values[0] + (b._values[0] - a._values[0]) * t,
+        a._values[1] + (b._values[1] - a._values[1]) * t,
+        a._values[2] + (b._values[2] - a._values[2]) * t);
+}
+
+/*
+ * Insert vertices in the segments of the lines and of the polygons longer than
+ * maxSegmentLength, so that they follow the terrain when they are clamped to
+ * it.
+ *
+ * @param  {Object} feature - a Feature's geometry
+ * @param  {number} maxSegmentLength - the maximum length of the segments
+ * @return {Object} the densified feature
+ */
+const segmentStart = new THREE.Vector3();
+const segmentEnd = new THREE.Vector3();
+function densify(feature, maxSegmentLength) {
+    if (!maxSegmentLength || feature.type.indexOf('point') >= 0) {
+        return feature;
+    }
+    const vertices = [];
+    const geometry = feature.geometry.map(g => Object.assign({}, g, {
+        indices: g.indices.map((range) => {
+            const offset = vertices.length;
+            for (let i = range.offset; i < range.offset + range.count; i++) {
+                const coordinates = feature.vertices[i];
+                if (i > range.offset) {
+                    const previous = feature.vertices[i - 1];
+                    const length = previous.xyz(segmentStart).distanceTo(coordinates.xyz(segmentEnd));
+                    const count = Math.ceil(length / maxSegmentLength);
+                    for (let k = 1; k < count; k++) {
+                        vertices.push(interpolate(previous, coordinates, k / count));
+                    }
+                }
+                vertices.push(coordinates);
+            }
+            return { offset, count: vertices.length - offset };
+        }),
+    }));
+    return Object.assign({}, feature, { vertices, geometry });
+}
+
+/*
+ * Get the altitude of the vertices of a feature, added to the altitude of
+ * their coordinates, following the altitude mode:
+ * - absolute: the altitude option
+ * - relativeToGround: the altitude option and the altitude of the ground
+ * - clampToGround: the difference between the altitudes of the ground and of
+ *   the coordinates, the altitude option being ignored
+ *
+ * @param  {Object} feature - a Feature's geometry
+ * @param  {Object} options - the options of the conversion
+ * @return {number | number[]} altitude
+ */
+function getAltitude(feature, options) {
+    const altitude = getProperty('altitude', options, 0, feature.properties, feature.vertices);
+    const mode = options.altitudeMode || 'absolute';
+    if (mode == 'absolute' || !options.groundAltitude) {
+        return altitude;
+    }
+    return feature.vertices.map((coordinates, i) => {
+        const ground = options.groundAltitude(coordinates) || 0;
+        if (mode == 'clampToGround') {
+            return ground - altitudeOf(coordinates);
+        }
+        return ground + (Array.isArray(altitude) ? altitude[i] : altitude);
+    });
+}
+
 /*
  * Convert coordinates to vertices positionned at a given altitude
  *
@@ -61,63 +145,12 @@ function coordinatesToVertices(contour, altitude, target, offset = 0, extrude =
     }
 }
 
-/*
- * Add indices for the side faces.
- * We loop over the contour and create a side face made of two triangles.
- *
- * For a ring made of (n) coordinates, there are (n*2) vertices.
- * The (n) first vertices are on the roof, the (n) other vertices are on the floor.
- *
- * If index (i) is on the roof, index (i+length) is on the floor.
- *
- * @param {number[]} indices - Array of indices to push to
- * @param {number} length - Total vertices count in the geom (excluding the extrusion ones)
- * @param {number} offset
- * @param {number} count
- * @param {boolean} isClockWise - Wrapping direction
- */
-function addExtrudedPolygonSideFaces(indices, length, offset, count, isClockWise) {
-    // loop over contour length, and for each point of the contour,
-    // add indices to make two triangle, that make the side face
-    for (let i = offset; i < offset + count - 1; ++i) {
-        if (isClockWise) {
-            // first triangle indices
-            indices.push(i);
-            indices.push(i + length);
-            indices.push(i + 1);
-            // second triangle indices
-            indices.push(i + 1);
-            indices.push(i + length);
-            indices.push(i + length + 1);
-        } else {
-            // first triangle indices
-            indices.push(i + length);
-            indices.push(i);
-            indices.push(i + length + 1);
-            // second triangle indices
-            indices.push(i + length + 1);
-            indices.push(i);
-            indices.push(i + 1);
-        }
-    }
-}
-
-function prepareBufferGeometry(vert, color, altitude, extrude) {
-    const multiplyVerticesCount = (extrude == undefined) ? 1 : 2;
-
-    const vertices = new Float32Array(3 * vert.length * multiplyVerticesCount);
-    const colors = new Uint8Array(3 * vert.length * multiplyVerticesCount);
-
-    if (multiplyVerticesCount == 1) {
-        coordinatesToVertices(vert, altitude, vertices);
-        fillColorArray(colors, vert.length, color.r * 255, color.g * 255, color.b * 255, 0);
-    } else {
-        coordinatesToVertices(vert, altitude, vertices, 0);
-        fillColorArray(colors, vert.length, color[0].r * 255, color[0].g * 255, color[0].b * 255, 0);
+function prepareBufferGeometry(vert, color, altitude) {
+    const vertices = new Float32Array(3 * vert.length);
+    const colors = new Uint8Array(3 * vert.length);
 
-        coordinatesToVertices(vert, altitude, vertices, 3 * vert.length, extrude);
-        fillColorArray(colors, vert.length, color[1].r * 255, color[1].g * 255, color[1].b * 255, vert.length);
-    }
+    coordinatesToVertices(vert, altitude, vertices);
+    fillColorArray(colors, vert.length, color.r * 255, color.g * 255, color.b * 255, 0);
 
     const geom = new THREE.BufferGeometry();
     geom.addAttribute('position', new THREE.BufferAttribute(vertices, 3));
@@ -128,7 +161,7 @@ function prepareBufferGeometry(vert, color, altitude, extrude) {
 
 function featureToPoint(feature, properties, options) {
     // get altitude / color from properties
-    const altitude = getProperty('altitude', options, 0, properties, feature.vertices);
+    const altitude = getAltitude(feature, options);
     const color = getProperty('color', options, randomColor, properties);
 
     const geom = prepareBufferGeometry(
@@ -141,7 +174,7 @@ function featureToPoint(feature, properties, options) {
 
 function featureToLine(feature, properties, options) {
     // get altitude / color from properties
-    const altitude = getProperty('altitude', options, 0, properties, feature.vertices);
+    const altitude = getAltitude(feature, options);
     const color = getProperty('color', options, randomColor, properties);
 
     const geom = prepareBufferGeometry(
@@ -149,6 +182,22 @@ function featureToLine(feature, properties, options) {
         color,
         altitude);
 
+    // Lines with a width are triangulated, WebGL ignoring the width of lines
+    if (options.linewidth) {
+        return WideLine.create(
+            geom.attributes.position.array,
+            geom.attributes.color.array,
+            feature.geometry.map(geometry => geometry.indices[0]),
+            {
+                linewidth: options.linewidth,
+                widthUnits: options.widthUnits,
+                lineCap: options.lineCap,
+                casingColor: options.casingColor,
+                casingWidth: options.casingWidth,
+                dashArray: options.dashArray,
+            });
+    }
+
     if (feature.geometry.length > 1) {
         const indices = [];
         // Multi line case
@@ -169,7 +218,7 @@ function featureToLine(feature, properties, options) {
 
 function featureToPolygon(feature, properties, options) {
     // get altitude / color from properties
-    const altitude = getProperty('altitude', options, 0, properties, feature.vertices);
+    const altitude = getAltitude(feature, options);
     const color = getProperty('color', options, randomColor, properties);
 
     const geom = prepareBufferGeometry(
@@ -196,91 +245,455 @@ function featureToPolygon(feature, properties, options) {
 }
 
 
-function featureToExtrudedPolygon(feature, properties, options) {
-    // get altitude / color from properties
-    const altitude = getProperty('altitude', options, 0, properties, feature.vertices);
-    const extrude = getProperty('extrude', options, 0, properties);
+/*
+ * The shapes of the roofs. The height of a roof at a point of the footprint,
+ * in roof heights, is the minimum of linear functions [a, b, c] of its
+ * position (s, t) in the frame of the footprint, a * s + b * t + c. The s axis
+ * is along the ridge and the t axis across it, their origin is at the center
+ * of the footprint, whose half dimensions are length and width.
+ */
+const ROOF_SHAPES = {
+    flat: () => [],
+    gabled: (length, width) => [[0, -1 / width, 1], [0, 1 / width, 1]],
+    hipped: (length, width) => [
+        [0, -1 / width, 1],
+        [0, 1 / width, 1],
+        [1 / width, 0, length / width],
+        [-1 / width, 0, length / width],
+    ],
+};
 
-    const colors = [getProperty('color', options, randomColor, properties)];
-    colors.push(colors[0].clone());
-    colors[0].multiplyScalar(155 / 255);
+function evaluatePlane(plane, st) {
+    return plane[0] * st[0] + plane[1] * st[1] + plane[2];
+}
 
-    const geom = prepareBufferGeometry(
-        feature.vertices,
-        colors,
-        altitude,
-        extrude);
+function roofHeightAt(planes, st) {
+    return planes.length ? Math.max(0, Math.min(...planes.map(plane => evaluatePlane(plane, st)))) : 0;
+}
 
-    const isClockWise = THREE.ShapeUtils.isClockWise(
-        feature.vertices.slice(feature.geometry[0].indices[0].offset,
-            feature.geometry[0].indices[0].offset +
-            feature.geometry[0].indices[0].count).map(c => c.xyz()));
+/*
+ * The frame of the footprint of a polygon, on its top: the s axis follows the
+ * longest side of the outer ring and the t axis is across it, they're swapped
+ * to put the s axis along the longest dimension of the footprint.
+ *
+ * @param  {number[]} positions - the positions of the top vertices
+ * @param  {Object} ring - the range of the outer ring in the positions
+ * @param  {THREE.Vector3} normal - the up direction of the footprint
+ * @return {Object} frame
+ */
+function footprintFrame(positions, ring, normal) {
+    const origin = new THREE.Vector3().fromArray(positions, 3 * ring.offset);
+    const u = new THREE.Vector3(1, 0, 0);
+    const edge = new THREE.Vector3();
+    let longest = 0;
+    for (let i = ring.offset; i < ring.offset + ring.count - 1; i++) {
+        edge.fromArray(positions, 3 * (i + 1)).sub(vec.fromArray(positions, 3 * i));
+        edge.addScaledVector(normal, -edge.dot(normal));
+        if (edge.length() > longest) {
+            longest = edge.length();
+            u.copy(edge).normalize();
+        }
+    }
+    const frame = { origin, normal, u, v: new THREE.Vector3().crossVectors(normal, u) };
+    const project = (i) => {
+        vec.fromArray(positions, 3 * i).sub(origin);
+        return [vec.dot(frame.u), vec.dot(frame.v)];
+    };
+    const min = [Infinity, Infinity];
+    const max = [-Infinity, -Infinity];
+    for (let i = ring.offset; i < ring.offset + ring.count; i++) {
+        const st = project(i);
+        min[0] = Math.min(min[0], st[0]);
+        min[1] = Math.min(min[1], st[1]);
+        max[0] = Math.max(max[0], st[0]);
+        max[1] = Math.max(max[1], st[1]);
+    }
+    if (max[1] - min[1] > max[0] - min[0]) {
+        frame.u = frame.v;
+        frame.v = u.clone().negate();
+        frame.center = [(min[1] + max[1]) / 2, -(min[0] + max[0]) / 2];
+        frame.halfSize = [(max[1] - min[1]) / 2, (max[0] - min[0]) / 2];
+    } else {
+        frame.center = [(min[0] + max[0]) / 2, (min[1] + max[1]) / 2];
+        frame.halfSize = [(max[0] - min[0]) / 2, (max[1] - min[1]) / 2];
+    }
+    frame.project = project;
+    return frame;
+}
 
-    let indices = [];
-    for (const geometry of feature.geometry) {
-        const start = geometry.indices[0].offset;
-        const lastIndice = geometry.indices.slice(-1)[0];
-        const end = lastIndice.offset + lastIndice.count;
+// Clip a polygon, in the frame of its footprint, by the half plane where the
+// linear function is positive
+function clipPolygon(polygon, plane) {
+    const clipped = [];
+    for (let i = 0; i < polygon.length; i++) {
+        const a = polygon[i];
+        const b = polygon[(i + 1) % polygon.length];
+        const fa = evaluatePlane(plane, a);
+        const fb = evaluatePlane(plane, b);
+        if (fa >= 0) {
+            clipped.push(a);
+        }
+        if ((fa >= 0) != (fb >= 0)) {
+            const k = fa / (fa - fb);
+            clipped.push([a[0] + (b[0] - a[0]) * k, a[1] + (b[1] - a[1]) * k]);
+        }
+    }
+    return clipped;
+}
 
-        const holesOffsets = geometry.indices.map(i => i.offset - start).slice(1);
+// The indices of the vertices of a ring, whose first vertex is repeated at
+// its end if it isn't closed
+const ringEnd = new THREE.Vector3();
+function closeRing(positions, ring) {
+    const indices = [];
+    for (let i = ring.offset; i < ring.offset + ring.count; i++) {
+        indices.push(i);
+    }
+    ringEnd.fromArray(positions, 3 * (ring.offset + ring.count - 1));
+    if (vec.fromArray(positions, 3 * ring.offset).distanceToSquared(ringEnd) > 0) {
+        indices.push(ring.offset);
+    }
+    return indices;
+}
 
-        const triangles = Earcut(geom.attributes.position.array.slice(start * 3, end * 3),
-                holesOffsets, 3);
+function signedArea(polygon) {
+    let area = 0;
+    for (let i = 0; i < polygon.length; i++) {
+        const a = polygon[i];
+        const b = polygon[(i + 1) % polygon.length];
+        area += a[0] * b[1] - b[0] * a[1];
+    }
+    return area / 2;
+}
 
-        indices = indices.concat(triangles.map(i => i + start + feature.vertices.length));
+/*
+ * Add the walls of a ring to the buffers, made of a quad per side, whose
+ * vertices aren't shared to have the normals of the sides. The u texture
+ * coordinate is the distance along the ring and v the height above its
+ * bottom, in meters.
+ *
+ * @param {Object} buffers - the positions, uvs and indices of the geometry
+ * @param {Object[]} points - the bottom and top positions of the ring
+ * @param {boolean} isOutward - whether the normals are on the left of the ring
+ */
+function addWalls(buffers, points, isOutward) {
+    let distance = 0;
+    for (let i = 0; i < points.length - 1; i++) {
+        const a = points[i];
+        const b = points[i + 1];
+        const length = a.bottom.distanceTo(b.bottom);
+        if (length == 0) {
+            continue;
+        }
+        const first = buffers.positions.length / 3;
+        for (const [position, u, v] of [
+            [a.bottom, distance, 0],
+            [b.bottom, distance + length, 0],
+            [b.top, distance + length, b.top.distanceTo(b.bottom)],
+            [a.top, distance, a.top.distanceTo(a.bottom)],
+        ]) {
+            buffers.positions.push(position.x, position.y, position.z);
+            buffers.uvs.push(u, v);
+        }
+        if (isOutward) {
+            buffers.indices.push(first, first + 1, first + 2, first, first + 2, first + 3);
+        } else {
+            buffers.indices.push(first, first + 2, first + 1, first, first + 3, first + 2);
+        }
+        distance += length;
+    }
+}
 
-        for (const indice of geometry.indices) {
-            addExtrudedPolygonSideFaces(
-                indices,
-                feature.vertices.length,
-                indice.offset,
-                indice.count,
-                isClockWise);
+/*
+ * Add triangles of a roof to the buffers, oriented upward. The texture
+ * coordinates are the positions in the frame of the footprint, in meters.
+ *
+ * @param {Object} buffers - the positions, uvs and indices of the geometry
+ * @param {number[][]} polygon - the points of the roof, in the frame of the
+ * footprint, the holes following the outer ring
+ * @param {number[]} holes - the indices of the first points of the holes
+ * @param {function} toPosition - returns the position of a point of the roof
+ */
+function addRoof(buffers, polygon, holes, toPosition) {
+    const first = buffers.positions.length / 3;
+    for (const st of polygon) {
+        toPosition(st).toArray(buffers.positions, buffers.positions.length);
+        buffers.uvs.push(st[0], st[1]);
+    }
+    const triangles = Earcut([].concat(...polygon), holes, 2);
+    for (let i = 0; i < triangles.length; i += 3) {
+        const triangle = triangles.slice(i, i + 3);
+        if (signedArea(triangle.map(j => polygon[j])) < 0) {
+            triangle.reverse();
         }
+        buffers.indices.push(...triangle.map(j => j + first));
     }
+}
 
-    geom.setIndex(new THREE.BufferAttribute(new Uint16Array(indices), 1));
-    return new THREE.Mesh(geom);
+/*
+ * Extrude polygons from a base height to a top height above their altitude,
+ * with walls and roofs in two groups of the geometry, to draw them with
+ * different materials. The roofs are flat or have a simple shape: gabled or
+ * hipped. The polygons with holes always have flat roofs.
+ */
+function featureToExtrudedPolygon(feature, properties, options) {
+    // get altitude / color from properties
+    const altitude = getAltitude(feature, options);
+    const extrude = getProperty('extrude', options, 0, properties);
+    const base = getProperty('extrusionBase', options, 0, properties);
+    const roofShape = getProperty('roofShape', options, 'flat', properties);
+    const roofHeight = getProperty('roofHeight', options, 0, properties);
+
+    const color = getProperty('color', options, randomColor, properties);
+    const wallColor = getProperty('wallColor', options, () => color.clone().multiplyScalar(155 / 255), properties);
+    const roofColor = getProperty('roofColor', options, color, properties);
+
+    const count = feature.vertices.length;
+    const bottoms = new Float64Array(3 * count);
+    const tops = new Float64Array(3 * count);
+    coordinatesToVertices(feature.vertices, altitude, bottoms, 0, base);
+    coordinatesToVertices(feature.vertices, altitude, tops, 0, extrude);
+    const position = (array, i) => new THREE.Vector3().fromArray(array, 3 * i);
+
+    const walls = { positions: [], uvs: [], indices: [] };
+    const roofs = { positions: [], uvs: [], indices: [] };
+    for (const geometry of feature.geometry) {
+        const outer = geometry.indices[0];
+        const normal = feature.vertices[outer.offset].geodesicNormal;
+        const frame = footprintFrame(tops, outer, normal);
+        const shape = geometry.indices.length == 1 && roofHeight > 0 && ROOF_SHAPES[roofShape];
+        const planes = shape ? shape(...frame.halfSize).map(p =>
+            [p[0], p[1], p[2] - p[0] * frame.center[0] - p[1] * frame.center[1]]) : [];
+
+        if (planes.length) {
+            const outerRing = closeRing(tops, outer);
+            const ring = outerRing.slice(1).map(frame.project);
+
+            // The sloped roofs are put on the mean height of the top of the walls
+            let top = 0;
+            for (const i of outerRing.slice(1)) {
+                top += vec.fromArray(tops, 3 * i).sub(frame.origin).dot(normal) / ring.length;
+            }
+            const toPosition = st => frame.origin.clone()
+                .addScaledVector(frame.u, st[0])
+                .addScaledVector(frame.v, st[1])
+                .addScaledVector(normal, top + roofHeight * roofHeightAt(planes, st));
+
+            // The walls have a vertex where the slope of the roof changes
+            const points = [];
+            outerRing.forEach((i, n) => {
+                const st = frame.project(i);
+                const bottom = position(bottoms, i);
+                points.push({ st, bottom });
+                if (n == outerRing.length - 1) {
+                    return;
+                }
+                const next = frame.project(outerRing[n + 1]);
+                const breaks = [];
+                for (let j = 0; j < planes.length; j++) {
+                    for (let k = j + 1; k < planes.length; k++) {
+                        const difference = planes[j].map((c, l) => c - planes[k][l]);
+                        const fa = evaluatePlane(difference, st);
+                        const fb = evaluatePlane(difference, next);
+                        if (fa * fb < 0) {
+                            breaks.push(fa / (fa - fb));
+                        }
+                    }
+                }
+                for (const k of breaks.sort((a, b) => a - b)) {
+                    points.push({
+                        st: [st[0] + (next[0] - st[0]) * k, st[1] + (next[1] - st[1]) * k],
+                        bottom: bottom.clone().lerp(position(bottoms, outerRing[n + 1]), k),
+                    });
+                }
+            });
+            for (const point of points) {
+                point.top = toPosition(point.st);
+            }
+            addWalls(walls, points, signedArea(ring) > 0);
+
+            // A roof face where each plane is below the other ones
+            planes.forEach((plane, j) => {
+                let face = ring;
+                planes.forEach((other, k) => {
+                    if (k != j) {
+                        face = clipPolygon(face, other.map((c, l) => c - plane[l]));
+                    }
+                });
+                if (face.length > 2) {
+                    addRoof(roofs, face, [], toPosition);
+                }
+            });
+        } else {
+            // The points of the flat roofs are the tops of the walls
+            const polygon = [];
+            const roofTops = [];
+            const holes = [];
+            geometry.indices.forEach((range, r) => {
+                const ring = closeRing(tops, range);
+                const st = ring.slice(1).map(frame.project);
+                // The walls of the holes face their inside
+                addWalls(walls, ring.map(i => ({ bottom: position(bottoms, i), top: position(tops, i) })),
+                    (signedArea(st) > 0) == (r == 0));
+                if (r > 0) {
+                    holes.push(polygon.length);
+                }
+                polygon.push(...st);
+                roofTops.push(...ring.slice(1).map(i => position(tops, i)));
+            });
+            let index = 0;
+            addRoof(roofs, polygon, holes, () => roofTops[index++]);
+        }
+    }
+
+    const wallCount = walls.positions.length / 3;
+    const vertexCount = wallCount + roofs.positions.length / 3;
+    const colors = new Uint8Array(3 * vertexCount);
+    fillColorArray(colors, wallCount, wallColor.r * 255, wallColor.g * 255, wallColor.b * 255, 0);
+    fillColorArray(colors, vertexCount - wallCount, roofColor.r * 255, roofColor.g * 255, roofColor.b * 255, wallCount);
+
+    const geom = new THREE.BufferGeometry();
+    geom.addAttribute('position', new THREE.BufferAttribute(new Float32Array(walls.positions.concat(roofs.positions)), 3));
+    geom.addAttribute('color', new THREE.BufferAttribute(colors, 3, true));
+    geom.addAttribute('uv', new THREE.BufferAttribute(new Float32Array(walls.uvs.concat(roofs.uvs)), 2));
+    const Indices = vertexCount > 65535 ? Uint32Array : Uint16Array;
+    const indices = walls.indices.concat(roofs.indices.map(i => i + wallCount));
+    geom.setIndex(new THREE.BufferAttribute(new Indices(indices), 1));
+    geom.addGroup(0, walls.indices.length, 0);
+    geom.addGroup(walls.indices.length, roofs.indices.length, 1);
+    geom.computeVertexNormals();
+
+    const mesh = new THREE.Mesh(geom);
+    if (options.wallMaterial || options.roofMaterial) {
+        mesh.material = [options.wallMaterial || mesh.material, options.roofMaterial || mesh.material];
+    }
+    return mesh;
+}
+
+// The options of the conversion of a feature: the values of the style,
+// evaluated for the feature, take precedence over the altitude, extrude and
+// color options
+function styleToOptions(feature, options, style) {
+    if (!style) {
+        return options;
+    }
+    const values = FeatureStyle.resolve(style, feature.properties, feature);
+    const value = (name, option) => (values[name] === undefined ? options[option] : values[name]);
+    const isLine = feature.type.indexOf('line') >= 0;
+    const color = isLine ? values.stroke || values.fill : values.fill || values.stroke;
+    return {
+        altitude: value('altitude', 'altitude'),
+        extrude: value('extrusionHeight', 'extrude'),
+        extrusionBase: value('extrusionBase', 'extrusionBase'),
+        roofShape: value('roofShape', 'roofShape'),
+        roofHeight: value('roofHeight', 'roofHeight'),
+        color: color === undefined ? options.color : new THREE.Color(color),
+        wallColor: values.wallColor === undefined ? options.wallColor : new THREE.Color(values.wallColor),
+        roofColor: values.roofColor === undefined ? options.roofColor : new THREE.Color(values.roofColor),
+        wallMaterial: options.wallMaterial,
+        roofMaterial: options.roofMaterial,
+        opacity: isLine ? values.strokeOpacity : values.fillOpacity,
+        linewidth: value('strokeWidth', 'linewidth'),
+        widthUnits: value('widthUnits', 'widthUnits'),
+        lineCap: value('lineCap', 'lineCap'),
+        casingColor: value('casingColor', 'casingColor'),
+        casingWidth: value('casingWidth', 'casingWidth'),
+        dashArray: value('strokeDashArray', 'dashArray'),
+        size: values.radius === undefined ? undefined : 2 * values.radius,
+        altitudeMode: value('altitudeMode', 'altitudeMode'),
+        groundAltitude: options.groundAltitude,
+        maxSegmentLength: options.maxSegmentLength,
+    };
+}
+
+// The materials of a mesh created by the conversion
+function ownMaterials(mesh, options) {
+    return [].concat(mesh.material).filter((material, i, materials) =>
+        material !== options.wallMaterial && material !== options.roofMaterial &&
+        materials.indexOf(material) == i);
+}
+
+// Replace a mesh by its restyled version, in its parent, and dispose of its
+// geometry and of its own materials
+function replaceMesh(mesh, restyled) {
+    restyled.name = mesh.name;
+    restyled.userData = mesh.userData;
+    restyled.layer = mesh.layer;
+    restyled.layers.mask = mesh.layers.mask;
+    restyled.visible = mesh.visible;
+    restyled.renderOrder = mesh.renderOrder;
+    restyled.position.copy(mesh.position);
+    restyled.quaternion.copy(mesh.quaternion);
+    restyled.scale.copy(mesh.scale);
+    restyled.updateMatrix();
+
+    const parent = mesh.parent;
+    if (parent) {
+        const index = parent.children.indexOf(mesh);
+        parent.remove(mesh);
+        restyled.parent = parent;
+        parent.children.splice(index, 0, restyled);
+        restyled.dispatchEvent({ type: 'added' });
+    }
+
+    mesh.geometry.dispose();
+    for (const material of ownMaterials(mesh, mesh.conversionOptions)) {
+        material.dispose();
+    }
 }
 
 /**
  * Convert a [Feature]{@link Feature#geometry}'s geometry to a Mesh
  *
  * @param {Object} feature - a Feature's geometry
- * @param {Object} options - options controlling the conversion
- * @param {number|function} options.altitude - define the base altitude of the mesh
- * @param {number|function} options.extrude - if defined, polygons will be extruded by the specified amount
- * @param {object|function} options.color - define per feature color
+ * @param {Object} conversionOptions - options controlling the conversion
+ * @param {number|function} conversionOptions.altitude - define the base altitude of the mesh
+ * @param {number|function} conversionOptions.extrude - if defined, polygons will be extruded by the specified amount
+ * @param {object|function} conversionOptions.color - define per feature color
+ * @param {number|function} [conversionOptions.extrusionBase] - the bottom of the walls above the altitude
+ * @param {string|function} [conversionOptions.roofShape] - flat, gabled or hipped
+ * @param {number|function} [conversionOptions.roofHeight] - the height of the roof ridge
+ * @param {object|function} [conversionOptions.wallColor] - the color of the walls
+ * @param {object|function} [conversionOptions.roofColor] - the color of the roofs
+ * @param {THREE.Material} [conversionOptions.wallMaterial] - the material of the walls
+ * @param {THREE.Material} [conversionOptions.roofMaterial] - the material of the roofs
+ * @param {string} [conversionOptions.altitudeMode='absolute'] - how the altitude is applied
+ * @param {function} [conversionOptions.groundAltitude] - returns the altitude of the ground at coordinates
+ * @param {number} [conversionOptions.maxSegmentLength] - the maximum length of the segments
+ * @param {Object} [style] - the style of the feature
  * @return {THREE.Mesh} mesh
  */
-function featureToMesh(feature, options) {
+function featureToMesh(feature, conversionOptions, style) {
     if (!feature.vertices) {
         return;
     }
 
+    const options = styleToOptions(feature, conversionOptions, style);
+    const densified = densify(feature, options.maxSegmentLength);
+
     var mesh;
     switch (feature.type) {
         case 'point':
         case 'multipoint': {
-            mesh = featureToPoint(feature, feature.properties, options);
+            mesh = featureToPoint(densified, feature.properties, options);
             break;
         }
         case 'linestring':
         case 'multilinestring': {
-            mesh = featureToLine(feature, feature.properties, options);
+            mesh = featureToLine(densified, feature.properties, options);
             break;
         }
         case 'polygon':
         case 'multipolygon': {
             if (options.extrude) {
                 mesh = featureToExtrudedPolygon(
-                    feature,
+                    densified,
                     feature.properties,
                     options);
             }
             else {
                 mesh = featureToPolygon(
-                    feature,
+                    densified,
                     feature.properties,
                     options);
             }
@@ -289,32 +702,55 @@ function featureToMesh(feature, options) {
         default:
     }
 
-    // set mesh material
-    mesh.material.vertexColors = THREE.VertexColors;
-    mesh.material.color = new THREE.Color(0xffffff);
+    // set mesh material, the wall and roof materials of the options are
+    // shared by the meshes and kept as is
+    for (const material of ownMaterials(mesh, options)) {
+        material.vertexColors = THREE.VertexColors;
+        material.color = new THREE.Color(0xffffff);
+        if (options.linewidth) {
+            material.linewidth = options.linewidth;
+        }
+        if (options.size) {
+            material.size = options.size;
+            material.sizeAttenuation = false;
+        }
+        if (options.opacity !== undefined) {
+            material.transparent = options.opacity < 1.0;
+            material.opacity = options.opacity;
+        }
+    }
+    // The opacity of the style is multiplied by the one of the layer
+    mesh.styleOpacity = options.opacity;
 
     mesh.properties = feature.properties;
+    // Keep the feature to change the style of the mesh
+    mesh.feature = feature;
+    mesh.conversionOptions = conversionOptions;
 
     return mesh;
 }
 
-function featuresToThree(features, options) {
+function featuresToThree(features, options, style) {
     if (!features || features.length == 0) return;
 
+    let object;
     if (features.length == 1) {
-        return featureToMesh(features[0], options);
-    }
-
-    const group = new THREE.Group();
-    group.minAltitude = Infinity;
+        object = featureToMesh(features[0], options, style);
+    } else {
+        object = new THREE.Group();
+        object.minAltitude = Infinity;
 
-    for (const feature of features) {
-        const mesh = featureToMesh(feature, options);
-        group.add(mesh);
-        group.minAltitude = Math.min(mesh.minAltitude, group.minAltitude);
+        for (const feature of features) {
+            const mesh = featureToMesh(feature, options, style);
+            object.add(mesh);
+            object.minAltitude = Math.min(mesh.minAltitude, object.minAltitude);
+        }
     }
 
-    return group;
+    if (object) {
+        object.style = style || null;
+    }
+    return object;
 }
 
 /**
@@ -329,13 +765,139 @@ export default {
      * @param {number|function} options.altitude - define the base altitude of the mesh
      * @param {number|function} options.extrude - if defined, polygons will be extruded by the specified amount
      * @param {object|function} options.color - define per feature color
+     * @param {number|function} [options.extrusionBase=0] - the height above
+     * the altitude the walls of the extruded polygons start from, like the
+     * <code>min_height</code> of the buildings of OpenStreetMap
+     * @param {string|function} [options.roofShape='flat'] - the shape of the
+     * roofs of the extruded polygons: <code>flat</code>, <code>gabled</code>
+     * or <code>hipped</code>, whose ridge follows the longest dimension of the
+     * polygons. The polygons with holes have flat roofs.
+     * @param {number|function} [options.roofHeight=0] - the height of the
+     * ridge above the top of the walls
+     * @param {object|function} [options.wallColor] - the color of the walls,
+     * defaulting to a darker <code>color</code>
+     * @param {object|function} [options.roofColor] - the color of the roofs,
+     * defaulting to <code>color</code>
+     * @param {THREE.Material} [options.wallMaterial] - the material of the
+     * walls, shared by all the meshes. The extruded polygons have normals, and
+     * texture coordinates in meters: along the walls and above their bottom,
+     * and in the plane of the roofs.
+     * @param {THREE.Material} [options.roofMaterial] - the material of the
+     * roofs, shared by all the meshes
+     * @param {number} [options.linewidth] - if defined, lines are drawn as
+     * {@link module:WideLine|wide lines} of this width, defaulting to the
+     * <code>linewidth</code> of the layer
+     * @param {string} [options.widthUnits='pixels'] - the units of the width
+     * of the lines, <code>pixels</code> or <code>meters</code>
+     * @param {string} [options.lineCap='butt'] - the ends of the lines,
+     * <code>butt</code>, <code>square</code> or <code>round</code>
+     * @param {THREE.Color|string} [options.casingColor] - the color of the
+     * outline of the lines
+     * @param {number} [options.casingWidth] - the width of the outline
+     * @param {number[]} [options.dashArray] - the length of the dashes of the
+     * lines and of their gaps, in meters
+     * @param {string} [options.altitudeMode='absolute'] - how the altitude
+     * of the features is applied, defaulting to the <code>altitudeMode</code>
+     * of the layer: <code>absolute</code>, the altitude of the coordinates
+     * and of the <code>altitude</code> option are above the ellipsoid;
+     * <code>relativeToGround</code>, they are above the ground;
+     * <code>clampToGround</code>, the vertices are on the ground. The meshes
+     * are clamped again when finer elevation textures are loaded. The
+     * GeoJSON coordinates without altitude have the
+     * <code>defaultAltitude</code> of the layer, 1 by default.
+     * @param {function} [options.groundAltitude] - returns the altitude of the
+     * ground at some coordinates, defaulting to the one of the layer, that is
+     * read by <code>DEMUtils</code> in the tiles the layer is attached to
+     * @param {number} [options.maxSegmentLength] - if defined, vertices are
+     * inserted in the segments of the lines and polygons longer than this
+     * length, in meters, so that they follow the terrain. It defaults to the
+     * <code>maxSegmentLength</code> of the layer.
+     * @param {Object} [options.style] - the style of the features, see
+     * {@link module:FeatureStyle}, defaulting to the <code>style</code> of the
+     * layer. Its <code>fill</code> (or <code>stroke</code> for the lines),
+     * <code>altitude</code>, <code>altitudeMode</code>,
+     * <code>extrusionHeight</code>, <code>extrusionBase</code>,
+     * <code>roofShape</code>, <code>roofHeight</code>, <code>wallColor</code>,
+     * <code>roofColor</code>, <code>strokeWidth</code>,
+     * <code>widthUnits</code>, <code>lineCap</code>,
+     * <code>casingColor</code>, <code>casingWidth</code> and
+     * <code>strokeDashArray</code> replace the options above. When a new style
+     * is assigned to the layer, the meshes are restyled without fetching and
+     * converting the features again.
      * @return {function}
+     *
+     * @example
+     * layer.convert = Feature2Mesh.convert({
+     *     style: {
+     *         fill: { property: 'usage', type: 'categorical', stops: [['Industriel', '#a04040']], default: '#c0c0c0' },
+     *         extrusionHeight: ['get', 'hauteur'],
+     *     },
+     * });
+     *
+     * // Buildings with gabled roofs and textured façades
+     * layer.convert = Feature2Mesh.convert({
+     *     style: {
+     *         extrusionBase: ['get', 'min_height'],
+     *         extrusionHeight: ['get', 'height'],
+     *         roofShape: ['get', 'roof:shape'],
+     *         roofHeight: 3,
+     *         roofColor: '#a05040',
+     *     },
+     *     wallMaterial: new THREE.MeshLambertMaterial({ map: facadeTexture }),
+     * });
+     *
+     * // Later, restyle the layer
+     * layer.style = { fill: 'white', extrusionHeight: ['*', ['get', 'hauteur'], 2] };
+     * view.notifyChange(layer);
      */
     convert(options = {}) {
-        return function _convert(collection) {
+        return function _convert(collection, extent, layer) {
             if (!collection) return;
 
-            return featuresToThree(collection.features, options);
+            const style = options.style || (layer && layer.style);
+            let conversionOptions = options;
+            if (layer) {
+                // The options default to the properties of the layer
+                const defaults = {};
+                for (const name of ['linewidth', 'altitudeMode', 'groundAltitude', 'maxSegmentLength']) {
+                    if (layer[name] !== undefined && options[name] === undefined) {
+                        defaults[name] = layer[name];
+                    }
+                }
+                conversionOptions = Object.assign(defaults, options);
+            }
+            return featuresToThree(collection.features, conversionOptions, style);
         };
     },
+
+    /**
+     * Change the style of meshes converted from features, by converting them
+     * again, without fetching and parsing their features. The converted meshes
+     * replace the previous ones in their parents, as a line can become a wide
+     * line, and keep their name, their userData, their layer and their
+     * transformation.
+     *
+     * @param {THREE.Object3D} object - The object returned by the conversion.
+     * @param {Object} style - The new style, see {@link module:FeatureStyle}.
+     * @return {THREE.Object3D} The restyled object, that replaces
+     * <code>object</code> if it is a single mesh.
+     */
+    restyle(object, style) {
+        const meshes = [];
+        object.traverse((mesh) => {
+            if (mesh.feature) {
+                meshes.push(mesh);
+            }
+        });
+        let restyledObject = object;
+        for (const mesh of meshes) {
+            const restyled = featureToMesh(mesh.feature, mesh.conversionOptions, style);
+            replaceMesh(mesh, restyled);
+            if (mesh === object) {
+                restyledObject = restyled;
+            }
+        }
+        restyledObject.style = style;
+        return restyledObject;
+    },
 };
@@ -1,7 +1,13 @@
 import * as THREE from 'three';
+import FeatureStyle from './FeatureStyle';
 
 const pt = new THREE.Vector2();
 
+// The first defined value, an opacity or a width of 0 being a valid one
+function firstDefined(...values) {
+    return values.find(v => v !== undefined);
+}
+
 function _moveTo(ctx, coord, scale, origin) {
     pt.x = coord._values[0] - origin.x;
     pt.y = coord._values[1] - origin.y;
@@ -21,13 +27,7 @@ function drawPolygon(ctx, vertices, indices, origin, scale, properties, style =
         return;
     }
 
-    if (style.length) {
-        for (const s of style) {
-            _drawPolygon(ctx, vertices, indices, origin, scale, properties, s);
-        }
-    } else {
-        _drawPolygon(ctx, vertices, indices, origin, scale, properties, style);
-    }
+    _drawPolygon(ctx, vertices, indices, origin, scale, properties, style);
 }
 
 function _drawPolygon(ctx, vertices, indices, origin, scale, properties, style) {
@@ -42,16 +42,27 @@ function _drawPolygon(ctx, vertices, indices, origin, scale, properties, style)
 
     // draw line polygon
     if (style.stroke || properties.stroke) {
+        const width = firstDefined(style.strokeWidth, properties['stroke-width'], 2.0);
+        ctx.globalAlpha = firstDefined(style.strokeOpacity, properties['stroke-opacity'], 1.0);
+        ctx.lineCap = style.lineCap || 'butt';
+        ctx.lineJoin = style.lineJoin || 'miter';
+        ctx.setLineDash(style.strokeDashArray || []);
+        // the casing is drawn under the line
+        if (style.casingColor && style.casingWidth) {
+            ctx.strokeStyle = style.casingColor;
+            ctx.lineWidth = width + 2 * style.casingWidth;
+            ctx.stroke();
+        }
         ctx.strokeStyle = style.stroke || properties.stroke;
-        ctx.lineWidth = style.strokeWidth || properties['stroke-width'] || 2.0;
-        ctx.globalAlpha = style.strokeOpacity || properties['stroke-opacity'] || 1.0;
+        ctx.lineWidth = width;
         ctx.stroke();
+        ctx.setLineDash([]);
     }
 
     // fill polygon
     if (indices && (style.fill || properties.fill)) {
         ctx.fillStyle = style.fill || properties.fill;
-        ctx.globalAlpha = style.fillOpacity || properties['fill-opacity'] || 1.0;
+        ctx.globalAlpha = firstDefined(style.fillOpacity, properties['fill-opacity'], 1.0);
         ctx.fill();
     }
 }
@@ -64,18 +75,31 @@ function drawPoint(ctx, vertice, origin, scale, style = {}) {
     ctx.beginPath();
     ctx.arc(pt.x, pt.y, style.radius || 3, 0, 2 * Math.PI, false);
     ctx.fillStyle = style.fill || 'white';
+    ctx.globalAlpha = firstDefined(style.fillOpacity, 1.0);
     ctx.fill();
-    ctx.lineWidth = style.lineWidth || 1.0;
-    ctx.strokeStyle = style.stroke || 'red';
-    ctx.stroke();
+    // the points only have an outline with a stroke, like the Mapbox circles
+    // with a circle-stroke-width
+    if (style.stroke) {
+        ctx.lineWidth = firstDefined(style.lineWidth, 1.0);
+        ctx.strokeStyle = style.stroke;
+        ctx.globalAlpha = firstDefined(style.strokeOpacity, 1.0);
+        ctx.stroke();
+    }
 }
 
-function drawFeature(ctx, feature, origin, scale, extent, style = {}) {
-    const properties = feature.properties;
-
+// The styles of a feature: a style function, called with the properties, the
+// feature and the zoom level, can return a style or an array of styles, whose
+// values are evaluated for the feature
+function getStyles(feature, style, zoom) {
     if (typeof (style) == 'function') {
-        style = style(properties, feature);
+        style = style(feature.properties, feature, zoom);
     }
+    const styles = Array.isArray(style) ? style : [style || {}];
+    return styles.map(s => FeatureStyle.resolve(s, feature.properties, feature, zoom));
+}
+
+function drawFeature(ctx, feature, origin, scale, extent, style) {
+    const properties = feature.properties;
 
     for (const geometry of feature.geometry) {
         if (feature.type === 'point') {
@@ -86,9 +110,202 @@ function drawFeature(ctx, feature, origin, scale, extent, style = {}) {
     }
 }
 
+/*
+ * Symbols: texts and icons, drawn over the geometries. A symbol isn't drawn
+ * if it overlaps an already drawn one, unless its style allows it, or if it
+ * crosses the border of the texture, where it would be cut.
+ */
+const SYMBOL_PADDING = 2;
+
+function isSymbol(style) {
+    return !!(style.text || style.icon);
+}
+
+function toCanvas(coord, origin, scale) {
+    return new THREE.Vector2(coord._values[0] - origin.x, coord._values[1] - origin.y).multiply(scale);
+}
+
+function textFont(style) {
+    return `${style.textWeight || 'normal'} ${style.textSize || 12}px ${style.textFont || 'sans-serif'}`;
+}
+
+// The paths of the lines, or of the outer rings of the polygons, of a feature
+function symbolPaths(feature, origin, scale) {
+    const paths = [];
+    for (const geometry of feature.geometry) {
+        const indices = feature.type.indexOf('polygon') >= 0 ? geometry.indices.slice(0, 1) : geometry.indices;
+        for (const indice of indices) {
+            paths.push(feature.vertices.slice(indice.offset, indice.offset + indice.count)
+                .map(v => toCanvas(v, origin, scale)));
+        }
+    }
+    return paths;
+}
+
+function pathLengths(path) {
+    const lengths = [0];
+    for (let i = 1; i < path.length; i++) {
+        lengths.push(lengths[i - 1] + path[i].distanceTo(path[i - 1]));
+    }
+    return lengths;
+}
+
+// The point at a distance along a path, and the angle of the path there
+function pointAlong(path, lengths, distance) {
+    let i = 1;
+    while (i < path.length - 1 && lengths[i] < distance) {
+        i++;
+    }
+    const a = path[i - 1];
+    const b = path[i];
+    const t = (distance - lengths[i - 1]) / ((lengths[i] - lengths[i - 1]) || 1);
+    return {
+        point: a.clone().lerp(b, t),
+        angle: Math.atan2(b.y - a.y, b.x - a.x),
+    };
+}
+
+// The anchors of the symbols placed on points: the points themselves, the
+// middle of the lines, and the center of the polygons
+function symbolAnchors(feature, origin, scale) {
+    if (feature.type.indexOf('point') >= 0) {
+        return feature.vertices.map(v => toCanvas(v, origin, scale));
+    } else if (feature.type.indexOf('polygon') >= 0) {
+        return feature.geometry.map((geometry) => {
+            const center = geometry.extent.center();
+            return new THREE.Vector2(center._values[0] - origin.x, center._values[1] - origin.y).multiply(scale);
+        });
+    }
+    return symbolPaths(feature, origin, scale).map((path) => {
+        const lengths = pathLengths(path);
+        return pointAlong(path, lengths, lengths[lengths.length - 1] / 2).point;
+    });
+}
+
+function box(x, y, halfWidth, halfHeight) {
+    return { minX: x - halfWidth, maxX: x + halfWidth, minY: y - halfHeight, maxY: y + halfHeight };
+}
+
+// Whether some boxes of a symbol can be placed: inside the canvas, and not
+// overlapping the boxes of the symbols already placed
+function canPlace(boxes, placed, size, allowOverlap) {
+    return boxes.every(b => b.minX >= 0 && b.minY >= 0 && b.maxX <= size && b.maxY <= size &&
+        (allowOverlap || !placed.some(p => p.minX < b.maxX && b.minX < p.maxX && p.minY < b.maxY && b.minY < p.maxY)));
+}
+
+// The canvas is flipped vertically when used as a texture, so are texts and
+// icons before being drawn
+function drawFlipped(ctx, x, y, angle, draw) {
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(angle);
+    ctx.scale(1, -1);
+    draw();
+    ctx.restore();
+}
+
+function drawText(ctx, text, x, y, angle, style) {
+    drawFlipped(ctx, x, y, angle, () => {
+        ctx.globalAlpha = firstDefined(style.textOpacity, 1.0);
+        if (style.textHaloWidth > 0) {
+            ctx.strokeStyle = style.textHaloColor || 'white';
+            ctx.lineWidth = 2 * style.textHaloWidth;
+            ctx.lineJoin = 'round';
+            ctx.strokeText(text, 0, 0);
+        }
+        ctx.fillStyle = style.textColor || 'black';
+        ctx.fillText(text, 0, 0);
+    });
+}
+
+// Places a text along the paths of a feature, a character after the other,
+// at the middle of the first path long enough
+function drawTextAlongLines(ctx, feature, origin, scale, style, placed, size) {
+    const halo = style.textHaloWidth || 0;
+    const textSize = style.textSize || 12;
+    const widths = Array.from(style.text).map(c => ctx.measureText(c).width);
+    const textWidth = widths.reduce((a, b) => a + b, 0);
+
+    for (let path of symbolPaths(feature, origin, scale)) {
+        // The text is read from left to right
+        if (path[path.length - 1].x < path[0].x) {
+            path = path.slice().reverse();
+        }
+        const lengths = pathLengths(path);
+        const length = lengths[lengths.length - 1];
+        if (textWidth + 2 * SYMBOL_PADDING <= length) {
+            let distance = (length - textWidth) / 2;
+            const glyphs = widths.map((width) => {
+                const glyph = pointAlong(path, lengths, distance + width / 2);
+                distance += width;
+                const half = Math.max(width, textSize) / 2 + halo + SYMBOL_PADDING;
+                glyph.box = box(glyph.point.x, glyph.point.y, half, half);
+                return glyph;
+            });
+            const boxes = glyphs.map(g => g.box);
+            if (canPlace(boxes, placed, size, style.allowOverlap)) {
+                Array.from(style.text).forEach((c, i) => drawText(ctx, c, glyphs[i].point.x, glyphs[i].point.y, glyphs[i].angle, style));
+                placed.push(...boxes);
+                return;
+            }
+        }
+    }
+}
+
+// Places an icon and a text under it on the anchors of a feature
+function drawPointSymbols(ctx, feature, origin, scale, style, placed, size) {
+    const halo = style.textHaloWidth || 0;
+    const textSize = style.textSize || 12;
+    const textWidth = style.text ? ctx.measureText(style.text).width : 0;
+    const icon = style.icon && style.sprite && style.sprite.json[style.icon];
+    const iconScale = icon ? (style.iconSize || 1) / (icon.pixelRatio || 1) : 0;
+    const iconWidth = icon ? icon.width * iconScale : 0;
+    const iconHeight = icon ? icon.height * iconScale : 0;
+    // The text is under the icon, in the flipped canvas
+    const textOffset = icon ? -(iconHeight + textSize) / 2 - SYMBOL_PADDING : 0;
+
+    for (const anchor of symbolAnchors(feature, origin, scale)) {
+        const boxes = [];
+        if (icon) {
+            boxes.push(box(anchor.x, anchor.y, iconWidth / 2 + SYMBOL_PADDING, iconHeight / 2 + SYMBOL_PADDING));
+        }
+        if (style.text) {
+            boxes.push(box(anchor.x, anchor.y + textOffset, textWidth / 2 + halo + SYMBOL_PADDING,
+                textSize / 2 + halo + SYMBOL_PADDING));
+        }
+        if (canPlace(boxes, placed, size, style.allowOverlap)) {
+            if (icon) {
+                drawFlipped(ctx, anchor.x, anchor.y, 0, () => {
+                    ctx.globalAlpha = firstDefined(style.iconOpacity, 1.0);
+                    ctx.drawImage(style.sprite.image, icon.x, icon.y, icon.width, icon.height,
+                        -iconWidth / 2, -iconHeight / 2, iconWidth, iconHeight);
+                });
+            }
+            if (style.text) {
+                drawText(ctx, style.text, anchor.x, anchor.y + textOffset, 0, style);
+            }
+            placed.push(...boxes);
+        }
+    }
+}
+
+function drawSymbol(ctx, feature, origin, scale, style, placed, size) {
+    ctx.font = textFont(style);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    if (style.text && style.placement == 'line' && feature.type.indexOf('point') < 0) {
+        drawTextAlongLines(ctx, feature, origin, scale, style, placed, size);
+    } else {
+        drawPointSymbols(ctx, feature, origin, scale, style, placed, size);
+    }
+}
+
 export default {
     // backgroundColor is a THREE.Color to specify a color to fill the texture
-    // with, given there is no feature passed in parameter
+    // with, given there is no feature passed in parameter.
+    // The zoom level given to the style functions is the one of the extent,
+    // or else the one of the collection. Styles with an order property, like
+    // the ones of MapboxStyleParser, are drawn by increasing order.
     createTextureFromFeature(collection, extent, sizeTexture, style, backgroundColor) {
         let texture;
 
@@ -110,9 +327,26 @@ export default {
 
             const scale = new THREE.Vector2(ctx.canvas.width / dimension.x, ctx.canvas.width / dimension.y);
 
-            // Draw the canvas
+            const zoom = extent.zoom !== undefined ? extent.zoom : (collection.extent && collection.extent.zoom);
+            const draws = [];
             for (const feature of collection.features) {
-                drawFeature(ctx, feature, origin, scale, extent, style);
+                for (const s of getStyles(feature, style, zoom)) {
+                    draws.push({ feature, style: s, index: draws.length });
+                }
+            }
+            draws.sort((a, b) => ((a.style.order || 0) - (b.style.order || 0)) || (a.index - b.index));
+
+            // Draw the canvas, then the symbols over it
+            for (const draw of draws) {
+                if (!isSymbol(draw.style) || draw.style.fill || draw.style.stroke) {
+                    drawFeature(ctx, draw.feature, origin, scale, extent, draw.style);
+                }
+            }
+            const placed = [];
+            for (const draw of draws) {
+                if (isSymbol(draw.style)) {
+                    drawSymbol(ctx, draw.feature, origin, scale, draw.style, placed, sizeTexture);
+                }
             }
 
             texture = new THREE.CanvasTexture(c);
@@ -0,0 +1,114 @@
+import MapboxStyleParser from '../../Parser/MapboxStyleParser';
+
+// The compiled expressions and functions of the styles
+const compiled = new WeakMap();
+
+function evaluate(value, properties, feature, zoom) {
+    if (typeof value == 'function') {
+        return value(properties, feature, zoom);
+    } else if (!value || typeof value != 'object' || value.isColor) {
+        return value;
+    }
+    let compiledValue = compiled.get(value);
+    if (!compiledValue) {
+        compiledValue = MapboxStyleParser.compileProperty(value);
+        compiled.set(value, compiledValue);
+    }
+    return compiledValue(zoom, properties, feature && feature.type);
+}
+
+/**
+ * A style describes how the features are drawn in the textures of the color
+ * layers, by {@link module:Feature2Texture}, and how they are converted to
+ * meshes by {@link module:Feature2Mesh}. It's an object that can contain:
+ * <ul>
+ * <li><code>fill</code> and <code>fillOpacity</code>, the color of the
+ * polygons and the points;</li>
+ * <li><code>stroke</code>, <code>strokeWidth</code> and
+ * <code>strokeOpacity</code>, the color of the lines, and of the outlines of
+ * the polygons and the points;</li>
+ * <li><code>strokeDashArray</code>, the length of the dashes of the lines and
+ * of the gaps between them, <code>casingColor</code> and
+ * <code>casingWidth</code>, the color and the width of their outline,
+ * <code>lineCap</code> (<code>butt</code>, <code>square</code> or
+ * <code>round</code>) and <code>lineJoin</code>. The lengths are in pixels
+ * in the textures. In the meshes, the lines with a width are
+ * {@link module:WideLine|wide lines}, whose width is in pixels, or in meters
+ * if <code>widthUnits</code> is <code>meters</code>, and whose dashes are in
+ * meters;</li>
+ * <li><code>radius</code>, the radius of the points, in pixels;</li>
+ * <li><code>altitude</code>, the base altitude of the meshes,
+ * <code>extrusionHeight</code> the height of the extruded polygons and
+ * <code>extrusionBase</code> the height their walls start from;</li>
+ * <li><code>roofShape</code> (<code>flat</code>, <code>gabled</code> or
+ * <code>hipped</code>) and <code>roofHeight</code>, the roofs of the extruded
+ * polygons, <code>wallColor</code> and <code>roofColor</code>, the colors of
+ * their walls and roofs;</li>
+ * <li><code>altitudeMode</code>, how the altitude of the meshes is applied,
+ * see {@link module:Feature2Mesh.convert};</li>
+ * <li>the properties of the texts and icons described in {@link ColorLayer}.</li>
+ * </ul>
+ * Each value can be:
+ * <ul>
+ * <li>a constant;</li>
+ * <li>a function, called with the properties of the feature, the feature
+ * and the zoom level;</li>
+ * <li>a <a href="https://www.mapbox.com/mapbox-gl-js/style-spec/#expressions">Mapbox
+ * GL expression</a>, like <code>['*', ['get', 'levels'], 3]</code>;</li>
+ * <li>a <a href="https://www.mapbox.com/mapbox-gl-js/style-spec/#other-function">Mapbox
+ * GL function</a>, to classify the features by a property: a categorized
+ * ramp with the <code>categorical</code> type, a graduated ramp with the
+ * <code>interval</code> type, or a continuous ramp.</li>
+ * </ul>
+ *
+ * @example
+ * const style = {
+ *     // A categorized color ramp
+ *     fill: {
+ *         property: 'nature',
+ *         type: 'categorical',
+ *         stops: [['Industriel', '#a04040'], ['Religieux', '#4040a0']],
+ *         default: '#c0c0c0',
+ *     },
+ *     // A graduated ramp
+ *     fillOpacity: { property: 'hauteur', type: 'interval', stops: [[0, 0.5], [20, 1]] },
+ *     extrusionHeight: ['get', 'hauteur'],
+ *     altitude: properties => properties.z_min - properties.hauteur,
+ * };
+ *
+ * @module FeatureStyle
+ */
+export default {
+    /**
+     * Evaluate a style for a feature.
+     *
+     * @param {Object} style - The style.
+     * @param {Object} properties - The properties of the feature.
+     * @param {Feature} [feature] - The feature.
+     * @param {number} [zoom] - The zoom level the feature is drawn at.
+     *
+     * @return {Object} The style, with the values evaluated for the feature.
+     */
+    resolve(style, properties = {}, feature, zoom) {
+        const resolved = {};
+        for (const key of Object.keys(style || {})) {
+            resolved[key] = evaluate(style[key], properties, feature, zoom);
+        }
+        return resolved;
+    },
+
+    /**
+     * Evaluate a value of a style for a feature.
+     *
+     * @param {*} value - A constant, a function, an expression or a function
+     * of the style.
+     * @param {Object} properties - The properties of the feature.
+     * @param {Feature} [feature] - The feature.
+     * @param {number} [zoom] - The zoom level the feature is drawn at.
+     *
+     * @return {*} The value.
+     */
+    evaluate(value, properties = {}, feature, zoom) {
+        return evaluate(value, properties, feature, zoom);
+    },
+};
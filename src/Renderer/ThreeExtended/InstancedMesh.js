@@ -0,0 +1,106 @@
+import * as THREE from 'three';
+import ShaderUtils from '../Shader/ShaderUtils';
+
+const ROWS = ['instanceRow0', 'instanceRow1', 'instanceRow2'];
+
+// The mesh of one instance, to raycast the instances
+const instance = new THREE.Mesh();
+const instanceMatrix = new THREE.Matrix4();
+const intersections = [];
+
+class InstancedMesh extends THREE.Mesh {
+    /**
+     * A mesh drawn several times in a single draw call, each instance being
+     * transformed by its matrix, like the <code>THREE.InstancedMesh</code>
+     * of the later versions of three.js. The matrices are stored in instanced
+     * attributes, read by the patched shader of the material: the materials
+     * must thus be three.js materials, not a RawShaderMaterial or a
+     * ShaderMaterial.
+     * <br><br>
+     * The intersections of the raycasting have an <code>instanceId</code>,
+     * the index of the intersected instance.
+     *
+     * @constructor
+     * @extends THREE.Mesh
+     *
+     * @param {THREE.BufferGeometry} geometry - The geometry of an instance,
+     * copied to an InstancedBufferGeometry.
+     * @param {THREE.Material} material - The material, patched to
+     * instantiate the geometry.
+     * @param {number} count - The number of instances.
+     */
+    constructor(geometry, material, count) {
+        const instanced = new THREE.InstancedBufferGeometry();
+        instanced.setIndex(geometry.index);
+        for (const name of Object.keys(geometry.attributes)) {
+            instanced.addAttribute(name, geometry.attributes[name]);
+        }
+        for (const row of ROWS) {
+            instanced.addAttribute(row, new THREE.InstancedBufferAttribute(new Float32Array(count * 4), 4));
+        }
+        instanced.groups = geometry.groups;
+        instanced.maxInstancedCount = count;
+        super(instanced, material);
+
+        this.count = count;
+        this.isInstancedMesh = true;
+        for (let i = 0; i < count; i++) {
+            this.setMatrixAt(i, instanceMatrix.identity());
+        }
+        for (const m of Array.isArray(material) ? material : [material]) {
+            if (!ShaderUtils.patch3dTilesMaterial(m, 'USE_INSTANCING')) {
+                throw new Error('InstancedMesh: the shaders of the RawShaderMaterial and the ShaderMaterial can\'t be instanced');
+            }
+        }
+    }
+
+    /**
+     * Set the matrix of an instance.
+     *
+     * @param {number} index - The index of the instance.
+     * @param {THREE.Matrix4} matrix - The matrix, an affine transformation.
+     */
+    setMatrixAt(index, matrix) {
+        const e = matrix.elements;
+        ROWS.forEach((row, i) => {
+            const attribute = this.geometry.attributes[row];
+            // the elements are stored in column-major order
+            attribute.setXYZW(index, e[i], e[i + 4], e[i + 8], e[i + 12]);
+            attribute.needsUpdate = true;
+        });
+    }
+
+    /**
+     * Get the matrix of an instance.
+     *
+     * @param {number} index - The index of the instance.
+     * @param {THREE.Matrix4} matrix - The matrix to set.
+     *
+     * @return {THREE.Matrix4} The matrix.
+     */
+    getMatrixAt(index, matrix) {
+        const r = ROWS.map(row => this.geometry.attributes[row]);
+        return matrix.set(
+            r[0].getX(index), r[0].getY(index), r[0].getZ(index), r[0].getW(index),
+            r[1].getX(index), r[1].getY(index), r[1].getZ(index), r[1].getW(index),
+            r[2].getX(index), r[2].getY(index), r[2].getZ(index), r[2].getW(index),
+            0, 0, 0, 1);
+    }
+
+    raycast(raycaster, intersects) {
+        instance.geometry = this.geometry;
+        instance.material = this.material;
+        for (let i = 0; i < this.count; i++) {
+            instance.matrixWorld.multiplyMatrices(this.matrixWorld, this.getMatrixAt(i, instanceMatrix));
+            intersections.length = 0;
+            instance.raycast(raycaster, intersections);
+            for (const intersection of intersections) {
+                intersection.instanceId = i;
+                intersection.object = this;
+                intersects.push(intersection);
+            }
+        }
+    }
+}
+
+export default InstancedMesh;
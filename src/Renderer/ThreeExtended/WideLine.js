@@ -0,0 +1,146 @@
+import * as THREE from 'three';
+import LineMaterial from '../LineMaterial';
+
+// The number of sides of the polygons of the round joins and caps
+const DISC_SEGMENTS = 8;
+
+function addVertex(buffers, positions, colors, i, j, along, side, sign, distance) {
+    buffers.position.push(positions[3 * i], positions[3 * i + 1], positions[3 * i + 2]);
+    buffers.other.push(positions[3 * j], positions[3 * j + 1], positions[3 * j + 2]);
+    buffers.offset.push(along, side, sign);
+    buffers.distance.push(distance);
+    buffers.color.push(colors[3 * i], colors[3 * i + 1], colors[3 * i + 2]);
+    return buffers.distance.length - 1;
+}
+
+// A quad along the segment from the point i to the point j. The vertices at j
+// compute the direction of the segment from j to i, so its sign is reversed
+function addSegment(buffers, positions, colors, i, j, distanceI, distanceJ) {
+    const a = addVertex(buffers, positions, colors, i, j, 0, 1, 1, distanceI);
+    addVertex(buffers, positions, colors, i, j, 0, -1, 1, distanceI);
+    addVertex(buffers, positions, colors, j, i, 0, 1, -1, distanceJ);
+    addVertex(buffers, positions, colors, j, i, 0, -1, -1, distanceJ);
+    buffers.indices.push(a, a + 1, a + 2, a + 2, a + 1, a + 3);
+}
+
+// A polygon around the point i, used for the round joins and caps
+function addDisc(buffers, positions, colors, i, distance) {
+    const center = addVertex(buffers, positions, colors, i, i, 0, 0, 1, distance);
+    for (let k = 0; k < DISC_SEGMENTS; k++) {
+        const angle = 2 * Math.PI * k / DISC_SEGMENTS;
+        addVertex(buffers, positions, colors, i, i, Math.cos(angle), Math.sin(angle), 1, distance);
+        buffers.indices.push(center, center + 1 + k, center + 1 + (k + 1) % DISC_SEGMENTS);
+    }
+}
+
+// A half square at the end i of a line, whose next point is j
+function addSquareCap(buffers, positions, colors, i, j, sign, distance) {
+    const a = addVertex(buffers, positions, colors, i, j, 0, 1, sign, distance);
+    addVertex(buffers, positions, colors, i, j, 0, -1, sign, distance);
+    addVertex(buffers, positions, colors, i, j, -sign, 1, sign, distance);
+    addVertex(buffers, positions, colors, i, j, -sign, -1, sign, distance);
+    buffers.indices.push(a, a + 1, a + 2, a + 2, a + 1, a + 3);
+}
+
+function segmentLength(positions, i, j) {
+    const dx = positions[3 * j] - positions[3 * i];
+    const dy = positions[3 * j + 1] - positions[3 * i + 1];
+    const dz = positions[3 * j + 2] - positions[3 * i + 2];
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+function onBeforeRender(renderer, scene, camera, geometry, material) {
+    material.update(renderer);
+}
+
+/**
+ * Wide lines: lines triangulated in ribbons, whose width is computed on the
+ * screen, in pixels or in meters, unlike the width of the
+ * <code>THREE.Line</code> that WebGL ignores on most platforms. The segments
+ * are joined by round joins, and the ends of the lines can have caps. They are
+ * drawn with a {@link LineMaterial}, that can draw dashes and an outline.
+ *
+ * @module WideLine
+ */
+export default {
+    /**
+     * Create the geometry of wide lines.
+     *
+     * @param {number[]} positions - The positions of the points of the lines,
+     * as <code>x, y, z</code> triplets.
+     * @param {number[]} colors - The colors of the points, as <code>r, g,
+     * b</code> triplets, between 0 and 1, or between 0 and 255 in an
+     * <code>Uint8Array</code>.
+     * @param {Object[]} ranges - The lines, as <code>{ offset, count }</code>
+     * ranges of points.
+     * @param {Object} [options] - The options of the geometry.
+     * @param {string} [options.lineCap='butt'] - The shape of the ends of the
+     * lines: <code>butt</code>, <code>square</code> or <code>round</code>.
+     *
+     * @return {THREE.BufferGeometry} The geometry.
+     */
+    createGeometry(positions, colors, ranges, options = {}) {
+        const buffers = { position: [], other: [], offset: [], distance: [], color: [], indices: [] };
+        const lineCap = options.lineCap || 'butt';
+
+        for (const range of ranges) {
+            const start = range.offset;
+            const end = range.offset + range.count - 1;
+            if (range.count < 2) {
+                continue;
+            }
+            let length = 0;
+            for (let i = start; i < end; i++) {
+                const next = length + segmentLength(positions, i, i + 1);
+                addSegment(buffers, positions, colors, i, i + 1, length, next);
+                length = next;
+                if (i + 1 < end) {
+                    addDisc(buffers, positions, colors, i + 1, length);
+                }
+            }
+            if (lineCap == 'round') {
+                addDisc(buffers, positions, colors, start, 0);
+                addDisc(buffers, positions, colors, end, length);
+            } else if (lineCap == 'square') {
+                addSquareCap(buffers, positions, colors, start, start + 1, 1, 0);
+                addSquareCap(buffers, positions, colors, end, end - 1, -1, length);
+            }
+        }
+
+        const count = buffers.distance.length;
+        const geometry = new THREE.BufferGeometry();
+        geometry.addAttribute('position', new THREE.BufferAttribute(new Float32Array(buffers.position), 3));
+        geometry.addAttribute('other', new THREE.BufferAttribute(new Float32Array(buffers.other), 3));
+        geometry.addAttribute('offset', new THREE.BufferAttribute(new Float32Array(buffers.offset), 3));
+        geometry.addAttribute('distance', new THREE.BufferAttribute(new Float32Array(buffers.distance), 1));
+        if (colors instanceof Uint8Array) {
+            geometry.addAttribute('color', new THREE.BufferAttribute(new Uint8Array(buffers.color), 3, true));
+        } else {
+            geometry.addAttribute('color', new THREE.BufferAttribute(new Float32Array(buffers.color), 3));
+        }
+        const Indices = count > 65535 ? Uint32Array : Uint16Array;
+        geometry.setIndex(new THREE.BufferAttribute(new Indices(buffers.indices), 1));
+        return geometry;
+    },
+
+    /**
+     * Create a mesh of wide lines.
+     *
+     * @param {number[]} positions - The positions of the points of the lines.
+     * @param {number[]} colors - The colors of the points.
+     * @param {Object[]} ranges - The lines, as <code>{ offset, count }</code>
+     * ranges of points.
+     * @param {Object} [options] - The options of the geometry, see
+     * [createGeometry]{@link module:WideLine.createGeometry}, and of the
+     * {@link LineMaterial}.
+     *
+     * @return {THREE.Mesh} The mesh.
+     */
+    create(positions, colors, ranges, options = {}) {
+        const mesh = new THREE.Mesh(
+            this.createGeometry(positions, colors, ranges, options),
+            new LineMaterial(options));
+        mesh.onBeforeRender = onBeforeRender;
+        return mesh;
+    },
+};
@@ -0,0 +1,284 @@
+import * as THREE from 'three';
+import proj4 from 'proj4';
+import Source from './Source';
+import Cache from '../Core/Scheduler/Cache';
+import Extent from '../Core/Geographic/Extent';
+import GeoTiffParser from '../Parser/GeoTiffParser';
+
+// Size of the textures built from the GeoTIFF
+const TEXTURE_SIZE = 256;
+// Number of bytes read at the start of the file, a COG has all its IFDs there
+const HEADER_SIZE = 65536;
+const DEFAULT_NO_DATA = -99999;
+
+const dimensions = new THREE.Vector2();
+
+// Calls callback with the samples of the tile containing the pixel of each
+// texel and the offset of the pixel in these samples.
+function forEachTexel(image, pixels, samples, callback) {
+    for (let t = 0; t < pixels.length; t++) {
+        const pixel = pixels[t];
+        if (pixel < 0) {
+            callback(t);
+        } else {
+            const row = Math.floor(pixel / image.width);
+            const col = pixel % image.width;
+            const tile = Math.floor(row / image.tileHeight) * image.tilesAcross + Math.floor(col / image.tileWidth);
+            const offset = ((row % image.tileHeight) * image.tileWidth + (col % image.tileWidth)) * image.samplesPerPixel;
+            callback(t, samples.get(tile), offset);
+        }
+    }
+}
+
+function buildElevationTexture(image, pixels, samples, noData) {
+    const data = new Float32Array(TEXTURE_SIZE * TEXTURE_SIZE);
+    forEachTexel(image, pixels, samples, (t, tile, offset) => {
+        const value = tile ? tile[offset] : noData;
+        data[t] = value === image.noData ? noData : value;
+    });
+    return new THREE.DataTexture(data, TEXTURE_SIZE, TEXTURE_SIZE, THREE.AlphaFormat, THREE.FloatType);
+}
+
+function buildColorTexture(image, pixels, samples) {
+    // Clamp samples that don't fit in a byte
+    const data = new Uint8ClampedArray(TEXTURE_SIZE * TEXTURE_SIZE * 4);
+    const spp = image.samplesPerPixel;
+    forEachTexel(image, pixels, samples, (t, tile, offset) => {
+        if (!tile || tile[offset] === image.noData) {
+            return;
+        }
+        if (spp < 3) {
+            data[t * 4] = tile[offset];
+            data[t * 4 + 1] = tile[offset];
+            data[t * 4 + 2] = tile[offset];
+            data[t * 4 + 3] = spp == 2 ? tile[offset + 1] : 255;
+        } else {
+            data[t * 4] = tile[offset];
+            data[t * 4 + 1] = tile[offset + 1];
+            data[t * 4 + 2] = tile[offset + 2];
+            data[t * 4 + 3] = spp > 3 ? tile[offset + 3] : 255;
+        }
+    });
+    const texture = new THREE.DataTexture(new Uint8Array(data.buffer), TEXTURE_SIZE, TEXTURE_SIZE, THREE.RGBAFormat);
+    // Rows are stored from north to south, like in images
+    texture.flipY = true;
+    return texture;
+}
+
+// Returns the size of a texel of a texture of extent, in the projection of
+// the GeoTIFF.
+function texelSize(extent, projection) {
+    const localExtent = extent.crs() == projection ? extent : extent.as(projection);
+    localExtent.dimensions(dimensions);
+    return Math.min(dimensions.x, dimensions.y) / TEXTURE_SIZE;
+}
+
+class COGSource extends Source {
+    /**
+     * A Cloud Optimized GeoTIFF source, to use in {@link ColorLayer} or
+     * {@link ElevationLayer}. Only the needed parts of the file are fetched,
+     * with HTTP range requests: its header when the source is created, then
+     * the internal tiles of the overview matching the level of each tile to
+     * texture. The server must thus accept range requests (and expose the
+     * <code>Content-Range</code> header for cross-origin requests).
+     * <br><br>
+     * Supported images are tiled or stripped, with deflate, LZW or no
+     * compression, and 8, 16 or 32 bits samples, integers or floats. Color
+     * layers use the first band as gray levels, or the first three or four
+     * bands as RGB(A), elevation layers use the first band.
+     *
+     * @constructor
+     * @extends Source
+     *
+     * @param {sourceParams} source - The source
+     * @param {string} [source.projection] - The projection of the GeoTIFF. By
+     * default, it is read from the GeoKeys of the file.
+     * @param {Object} [source.zoom={min: 0, max: Infinity}] - The levels of
+     * the tiles to texture. As elevation textures always have 256x256 pixels,
+     * setting a maximum level avoids interpolating the elevation of the file
+     * into finer textures.
+     * @param {number} [source.noData] - The value to use for pixels without
+     * data, in elevation textures. It defaults to the GDAL_NODATA value of the
+     * file, or to -99999. It should be the <code>noDataValue</code> of the
+     * layer.
+     *
+     * @example
+     * view.addLayer({
+     *     type: 'elevation',
+     *     id: 'dem',
+     *     noDataValue: -99999,
+     *     source: {
+     *         protocol: 'cog',
+     *         url: 'https://example.com/dem.tif',
+     *     },
+     * });
+     */
+    constructor(source) {
+        super(source);
+
+        this.url = source.url;
+        this.zoom = source.zoom || { min: 0, max: Infinity };
+
+        this.whenReady = this.readBytes(0, HEADER_SIZE).then((header) => {
+            this.header = header;
+            return GeoTiffParser.parseHeader((offset, length) => this.readBytes(offset, length));
+        }).then((images) => {
+            // Overviews are the other images of the file, masks are ignored
+            this.images = images.filter(i => !i.isMask).sort((a, b) => b.width - a.width);
+            const image = this.images[0];
+            if (!image || !image.origin) {
+                throw new Error(`COGSource: ${this.url} is not a georeferenced TIFF`);
+            }
+            // Overviews aren't georeferenced, they cover the same extent
+            for (const overview of this.images) {
+                overview.origin = image.origin;
+                overview.resolution = [
+                    image.resolution[0] * image.width / overview.width,
+                    image.resolution[1] * image.height / overview.height,
+                ];
+            }
+
+            this.projection = source.projection || image.crs;
+            if (!this.projection) {
+                throw new Error(`COGSource: the projection of ${this.url} is unknown, please configure 'source.projection'`);
+            }
+            this.noData = source.noData !== undefined ? source.noData : image.noData;
+            if (this.noData === undefined) {
+                this.noData = DEFAULT_NO_DATA;
+            }
+            this.extent = new Extent(this.projection,
+                image.origin[0], image.origin[0] + image.width * image.resolution[0],
+                image.origin[1] - image.height * image.resolution[1], image.origin[1]);
+            // The header is only needed while the images are read
+            this.header = undefined;
+        });
+    }
+
+    /**
+     * Fetch and decode an internal tile of an image of the file.
+     *
+     * @param {GeoTiffImage} image - the image of the tile.
+     * @param {number} index - the index of the tile in the image.
+     * @param {AbortSignal} [signal] - a signal aborting the request.
+     * @param {Layer} [layer] - the layer on which the
+     * <code>network-error</code> events are dispatched.
+     *
+     * @return {Promise} a Promise resolving with the decoded samples.
+     * @private
+     */
+    readTile(image, index, signal, layer) {
+        const tag = `${this.url},${this.images.indexOf(image)},${index}`;
+        let tile = Cache.get(tag);
+        if (!tile) {
+            tile = this.readBytes(image.tileOffsets[index], image.tileByteCounts[index], signal, layer)
+                .then(buffer => GeoTiffParser.decodeTile(image, buffer));
+            Cache.set(tag, tile, Cache.POLICIES.TEXTURE);
+            // A failed or aborted tile is fetched again next time
+            tile.catch(() => Cache.delete(tag));
+        }
+        return tile;
+    }
+
+    /**
+     * Select the image of the file to read for extent: the coarsest one that
+     * is still finer than a texture of this extent.
+     *
+     * @param {Extent} extent - the extent to texture.
+     *
+     * @return {GeoTiffImage} the full resolution image or one of its overviews.
+     */
+    selectImage(extent) {
+        // Allow some rounding error on the resolutions
+        const resolution = texelSize(extent, this.projection) * 1.01;
+        let selected = this.images[0];
+        for (const image of this.images) {
+            if (Math.max(image.resolution[0], image.resolution[1]) <= resolution) {
+                selected = image;
+            }
+        }
+        return selected;
+    }
+
+    urlFromExtent(extent) {
+        return `${this.url},${extent.crs()},${extent.toString(',')}`;
+    }
+
+    extentInsideLimit(extent) {
+        const localExtent = this.projection == extent.crs() ? extent : extent.as(this.projection);
+        return (extent.zoom == undefined || !(extent.zoom < this.zoom.min || extent.zoom > this.zoom.max)) &&
+            this.extent.intersectsExtent(localExtent);
+    }
+
+    /**
+     * Textures of color layers read at the resolution of the file can't be
+     * improved.
+     *
+     * @param {Extent} extent - the extent of the tile.
+     * @param {THREE.Texture} texture - the texture of the tile.
+     *
+     * @return {boolean} true if a better texture can be built.
+     */
+    // eslint-disable-next-line class-methods-use-this
+    canTileTextureBeImproved(extent, texture) {
+        return !texture || !texture.isFullResolution;
+    }
+
+    /**
+     * Build the texture of an extent, from the pixels of the overview
+     * matching its size. Pixels are resampled (nearest neighbour) and
+     * reprojected if needed. This is called by {@link DataSourceProvider}
+     * instead of fetching an url.
+     *
+     * @param {Extent} extent - the extent of the texture.
+     * @param {string} type - the type of the layer, <code>color</code> or
+     * <code>elevation</code>.
+     * @param {AbortSignal} [signal] - a signal aborting the requests of the
+     * tiles of the file.
+     * @param {Layer} [layer] - the layer on which the
+     * <code>network-error</code> events are dispatched.
+     *
+     * @return {Promise} a Promise resolving with a THREE.DataTexture.
+     */
+    fetchExtent(extent, type, signal, layer) {
+        const image = this.selectImage(extent);
+        const transform = extent.crs() == this.projection ? undefined : proj4(extent.crs(), this.projection);
+
+        // Find the pixel of the image under each texel, and the tiles to read
+        const pixels = new Float64Array(TEXTURE_SIZE * TEXTURE_SIZE);
+        const tiles = new Set();
+        const width = (extent.east() - extent.west()) / TEXTURE_SIZE;
+        const height = (extent.north() - extent.south()) / TEXTURE_SIZE;
+        const point = [0, 0];
+        for (let j = 0; j < TEXTURE_SIZE; j++) {
+            for (let i = 0; i < TEXTURE_SIZE; i++) {
+                point[0] = extent.west() + (i + 0.5) * width;
+                point[1] = extent.north() - (j + 0.5) * height;
+                const coords = transform ? transform.forward(point) : point;
+                const col = Math.floor((coords[0] - image.origin[0]) / image.resolution[0]);
+                const row = Math.floor((image.origin[1] - coords[1]) / image.resolution[1]);
+                if (col < 0 || row < 0 || col >= image.width || row >= image.height) {
+                    pixels[j * TEXTURE_SIZE + i] = -1;
+                } else {
+                    pixels[j * TEXTURE_SIZE + i] = row * image.width + col;
+                    tiles.add(Math.floor(row / image.tileHeight) * image.tilesAcross + Math.floor(col / image.tileWidth));
+                }
+            }
+        }
+
+        const indices = Array.from(tiles);
+        return Promise.all(indices.map(index => this.readTile(image, index, signal, layer))).then((decoded) => {
+            const samples = new Map();
+            indices.forEach((index, i) => samples.set(index, decoded[i]));
+
+            const texture = type == 'elevation' ?
+                buildElevationTexture(image, pixels, samples, this.noData) :
+                buildColorTexture(image, pixels, samples);
+            texture.isFullResolution = image === this.images[0] &&
+                texelSize(extent, this.projection) <= Math.max(image.resolution[0], image.resolution[1]);
+            texture.needsUpdate = true;
+            return texture;
+        });
+    }
+}
+
+export default COGSource;
@@ -3,6 +3,9 @@ import Source from './Source';
 import Fetcher from '../Provider/Fetcher';
 import Extent from '../Core/Geographic/Extent';
 import GeoJsonParser from '../Parser/GeoJsonParser';
+import ShapefileParser from '../Parser/ShapefileParser';
+import GeoPackageParser from '../Parser/GeoPackageParser';
+import Registry from '../Core/Registry';
 
 function getExtentFromGpxFile(file) {
     const bound = file.getElementsByTagName('bounds')[0];
@@ -50,14 +53,49 @@ function fileParser(text) {
     return parsedFile;
 }
 
+// The KML, GPX and GeoJSON files are recognized by their content
+Registry.registerFileFormat('application/vnd.google-earth.kml+xml', { extensions: ['.kml'], fetcher: Fetcher.text, parser: fileParser });
+Registry.registerFileFormat('application/gpx+xml', { extensions: ['.gpx'], fetcher: Fetcher.text, parser: fileParser });
+Registry.registerFileFormat('application/geo+json', { extensions: ['.geojson', '.json'], fetcher: Fetcher.text, parser: fileParser });
+Registry.registerFileFormat('application/json', { fetcher: Fetcher.text, parser: fileParser });
+Registry.registerFileFormat('geojson', { fetcher: Fetcher.text, parser: fileParser });
+Registry.registerFileFormat('application/x-shapefile', {
+    extensions: ['.zip', '.shp'],
+    fetcher: Fetcher.arrayBuffer,
+    parser: ShapefileParser.parse,
+    crsInFile: true,
+});
+Registry.registerFileFormat('application/geopackage+sqlite3', {
+    extensions: ['.gpkg'],
+    fetcher: Fetcher.arrayBuffer,
+    parser: GeoPackageParser.parse,
+    crsInFile: true,
+});
+
+// The format of a file, the one of its source or the one of the extension of
+// its url
+function fileFormat(source) {
+    return source.format ? Registry.getFileFormat(source.format) : Registry.findFileFormat(source.url);
+}
+
 class FileSource extends Source {
     /**
      * File source to use file in {@link GeometryLayer}, {@link ColorLayer} or {@link ElevationLayer}.
+     * The file can be a KML, GPX or GeoJSON file, a zipped ESRI Shapefile,
+     * read by {@link module:ShapefileParser}, or a GeoPackage, read by
+     * {@link module:GeoPackageParser}.
      * @constructor
      * @extends Source
      *
      * @param      {sourceParams}  source  The source
-     * @param      {string}  source.projection  Data system projection, it needed to parse data
+     * @param      {string}  [source.projection]  Data system projection, it needed to parse data. It's
+     * read in the Shapefiles and GeoPackages if it isn't given.
+     * @param      {string}  [source.format]  <code>application/x-shapefile</code> for the zipped
+     * Shapefiles and <code>application/geopackage+sqlite3</code> for the GeoPackages, that are also
+     * recognized by the <code>.zip</code>, <code>.shp</code> and <code>.gpkg</code> extensions of
+     * their url. Other formats can be added with {@link module:Registry.registerFileFormat}.
+     * @param      {string}  [source.layer]  The name of the Shapefile in the zip file, or of
+     * the table of the GeoPackage, to read. The first one is read by default.
      * @param      {string}  crsOut  crd output data
      *
      * @example <caption>add geometry layer with geojson file </caption>
@@ -89,9 +127,20 @@ class FileSource extends Source {
      *     },
      * });
      *
+     * @example <caption>add geometry layer with a zipped shapefile, whose CRS is read in its .prj file</caption>
+     * const buildings = new itowns.GeometryLayer('buildings', new itowns.THREE.Group());
+     * buildings.update = itowns.FeatureProcessing.update;
+     * buildings.convert = itowns.Feature2Mesh.convert({ style: { fill: 'white', extrusionHeight: ['get', 'HAUTEUR'] } });
+     * buildings.source = {
+     *      protocol: 'file',
+     *      url: 'https://server.geo/buildings.zip',
+     *      zoom: { min: 15, max: 15 },
+     * };
+     * view.addLayer(buildings);
      */
     constructor(source, crsOut) {
-        if (!source.projection) {
+        const format = source.url && fileFormat(source);
+        if (!source.projection && !(format && format.crsInFile)) {
             throw new Error('source.projection is required in FileSource');
         }
         super(source);
@@ -105,10 +154,18 @@ class FileSource extends Source {
             crsOut,
         };
 
-        this.whenReady = Fetcher.text(this.url, source.networkOptions).then(fileParser).then(parsedFile =>
+        // The files of unknown extension are read as text, their content
+        // telling their format
+        const { fetcher, parser } = format || Registry.getFileFormat('application/json');
+        if (format) {
+            this.format = format.format;
+        }
+        this.whenReady = fetcher(this.url, this.networkOptions).then(file => parser(file, source)).then(parsedFile =>
             GeoJsonParser.parse(parsedFile, options).then((feature) => {
                 feature.style = parsedFile.style;
                 this.parsedData = feature;
+                // The CRS of some formats, like the Shapefiles, is read in the file
+                this.projection = options.crsIn;
             }));
     }
 
@@ -0,0 +1,145 @@
+import Source from './Source';
+import Cache from '../Core/Scheduler/Cache';
+import Extent from '../Core/Geographic/Extent';
+import FlatGeobufParser from '../Parser/FlatGeobufParser';
+import PrjParser from '../Parser/PrjParser';
+
+// Number of bytes read at the start of the file, containing the header and the
+// top levels of the index
+const HEADER_SIZE = 65536;
+
+class FlatGeobufSource extends Source {
+    /**
+     * A <a href="https://flatgeobuf.org">FlatGeobuf</a> source, to use in
+     * {@link GeometryLayer} or {@link ColorLayer}, for files too large to be
+     * read at once by the {@link FileSource}. Only the needed parts of the
+     * file are fetched, with HTTP range requests: its header when the source
+     * is created, then, for each extent to display, the nodes of its spatial
+     * index and the features intersecting the extent. The file must thus have
+     * an index, and the server must accept range requests (and expose the
+     * <code>Content-Range</code> header for cross-origin requests).
+     * <br><br>
+     * The features are decoded to GeoJSON, cached by extent, and then parsed
+     * by the {@link module:GeoJsonParser} like the features of the other
+     * sources.
+     *
+     * @constructor
+     * @extends Source
+     *
+     * @param {sourceParams} source - The source
+     * @param {string} [source.projection] - The projection of the file. By
+     * default, it is read from its header.
+     * @param {Object} [source.zoom={min: 0, max: 21}] - The levels of the
+     * tiles to display the features on. The features of a dataset covering a
+     * whole country shouldn't be read for the tiles of low levels.
+     *
+     * @example
+     * const parcels = new itowns.GeometryLayer('parcels', new itowns.THREE.Group());
+     * parcels.update = itowns.FeatureProcessing.update;
+     * parcels.convert = itowns.Feature2Mesh.convert({ style: { stroke: 'orange', strokeWidth: 2 } });
+     * parcels.source = {
+     *     protocol: 'flatgeobuf',
+     *     url: 'https://server.geo/parcels.fgb',
+     *     zoom: { min: 16, max: 16 },
+     * };
+     * view.addLayer(parcels);
+     */
+    constructor(source) {
+        super(source);
+
+        this.url = source.url;
+        this.zoom = source.zoom || { min: 0, max: 21 };
+        // The features are read as GeoJSON, that the DataSourceProvider parses
+        this.format = 'application/json';
+
+        this.whenReady = this.readBytes(0, HEADER_SIZE).then((header) => {
+            // The header is kept, the root of the index is read for each extent
+            this.header = header;
+            return FlatGeobufParser.parseHeader((offset, length) => this.readBytes(offset, length));
+        }).then((dataset) => {
+            if (dataset.indexNodeSize < 2) {
+                throw new Error(`FlatGeobufSource: ${this.url} has no spatial index`);
+            }
+            this.dataset = dataset;
+            this.projection = source.projection || dataset.crs;
+            if (dataset.wkt && !source.projection) {
+                this.projection = PrjParser.parse(dataset.wkt, dataset.crs);
+            }
+            if (!this.projection) {
+                throw new Error(`FlatGeobufSource: the projection of ${this.url} is unknown, please configure 'source.projection'`);
+            }
+            const envelope = dataset.envelope;
+            if (envelope) {
+                this.extent = new Extent(this.projection, envelope[0], envelope[2], envelope[1], envelope[3]);
+            }
+        });
+    }
+
+    /**
+     * Read some nodes of the index of the file. They are cached, so that the
+     * extents sharing nodes, or an extent read again after a failure, don't
+     * fetch them again.
+     *
+     * @param {number} offset - the first byte to read.
+     * @param {number} length - the number of bytes to read.
+     * @param {AbortSignal} [signal] - a signal aborting the request.
+     * @param {Layer} [layer] - the layer on which the
+     * <code>network-error</code> events are dispatched.
+     *
+     * @return {Promise} a Promise resolving with an ArrayBuffer.
+     * @private
+     */
+    readIndex(offset, length, signal, layer) {
+        const tag = `${this.url},index,${offset},${length}`;
+        let nodes = Cache.get(tag);
+        if (!nodes) {
+            nodes = this.readBytes(offset, length, signal, layer);
+            Cache.set(tag, nodes, Cache.POLICIES.TEXTURE);
+            nodes.catch(() => Cache.delete(tag));
+        }
+        return nodes;
+    }
+
+    urlFromExtent(extent) {
+        return `${this.url},${extent.crs()},${extent.toString(',')}`;
+    }
+
+    extentInsideLimit(extent) {
+        const localExtent = this.projection == extent.crs() ? extent : extent.as(this.projection);
+        return (extent.zoom == undefined || !(extent.zoom < this.zoom.min || extent.zoom > this.zoom.max)) &&
+            (!this.extent || this.extent.intersectsExtent(localExtent));
+    }
+
+    /**
+     * Read the features intersecting an extent, searching them in the index
+     * of the file. This is called by {@link DataSourceProvider} instead of
+     * fetching an url.
+     *
+     * @param {Extent} extent - the extent of the tile.
+     * @param {string} type - the type of the layer, unused.
+     * @param {AbortSignal} [signal] - a signal aborting the requests of the
+     * index and of the features.
+     * @param {Layer} [layer] - the layer on which the
+     * <code>network-error</code> events are dispatched.
+     *
+     * @return {Promise} a Promise resolving with a GeoJSON FeatureCollection.
+     */
+    fetchExtent(extent, type, signal, layer) {
+        const tag = `${this.url},features,${extent.crs()},${extent.toString(',')}`;
+        let features = Cache.get(tag);
+        if (!features) {
+            const localExtent = this.projection == extent.crs() ? extent : extent.as(this.projection);
+            const bbox = [localExtent.west(), localExtent.south(), localExtent.east(), localExtent.north()];
+            const readIndex = (offset, length) => this.readIndex(offset, length, signal, layer);
+            const readBytes = (offset, length) => this.readBytes(offset, length, signal, layer);
+            features = FlatGeobufParser.search(readIndex, this.dataset, bbox)
+                .then(positions => FlatGeobufParser.readFeatures(readBytes, this.dataset, positions));
+            Cache.set(tag, features, Cache.POLICIES.TEXTURE);
+            features.catch(() => Cache.delete(tag));
+        }
+        // The provider tags the collection with its extent
+        return features.then(f => ({ type: 'FeatureCollection', features: f }));
+    }
+}
+
+export default FlatGeobufSource;
@@ -1,22 +1,48 @@
 import Extent from '../Core/Geographic/Extent';
+import Fetcher from '../Provider/Fetcher';
+import NetworkPolicy from '../Provider/NetworkPolicy';
+import PersistentCache from '../Core/Scheduler/PersistentCache';
 /**
  * @typedef {Object} NetworkOptions - Options for fetching resources over the
  * network. For json or xml fetching, this object is passed as it is to fetch
  * as the init object, see [fetch documentation]{@link https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch#Parameters}.
- * @property {string} crossOrigin For textures, only this property is used. Its
- * value is directly assigned to the crossorigin property of html tags.
+ * @property {string} crossOrigin For textures, its value is directly assigned
+ * to the crossorigin property of html tags. Textures are fetched with fetch
+ * too, with the other options.
  * @property * Same properties as the init parameter of fetch
  */
 
 /**
+ * @example <caption>Authenticate the requests with an expiring token</caption>
+ * const source = new WMTSSource({
+ *     url: 'https://server.geo/wmts',
+ *     ...
+ *     transformRequest: url => getToken().then(token => ({
+ *         url,
+ *         headers: { Authorization: `Bearer ${token}` },
+ *     })),
+ * });
+ *
  * @typedef {object} sourceParams
- * @property {string} protocol source's protocol (wmts, wms, wfs, file, tms, static)
+ * @property {string} protocol source's protocol (wmts, wms, wfs, file, tms, static, cog,
+ * flatgeobuf)
  * @property {string} url Base URL of the repository or of the file(s) to load
  * @property {NetworkOptions} [networkOptions = { crossOrigin: 'anonymous' }] the base url to fetch data source
  * @property {string} [projection] data's projection
  * @property {Extent} [extent] data's extent
  * @property {Attribution} [attribution] Attribution The intellectual property rights for the source
  * @property {string} [format] data format
+ * @property {function} [transformRequest] called before each request of the
+ * source with its url and the kind of request (<code>texture</code>,
+ * <code>json</code>, <code>arrayBuffer</code>...), to authenticate or sign it.
+ * It returns, or resolves with, the new url, or an object with the
+ * <code>url</code> and fetch options like <code>headers</code>. See {@link
+ * module:Fetcher}.
+ * @property {NetworkPolicy} [networkPolicy] timeout, retries and statuses of
+ * empty tiles of the requests, see {@link module:NetworkPolicy}
+ * @property {boolean|PersistentCacheOptions} [persistentCache] store the
+ * fetched data in the {@link module:PersistentCache}, to reuse it after a
+ * reload or offline
  *
  */
 
@@ -41,8 +67,14 @@ class Source {
         this.format = source.format;
         this.protocol = source.protocol;
         this.networkOptions = source.networkOptions || { crossOrigin: 'anonymous' };
+        if (source.transformRequest) {
+            // The Fetcher applies it to every request made with these options
+            this.networkOptions = Object.assign({}, this.networkOptions, { transformRequest: source.transformRequest });
+        }
+        this.networkPolicy = source.networkPolicy;
         this.projection = source.projection;
         this.attribution = source.attribution;
+        this.persistentCache = source.persistentCache;
         if (source.extent && !(source.extent instanceof Extent)) {
             if (Array.isArray(source.extent)) {
                 this.extent = new Extent(this.projection, ...source.extent);
@@ -54,6 +86,54 @@ class Source {
         }
     }
 
+    /**
+     * Fetch <code>length</code> bytes of the file of the source from
+     * <code>offset</code>, with a <code>Range</code> request, for the sources
+     * reading parts of a single file. The bytes are read from
+     * <code>this.header</code>, the first bytes of the file, when it contains
+     * them, or from the whole file, kept when the server ignores the range.
+     * The request follows the <code>networkPolicy</code> of the source, and is
+     * stored in its <code>persistentCache</code> if any.
+     *
+     * @param {number} offset - the first byte to read.
+     * @param {number} length - the number of bytes to read.
+     * @param {AbortSignal} [signal] - a signal aborting the request.
+     * @param {Layer} [layer] - the layer on which the
+     * <code>network-error</code> events are dispatched.
+     *
+     * @return {Promise} a Promise resolving with an ArrayBuffer.
+     * @private
+     */
+    readBytes(offset, length, signal, layer) {
+        const cached = this.file || this.header;
+        if (cached && offset + length <= cached.byteLength) {
+            return Promise.resolve(cached.slice(offset, offset + length));
+        }
+        const range = `bytes=${offset}-${offset + length - 1}`;
+        const options = Object.assign({}, this.networkOptions, {
+            headers: Object.assign({}, this.networkOptions.headers, { Range: range }),
+        });
+        if (signal) {
+            options.signal = signal;
+        }
+        // The fragment, not sent to the server, gives each range its own
+        // entry in the persistent cache. The stored payload is the range
+        // itself, read without the Range header.
+        const url = this.persistentCache ? `${this.url}#${range}` : this.url;
+        const readPayload = (u, o) => Fetcher.arrayBuffer(u, { signal: o.signal });
+        const request = this.persistentCache ?
+            (u, o) => PersistentCache.fetch(u, this, readPayload, o) :
+            Fetcher.arrayBuffer;
+        return NetworkPolicy.fetch(url, request, options, this.networkPolicy, layer).then((buffer) => {
+            // The server ignored the range and sent the whole file
+            if (buffer.byteLength > length) {
+                this.file = buffer;
+                return buffer.slice(offset, offset + length);
+            }
+            return buffer;
+        });
+    }
+
     handlingError(err) {
         console.warn(`err ${this}`, err);
     }
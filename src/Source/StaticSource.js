@@ -31,7 +31,7 @@ class StaticSource extends Source {
 
         this.zoom = { min: 0, max: 0 };
         this.url = new URL(source.url, window.location);
-        this.whenReady = Fetcher.json(this.url.href).then((metadata) => {
+        this.whenReady = Fetcher.json(this.url.href, this.networkOptions).then((metadata) => {
             this.images = [];
             // eslint-disable-next-line guard-for-in
             for (const image in metadata) {
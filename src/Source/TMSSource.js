@@ -2,6 +2,8 @@ import Source from './Source';
 import URLBuilder from '../Provider/URLBuilder';
 import Extent from '../Core/Geographic/Extent';
 
+const coords = new Extent('TMS', 0, 0, 0);
+
 class TMSSource extends Source {
     /**
      * Tiled images source
@@ -12,7 +14,9 @@ class TMSSource extends Source {
      * @param {Object} [source.zoom]
      * @param {number} [source.zoom.min] layer's zoom minimum
      * @param {number} [source.zoom.max] layer's zoom maximum
-     * @param {string} [source.tileMatrixSet='WGS84']  define tile matrix set of tms layer (ex: 'PM', 'WGS84')
+     * @param {string} [source.tileMatrixSet='WGS84']  define tile matrix set of tms layer (ex: 'PM', 'WGS84').
+     * On a globe, 'WGS84G' selects geographic tiles (two tiles at level 0, the
+     * tiling of Cesium terrains) instead of Pseudo-Mercator tiles.
      *
      * @example <caption>Add color layer with tms source</caption>
      * const colorlayer = new ColorLayer('OPENSM', {
@@ -29,6 +33,19 @@ class TMSSource extends Source {
      * });
      * // Add the layer
      * view.addLayer(colorlayer);
+     *
+     * @example <caption>Add elevation layer with quantized-mesh tiles</caption>
+     * view.addLayer({
+     *     type: 'elevation',
+     *     id: 'terrain',
+     *     source: {
+     *         protocol: 'tms',
+     *         format: 'application/vnd.quantized-mesh',
+     *         url: 'http://terrain.geo/tiles/${z}/${x}/${y}.terrain',
+     *         tileMatrixSet: 'WGS84G',
+     *         zoom: { min: 0, max: 14 },
+     *     },
+     * });
     */
     constructor(source) {
         super(source);
@@ -49,6 +66,11 @@ class TMSSource extends Source {
     }
 
     urlFromExtent(extent) {
+        if (this.origin == 'bottom' && extent.crs() == 'WMTS:WGS84G') {
+            // WGS84G rows are counted from the top, there are 2^zoom rows
+            coords.set(extent.zoom, (1 << extent.zoom) - 1 - extent.row, extent.col);
+            return URLBuilder.xyz(coords, this);
+        }
         return URLBuilder.xyz(extent, this);
     }
 
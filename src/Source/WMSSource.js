@@ -90,6 +90,32 @@ class WMSSource extends Source {
         return URLBuilder.bbox(extent, this);
     }
 
+    /**
+     * Generate the url of a GetFeatureInfo request, querying the features at
+     * some coordinates of the image fetched for an extent.
+     *
+     * @param {Extent} extent - extent of the image, as given to
+     * {@link WMSSource#urlFromExtent}
+     * @param {Coordinates} coordinates - coordinates to query, inside extent
+     * @param {string} [infoFormat='application/json'] format of the response
+     * @return {string} url of the GetFeatureInfo request
+     */
+    urlGetFeatureInfo(extent, coordinates, infoFormat = 'application/json') {
+        const box = extent.as(this.projection);
+        const point = coordinates.as(this.projection);
+        const dimensions = box.dimensions();
+        const i = Math.floor((point._values[0] - box.west()) / dimensions.x * this.width);
+        const j = Math.floor((box.north() - point._values[1]) / dimensions.y * this.width);
+        // WMS 1.1.x names the pixel coordinates X and Y
+        const [iName, jName] = this.version === '1.3.0' ? ['I', 'J'] : ['X', 'Y'];
+
+        const url = `${this.url.replace('REQUEST=GetMap', 'REQUEST=GetFeatureInfo')
+            }&QUERY_LAYERS=${this.name
+            }&INFO_FORMAT=${infoFormat
+            }&${iName}=${i}&${jName}=${j}`;
+        return URLBuilder.bbox(extent, { url, projection: this.projection, axisOrder: this.axisOrder });
+    }
+
     extentInsideLimit(extent) {
         const localExtent = this.projection == extent.crs() ? extent : extent.as(this.projection);
         return (extent.zoom == undefined || !(extent.zoom < this.zoom.min || extent.zoom > this.zoom.max)) &&
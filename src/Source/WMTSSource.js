@@ -1,5 +1,181 @@
 import Source from './Source';
 import URLBuilder from '../Provider/URLBuilder';
+import Fetcher from '../Provider/Fetcher';
+import WMTSCapabilitiesParser from '../Parser/WMTSCapabilitiesParser';
+
+// Finds which of the tile matrix sets supported by iTowns ('PM' or 'WGS84G')
+// a tile matrix set of a capabilities document is, and the zoom of each of
+// its tile matrices. At zoom z, 'PM' has 2^z * 2^z tiles and 'WGS84G' has
+// 2^(z+1) * 2^z tiles.
+function wellKnownTileMatrixSet(tileMatrixSet) {
+    const crs = tileMatrixSet.supportedCRS || '';
+    let name;
+    let colsPerRow;
+    if (/(3857|900913|102100)$/.test(crs)) {
+        name = 'PM';
+        colsPerRow = 1;
+    } else if (/(4326|CRS84)$/.test(crs)) {
+        name = 'WGS84G';
+        colsPerRow = 2;
+    } else {
+        return;
+    }
+
+    const zoomByIdentifier = {};
+    for (const tileMatrix of tileMatrixSet.tileMatrices) {
+        const zoom = Math.log2(tileMatrix.matrixHeight);
+        if (!Number.isInteger(zoom) || tileMatrix.matrixWidth != colsPerRow * tileMatrix.matrixHeight) {
+            return;
+        }
+        zoomByIdentifier[tileMatrix.identifier] = zoom;
+    }
+
+    return { name, zoomByIdentifier };
+}
+
+// 'urn:ogc:def:crs:EPSG::2154', 'urn:ogc:def:crs:EPSG:6.3:2154' or
+// 'EPSG:2154' => 'EPSG:2154'
+function crsFromCapabilities(supportedCRS) {
+    if (/CRS:?84$/.test(supportedCRS)) {
+        return 'EPSG:4326';
+    }
+    const match = /EPSG:[\d.]*:?(\d+)$/.exec(supportedCRS);
+    return match ? `EPSG:${match[1]}` : supportedCRS;
+}
+
+// Tile matrix sets supported by iTowns are used first, then any tile matrix
+// set defined by its tile matrices
+function findTileMatrixSet(capabilities, layer, tileMatrixSet) {
+    for (const link of layer.tileMatrixSetLinks) {
+        const definition = capabilities.tileMatrixSets[link.tileMatrixSet];
+        const wellKnown = definition && wellKnownTileMatrixSet(definition);
+        if (wellKnown &&
+            (!tileMatrixSet || tileMatrixSet == link.tileMatrixSet || tileMatrixSet == wellKnown.name)) {
+            return { link, wellKnown };
+        }
+    }
+    for (const link of layer.tileMatrixSetLinks) {
+        const definition = capabilities.tileMatrixSets[link.tileMatrixSet];
+        if (definition && (!tileMatrixSet || tileMatrixSet == link.tileMatrixSet)) {
+            return { link, definition };
+        }
+    }
+}
+
+function tileMatricesFromCapabilities(definition, projection) {
+    // The TopLeftCorner is in the axis order of the CRS, which is
+    // latitude first for EPSG:4326
+    const swapAxis = projection == 'EPSG:4326' && !/CRS:?84$/.test(definition.supportedCRS);
+    return definition.tileMatrices.map(tileMatrix => Object.assign({}, tileMatrix, {
+        topLeftCorner: swapAxis ? tileMatrix.topLeftCorner.slice().reverse() : tileMatrix.topLeftCorner,
+    }));
+}
+
+// Builds the parameters of a WMTSSource from a capabilities document. The
+// parameters given by the user take precedence over the capabilities.
+function paramsFromCapabilities(capabilities, source) {
+    const layer = capabilities.layers[source.name];
+    if (!layer) {
+        throw new Error(`WMTSSource: layer ${source.name} not found in capabilities`);
+    }
+
+    const found = findTileMatrixSet(capabilities, layer, source.tileMatrixSet);
+    if (!found) {
+        throw new Error(`WMTSSource: no supported TileMatrixSet found in capabilities for layer ${source.name}`);
+    }
+    const link = found.link;
+    let wellKnown = found.wellKnown;
+    let tileMatrices;
+    let projection;
+    if (!wellKnown) {
+        // The zoom level of a tile matrix is its index in the tile matrix set
+        projection = source.projection || crsFromCapabilities(found.definition.supportedCRS);
+        tileMatrices = tileMatricesFromCapabilities(found.definition, projection);
+        wellKnown = { name: link.tileMatrixSet, zoomByIdentifier: {} };
+        tileMatrices.forEach((tileMatrix, zoom) => {
+            wellKnown.zoomByIdentifier[tileMatrix.identifier] = zoom;
+        });
+    }
+
+    const format = source.format || layer.formats[0];
+    const resourceUrl = layer.resourceUrls.find(r => r.resourceType == 'tile' && r.format == format);
+    let requestEncoding = source.requestEncoding;
+    if (!requestEncoding) {
+        requestEncoding = capabilities.getTileUrls.KVP || !resourceUrl ? 'KVP' : 'REST';
+    }
+    const url = requestEncoding == 'REST' ?
+        (resourceUrl && resourceUrl.template) || capabilities.getTileUrls.REST || source.url :
+        capabilities.getTileUrls.KVP || source.url;
+    if (!url) {
+        throw new Error(`WMTSSource: no ${requestEncoding} GetTile url found in capabilities for layer ${source.name}`);
+    }
+
+    let tileMatrixSetLimits;
+    if (link.limits) {
+        // Only the limits of the known tile matrices are kept
+        for (const identifier of Object.keys(link.limits)) {
+            if (identifier in wellKnown.zoomByIdentifier) {
+                tileMatrixSetLimits = tileMatrixSetLimits || {};
+                tileMatrixSetLimits[wellKnown.zoomByIdentifier[identifier]] = link.limits[identifier];
+            }
+        }
+    }
+
+    const identifierByZoom = {};
+    let mustMapIdentifiers = false;
+    for (const identifier of Object.keys(wellKnown.zoomByIdentifier)) {
+        const zoom = wellKnown.zoomByIdentifier[identifier];
+        identifierByZoom[zoom] = identifier;
+        mustMapIdentifiers = mustMapIdentifiers || identifier != `${zoom}`;
+    }
+
+    let zoom = source.zoom;
+    if (!zoom && !tileMatrixSetLimits) {
+        const zooms = Object.keys(identifierByZoom).map(Number);
+        zoom = { min: Math.min(...zooms), max: Math.max(...zooms) };
+    }
+
+    return Object.assign({}, source, {
+        url,
+        requestEncoding,
+        format,
+        style: source.style || layer.defaultStyle,
+        tileMatrixSet: wellKnown.name,
+        tileMatrixSetIdentifier: link.tileMatrixSet,
+        tileMatrices: source.tileMatrices || tileMatrices,
+        projection: source.projection || projection,
+        tileMatrixSetLimits: source.tileMatrixSetLimits || tileMatrixSetLimits,
+        tileMatrixCallback: source.tileMatrixCallback ||
+            (mustMapIdentifiers ? z => identifierByZoom[z] : undefined),
+        zoom,
+        extent: source.extent || layer.extent,
+        attribution: source.attribution || capabilities.attribution,
+    });
+}
+
+function buildUrl(url, source, tileMatrixSetIdentifier) {
+    if (source.requestEncoding == 'REST') {
+        return url.replace(/\{TileMatrixSet\}/i, tileMatrixSetIdentifier)
+            .replace(/\{Style\}/i, source.style)
+            .replace(/\{Layer\}/i, source.name)
+            .replace(/\{TileMatrix\}/i, '%TILEMATRIX')
+            .replace(/\{TileRow\}/i, '%ROW')
+            .replace(/\{TileCol\}/i, '%COL');
+    }
+
+    // The url of a GetTile operation found in capabilities often ends with
+    // '?' and may already contain some parameters
+    url = url.replace(/[?&]$/, '');
+    return `${url}${url.indexOf('?') == -1 ? '?' : '&'}` +
+        `LAYER=${source.name}` +
+        `&FORMAT=${source.format}` +
+        '&SERVICE=WMTS' +
+        `&VERSION=${source.version}` +
+        '&REQUEST=GetTile' +
+        `&STYLE=${source.style}` +
+        `&TILEMATRIXSET=${tileMatrixSetIdentifier}` +
+        '&TILEMATRIX=%TILEMATRIX&TILEROW=%ROW&TILECOL=%COL';
+}
 
 class WMTSSource extends Source {
     /**
@@ -17,6 +193,31 @@ class WMTSSource extends Source {
      * @param {Object} [source.zoom]
      * @param {number} [source.zoom.min] layer's zoom minimum
      * @param {number} [source.zoom.max] layer's zoom maximum
+     * @param {string} [source.requestEncoding='KVP'] 'KVP' or 'REST'. With
+     * 'REST', <code>source.url</code> is a ResourceURL template, like
+     * <code>http://server.geo/wmts/{TileMatrixSet}/{TileMatrix}/{TileRow}/{TileCol}.png</code>
+     * @param {function} [source.tileMatrixCallback] returns the identifier of
+     * the TileMatrix to request for a zoom level, if it isn't the zoom itself
+     * @param {Array.<Object>} [source.tileMatrices] the tile matrices of a
+     * tile matrix set other than 'PM' or 'WGS84G', ordered from the coarsest to
+     * the finest. The zoom level of a tile matrix is its index in this array.
+     * <code>source.projection</code> is then required.
+     * @param {string} source.tileMatrices.identifier identifier of the tile
+     * matrix, used in urls
+     * @param {number} source.tileMatrices.scaleDenominator scale denominator
+     * of the tile matrix
+     * @param {Array.<number>} source.tileMatrices.topLeftCorner x and y of the
+     * top left corner of the tile matrix, in <code>source.projection</code>
+     * @param {number} source.tileMatrices.tileWidth width of a tile, in pixels
+     * @param {number} source.tileMatrices.tileHeight height of a tile, in pixels
+     * @param {number} source.tileMatrices.matrixWidth number of tiles on a row
+     * @param {number} source.tileMatrices.matrixHeight number of tiles on a column
+     * @param {string|boolean} [source.capabilities] url of the GetCapabilities
+     * document of the service, or <code>true</code> to request it from
+     * <code>source.url</code>. The tile matrix set, its limits, the format,
+     * the style, the extent, the attribution and the GetTile url are read from
+     * it when they are not set in <code>source</code>. The source is then
+     * ready once <code>whenReady</code> is resolved.
      *
      * @example <caption>Add color layer with wmts source</caption>
      * const colorlayer = new ColorLayer('darkmap', {
@@ -31,32 +232,100 @@ class WMTSSource extends Source {
      * // Add the layer
      * view.addLayer(colorlayer);
      *
+     * @example <caption>Add color layer with wmts source using a custom tile matrix set</caption>
+     * const colorlayer = new ColorLayer('lambert93', {
+     *     source: {
+     *          protocol: 'wmts',
+     *          name: 'ORTHO',
+     *          url: 'http://server.geo/wmts',
+     *          projection: 'EPSG:2154',
+     *          tileMatrixSet: 'LAMB93',
+     *          tileMatrices: [{
+     *              identifier: '0',
+     *              scaleDenominator: 209715200,
+     *              topLeftCorner: [0, 12000000],
+     *              tileWidth: 256,
+     *              tileHeight: 256,
+     *              matrixWidth: 1,
+     *              matrixHeight: 1,
+     *          }, ...],
+     *     }
+     * });
+     * // Add the layer
+     * view.addLayer(colorlayer);
+     *
+     * @example <caption>Add color layer with wmts source configured from its capabilities</caption>
+     * const colorlayer = new ColorLayer('ortho', {
+     *     source: {
+     *          protocol: 'wmts',
+     *          name: 'ORTHOIMAGERY.ORTHOPHOTOS',
+     *          capabilities: 'http://server.geo/wmts?SERVICE=WMTS&REQUEST=GetCapabilities',
+     *     }
+     * });
+     * // Add the layer
+     * view.addLayer(colorlayer);
+     *
      */
     constructor(source) {
+        if (!source.url && typeof source.capabilities == 'string') {
+            source = Object.assign({}, source, { url: source.capabilities });
+        }
         super(source);
 
         if (!source.name) {
             throw new Error('New WMTSSource: name is required');
         }
 
-        this.format = this.format || 'image/png';
+        this.name = source.name;
         this.version = source.version || '1.0.0';
+        this.capabilities = source.capabilities;
+
+        if (source.capabilities) {
+            const url = typeof source.capabilities == 'string' ? source.capabilities :
+                `${source.url}?SERVICE=WMTS&REQUEST=GetCapabilities&VERSION=${this.version}`;
+            this.whenReady = Fetcher.xml(url, this.networkOptions).then((xml) => {
+                const params = paramsFromCapabilities(WMTSCapabilitiesParser.parse(xml), source);
+                this.attribution = params.attribution;
+                this.projection = params.projection;
+                this.extent = this.extent || params.extent;
+                this.setup(params);
+            });
+        } else {
+            this.setup(source);
+        }
+    }
+
+    /**
+     * Sets the tiling parameters and the url of the source.
+     *
+     * @private
+     * @param {Object} source - parameters given to the constructor, or read
+     * from the capabilities document
+     */
+    setup(source) {
+        this.format = source.format || 'image/png';
         this.tileMatrixSet = source.tileMatrixSet || 'WGS84';
         this.style = source.style || 'normal';
-        this.name = source.name;
-        this.url = `${source.url}` +
-            `?LAYER=${this.name}` +
-            `&FORMAT=${this.format}` +
-            '&SERVICE=WMTS' +
-            `&VERSION=${this.version}` +
-            '&REQUEST=GetTile' +
-            `&STYLE=${this.style}` +
-            `&TILEMATRIXSET=${this.tileMatrixSet}` +
-            '&TILEMATRIX=%TILEMATRIX&TILEROW=%ROW&TILECOL=%COL';
+        this.requestEncoding = source.requestEncoding || 'KVP';
+        this.tileMatrixCallback = source.tileMatrixCallback;
+        this.url = buildUrl(source.url, this, source.tileMatrixSetIdentifier || this.tileMatrixSet);
 
         this.zoom = source.zoom;
         this.tileMatrixSetLimits = source.tileMatrixSetLimits;
 
+        if (source.tileMatrices) {
+            if (!this.projection) {
+                throw new Error('New WMTSSource: projection is required with tileMatrices');
+            }
+            this.tileMatrices = source.tileMatrices;
+            if (!this.tileMatrixCallback) {
+                this.tileMatrixCallback = zoom => this.tileMatrices[zoom].identifier;
+            }
+            if (!this.zoom && !this.tileMatrixSetLimits) {
+                this.zoom = { min: 0, max: this.tileMatrices.length - 1 };
+            }
+        }
+
         // If the projection is undefined,
         // It is deduced from the tileMatrixSet,
         // The projection is coherent with the projection
@@ -69,15 +338,12 @@ class WMTSSource extends Source {
         }
 
         if (!this.zoom) {
-            if (this.tileMatrixSetLimits) {
-                const arrayLimits = Object.keys(this.tileMatrixSetLimits);
-                const size = arrayLimits.length;
-                const maxZoom = Number(arrayLimits[size - 1]);
-                const minZoom = maxZoom - size + 1;
-
+            // The levels of the limits may not be contiguous
+            const zooms = this.tileMatrixSetLimits ? Object.keys(this.tileMatrixSetLimits).map(Number) : [];
+            if (zooms.length) {
                 this.zoom = {
-                    min: minZoom,
-                    max: maxZoom,
+                    min: Math.min(...zooms),
+                    max: Math.max(...zooms),
                 };
             } else {
                 this.zoom = { min: 2, max: 20 };
@@ -89,13 +355,43 @@ class WMTSSource extends Source {
         return URLBuilder.xyz(extent, this);
     }
 
+    /**
+     * Generate the url of a GetFeatureInfo request, querying the features at
+     * some coordinates of a tile. Only the KVP encoding is supported.
+     *
+     * @param {Extent} extent - extent of the tile, as given to
+     * {@link WMTSSource#urlFromExtent}
+     * @param {Coordinates} coordinates - coordinates to query, inside the tile
+     * @param {string} [infoFormat='application/json'] format of the response
+     * @return {string} url of the GetFeatureInfo request
+     */
+    urlGetFeatureInfo(extent, coordinates, infoFormat = 'application/json') {
+        if (this.requestEncoding == 'REST') {
+            throw new Error('WMTSSource: GetFeatureInfo is only supported with the KVP encoding');
+        }
+        const box = extent.as(this.projection);
+        const point = coordinates.as(this.projection);
+        const dimensions = box.dimensions();
+        const tileMatrix = this.tileMatrices ? this.tileMatrices[extent.zoom] : { tileWidth: 256, tileHeight: 256 };
+        const i = Math.floor((point._values[0] - box.west()) / dimensions.x * tileMatrix.tileWidth);
+        const j = Math.floor((box.north() - point._values[1]) / dimensions.y * tileMatrix.tileHeight);
+
+        const url = `${this.url.replace('REQUEST=GetTile', 'REQUEST=GetFeatureInfo')
+            }&INFOFORMAT=${infoFormat}&I=${i}&J=${j}`;
+        return URLBuilder.xyz(extent, { url, tileMatrixCallback: this.tileMatrixCallback });
+    }
+
     extentInsideLimit(extent) {
-        return extent.zoom >= this.zoom.min && extent.zoom <= this.zoom.max &&
-                (this.tileMatrixSetLimits == undefined ||
-                (extent.row >= this.tileMatrixSetLimits[extent.zoom].minTileRow &&
-                    extent.row <= this.tileMatrixSetLimits[extent.zoom].maxTileRow &&
-                    extent.col >= this.tileMatrixSetLimits[extent.zoom].minTileCol &&
-                    extent.col <= this.tileMatrixSetLimits[extent.zoom].maxTileCol));
+        if (!(extent.zoom >= this.zoom.min && extent.zoom <= this.zoom.max)) {
+            return false;
+        } else if (this.tileMatrixSetLimits == undefined) {
+            return true;
+        }
+        // A level without limits has no tiles
+        const limits = this.tileMatrixSetLimits[extent.zoom];
+        return limits != undefined &&
+            extent.row >= limits.minTileRow && extent.row <= limits.maxTileRow &&
+            extent.col >= limits.minTileCol && extent.col <= limits.maxTileCol;
     }
 }
 
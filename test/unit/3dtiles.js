@@ -1,10 +1,12 @@
+/* global AbortController */
 import proj4 from 'proj4';
 import assert from 'assert';
-import { Matrix4, Object3D } from 'three';
+import { BufferGeometry, Matrix4, Mesh, Object3D, Vector3 } from 'three';
 import Camera from '../../src/Renderer/Camera';
 import Coordinates from '../../src/Core/Geographic/Coordinates';
-import { computeNodeSSE } from '../../src/Process/3dTilesProcessing';
-import { $3dTilesIndex, configureTile } from '../../src/Provider/3dTilesProvider';
+import CancelledCommandException from '../../src/Core/Scheduler/CancelledCommandException';
+import { computeNodeSSE, $3dTilesCulling, isCameraInVolume, isVolumeCulled, process3dTilesNode } from '../../src/Process/3dTilesProcessing';
+import $3dTilesProvider, { $3dTilesIndex, configureTile, getBox } from '../../src/Provider/3dTilesProvider';
 
 function tilesetWithRegion(transformMatrix) {
     const tileset = {
@@ -160,3 +162,235 @@ describe('Distance computation using boundingVolume.sphere', function () {
         assert.equal(tile.distance, 100 - 1 * 0.01 - 10);
     });
 });
+
+describe('3D Tiles bounding volumes', function () {
+    proj4.defs('EPSG:3946',
+        '+proj=lcc +lat_1=45.25 +lat_2=46.75 +lat_0=46 +lon_0=3 +x_0=1700000 +y_0=5200000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs');
+
+    // looking down, along -z
+    const camera = new Camera('EPSG:3946', 100, 100);
+    camera.camera3D.position.set(0, 0, 100);
+    camera.update(100, 100);
+
+    const identity = new Matrix4();
+
+    it('should convert the oriented boxes', function () {
+        // the z axis is degenerate: the box is flat
+        const volume = getBox({ box: [10, 0, 0, 0, 2, 0, -1, 0, 0, 0, 0, 0] });
+        assert.deepEqual(volume.box.max.toArray(), [2, 1, 0]);
+        assert.deepEqual(new Vector3(2, 1, 0).applyMatrix4(volume.matrix).toArray(), [9, 2, 0]);
+        assert.deepEqual(new Vector3(0, 0, 1).applyMatrix4(volume.matrix).toArray(), [10, 0, 1]);
+    });
+
+    it('should cull the oriented boxes', function () {
+        // a box of 2 meters, rotated by 45 degrees, in front of the camera
+        const volume = getBox({ box: [0, 0, 0, 1, 1, 0, -1, 1, 0, 0, 0, 1] });
+        assert.ok(!isVolumeCulled(camera, volume, identity));
+        assert.ok(isVolumeCulled(camera, volume, new Matrix4().makeTranslation(0, 0, 200)));
+        assert.ok(!isCameraInVolume(camera, volume, identity));
+        assert.ok(isCameraInVolume(camera, getBox({ box: [0, 0, 99, 1, 1, 0, -1, 1, 0, 0, 0, 2] }), identity));
+        // the camera is in the axis aligned box of this box, but not in the box
+        assert.ok(!isCameraInVolume(camera, getBox({ box: [1.2, 1.2, 99, 1, 1, 0, -1, 1, 0, 0, 0, 2] }), identity));
+    });
+
+    it('should test the viewer request volumes', function () {
+        const tileset = {
+            root: {
+                transform: new Matrix4().makeScale(10, 10, 10).elements,
+                boundingVolume: { sphere: [0, 0, 0, 1] },
+                viewerRequestVolume: { sphere: [0, 0, 0, 15] },
+                children: [{
+                    boundingVolume: { sphere: [0, 0, 0, 1] },
+                    viewerRequestVolume: { box: [0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 5] },
+                }],
+            },
+        };
+        const tileIndex = new $3dTilesIndex(tileset, '');
+        const root = new Object3D();
+        configureTile(root, { }, tileIndex.index['1']);
+        root.updateMatrixWorld(true);
+
+        // the radius of the sphere is scaled by the transform
+        assert.ok(!$3dTilesCulling(camera, root, root.matrixWorld));
+        // the camera is 100 meters above the box of 50 meters
+        assert.ok($3dTilesCulling(camera, tileIndex.index['2'], root.matrixWorld));
+
+        // the regions are tested with the geographic position of the camera
+        const globeCamera = new Camera('EPSG:4978', 100, 100);
+        globeCamera.camera3D.position.copy(new Coordinates('EPSG:4326', 0, 0, 10000).as('EPSG:4978').xyz());
+        const region = [-0.1, -0.1, 0.1, 0.1, 0, 20000];
+        assert.ok(isCameraInVolume(globeCamera, getBox({ region }, identity), identity));
+        region[5] = 5000;
+        assert.ok(!isCameraInVolume(globeCamera, getBox({ region }, identity), identity));
+        region[0] = 0.01;
+        region[5] = 20000;
+        assert.ok(!isCameraInVolume(globeCamera, getBox({ region }, identity), identity));
+    });
+
+    it('should read the bounding volumes of the contents', function () {
+        const tileset = {
+            root: {
+                boundingVolume: { box: [0, 0, 0, 100, 0, 0, 0, 100, 0, 0, 0, 100] },
+                content: {
+                    uri: 'tile.b3dm',
+                    boundingVolume: { box: [0, 0, 200, 1, 0, 0, 0, 1, 0, 0, 0, 1] },
+                },
+            },
+        };
+        const tileIndex = new $3dTilesIndex(tileset, '');
+        const tile = new Object3D();
+        configureTile(tile, { }, tileIndex.index['1']);
+        tile.updateMatrixWorld(true);
+        assert.ok(!$3dTilesCulling(camera, tile, tile.matrixWorld));
+        // the content is behind the camera
+        assert.ok(isVolumeCulled(camera, tile.contentBoundingVolume, tile.matrixWorld));
+    });
+
+    it('should inherit the refinement of the parents', function () {
+        const tileset = {
+            root: {
+                refine: 'add',
+                boundingVolume: { sphere: [0, 0, 0, 1] },
+                children: [{
+                    boundingVolume: { sphere: [0, 0, 0, 1] },
+                    children: [{
+                        refine: 'REPLACE',
+                        boundingVolume: { sphere: [0, 0, 0, 1] },
+                        children: [{ boundingVolume: { sphere: [0, 0, 0, 1] } }],
+                    }],
+                }],
+            },
+        };
+        const tileIndex = new $3dTilesIndex(tileset, '');
+        assert.deepEqual([1, 2, 3, 4].map(id => tileIndex.index[id].refine), ['ADD', 'ADD', 'REPLACE', 'REPLACE']);
+
+        // the root of an external tileset inherits the refinement of its tile
+        tileIndex.extendTileset({ root: { boundingVolume: { sphere: [0, 0, 0, 1] } } }, 2, '');
+        assert.equal(tileIndex.index[5].refine, 'ADD');
+        const tile = new Object3D();
+        configureTile(tile, { }, tileIndex.index[5]);
+        assert.ok(tile.additiveRefinement);
+
+        assert.equal(new $3dTilesIndex({ root: { boundingVolume: { sphere: [0, 0, 0, 1] } } }, '').index[1].refine, 'REPLACE');
+    });
+});
+
+describe('Requests of 3D Tiles', function () {
+    const sphere = { sphere: [0, 0, 0, 1] };
+    const tileset = {
+        root: {
+            refine: 'REPLACE',
+            boundingVolume: sphere,
+            children: [
+                { boundingVolume: sphere, content: { uri: '1.b3dm' } },
+                { boundingVolume: sphere, content: { uri: '2.b3dm' } },
+            ],
+        },
+    };
+    const wait = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    it('should drop the commands of the children of culled tiles', function () {
+        const tileIndex = new $3dTilesIndex(tileset, 'http://server.geo/');
+        const layer = { tileIndex, visible: true, _cleanableTiles: [] };
+        const commands = [];
+        const context = {
+            view: { notifyChange() {} },
+            scheduler: {
+                execute: cmd => new Promise((resolve, reject) => {
+                    commands.push(Object.assign(cmd, { resolve, reject }));
+                }),
+            },
+        };
+        const root = new Object3D();
+        configureTile(root, layer, tileIndex.index[1]);
+        new Object3D().add(root);
+        const process = process3dTilesNode(() => false, () => true);
+
+        process(context, layer, root);
+        assert.equal(commands.length, 2);
+        assert.ok(!commands[0].earlyDropFunction(commands[0]));
+        root.visible = false;
+        assert.ok(commands[0].earlyDropFunction(commands[0]));
+
+        // a child is loaded and the other one is cancelled: the node is
+        // subdivided again later
+        const child = new Object3D();
+        configureTile(child, layer, tileIndex.index[2]);
+        commands[0].resolve(child);
+        commands[1].reject(new CancelledCommandException(commands[1]));
+        return wait().then(() => {
+            assert.ok(!root.pendingSubdivision);
+            assert.equal(root.children.length, 0);
+            process(context, layer, root);
+            assert.equal(commands.length, 4);
+        });
+    });
+
+    it('should dispose the loaded children when a sibling fails', function () {
+        const tileIndex = new $3dTilesIndex(tileset, 'http://server.geo/');
+        const layer = { tileIndex, visible: true, _cleanableTiles: [] };
+        const commands = [];
+        const context = {
+            view: { notifyChange() {} },
+            scheduler: {
+                execute: cmd => new Promise((resolve, reject) => {
+                    commands.push(Object.assign(cmd, { resolve, reject }));
+                }),
+            },
+        };
+        const root = new Object3D();
+        configureTile(root, layer, tileIndex.index[1]);
+        new Object3D().add(root);
+        const process = process3dTilesNode(() => false, () => true);
+        process(context, layer, root);
+
+        const child = new Object3D();
+        configureTile(child, layer, tileIndex.index[2]);
+        const geometry = new BufferGeometry();
+        let disposed = false;
+        geometry.addEventListener('dispose', () => { disposed = true; });
+        child.add(new Mesh(geometry));
+        commands[0].resolve(child);
+        commands[1].reject(new Error('Error loading http://server.geo/2.b3dm: status 500'));
+        return wait().then(() => {
+            assert.ok(!root.pendingSubdivision);
+            assert.equal(root.children.length, 0);
+            assert.ok(disposed);
+            process(context, layer, root);
+            assert.equal(commands.length, 4);
+        });
+    });
+
+    it('should abort the requests of the obsolete commands', function () {
+        const tileIndex = new $3dTilesIndex(tileset, 'http://server.geo/');
+        const layer = { id: '3d-tiles', threejsLayer: 1, networkOptions: {} };
+        const controller = new AbortController();
+        const fetch = global.fetch;
+        global.fetch = (url, options) => new Promise((resolve, reject) => {
+            options.signal.addEventListener('abort', () => {
+                const error = new Error('aborted');
+                error.name = 'AbortError';
+                reject(error);
+            });
+        });
+        const promise = $3dTilesProvider.executeCommand({
+            layer,
+            metadata: tileIndex.index[2],
+            requester: new Object3D(),
+            signal: controller.signal,
+        });
+        return wait().then(() => {
+            controller.abort();
+            return promise;
+        }).then(() => {
+            assert.fail('the command should be aborted');
+        }, (error) => {
+            assert.equal(error.name, 'AbortError');
+        }).then(() => {
+            global.fetch = fetch;
+        }, (error) => {
+            global.fetch = fetch;
+            throw error;
+        });
+    });
+});
@@ -0,0 +1,129 @@
+/* eslint-disable no-template-curly-in-string */
+import assert from 'assert';
+import * as THREE from 'three';
+import StyleExpressionParser from '../../src/Parser/StyleExpressionParser';
+import $3dTilesStyle from '../../src/Renderer/3dTilesStyle';
+import BatchTable from '../../src/Renderer/BatchTable';
+
+function evaluate(expression, properties, defines) {
+    return StyleExpressionParser.parse(expression, defines)(properties);
+}
+
+describe('StyleExpressionParser', function () {
+    it('should evaluate the operators', () => {
+        assert.equal(evaluate("${height} > 50 ? 'red' : 'white'", { height: 60 }), 'red');
+        assert.equal(evaluate('-${a} * 2 + 10 % 4 / 2', { a: 3 }), -5);
+        assert.equal(evaluate("${feature['floors']} + ' floors'", { floors: 3 }), '3 floors');
+        assert.equal(evaluate('${feature.a} === 1 && !(${b} !== 2) || false', { a: 1, b: 2 }), true);
+        assert.equal(evaluate('${missing} >= 0', {}), false);
+        assert.equal(evaluate('${list}[1] + ${list}.length', { list: [4, 5] }), 7);
+        assert.equal(evaluate('[1, 2, 3][2] + 1e1 + .5', {}), 13.5);
+    });
+
+    it('should evaluate the built-in functions', () => {
+        assert.ok(evaluate("color('red')").equals(new THREE.Vector4(1, 0, 0, 1)));
+        assert.ok(evaluate("color('#ff0000', 0.5) === rgba(255, 0, 0, 0.5)"));
+        assert.ok(evaluate('hsl(0, 1, 0.5) === rgb(255, 0, 0)'));
+        assert.equal(evaluate('vec3(1, vec2(2, 3)).z + vec4(2).w', {}), 5);
+        assert.equal(evaluate('abs(vec2(-1, 2)).x + clamp(${h}, 0, 10) + floor(Math.PI)', { h: 30 }), 14);
+        assert.equal(evaluate("regExp('^Rue').test(${name})", { name: 'Rue de Rivoli' }), true);
+        assert.equal(evaluate("regExp('Rue (.*)').exec(${name})", { name: 'Rue de Rivoli' }), 'de Rivoli');
+        assert.equal(evaluate("${name} =~ regExp('Boulevard') ? 1 : 2", { name: 'Rue de Rivoli' }), 2);
+        assert.equal(evaluate('String(vec2(1, 2)) + isNaN(${a})', { a: 'a' }), '(1, 2)true');
+    });
+
+    it('should replace the variables by the defines', () => {
+        const defines = { tall: '${height} > ${limit}', limit: '20 * 2' };
+        assert.equal(evaluate('${tall}', { height: 60 }, defines), true);
+        assert.throws(() => evaluate('${a}', {}, { a: '${b}', b: '${a} + 1' }), /references itself/);
+    });
+
+    it('should reject the invalid expressions', () => {
+        assert.throws(() => evaluate('${a} == 1'), /'==' isn't supported, use '==='/);
+        assert.throws(() => evaluate('(1 + 2'), /'\)' expected at the end/);
+        assert.throws(() => evaluate('alert(1)'), /unknown function or name 'alert'/);
+        assert.throws(() => evaluate("'abc"), /unterminated string/);
+        assert.throws(() => evaluate('1 2'), /unexpected '2'/);
+    });
+});
+
+describe('3D Tiles style', function () {
+    const json = { height: [10, 60, 20], name: ['a', 'Tour b', 'c'] };
+
+    it('should style the features of a batch table', () => {
+        const style = new $3dTilesStyle({
+            show: '${height} > 15',
+            color: {
+                conditions: [
+                    ['${height} > 50', "color('red')"],
+                    ['true', "color('blue', 0)"],
+                ],
+            },
+        });
+        const tile = new THREE.Object3D();
+        tile.content = new THREE.Object3D();
+        tile.batchTable = new BatchTable(json);
+        tile.content.batchTable = tile.batchTable;
+        assert.ok(style.applyToTile(tile));
+        assert.deepEqual(Array.from(tile.batchTable.styles), [
+            0, 0, 255, 0,
+            255, 0, 0, 255,
+            // transparent
+            0, 0, 255, 0,
+        ]);
+
+        // The default style resets the features
+        new $3dTilesStyle().applyToTile(tile);
+        assert.ok(tile.batchTable.styles.every(v => v == 255));
+    });
+
+    it('should style the points', () => {
+        const geometry = new THREE.BufferGeometry();
+        geometry.addAttribute('position', new THREE.BufferAttribute(new Float32Array([0, 0, 0, 1, 0, 0, 2, 0, 0]), 3));
+        geometry.addAttribute('color', new THREE.BufferAttribute(new Uint8Array([10, 20, 30, 40, 50, 60, 70, 80, 90]), 3, true));
+        const tile = new THREE.Object3D();
+        tile.content = new THREE.Points(geometry, new THREE.PointsMaterial({ vertexColors: THREE.VertexColors }));
+        tile.batchTable = new BatchTable(json);
+        tile.content.batchTable = tile.batchTable;
+
+        const style = new $3dTilesStyle({
+            show: '${POSITION}.x < 2',
+            color: "${name} =~ regExp('^Tour') ? color('white') : ${COLOR}",
+            pointSize: '${height} / 10',
+        });
+        assert.ok(style.applyToTile(tile));
+        assert.deepEqual(Array.from(geometry.attributes.color.array), [10, 20, 30, 255, 255, 255, 70, 80, 90]);
+        assert.deepEqual(Array.from(geometry.attributes._POINTSIZE.array), [1, 6, 0]);
+        assert.ok(!tile.batchTable.isShown(2));
+
+        const shader = { vertexShader: THREE.ShaderLib.points.vertexShader };
+        tile.content.material.onBeforeCompile(shader);
+        assert.ok(/attribute float _POINTSIZE;/.test(shader.vertexShader));
+
+        // The original colors are restored
+        new $3dTilesStyle({}).applyToTile(tile);
+        assert.deepEqual(Array.from(geometry.attributes.color.array), [10, 20, 30, 40, 50, 60, 70, 80, 90]);
+        assert.deepEqual(Array.from(geometry.attributes._POINTSIZE.array), [-1, -1, -1]);
+    });
+
+    it('should style the batches of points', () => {
+        const geometry = new THREE.BufferGeometry();
+        geometry.addAttribute('position', new THREE.BufferAttribute(new Float32Array([0, 0, 0, 1, 0, 0, 2, 0, 0]), 3));
+        geometry.addAttribute('_BATCHID', new THREE.BufferAttribute(new Float32Array([1, 1, 0]), 1));
+        const tile = new THREE.Object3D();
+        tile.content = new THREE.Points(geometry, new THREE.PointsMaterial({ vertexColors: THREE.VertexColors }));
+        tile.batchTable = new BatchTable({ name: ['a', 'Tour b'] });
+        tile.content.batchTable = tile.batchTable;
+
+        const style = new $3dTilesStyle({
+            show: '${POSITION}.x < 2',
+            color: "${name} =~ regExp('^Tour') ? color('white') : color('black')",
+        });
+        assert.ok(style.applyToTile(tile));
+        assert.deepEqual(Array.from(geometry.attributes.color.array), [255, 255, 255, 255, 255, 255, 0, 0, 0]);
+        assert.deepEqual(Array.from(geometry.attributes._POINTSIZE.array), [-1, -1, 0]);
+        // A batch is shown if one of its points is
+        assert.ok(tile.batchTable.isShown(1));
+        assert.ok(!tile.batchTable.isShown(0));
+    });
+});
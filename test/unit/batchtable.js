@@ -0,0 +1,158 @@
+import assert from 'assert';
+import * as THREE from 'three';
+import BatchTableParser from '../../src/Parser/BatchTableParser';
+import BatchTable from '../../src/Renderer/BatchTable';
+import Picking from '../../src/Core/Picking';
+
+function encode(json) {
+    return new Uint8Array(Buffer.from(JSON.stringify(json))).buffer;
+}
+
+// 2 triangles facing the camera, of the features 0 and 1
+function batchedMesh(material) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.addAttribute('position', new THREE.BufferAttribute(new Float32Array([
+        -1, -1, 0, 0, -1, 0, -1, 1, 0,
+        0, -1, 0, 1, -1, 0, 1, 1, 0,
+    ]), 3));
+    geometry.addAttribute('_BATCHID', new THREE.BufferAttribute(new Uint16Array([0, 0, 0, 1, 1, 1]), 1));
+    return new THREE.Mesh(geometry, material);
+}
+
+describe('BatchTableParser', function () {
+    it('should read the properties of the binary body', () => {
+        const binary = new ArrayBuffer(40);
+        new Float64Array(binary, 0, 3).set([12.5, 30, 4.25]);
+        new Uint16Array(binary, 24, 6).set([1, 2, 3, 4, 5, 6]);
+        const json = {
+            name: ['a', 'b', 'c'],
+            height: { byteOffset: 0, componentType: 'DOUBLE', type: 'SCALAR' },
+            size: { byteOffset: 24, componentType: 'UNSIGNED_SHORT', type: 'VEC2' },
+            extras: { componentType: 'custom' },
+        };
+        return BatchTableParser.parse(encode(json), { binary, batchLength: 3 }).then((result) => {
+            assert.deepEqual(result.name, ['a', 'b', 'c']);
+            assert.deepEqual(result.height, [12.5, 30, 4.25]);
+            assert.deepEqual(result.size, [[1, 2], [3, 4], [5, 6]]);
+            assert.deepEqual(result.extras, { componentType: 'custom' });
+        });
+    });
+
+    it('should reject the invalid binary properties', () => {
+        const json = { height: { byteOffset: 8, componentType: 'DOUBLE', type: 'SCALAR' } };
+        assert.throws(() => BatchTableParser.parse(encode(json), { binary: new ArrayBuffer(16), batchLength: 2 }), /exceeds/);
+        assert.throws(() => BatchTableParser.parse(encode(json), { batchLength: 2 }), /missing binary body/);
+        json.height.type = 'MAT4';
+        assert.throws(() => BatchTableParser.parse(encode(json), { batchLength: 2 }), /Invalid type/);
+    });
+});
+
+describe('BatchTable', function () {
+    const json = { height: [10, 60, 20], name: ['a', 'b', 'c'], extensions: {} };
+
+    it('should get the properties of a feature', () => {
+        const batchTable = new BatchTable(json);
+        assert.equal(batchTable.batchLength, 3);
+        assert.deepEqual(batchTable.getProperties(1), { height: 60, name: 'b' });
+        assert.equal(new BatchTable({}, 5).batchLength, 5);
+    });
+
+    it('should store the style of the features in a texture', () => {
+        const batchTable = new BatchTable(json);
+        batchTable.styleFeatures(properties => (properties.height > 50 ? { color: 'red' } : { show: properties.height > 15 }));
+        assert.deepEqual(Array.from(batchTable.styles), [
+            255, 255, 255, 0,
+            255, 0, 0, 255,
+            255, 255, 255, 255,
+        ]);
+        assert.ok(!batchTable.isShown(0));
+        batchTable.highlight(2, 'blue');
+        assert.equal(batchTable.uniforms.batchHighlightId.value, 2);
+        assert.equal(batchTable.uniforms.batchHighlightColor.value.getHex(), 0x0000ff);
+        assert.throws(() => batchTable.setColor(3, 'red'), /Invalid batch id 3/);
+
+        batchTable.resetStyle();
+        assert.ok(batchTable.styles.every(v => v == 255));
+        assert.equal(batchTable.uniforms.batchHighlightId.value, -1);
+    });
+
+    it('should lay out the large batches on several rows', () => {
+        const batchTable = new BatchTable({}, 5000);
+        assert.equal(batchTable.texture.image.width, 4096);
+        assert.equal(batchTable.texture.image.height, 2);
+    });
+
+    it('should patch the shaders of the three.js materials', () => {
+        const batchTable = new BatchTable(json);
+        const mesh = batchedMesh(new THREE.MeshLambertMaterial());
+        const raw = batchedMesh(new THREE.RawShaderMaterial());
+        assert.ok(batchTable.attach(mesh));
+        assert.ok(!batchTable.attach(raw));
+
+        const lambert = THREE.ShaderLib.lambert;
+        const shader = {
+            uniforms: THREE.UniformsUtils.clone(lambert.uniforms),
+            vertexShader: lambert.vertexShader,
+            fragmentShader: lambert.fragmentShader,
+        };
+        mesh.material.onBeforeCompile(shader);
+        assert.equal(shader.uniforms.batchTexture.value, batchTable.texture);
+        assert.ok(/vBatchId = _BATCHID;/.test(shader.vertexShader));
+        assert.ok(/#include <color_fragment>\s+#ifdef USE_BATCH_STYLE\s+float batchId/.test(shader.fragmentShader));
+        assert.equal(mesh.material.defines.USE_BATCH_STYLE, '');
+    });
+});
+
+describe('3D Tiles picking', function () {
+    const camera = new THREE.PerspectiveCamera(60, 1, 0.1, 100);
+    camera.position.set(0, 0, 5);
+    camera.updateMatrixWorld(true);
+    // A view rendering something everywhere
+    const view = {
+        camera: { camera3D: camera, width: 100, height: 100 },
+        mainLoop: {
+            gfxEngine: {
+                renderViewToBuffer: () => new Uint8Array(4).fill(255),
+                renderer: { getClearColor: () => new THREE.Color(0) },
+            },
+        },
+        viewToNormalizedCoords: c => new THREE.Vector2(c.x / 50 - 1, 1 - c.y / 50),
+    };
+
+    it('should pick the batch id and the properties of a feature', () => {
+        const layer = { object3d: new THREE.Group() };
+        const tile = new THREE.Object3D();
+        tile.batchTable = new BatchTable({ name: ['left', 'right'] });
+        tile.add(batchedMesh(new THREE.MeshBasicMaterial()));
+        layer.object3d.add(tile);
+        layer.object3d.updateMatrixWorld(true);
+
+        let picked = Picking.pick3dTilesAt(view, { x: 65, y: 50 }, 0, layer);
+        assert.equal(picked.length, 1);
+        assert.equal(picked[0].batchId, 1);
+        assert.equal(picked[0].batchTable, tile.batchTable);
+        assert.deepEqual(picked[0].properties, { name: 'right' });
+
+        // The hidden features aren't picked
+        tile.batchTable.setShow(1, false);
+        picked = Picking.pick3dTilesAt(view, { x: 65, y: 50 }, 0, layer);
+        assert.equal(picked.length, 0);
+    });
+
+    it('should pick the batch of a point', () => {
+        const layer = { object3d: new THREE.Group() };
+        const geometry = new THREE.BufferGeometry();
+        geometry.addAttribute('position', new THREE.BufferAttribute(new Float32Array([-3, 0, 0, -2, 0, 0, 0.866, 0, 0]), 3));
+        geometry.addAttribute('_BATCHID', new THREE.BufferAttribute(new Float32Array([0, 0, 1]), 1));
+        const points = new THREE.Points(geometry, new THREE.PointsMaterial());
+        points.batchTable = new BatchTable({ name: ['left', 'right'] });
+        layer.object3d.add(points);
+        layer.object3d.updateMatrixWorld(true);
+
+        const picked = Picking.pick3dTilesAt(view, { x: 65, y: 50 }, 0, layer);
+        assert.equal(picked.length, 1);
+        assert.equal(picked[0].index, 2);
+        assert.equal(picked[0].batchId, 1);
+        assert.deepEqual(picked[0].properties, { name: 'right' });
+    });
+});
@@ -0,0 +1,115 @@
+import * as THREE from 'three';
+import assert from 'assert';
+import Cache from '../../src/Core/Scheduler/Cache';
+import LayeredMaterial from '../../src/Renderer/LayeredMaterial';
+
+// A 256x256 RGBA texture, weighting 256 KiB
+function texture() {
+    const t = new THREE.Texture({ width: 256, height: 256 });
+    t.disposed = false;
+    t.addEventListener('dispose', () => { t.disposed = true; });
+    return t;
+}
+
+describe('Cache', function () {
+    let budget;
+
+    before(function () {
+        budget = Cache.getStatistics().budget;
+    });
+
+    beforeEach(function () {
+        Cache.clear();
+        Cache.setMemoryBudget(Infinity);
+    });
+
+    after(function () {
+        Cache.clear();
+        Cache.setMemoryBudget(budget);
+    });
+
+    it('should estimate the size of textures, geometries and arrays', function () {
+        Cache.set('rgba', texture());
+        assert.equal(Cache.getStatistics().size, 256 * 256 * 4);
+
+        const elevation = new THREE.DataTexture(new Float32Array(64 * 64), 64, 64, THREE.AlphaFormat, THREE.FloatType);
+        Cache.set('elevation', [elevation]);
+        assert.equal(Cache.getStatistics().size, 256 * 256 * 4 + 64 * 64 * 4);
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.addAttribute('position', new THREE.BufferAttribute(new Float32Array(30), 3));
+        geometry.setIndex(new THREE.BufferAttribute(new Uint16Array(6), 1));
+        Cache.set('rgba', geometry);
+        assert.equal(Cache.getStatistics().size, 64 * 64 * 4 + 120 + 12);
+
+        Cache.delete('elevation');
+        assert.equal(Cache.getStatistics().size, 132);
+        assert.equal(Cache.getStatistics().count, 1);
+    });
+
+    it('should evict the least recently used entries over the budget', function () {
+        const textures = [texture(), texture(), texture()];
+        const events = [];
+        const listener = event => events.push(event);
+        Cache.addEventListener('evict', listener);
+
+        Cache.set('a', textures[0]);
+        Cache.set('b', textures[1]);
+        Cache.get('a');
+        Cache.setMemoryBudget(2 * 256 * 256 * 4);
+        Cache.set('c', textures[2]);
+        Cache.removeEventListener('evict', listener);
+
+        assert.equal(Cache.get('b'), undefined);
+        assert.equal(Cache.get('a'), textures[0]);
+        assert.ok(textures[1].disposed);
+        assert.ok(!textures[0].disposed);
+        assert.equal(events.length, 1);
+        assert.deepEqual(events[0].keys, ['b']);
+        assert.equal(events[0].size, 2 * 256 * 256 * 4);
+    });
+
+    it('should keep the textures displayed by a material', function () {
+        const textures = [texture(), texture()];
+        const material = new LayeredMaterial();
+        material.setLayerTextures({ type: 'elevation' }, textures[0]);
+        assert.equal(textures[0].materialsCount, 1);
+
+        Cache.set('a', textures[0]);
+        Cache.set('b', textures[1]);
+        Cache.setMemoryBudget(256 * 256 * 4);
+        assert.equal(Cache.get('a'), textures[0]);
+        assert.equal(Cache.get('b'), undefined);
+        assert.ok(textures[1].disposed);
+
+        // The texture isn't displayed anymore, it can be evicted
+        material.setLayerTextures({ type: 'elevation' }, textures[1]);
+        assert.equal(textures[0].materialsCount, 0);
+        Cache.setMemoryBudget(0);
+        assert.equal(Cache.get('a'), undefined);
+        assert.ok(textures[0].disposed);
+    });
+
+    it('should compute the size of promises once resolved', function () {
+        const t = texture();
+        Cache.set('promise', Promise.resolve(t), Cache.POLICIES.TEXTURE);
+        assert.equal(Cache.getStatistics().size, 0);
+        return Cache.get('promise').then(() => {
+            assert.equal(Cache.getStatistics().size, 256 * 256 * 4);
+        });
+    });
+
+    it('should dispose of expired resources when flushing', function () {
+        const t = texture();
+        Cache.set('expired', t, 10);
+        Cache.set('kept', texture());
+        const before = Cache.getStatistics();
+        Cache.flush(Date.now() + 100);
+        const after = Cache.getStatistics();
+        assert.ok(t.disposed);
+        assert.equal(after.count, 1);
+        assert.equal(after.size, 256 * 256 * 4);
+        assert.equal(after.evictions, before.evictions + 1);
+        assert.equal(after.disposals, before.disposals + 1);
+    });
+});
@@ -0,0 +1,194 @@
+/* global AbortController */
+import assert from 'assert';
+import fs from 'fs';
+import Path from 'path';
+import proj4 from 'proj4';
+import * as THREE from 'three';
+import COGSource from '../../src/Source/COGSource';
+import GeoTiffParser from '../../src/Parser/GeoTiffParser';
+import Fetcher from '../../src/Provider/Fetcher';
+import Extent from '../../src/Core/Geographic/Extent';
+
+proj4.defs('EPSG:3946', '+proj=lcc +lat_1=45.25 +lat_2=46.75 +lat_0=46 +lon_0=3 +x_0=1700000 +y_0=5200000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs');
+
+function readFixture(name) {
+    const file = fs.readFileSync(Path.resolve(__dirname, `../data/cog/${name}`));
+    return file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+}
+
+const files = {
+    'rgb_deflate.tif': readFixture('rgb_deflate.tif'),
+    'dem_lzw.tif': readFixture('dem_lzw.tif'),
+    'dem_float_be.tif': readFixture('dem_float_be.tif'),
+};
+
+// Serve the fixtures like a server supporting range requests
+const ranges = [];
+function serveRanges(url, options) {
+    const range = /bytes=(\d+)-(\d+)/.exec(options.headers.Range);
+    ranges.push(options.headers.Range);
+    return Promise.resolve(files[url].slice(Number(range[1]), Number(range[2]) + 1));
+}
+
+function texel(texture, i, j) {
+    const size = texture.image.width;
+    const channels = texture.image.data.length / (size * size);
+    return Array.from(texture.image.data.slice((j * size + i) * channels, (j * size + i + 1) * channels));
+}
+
+describe('GeoTiffParser', function () {
+    it('should read the images of a GeoTIFF', () =>
+        GeoTiffParser.parseHeader((offset, length) => Promise.resolve(files['rgb_deflate.tif'].slice(offset, offset + length)))
+            .then((images) => {
+                assert.equal(images.length, 2);
+                assert.equal(images[0].width, 64);
+                assert.equal(images[0].tilesAcross, 2);
+                assert.equal(images[0].samplesPerPixel, 3);
+                assert.equal(images[0].crs, 'EPSG:4326');
+                assert.deepEqual(images[0].origin, [0, 46.4]);
+                assert.equal(images[1].width, 32);
+                assert.equal(images[1].origin, undefined);
+            }));
+
+    it('should reject files that are not TIFF', () =>
+        GeoTiffParser.parseHeader(() => Promise.resolve(new ArrayBuffer(8))).then(() => {
+            assert.fail('should not be parsed');
+        }, (error) => {
+            assert.ok(error.message.includes('not a TIFF'));
+        }));
+});
+
+describe('COGSource', function () {
+    let arrayBuffer;
+    before(function () {
+        arrayBuffer = Fetcher.arrayBuffer;
+        Fetcher.arrayBuffer = serveRanges;
+    });
+    after(function () {
+        Fetcher.arrayBuffer = arrayBuffer;
+    });
+
+    it('should read the extent and projection from the GeoTIFF', () => {
+        const source = new COGSource({ url: 'rgb_deflate.tif', protocol: 'cog' });
+        return source.whenReady.then(() => {
+            assert.equal(source.projection, 'EPSG:4326');
+            assert.equal(source.extent.west(), 0);
+            assert.ok(Math.abs(source.extent.south() - 40) < 1e-9);
+            assert.equal(source.images[1].resolution[0], 0.2);
+            assert.ok(source.extentInsideLimit(new Extent('EPSG:4326', 6, 7, 45, 46)));
+            assert.ok(!source.extentInsideLimit(new Extent('EPSG:4326', 7, 8, 45, 46)));
+            assert.ok(ranges.every(r => r.startsWith('bytes=')));
+        });
+    });
+
+    it('should build color textures from the overview matching the extent', () => {
+        const source = new COGSource({ url: 'rgb_deflate.tif', protocol: 'cog' });
+        return source.whenReady.then(() => {
+            // Texels of 0.2° match the overview pixels
+            const extent = new Extent('EPSG:4326', 0, 51.2, -4.8, 46.4);
+            assert.equal(source.selectImage(extent), source.images[1]);
+            return source.fetchExtent(extent, 'color');
+        }).then((texture) => {
+            assert.equal(texture.image.width, 256);
+            assert.ok(texture.flipY);
+            assert.ok(!texture.isFullResolution);
+            // Pixels of the overview are read from north to south
+            assert.deepEqual(texel(texture, 0, 0), [0, 0, 200, 255]);
+            assert.deepEqual(texel(texture, 31, 31), [248, 248, 200, 255]);
+
+            // A small extent is read from the full resolution image
+            return source.fetchExtent(new Extent('EPSG:4326', 3.2, 3.3, 43.2, 43.3), 'color');
+        }).then((texture) => {
+            assert.deepEqual(texel(texture, 0, 0), [128, 124, 100, 255]);
+            assert.ok(texture.isFullResolution);
+            assert.ok(!source.canTileTextureBeImproved(undefined, texture));
+        });
+    });
+
+    it('should fetch again the tiles that failed', () => {
+        files['flaky.tif'] = files['rgb_deflate.tif'];
+        const source = new COGSource({ url: 'flaky.tif', protocol: 'cog' });
+        return source.whenReady.then(() => {
+            Fetcher.arrayBuffer = () => Promise.reject(new Error('network error'));
+            return source.readTile(source.images[0], 0);
+        }).then(() => {
+            assert.fail('the tile should fail');
+        }, (error) => {
+            Fetcher.arrayBuffer = serveRanges;
+            assert.equal(error.message, 'network error');
+            return source.readTile(source.images[0], 0);
+        }).then((tile) => {
+            assert.ok(tile);
+        });
+    });
+
+    it('should request the tiles with the network policy and the signal', () => {
+        files['retried.tif'] = files['rgb_deflate.tif'];
+        const source = new COGSource({ url: 'retried.tif', protocol: 'cog', networkPolicy: { backoff: 1, timeout: 0 } });
+        const layer = new THREE.EventDispatcher();
+        const events = [];
+        layer.addEventListener('network-error', e => events.push(e));
+        const controller = new AbortController();
+        const signals = [];
+        return source.whenReady.then(() => {
+            let failures = 1;
+            Fetcher.arrayBuffer = (url, options) => {
+                signals.push(options.signal);
+                if (failures-- > 0) {
+                    const error = new Error('Service unavailable');
+                    error.response = { status: 503, headers: { get: () => null } };
+                    return Promise.reject(error);
+                }
+                return serveRanges(url, options);
+            };
+            return source.readTile(source.images[0], 0, controller.signal, layer);
+        }).then((tile) => {
+            Fetcher.arrayBuffer = serveRanges;
+            assert.ok(tile);
+            assert.deepEqual(events.map(e => [e.status, e.retrying]), [[503, true]]);
+            assert.equal(signals.length, 2);
+            assert.ok(signals.every(signal => signal === controller.signal));
+        });
+    });
+
+    it('should make pixels outside the image transparent', () => {
+        const source = new COGSource({ url: 'rgb_deflate.tif', protocol: 'cog' });
+        return source.whenReady.then(() => source.fetchExtent(new Extent('EPSG:4326', -6.4, 6.4, 40, 46.4), 'color'))
+            .then((texture) => {
+                assert.equal(texel(texture, 0, 0)[3], 0);
+                assert.equal(texel(texture, 255, 0)[3], 255);
+            });
+    });
+
+    it('should build elevation textures from LZW compressed int16 samples', () => {
+        const source = new COGSource({ url: 'dem_lzw.tif', protocol: 'cog' });
+        return source.whenReady.then(() => {
+            assert.equal(source.projection, 'EPSG:3946');
+            assert.equal(source.noData, -9999);
+            // The tie point is the center of the first pixel
+            assert.equal(source.extent.west(), 1837000);
+            assert.equal(source.extent.north(), 5170010);
+            return source.fetchExtent(new Extent('EPSG:3946', 1837000, 1837320, 5169690, 5170010), 'elevation');
+        }).then((texture) => {
+            assert.equal(texture.image.data.length, 256 * 256);
+            assert.ok(!texture.flipY);
+            // First row is no data
+            assert.equal(texel(texture, 0, 0)[0], -9999);
+            // Row 1, column 0 and row 31, column 31
+            assert.equal(texel(texture, 0, 8)[0], 110);
+            assert.equal(texel(texture, 255, 255)[0], 100 + 310 + 31);
+        });
+    });
+
+    it('should build elevation textures from big endian float32 strips', () => {
+        const source = new COGSource({ url: 'dem_float_be.tif', protocol: 'cog', noData: -99999 });
+        return source.whenReady.then(() => {
+            assert.equal(source.images[0].tileHeight, 4);
+            return source.fetchExtent(new Extent('EPSG:3946', 1837000, 1837020, 5169990, 5170000), 'elevation');
+        }).then((texture) => {
+            assert.ok(Math.abs(texel(texture, 0, 0)[0] - 0) < 1e-6);
+            assert.ok(Math.abs(texel(texture, 255, 255)[0] - 10.9) < 1e-5);
+            assert.ok(Math.abs(texel(texture, 128, 128)[0] - 6.0) < 1e-5);
+        });
+    });
+});
@@ -1,3 +1,4 @@
+/* global AbortController */
 import * as THREE from 'three';
 import assert from 'assert';
 import { updateLayeredMaterialNodeImagery } from '../../src/Process/LayeredMaterialNodeProcessing';
@@ -8,6 +9,7 @@ import OBB from '../../src/Renderer/ThreeExtended/OBB';
 import LayeredMaterial from '../../src/Renderer/LayeredMaterial';
 import DataSourceProvider, { supportedFetchers } from '../../src/Provider/DataSourceProvider';
 import TileProvider from '../../src/Provider/TileProvider';
+import Cache from '../../src/Core/Scheduler/Cache';
 import WMTSSource from '../../src/Source/WMTSSource';
 import WMSSource from '../../src/Source/WMSSource';
 import WFSSource from '../../src/Source/WFSSource';
@@ -179,4 +181,61 @@ describe('Provide in Sources', function () {
             assert.equal(features[0].children.length, 3);
         });
     });
+    it('should drop the feature commands of culled or deleted tiles', () => {
+        const tile = new TileMesh(
+            colorlayer,
+            geom,
+            new LayeredMaterial(),
+            new Extent('EPSG:4326', 0, 10, 0, 10),
+            4);
+        tile.parent = { pendingSubdivision: false };
+        featureLayer.update(context, featureLayer, tile);
+        const command = context.scheduler.commands[0];
+        assert.ok(!command.earlyDropFunction(command));
+        tile.visible = false;
+        assert.ok(command.earlyDropFunction(command));
+        tile.visible = true;
+        featureLayer.visible = false;
+        assert.ok(command.earlyDropFunction(command));
+        featureLayer.visible = true;
+        tile.parent = null;
+        assert.ok(command.earlyDropFunction(command));
+    });
+    it('should pass the abort signal of commands to the fetchers', () => {
+        const controller = new AbortController();
+        const source = new WMTSSource({
+            url: 'http://server.geo/abort',
+            name: 'name',
+            protocol: 'wmts',
+            format: 'image/jpg',
+            tileMatrixSet: 'WGS84G',
+        });
+        const fetcher = supportedFetchers.get('image/jpg');
+        supportedFetchers.set('image/jpg', (url, options) => new Promise((resolve, reject) => {
+            options.signal.addEventListener('abort', () => {
+                const error = new Error('aborted');
+                error.name = 'AbortError';
+                reject(error);
+            });
+        }));
+        const layer = new ColorLayer('abort', { source });
+        const extent = new Extent('WMTS:WGS84G', 5, 10, 12);
+        const promise = DataSourceProvider.executeCommand({
+            layer,
+            extentsSource: [extent],
+            requester: { material: {} },
+            signal: controller.signal,
+        });
+        const url = source.urlFromExtent(extent);
+        assert.ok(Cache.get(url));
+        controller.abort();
+        supportedFetchers.set('image/jpg', fetcher);
+        return promise.then(() => {
+            assert.fail('the command should be aborted');
+        }, (err) => {
+            assert.equal(err.name, 'AbortError');
+            // The aborted request isn't cached
+            assert.equal(Cache.get(url), undefined);
+        });
+    });
 });
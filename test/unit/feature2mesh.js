@@ -3,6 +3,7 @@ import proj4 from 'proj4';
 import assert from 'assert';
 import GeoJsonParser from '../../src/Parser/GeoJsonParser';
 import Feature2Mesh from '../../src/Renderer/ThreeExtended/Feature2Mesh';
+import LineMaterial from '../../src/Renderer/LineMaterial';
 
 const geojson = require('../data/geojson/holes.geojson.json');
 
@@ -13,6 +14,24 @@ function parse() {
     return GeoJsonParser.parse(geojson, { crsIn: 'EPSG:3946', crsOut: 'EPSG:3946', buildExtent: true });
 }
 
+// Two squares, with their usage and their height
+function parseBuildings() {
+    const square = x => [[[x, 0], [x, 1], [x + 1, 1], [x + 1, 0], [x, 0]]];
+    return GeoJsonParser.parse({
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', properties: { usage: 'house', height: 10 }, geometry: { type: 'Polygon', coordinates: square(0) } },
+            { type: 'Feature', properties: { usage: 'factory', height: 20 }, geometry: { type: 'Polygon', coordinates: square(2) } },
+        ],
+    }, { crsIn: 'EPSG:3946', crsOut: 'EPSG:3946', buildExtent: true });
+}
+
+// The height of a mesh
+function height(mesh) {
+    const altitudes = mesh.geometry.attributes.position.array.filter((v, i) => i % 3 == 2);
+    return Math.max(...altitudes) - Math.min(...altitudes);
+}
+
 function computeAreaOfMesh(mesh) {
     // Sum each triangle area
     let area = 0;
@@ -52,4 +71,206 @@ describe('Feature2Mesh', function () {
                 noHoleArea - holeArea,
                 meshWithHoleArea);
         }));
+
+    it('should convert features with a data-driven style', () =>
+        parseBuildings().then((collection) => {
+            const style = {
+                fill: { property: 'usage', type: 'categorical', stops: [['house', '#ff0000']], default: '#0000ff' },
+                fillOpacity: ['case', ['==', ['get', 'usage'], 'house'], 0.5, 1],
+                extrusionHeight: ['*', ['get', 'height'], 2],
+                altitude: 5,
+            };
+            const group = Feature2Mesh.convert({ style })(collection);
+            const house = group.children[0];
+            const factory = group.children[1];
+            assert.equal(group.style, style);
+            assert.equal(height(house), 20);
+            assert.equal(height(factory), 40);
+            // The roof has the color of the style
+            assert.deepEqual(Array.from(house.geometry.attributes.color.array.slice(-3)), [255, 0, 0]);
+            assert.deepEqual(Array.from(factory.geometry.attributes.color.array.slice(-3)), [0, 0, 255]);
+            assert.equal(house.styleOpacity, 0.5);
+            assert.ok(house.material.transparent);
+            assert.ok(!factory.material.transparent);
+        }));
+
+    it('should restyle meshes without converting their features again', () =>
+        parseBuildings().then((collection) => {
+            const layer = { style: { fill: 'white', extrusionHeight: 1 } };
+            const group = Feature2Mesh.convert()(collection, undefined, layer);
+            assert.equal(height(group.children[1]), 1);
+
+            const style = { fill: '#00ff00', extrusionHeight: ['get', 'height'] };
+            Feature2Mesh.restyle(group, style);
+            assert.equal(group.style, style);
+            assert.equal(height(group.children[0]), 10);
+            assert.equal(height(group.children[1]), 20);
+            assert.deepEqual(Array.from(group.children[1].geometry.attributes.color.array.slice(-3)), [0, 255, 0]);
+        }));
+
+    it('should convert lines with a width to wide lines', () =>
+        GeoJsonParser.parse({
+            type: 'Feature',
+            properties: {},
+            geometry: { type: 'LineString', coordinates: [[0, 0], [3, 0], [3, 4]] },
+        }, { crsIn: 'EPSG:3946', crsOut: 'EPSG:3946', buildExtent: true }).then((collection) => {
+            const style = {
+                stroke: 'red',
+                strokeWidth: 4,
+                lineCap: 'square',
+                strokeDashArray: [2, 1],
+                casingColor: 'black',
+                casingWidth: 1,
+            };
+            const mesh = Feature2Mesh.convert({ style })(collection);
+            assert.ok(mesh.isMesh);
+            assert.ok(mesh.material instanceof LineMaterial);
+
+            // Two segments, a round join and two square caps
+            const geometry = mesh.geometry;
+            assert.equal(geometry.attributes.position.count, 4 + 4 + 9 + 4 + 4);
+            assert.equal(geometry.index.count, 6 + 6 + 24 + 6 + 6);
+            assert.equal(Math.max(...geometry.attributes.distance.array), 7);
+            assert.deepEqual(Array.from(geometry.attributes.color.array.slice(0, 3)), [255, 0, 0]);
+
+            const uniforms = mesh.material.uniforms;
+            assert.equal(uniforms.halfWidth.value, 3);
+            assert.equal(uniforms.innerRatio.value, 2 / 3);
+            assert.ok(uniforms.dashed.value);
+            assert.deepEqual(uniforms.dashArray.value.toArray(), [2, 1]);
+
+            // The width of the layer is used without style
+            const line = Feature2Mesh.convert()(collection, undefined, { linewidth: 5 });
+            assert.equal(line.material.linewidth, 5);
+            assert.ok(!Feature2Mesh.convert()(collection).isMesh);
+        }));
+
+    it('should densify lines and clamp them to the ground', () =>
+        GeoJsonParser.parse({
+            type: 'Feature',
+            properties: {},
+            geometry: { type: 'LineString', coordinates: [[0, 0], [10, 0]] },
+        }, { crsIn: 'EPSG:3946', crsOut: 'EPSG:3946' }).then((collection) => {
+            // A ground whose altitude is the x coordinate, then flat
+            let flat = false;
+            const groundAltitude = c => (flat ? 3 : c.xyz().x);
+            const layer = { altitudeMode: 'clampToGround', groundAltitude, maxSegmentLength: 2 };
+            const altitudes = mesh => Array.from(mesh.geometry.attributes.position.array.filter((v, i) => i % 3 == 2));
+
+            const line = Feature2Mesh.convert()(collection, undefined, layer);
+            assert.deepEqual(altitudes(line), [0, 2, 4, 6, 8, 10]);
+
+            // The altitude of the coordinates, 1, and of the option are above the ground
+            const relative = Feature2Mesh.convert({ altitudeMode: 'relativeToGround', altitude: 5 })(collection, undefined, layer);
+            assert.deepEqual(altitudes(relative), [6, 8, 10, 12, 14, 16]);
+
+            // The meshes are clamped again on the new terrain when they are converted again
+            flat = true;
+            const clamped = Feature2Mesh.restyle(line, line.style);
+            assert.deepEqual(altitudes(clamped), [3, 3, 3, 3, 3, 3]);
+        }));
+
+    it('should replace the restyled lines by wide lines', () =>
+        GeoJsonParser.parse({
+            type: 'Feature',
+            properties: {},
+            geometry: { type: 'LineString', coordinates: [[0, 0], [3, 0], [3, 4]] },
+        }, { crsIn: 'EPSG:3946', crsOut: 'EPSG:3946' }).then((collection) => {
+            const line = Feature2Mesh.convert({ style: { stroke: 'red' } })(collection);
+            assert.ok(line.isLine);
+            const parent = new THREE.Group();
+            parent.add(new THREE.Object3D(), line, new THREE.Object3D());
+            line.name = 'road';
+            line.userData.id = 1;
+            line.layer = { id: 'roads' };
+            line.layers.set(3);
+            line.position.z = 10;
+
+            const style = { stroke: 'red', strokeWidth: 4 };
+            const wide = Feature2Mesh.restyle(line, style);
+            assert.ok(wide.isMesh);
+            assert.ok(wide.material instanceof LineMaterial);
+            assert.equal(typeof wide.onBeforeRender, 'function');
+            assert.equal(wide.style, style);
+            assert.equal(parent.children[1], wide);
+            assert.equal(parent.children.length, 3);
+            assert.equal(wide.parent, parent);
+            assert.equal(line.parent, null);
+            assert.equal(wide.name, 'road');
+            assert.equal(wide.userData.id, 1);
+            assert.equal(wide.layer.id, 'roads');
+            assert.equal(wide.layers.mask, line.layers.mask);
+            assert.equal(wide.position.z, 10);
+            assert.equal(wide.feature, line.feature);
+
+            // A wide line in a group is replaced in the group
+            const group = new THREE.Group();
+            group.add(wide);
+            assert.equal(Feature2Mesh.restyle(group, { stroke: 'blue' }), group);
+            assert.ok(group.children[0].isLine);
+        }));
+
+    it('should extrude polygons with walls and roofs', () =>
+        parseBuildings().then((collection) => {
+            const wallMaterial = new THREE.MeshLambertMaterial();
+            const style = { fill: 'red', wallColor: 'blue', extrusionBase: 5, extrusionHeight: ['get', 'height'] };
+            const house = Feature2Mesh.convert({ style, wallMaterial })(collection).children[0];
+            const geometry = house.geometry;
+            const altitudes = geometry.attributes.position.array.filter((v, i) => i % 3 == 2);
+            assert.equal(Math.min(...altitudes), 6);
+            assert.equal(Math.max(...altitudes), 11);
+
+            // Four walls, of two triangles, and a roof of two triangles
+            assert.deepEqual(geometry.groups.map(g => [g.start, g.count, g.materialIndex]), [[0, 24, 0], [24, 6, 1]]);
+            assert.equal(house.material[0], wallMaterial);
+            assert.ok(house.material[1].vertexColors);
+            assert.deepEqual(Array.from(geometry.attributes.color.array.slice(0, 3)), [0, 0, 255]);
+            assert.deepEqual(Array.from(geometry.attributes.color.array.slice(-3)), [255, 0, 0]);
+
+            // The walls face outside and the roof faces up
+            const normals = geometry.attributes.normal.array;
+            const wallNormals = [];
+            for (let i = 0; i < 16; i += 4) {
+                wallNormals.push(Array.from(normals.slice(3 * i, 3 * i + 3)).map(Math.round));
+            }
+            assert.deepEqual(wallNormals, [[-1, 0, 0], [0, 1, 0], [1, 0, 0], [0, -1, 0]]);
+            assert.deepEqual(Array.from(normals.slice(-3)), [0, 0, 1]);
+            // The texture coordinates of the walls are in meters
+            assert.deepEqual(Array.from(geometry.attributes.uv.array.slice(0, 8)), [0, 0, 1, 0, 1, 5, 0, 5]);
+        }));
+
+    it('should extrude polygons with gabled and hipped roofs', () =>
+        GeoJsonParser.parse({
+            type: 'Feature',
+            properties: {},
+            geometry: { type: 'Polygon', coordinates: [[[0, 0], [0, 4], [8, 4], [8, 0], [0, 0]]] },
+        }, { crsIn: 'EPSG:3946', crsOut: 'EPSG:3946', defaultAltitude: 0 }).then((collection) => {
+            const roof = (shape) => {
+                const mesh = Feature2Mesh.convert({ style: { fill: 'red', extrusionHeight: 10, roofShape: shape, roofHeight: 2 } })(collection);
+                const group = mesh.geometry.groups[1];
+                const positions = mesh.geometry.attributes.position.array;
+                const vertices = [];
+                for (let i = group.start; i < group.start + group.count; i++) {
+                    vertices.push(Array.from(positions.slice(3 * mesh.geometry.index.array[i], 3 * mesh.geometry.index.array[i] + 3)));
+                }
+                return { mesh, vertices };
+            };
+
+            // The ridge follows the longest side, in the middle of the polygon
+            const gabled = roof('gabled');
+            assert.equal(Math.max(...gabled.vertices.map(v => v[2])), 12);
+            assert.ok(gabled.vertices.filter(v => v[2] == 12).every(v => v[1] == 2));
+            assert.ok(gabled.vertices.filter(v => v[2] == 10).every(v => v[1] == 0 || v[1] == 4));
+            // The gable walls go up to the ridge
+            const wallCount = gabled.mesh.geometry.groups[0].count / 6 * 4;
+            const walls = gabled.mesh.geometry.attributes.position.array.slice(0, 3 * wallCount);
+            assert.equal(walls.filter((v, i) => i % 3 == 2 && v == 12).length, 4);
+
+            // The hipped roof slopes down to the ends of the ridge
+            const hipped = roof('hipped');
+            const ridge = hipped.vertices.filter(v => v[2] == 12);
+            assert.deepEqual([Math.min(...ridge.map(v => v[0])), Math.max(...ridge.map(v => v[0]))], [2, 6]);
+            // Four faces of one or two triangles
+            assert.equal(hipped.vertices.length, 3 * 6);
+        }));
 });
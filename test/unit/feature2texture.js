@@ -0,0 +1,151 @@
+import assert from 'assert';
+import Feature2Texture from '../../src/Renderer/ThreeExtended/Feature2Texture';
+import GeoJsonParser from '../../src/Parser/GeoJsonParser';
+import Extent from '../../src/Core/Geographic/Extent';
+
+// A 2d context recording the drawn texts, icons, fills and strokes, with the
+// position and the angle of the texts and icons, and the opacity of the fills
+// and strokes
+function fakeContext() {
+    const ctx = { texts: [], images: [], fills: [], strokes: [], alphas: [], arcs: 0, position: [0, 0], angle: 0 };
+    const noop = () => {};
+    ['beginPath', 'moveTo', 'lineTo', 'fillRect', 'strokeText', 'save', 'scale'].forEach((name) => {
+        ctx[name] = noop;
+    });
+    ctx.arc = () => { ctx.arcs++; };
+    ctx.fill = () => {
+        ctx.fills.push(ctx.fillStyle);
+        ctx.alphas.push(ctx.globalAlpha);
+    };
+    ctx.stroke = () => {
+        ctx.strokes.push({ color: ctx.strokeStyle, width: ctx.lineWidth, dash: ctx.dash });
+        ctx.alphas.push(ctx.globalAlpha);
+    };
+    ctx.setLineDash = (dash) => { ctx.dash = dash; };
+    ctx.restore = () => {
+        ctx.position = [0, 0];
+        ctx.angle = 0;
+    };
+    ctx.translate = (x, y) => { ctx.position = [x, y]; };
+    ctx.rotate = (angle) => { ctx.angle = angle; };
+    ctx.measureText = text => ({ width: text.length * 6 });
+    ctx.fillText = text => ctx.texts.push({ text, x: ctx.position[0], y: ctx.position[1], angle: ctx.angle });
+    ctx.drawImage = (image, sx, sy, sw, sh, dx, dy, dw, dh) => ctx.images.push({ x: ctx.position[0], y: ctx.position[1], dw, dh });
+    return ctx;
+}
+
+// Points, with their name, in a 10x10 degrees extent drawn in a 100x100 canvas
+function points(coordinates) {
+    return GeoJsonParser.parse({
+        type: 'FeatureCollection',
+        features: coordinates.map(c => ({
+            type: 'Feature',
+            properties: { name: c[2] },
+            geometry: { type: 'Point', coordinates: [c[0], c[1]] },
+        })),
+    }, { crsIn: 'EPSG:4326', crsOut: 'EPSG:4326', buildExtent: true });
+}
+
+const extent = new Extent('EPSG:4326', 0, 10, 0, 10);
+
+describe('Feature2Texture', function () {
+    let ctx;
+
+    before(function () {
+        global.document = {
+            createElement: () => {
+                ctx = fakeContext();
+                const canvas = { width: 0, height: 0, getContext: () => ctx };
+                ctx.canvas = canvas;
+                return canvas;
+            },
+        };
+    });
+
+    after(function () {
+        delete global.document;
+    });
+
+    it('should draw the styles by increasing order', () =>
+        points([[2, 2, 'a'], [8, 8, 'b']]).then((collection) => {
+            const style = properties => (properties.name == 'a' ? [{ fill: 'red', order: 2 }] : [{ fill: 'blue', order: 1 }]);
+            Feature2Texture.createTextureFromFeature(collection, extent, 100, style);
+            assert.deepEqual(ctx.fills, ['blue', 'red']);
+        }));
+
+    it('should evaluate the expressions of the styles', () =>
+        points([[2, 2, 'a'], [8, 8, 'b']]).then((collection) => {
+            const style = { fill: ['match', ['get', 'name'], 'a', 'red', 'blue'] };
+            Feature2Texture.createTextureFromFeature(collection, extent, 100, style);
+            assert.deepEqual(ctx.fills, ['red', 'blue']);
+        }));
+
+    it('should keep the opacities of 0 and only outline the points with a stroke', () =>
+        points([[2, 2, 'a'], [8, 8, 'b']]).then((collection) => {
+            const style = properties => (properties.name == 'a' ?
+                { fill: 'red', fillOpacity: 0 } :
+                { fill: 'blue', stroke: 'white', strokeOpacity: 0, lineWidth: 2 });
+            Feature2Texture.createTextureFromFeature(collection, extent, 100, style);
+            assert.deepEqual(ctx.fills, ['red', 'blue']);
+            assert.deepEqual(ctx.strokes, [{ color: 'white', width: 2, dash: undefined }]);
+            assert.deepEqual(ctx.alphas, [0, 1, 0]);
+        }));
+
+    it('should draw dashed lines with a casing', () =>
+        GeoJsonParser.parse({
+            type: 'Feature',
+            properties: {},
+            geometry: { type: 'LineString', coordinates: [[1, 5], [9, 5]] },
+        }, { crsIn: 'EPSG:4326', crsOut: 'EPSG:4326', buildExtent: true }).then((collection) => {
+            const style = { stroke: 'white', strokeWidth: 4, strokeDashArray: [6, 2], casingColor: 'black', casingWidth: 1 };
+            Feature2Texture.createTextureFromFeature(collection, extent, 100, style);
+            assert.deepEqual(ctx.strokes, [
+                { color: 'black', width: 6, dash: [6, 2] },
+                { color: 'white', width: 4, dash: [6, 2] },
+            ]);
+        }));
+
+    it('should not draw overlapping labels', () =>
+        points([[5, 5, 'first'], [5.2, 5.2, 'second'], [5, 1, 'third'], [0.1, 9, 'cut']]).then((collection) => {
+            const style = properties => ({ text: properties.name, textSize: 10 });
+            Feature2Texture.createTextureFromFeature(collection, extent, 100, style);
+            assert.deepEqual(ctx.texts.map(t => t.text), ['first', 'third']);
+            assert.deepEqual([ctx.texts[0].x, ctx.texts[0].y], [50, 50]);
+            // The labels are drawn without the circles of the points
+            assert.equal(ctx.arcs, 0);
+
+            const overlap = properties => ({ text: properties.name, textSize: 10, allowOverlap: true });
+            Feature2Texture.createTextureFromFeature(collection, extent, 100, overlap);
+            assert.deepEqual(ctx.texts.map(t => t.text), ['first', 'second', 'third']);
+        }));
+
+    it('should draw icons from a sprite, with their text under them', () =>
+        points([[5, 5, 'shop']]).then((collection) => {
+            const sprite = { image: {}, json: { shop: { x: 0, y: 0, width: 20, height: 20, pixelRatio: 2 } } };
+            const style = properties => ({ icon: properties.name, sprite, text: 'Bakery', textSize: 12 });
+            Feature2Texture.createTextureFromFeature(collection, extent, 100, style);
+            assert.deepEqual(ctx.images, [{ x: 50, y: 50, dw: 10, dh: 10 }]);
+            assert.deepEqual(ctx.texts, [{ text: 'Bakery', x: 50, y: 37, angle: 0 }]);
+        }));
+
+    it('should draw texts along lines', () =>
+        GeoJsonParser.parse({
+            type: 'Feature',
+            properties: { name: 'Road' },
+            geometry: { type: 'LineString', coordinates: [[9, 5], [5, 5], [1, 9]] },
+        }, { crsIn: 'EPSG:4326', crsOut: 'EPSG:4326', buildExtent: true }).then((collection) => {
+            const style = { text: 'Road', textSize: 10, placement: 'line' };
+            Feature2Texture.createTextureFromFeature(collection, extent, 100, () => style);
+            // The line is read from left to right, its middle is at (5, 5)
+            assert.deepEqual(ctx.texts.map(t => t.text), ['R', 'o', 'a', 'd']);
+            assert.ok(ctx.texts[0].x < 50 && ctx.texts[3].x > 50);
+            assert.ok(Math.abs(ctx.texts[0].angle + Math.PI / 4) < 1e-6);
+            assert.equal(ctx.texts[3].angle, 0);
+            assert.equal(ctx.texts[3].y, 50);
+
+            // A line shorter than its text isn't labelled
+            style.text = 'A very long name of road';
+            Feature2Texture.createTextureFromFeature(collection, extent, 100, () => style);
+            assert.equal(ctx.texts.length, 0);
+        }));
+});
@@ -0,0 +1,81 @@
+import assert from 'assert';
+import Fetcher from '../../src/Provider/Fetcher';
+import TMSSource from '../../src/Source/TMSSource';
+
+describe('Fetcher', function () {
+    const requests = [];
+    let fetch;
+
+    before(function () {
+        fetch = global.fetch;
+        global.fetch = (url, options) => {
+            requests.push({ url, options });
+            return Promise.resolve(new Response('{ "ok": true }'));
+        };
+    });
+
+    after(function () {
+        global.fetch = fetch;
+    });
+
+    beforeEach(function () {
+        requests.length = 0;
+    });
+
+    it('should rewrite the urls and headers with transformRequest', function () {
+        const kinds = [];
+        const options = {
+            headers: { Accept: 'application/json' },
+            transformRequest: (url, kind) => {
+                kinds.push(kind);
+                return Promise.resolve({ url: `${url}?key=secret`, headers: { Authorization: 'Bearer token' } });
+            },
+        };
+        return Fetcher.json('http://server.geo/data.json', options).then((json) => {
+            assert.ok(json.ok);
+            assert.deepEqual(kinds, ['json']);
+            assert.equal(requests[0].url, 'http://server.geo/data.json?key=secret');
+            assert.deepEqual(requests[0].options.headers, { Accept: 'application/json', Authorization: 'Bearer token' });
+            return Fetcher.blob('http://server.geo/tile', { transformRequest: url => `${url}.signed` });
+        }).then(() => {
+            assert.equal(requests[1].url, 'http://server.geo/tile.signed');
+        });
+    });
+
+    it('should not transform the urls of local payloads', function () {
+        const options = { transformRequest: () => assert.fail('blob urls are local') };
+        return Fetcher.text('blob:http://localhost/1234', options).then(() => {
+            assert.equal(requests[0].url, 'blob:http://localhost/1234');
+        });
+    });
+
+    it('should reject the BIL tiles that are not square', function () {
+        const stub = global.fetch;
+        const bodies = [new Float32Array(3), new Float32Array(16)];
+        global.fetch = () => Promise.resolve(new Response(bodies.shift().buffer));
+        const restore = () => { global.fetch = stub; };
+        return Fetcher.textureFloat('http://server.geo/truncated.bil').then(() => {
+            assert.fail('the tile should be rejected');
+        }, (error) => {
+            assert.ok(error.message.includes('Invalid BIL tile http://server.geo/truncated.bil'));
+            return Fetcher.textureFloat('http://server.geo/tile.bil');
+        }).then((texture) => {
+            assert.equal(texture.image.width, 4);
+        }).then(restore, (error) => {
+            restore();
+            throw error;
+        });
+    });
+
+    it('should apply the transformRequest of sources', function () {
+        const transformRequest = url => url;
+        const source = new TMSSource({
+            url: 'http://server.geo/%TILEMATRIX/%COL/%ROW.png',
+            protocol: 'tms',
+            networkOptions: { crossOrigin: 'use-credentials' },
+            transformRequest,
+        });
+        assert.equal(source.networkOptions.crossOrigin, 'use-credentials');
+        assert.equal(source.networkOptions.transformRequest, transformRequest);
+    });
+});
@@ -0,0 +1,160 @@
+/* global AbortController */
+import assert from 'assert';
+import fs from 'fs';
+import Path from 'path';
+import proj4 from 'proj4';
+import * as THREE from 'three';
+import FlatGeobufParser from '../../src/Parser/FlatGeobufParser';
+import FlatGeobufSource from '../../src/Source/FlatGeobufSource';
+import Fetcher from '../../src/Provider/Fetcher';
+import Extent from '../../src/Core/Geographic/Extent';
+
+const file = fs.readFileSync(Path.resolve(__dirname, '../data/fgb/parcels.fgb'));
+const parcels = file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+
+// 100 squares of 100 meters, on a grid of 10 by 10 squares every 110 meters
+const X0 = 700000;
+const Y0 = 6600000;
+
+let read = [];
+function readBytes(offset, length) {
+    read.push([offset, length]);
+    return Promise.resolve(parcels.slice(offset, offset + length));
+}
+
+function readExtent(header, bbox) {
+    return FlatGeobufParser.search(readBytes, header, bbox)
+        .then(positions => FlatGeobufParser.readFeatures(readBytes, header, positions));
+}
+
+describe('FlatGeobufParser', function () {
+    let header;
+    before(() => FlatGeobufParser.parseHeader(readBytes).then((h) => { header = h; }));
+    beforeEach(() => { read = []; });
+
+    it('should read the header', () => {
+        assert.equal(header.name, 'parcels');
+        assert.equal(header.featuresCount, 100);
+        assert.equal(header.indexNodeSize, 4);
+        assert.equal(header.crs, 'EPSG:2154');
+        assert.ok(/Lambert_Conformal_Conic_2SP/.test(header.wkt));
+        assert.deepEqual(header.envelope, [X0, Y0, X0 + 1090, Y0 + 1090]);
+        assert.deepEqual(header.columns.map(c => c.name), ['name', 'value', 'area', 'flag']);
+    });
+
+    it('should read the features intersecting a bounding box', () =>
+        readExtent(header, [X0 + 150, Y0 + 150, X0 + 250, Y0 + 250]).then((features) => {
+            assert.deepEqual(features.map(f => f.properties.name).sort(),
+                ['parcel 11', 'parcel 12', 'parcel 21', 'parcel 22']);
+            const feature = features.find(f => f.id == 12);
+            assert.deepEqual(feature.properties, { name: 'parcel 12', value: -38, area: 10000 });
+            assert.deepEqual(features.find(f => f.id == 11).properties.flag, true);
+            assert.deepEqual(feature.geometry.coordinates, [[
+                [X0 + 220, Y0 + 110], [X0 + 320, Y0 + 110], [X0 + 320, Y0 + 210], [X0 + 220, Y0 + 210], [X0 + 220, Y0 + 110],
+            ]]);
+            // Only some nodes of the index, and the features, are read
+            const bytes = read.reduce((sum, r) => sum + r[1], 0);
+            assert.ok(bytes < parcels.byteLength / 4);
+        }));
+
+    it('should read the holes of the polygons', () =>
+        readExtent(header, [X0, Y0, X0 + 10, Y0 + 10]).then((features) => {
+            assert.equal(features.length, 1);
+            assert.equal(features[0].geometry.coordinates.length, 2);
+            assert.deepEqual(features[0].geometry.coordinates[1][0], [X0 + 40, Y0 + 40]);
+        }));
+
+    it('should read the last feature of the file', () =>
+        readExtent(header, [X0 + 1050, Y0 + 1050, X0 + 2000, Y0 + 2000]).then((features) => {
+            assert.equal(features.length, 1);
+            assert.equal(features[0].properties.name, 'parcel 99');
+        }));
+
+    it('should read nothing outside of the features', () =>
+        readExtent(header, [X0 - 100, Y0 - 100, X0 - 10, Y0 - 10]).then((features) => {
+            assert.equal(features.length, 0);
+        }));
+});
+
+describe('FlatGeobufSource', function () {
+    const arrayBuffer = Fetcher.arrayBuffer;
+    const ranges = [];
+    before(() => {
+        Fetcher.arrayBuffer = (url, options) => {
+            const range = /bytes=(\d+)-(\d+)/.exec(options.headers.Range);
+            ranges.push(options.headers.Range);
+            return Promise.resolve(parcels.slice(Number(range[1]), Number(range[2]) + 1));
+        };
+    });
+    after(() => { Fetcher.arrayBuffer = arrayBuffer; });
+
+    it('should read the features of an extent', () => {
+        const source = new FlatGeobufSource({ protocol: 'flatgeobuf', url: 'parcels.fgb' });
+        return source.whenReady.then(() => {
+            assert.equal(source.projection, 'EPSG:2154');
+            assert.ok(proj4.defs('EPSG:2154'));
+            assert.equal(source.extent.east(), X0 + 1090);
+            // The file is smaller than the header, that is read at once
+            assert.equal(ranges.length, 1);
+
+            const extent = new Extent('EPSG:2154', X0 + 500, X0 + 700, Y0 + 500, Y0 + 600);
+            extent.zoom = 16;
+            assert.ok(source.extentInsideLimit(extent));
+            assert.ok(!source.extentInsideLimit(new Extent('EPSG:2154', X0 - 500, X0 - 100, Y0, Y0 + 100)));
+            return source.fetchExtent(extent).then((collection) => {
+                assert.equal(collection.type, 'FeatureCollection');
+                assert.equal(collection.features.length, 6);
+                // The decoded features are cached
+                return source.fetchExtent(extent).then((cached) => {
+                    assert.notEqual(cached, collection);
+                    assert.equal(cached.features[0], collection.features[0]);
+                });
+            });
+        });
+    });
+
+    it('should read the index again only from the failed nodes', () => {
+        const source = new FlatGeobufSource({ protocol: 'flatgeobuf', url: 'parcels.fgb', networkPolicy: { retries: 0, timeout: 0 } });
+        const layer = new THREE.EventDispatcher();
+        const events = [];
+        layer.addEventListener('network-error', e => events.push(e));
+        const controller = new AbortController();
+        const extent = new Extent('EPSG:2154', X0 + 150, X0 + 250, Y0 + 150, Y0 + 250);
+        const serve = Fetcher.arrayBuffer;
+        const offsets = [];
+        let failures = 1;
+        return source.whenReady.then(() => {
+            // Read the file with range requests, the first one of the features fails
+            source.header = undefined;
+            Fetcher.arrayBuffer = (url, options) => {
+                assert.equal(options.signal, controller.signal);
+                const offset = Number(/bytes=(\d+)-/.exec(options.headers.Range)[1]);
+                offsets.push(offset);
+                if (offset >= source.dataset.featuresOffset && failures-- > 0) {
+                    const error = new Error('Service unavailable');
+                    error.response = { status: 503, headers: { get: () => null } };
+                    return Promise.reject(error);
+                }
+                return serve(url, options);
+            };
+            return source.fetchExtent(extent, 'geometry', controller.signal, layer);
+        }).then(() => {
+            assert.fail('the features should fail');
+        }, (error) => {
+            assert.equal(error.response.status, 503);
+            assert.deepEqual(events.map(e => e.status), [503]);
+            assert.ok(offsets.some(offset => offset < source.dataset.featuresOffset));
+            offsets.length = 0;
+            return source.fetchExtent(extent, 'geometry', controller.signal, layer);
+        }).then((collection) => {
+            Fetcher.arrayBuffer = serve;
+            assert.equal(collection.features.length, 4);
+            // The nodes of the index are cached, only the features are read again
+            assert.ok(offsets.length > 0);
+            assert.ok(offsets.every(offset => offset >= source.dataset.featuresOffset));
+        }, (error) => {
+            Fetcher.arrayBuffer = serve;
+            throw error;
+        });
+    });
+});
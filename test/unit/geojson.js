@@ -24,6 +24,11 @@ describe('GeoJsonParser', function () {
             assert.ok(collection.features[0].vertices.every(v => v.z() != 1));
         }));
 
+    it('should set the z coordinates to the default altitude', () =>
+        GeoJsonParser.parse(holes, { crsIn: 'EPSG:3946', crsOut: 'EPSG:3946', defaultAltitude: 0 }).then((collection) => {
+            assert.ok(collection.features[0].vertices.every(v => v.z() == 0));
+        }));
+
     it('should return an empty collection', () =>
         GeoJsonParser.parse(holes, {
             crsIn: 'EPSG:3946',
@@ -0,0 +1,112 @@
+import assert from 'assert';
+import * as THREE from 'three';
+import { parseGltf } from '../../src/Parser/B3dmParser';
+
+// A glb of a triangle, whose positions are compressed (the decoder of the
+// tests reads them as floats), with an uncompressed batch id and a KTX2
+// texture
+function glb(options) {
+    const binary = Buffer.from(new Float32Array([-1, -1, 0, 1, -1, 0, 0, 1, 0, 0, 0, 0]).buffer);
+    const positions = { componentType: 5126, count: 3, type: 'VEC3', min: [-1, -1, 0], max: [1, 1, 0] };
+    if (options.uncompressed) {
+        positions.bufferView = 0;
+    }
+    const extensions = ['KHR_draco_mesh_compression', 'KHR_texture_basisu'];
+    let text = JSON.stringify({
+        asset: { version: '2.0' },
+        extensionsUsed: extensions,
+        extensionsRequired: extensions.filter(e => options.required.indexOf(e) >= 0),
+        scene: 0,
+        scenes: [{ nodes: [0] }],
+        nodes: [{ mesh: 0 }],
+        meshes: [{ primitives: [{
+            attributes: { POSITION: 0, _BATCHID: 1 },
+            material: 0,
+            extensions: { KHR_draco_mesh_compression: { bufferView: 0, attributes: { POSITION: 0 } } },
+        }] }],
+        materials: [{ pbrMetallicRoughness: { baseColorTexture: { index: 0 } } }],
+        textures: [{ extensions: { KHR_texture_basisu: { source: 0 } } }],
+        images: [{ bufferView: 2, mimeType: 'image/ktx2' }],
+        accessors: [positions, { bufferView: 1, componentType: 5126, count: 3, type: 'SCALAR' }],
+        bufferViews: [
+            { buffer: 0, byteLength: 36 },
+            { buffer: 0, byteOffset: 36, byteLength: 12 },
+            { buffer: 0, byteOffset: 36, byteLength: 12 },
+        ],
+        buffers: [{ byteLength: 48 }],
+    });
+    text += ' '.repeat((4 - text.length % 4) % 4);
+    const json = Buffer.from(text);
+    return new Uint8Array(Buffer.concat([
+        Buffer.from(new Uint32Array([0x46546C67, 2, 12 + 8 + json.length + 8 + binary.length]).buffer),
+        Buffer.from(new Uint32Array([json.length, 0x4E4F534A]).buffer), json,
+        Buffer.from(new Uint32Array([binary.length, 0x004E4942]).buffer), binary,
+    ])).buffer;
+}
+
+const dracoLoader = {
+    decodeDracoFile(buffer, onLoad, attributeIDs, attributeTypes) {
+        assert.deepEqual(attributeIDs, { position: 0 });
+        assert.deepEqual(attributeTypes, { position: 'Float32Array' });
+        const geometry = new THREE.BufferGeometry();
+        geometry.addAttribute('position', new THREE.BufferAttribute(new Float32Array(buffer), 3));
+        onLoad(geometry);
+    },
+};
+
+const ktx2Loader = {
+    parse(buffer, onLoad) {
+        onLoad(new THREE.CompressedTexture([], 1, 1));
+    },
+};
+
+function getMesh(gltf) {
+    let mesh;
+    gltf.scene.traverse((obj) => {
+        mesh = obj.isMesh ? obj : mesh;
+    });
+    return mesh;
+}
+
+describe('glTF decoders', function () {
+    const options = { gltfUpAxis: 'Y', opacity: 1 };
+
+    it('should decode the compressed meshes and textures', () => {
+        let loaded = 0;
+        // the decoders are loaded lazily, once
+        const lazyOptions = Object.assign({
+            dracoLoader: () => {
+                loaded++;
+                return Promise.resolve(dracoLoader);
+            },
+            ktx2Loader: () => ktx2Loader,
+        }, options);
+        const buffer = glb({ required: ['KHR_draco_mesh_compression', 'KHR_texture_basisu'] });
+        return parseGltf(buffer, lazyOptions).then((gltf) => {
+            const mesh = getMesh(gltf);
+            assert.deepEqual(Array.from(mesh.geometry.attributes.position.array), [-1, -1, 0, 1, -1, 0, 0, 1, 0]);
+            assert.ok(mesh.geometry.attributes._BATCHID);
+            assert.ok(mesh.material.map.isCompressedTexture);
+            assert.equal(mesh.material.map.flipY, false);
+            return parseGltf(buffer, lazyOptions);
+        }).then(() => assert.equal(loaded, 1));
+    });
+
+    it('should read the models without the decoders of the optional extensions', () => {
+        const buffer = glb({ required: [], uncompressed: true });
+        const failing = Object.assign({ dracoLoader: () => Promise.reject(new Error('not installed')) }, options);
+        return parseGltf(buffer, failing).then((gltf) => {
+            const mesh = getMesh(gltf);
+            assert.equal(mesh.geometry.attributes.position.getX(1), 1);
+            // the KTX2 texture has no fallback image
+            assert.equal(mesh.material.map, null);
+        });
+    });
+
+    it('should reject the models without the decoders of the required extensions', () => {
+        const buffer = glb({ required: ['KHR_draco_mesh_compression'] });
+        return parseGltf(buffer, Object.assign({ ktx2Loader }, options)).then(() => assert.fail(), (error) => {
+            assert.ok(/the required extension KHR_draco_mesh_compression has no decoder/.test(error.message));
+        });
+    });
+});
@@ -0,0 +1,131 @@
+import assert from 'assert';
+import * as THREE from 'three';
+import I3dmParser, { readInstances } from '../../src/Parser/I3dmParser';
+import CmptParser from '../../src/Parser/CmptParser';
+import InstancedMesh from '../../src/Renderer/ThreeExtended/InstancedMesh';
+
+// Pad a JSON header with spaces, to align the next parts on 8 bytes
+function encode(json) {
+    let text = JSON.stringify(json);
+    text += ' '.repeat((8 - text.length % 8) % 8);
+    return Buffer.from(text);
+}
+
+// A glb of a triangle, in the plane z = 0 of glTF (y up)
+function glb() {
+    const positions = Buffer.from(new Float32Array([-1, -1, 0, 1, -1, 0, 0, 1, 0]).buffer);
+    const json = encode({
+        asset: { version: '2.0' },
+        scene: 0,
+        scenes: [{ nodes: [0] }],
+        nodes: [{ mesh: 0 }],
+        meshes: [{ primitives: [{ attributes: { POSITION: 0 }, material: 0 }] }],
+        materials: [{ pbrMetallicRoughness: { baseColorFactor: [1, 0, 0, 1] } }],
+        accessors: [{ bufferView: 0, componentType: 5126, count: 3, type: 'VEC3', min: [-1, -1, 0], max: [1, 1, 0] }],
+        bufferViews: [{ buffer: 0, byteLength: 36 }],
+        buffers: [{ byteLength: 36 }],
+    });
+    const header = new Uint32Array([0x46546C67, 2, 12 + 8 + json.length + 8 + 40]);
+    const bin = Buffer.concat([positions, Buffer.alloc(4)]);
+    return Buffer.concat([
+        Buffer.from(header.buffer),
+        Buffer.from(new Uint32Array([json.length, 0x4E4F534A]).buffer), json,
+        Buffer.from(new Uint32Array([bin.length, 0x004E4942]).buffer), bin,
+    ]);
+}
+
+function tile(magic, header, parts) {
+    const body = Buffer.concat(parts);
+    const length = 4 + header.length * 4 + body.length;
+    const fields = Buffer.from(new Uint32Array([header[0], length].concat(header.slice(2))).buffer);
+    return Buffer.concat([Buffer.from(magic), fields, body]);
+}
+
+function i3dm(featureTable, binary, batchTable) {
+    const ft = encode(featureTable);
+    const bt = batchTable ? encode(batchTable) : Buffer.alloc(0);
+    // header: version, byteLength, the lengths of the tables and gltfFormat
+    return tile('i3dm', [1, 0, ft.length, binary.length, bt.length, 0, 1], [ft, binary, bt, glb()]);
+}
+
+function toArrayBuffer(buffer) {
+    return new Uint8Array(buffer).buffer;
+}
+
+describe('I3dmParser', function () {
+    it('should read the matrices of the instances', () => {
+        const binary = new ArrayBuffer(32);
+        // quantized positions: (0, 0, 0) and (65535, 0, 65535)
+        new Uint16Array(binary, 0, 6).set([0, 0, 0, 65535, 0, 65535]);
+        // oct-encoded normals: up is +z and right is +x
+        new Uint16Array(binary, 12, 4).set([32768, 32768, 32768, 32768]);
+        new Uint16Array(binary, 20, 4).set([65535, 32768, 65535, 32768]);
+        new Uint16Array(binary, 28, 2).set([3, 7]);
+        const instances = readInstances({
+            INSTANCES_LENGTH: 2,
+            POSITION_QUANTIZED: { byteOffset: 0 },
+            QUANTIZED_VOLUME_OFFSET: [10, 20, 30],
+            QUANTIZED_VOLUME_SCALE: [2, 2, 4],
+            NORMAL_UP_OCT32P: { byteOffset: 12 },
+            NORMAL_RIGHT_OCT32P: { byteOffset: 20 },
+            BATCH_ID: { byteOffset: 28 },
+            RTC_CENTER: [1, 2, 3],
+        }, binary);
+        assert.equal(instances.count, 2);
+        assert.deepEqual(Array.from(instances.batchIds), [3, 7]);
+        assert.deepEqual(instances.rtcCenter.toArray(), [1, 2, 3]);
+        const position = new THREE.Vector3(0, 1, 0).applyMatrix4(instances.matrices[1]);
+        assert.ok(position.distanceTo(new THREE.Vector3(12, 20, 35)) < 1e-3);
+
+        const instance = readInstances({
+            INSTANCES_LENGTH: 1,
+            POSITION: { byteOffset: 0 },
+            NORMAL_UP: { byteOffset: 12 },
+            NORMAL_RIGHT: { byteOffset: 24 },
+            SCALE: { byteOffset: 36 },
+        }, new Float32Array([5, 0, 0, 0, 0, 1, 1, 0, 0, 2]).buffer).matrices[0];
+        // the y axis of the model is rotated to the up direction
+        const v = new THREE.Vector3(0, 1, 0).applyMatrix4(instance);
+        assert.deepEqual(v.toArray(), [5, 0, 2]);
+
+        assert.throws(() => readInstances({ INSTANCES_LENGTH: 1 }, new ArrayBuffer(0)), /no POSITION/);
+        assert.throws(() => readInstances({ INSTANCES_LENGTH: 2, POSITION: { byteOffset: 0 } }, new ArrayBuffer(12)), /exceeds/);
+    });
+
+    it('should instantiate the glTF model', () => {
+        const positions = Buffer.from(new Float32Array([0, 0, 0, 10, 0, 0]).buffer);
+        const buffer = i3dm({ INSTANCES_LENGTH: 2, POSITION: { byteOffset: 0 } }, positions, { name: ['a', 'b'] });
+        return I3dmParser.parse(toArrayBuffer(buffer), { gltfUpAxis: 'Y', opacity: 1 }).then((result) => {
+            assert.equal(result.batchTable.batchLength, 2);
+            assert.deepEqual(result.batchTable.getProperties(1), { name: 'b' });
+            const mesh = result.object3d.children[0];
+            assert.ok(mesh instanceof InstancedMesh);
+            assert.equal(mesh.count, 2);
+            assert.deepEqual(Array.from(mesh.geometry.attributes._BATCHID.array), [0, 1]);
+            assert.equal(mesh.material.defines.USE_INSTANCING, '');
+
+            // the triangle of the second instance, y up in the glTF, is picked
+            result.object3d.updateMatrixWorld(true);
+            const raycaster = new THREE.Raycaster(new THREE.Vector3(10, -5, 0.5), new THREE.Vector3(0, 1, 0));
+            const intersects = raycaster.intersectObject(result.object3d, true);
+            assert.equal(intersects.length, 1);
+            assert.equal(intersects[0].instanceId, 1);
+            assert.equal(intersects[0].object, mesh);
+        });
+    });
+});
+
+describe('CmptParser', function () {
+    it('should extract the inner tiles', () => {
+        const inner = i3dm({ INSTANCES_LENGTH: 1, POSITION: [0, 0, 0] }, Buffer.alloc(0));
+        const composite = tile('cmpt', [1, 0, 2], [inner, tile('cmpt', [1, 0, 0], [])]);
+        return CmptParser.parse(toArrayBuffer(composite)).then((tiles) => {
+            assert.equal(tiles.length, 2);
+            assert.equal(tiles[0].byteLength, inner.length);
+            assert.equal(Buffer.from(tiles[1], 0, 4).toString(), 'cmpt');
+
+            composite.writeUInt32LE(3, 12);
+            assert.throws(() => CmptParser.parse(toArrayBuffer(composite)), /The inner tile 2 exceeds/);
+        });
+    });
+});
@@ -0,0 +1,168 @@
+import assert from 'assert';
+import * as THREE from 'three';
+import proj4 from 'proj4';
+import LabelLayer from '../../src/Layer/LabelLayer';
+import { MAIN_LOOP_EVENTS } from '../../src/Core/MainLoop';
+import GeoJsonParser from '../../src/Parser/GeoJsonParser';
+
+proj4.defs('EPSG:3946', '+proj=lcc +lat_1=45.25 +lat_2=46.75 +lat_0=46 +lon_0=3 +x_0=1700000 +y_0=5200000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs');
+
+// HTML elements of 40x10 pixels
+function fakeElement() {
+    const element = { style: {}, children: [], offsetWidth: 40, offsetHeight: 10 };
+    element.appendChild = (child) => {
+        child.parentNode = element;
+        element.children.push(child);
+    };
+    element.removeChild = (child) => {
+        element.children.splice(element.children.indexOf(child), 1);
+        child.parentNode = undefined;
+    };
+    return element;
+}
+
+// Points, with their name and rank, seen from 100 meters above in a 200x100
+// pixels view
+function points(coordinates) {
+    return GeoJsonParser.parse({
+        type: 'FeatureCollection',
+        features: coordinates.map(c => ({
+            type: 'Feature',
+            properties: { name: c[2], rank: c[3] },
+            geometry: { type: 'Point', coordinates: [c[0], c[1]] },
+        })),
+    }, { crsIn: 'EPSG:3946', crsOut: 'EPSG:3946', buildExtent: true });
+}
+
+function fakeView() {
+    const camera3D = new THREE.PerspectiveCamera(45, 2, 1, 1000);
+    camera3D.up.set(0, 1, 0);
+    camera3D.position.set(0, 0, 100);
+    camera3D.lookAt(new THREE.Vector3());
+    camera3D.updateMatrixWorld();
+    return {
+        camera: { camera3D },
+        mainLoop: { gfxEngine: { getWindowSize: () => new THREE.Vector2(200, 100) } },
+    };
+}
+
+function displayed(layer) {
+    return layer.domElement.children.filter(e => e.style.display != 'none').map(e => e.children[0].textContent);
+}
+
+describe('LabelLayer', function () {
+    let layer;
+    let tile;
+
+    before(function () {
+        global.document = { createElement: fakeElement };
+    });
+
+    after(function () {
+        delete global.document;
+    });
+
+    beforeEach(() =>
+        points([[0, 0, 'a', 1], [5, 0, 'b', 2], [-50, 0, 'c', 0], [0, 30, 'd', 5], [0, -30, 'e']]).then((collection) => {
+            layer = new LabelLayer('labels', {
+                style: properties => (properties.name == 'e' ? {} : {
+                    text: properties.name,
+                    priority: properties.rank,
+                    maxDistance: properties.name == 'd' ? 50 : undefined,
+                }),
+                occlusion: false,
+            });
+            layer.domElement = fakeElement();
+            tile = new THREE.Object3D();
+            const object = layer.convert(collection);
+            tile.add(object);
+            layer.labelObjects.add(object);
+        }));
+
+    it('should create labels for the styled points', function () {
+        const labels = tile.children[0].labels;
+        assert.deepEqual(labels.map(l => l.style.text), ['a', 'b', 'c', 'd']);
+        assert.deepEqual(labels[1].position.toArray(), [5, 0, 1]);
+        assert.equal(labels[1].priority, 2);
+    });
+
+    it('should declutter the labels by priority and hide the far ones', function () {
+        const view = fakeView();
+        layer.updateLabels(view);
+        assert.deepEqual(displayed(layer), ['b', 'c']);
+        // The label is centered on its point
+        const b = tile.children[0].labels[1];
+        assert.equal(b.element.style.transform, `translate(${Math.round(b.x - 20)}px, 45px)`);
+
+        layer.declutter = false;
+        layer.updateLabels(view);
+        assert.deepEqual(displayed(layer).sort(), ['a', 'b', 'c']);
+    });
+
+    it('should hide the labels behind the terrain', function () {
+        const view = fakeView();
+        let orthoZ = 50;
+        view.getParentLayer = () => ({ threejsLayer: 1 });
+        view.readDepthBuffer = (x, y, w, h) => new Uint8Array(w * h * 4);
+        view.mainLoop.gfxEngine.depthBufferRGBAValueToOrthoZ = () => orthoZ;
+        layer.occlusion = true;
+        layer.updateLabels(view);
+        assert.deepEqual(displayed(layer), []);
+
+        orthoZ = 100;
+        layer.updateLabels(view);
+        assert.deepEqual(displayed(layer), ['b', 'c']);
+        assert.equal(view.camera.camera3D.layers.mask, 1);
+    });
+
+    it('should read the depth of the labels only when the camera moves', function () {
+        const view = fakeView();
+        const reads = [];
+        const tileLayer = { threejsLayer: 1 };
+        view.getParentLayer = () => tileLayer;
+        view.readDepthBuffer = (x, y, w, h) => {
+            reads.push([x, y, w, h]);
+            return new Uint8Array(w * h * 4);
+        };
+        view.mainLoop.gfxEngine.depthBufferRGBAValueToOrthoZ = () => 100;
+        layer.occlusion = true;
+        layer.updateLabels(view);
+        // Only the zone of the candidate labels a, b and c is read
+        assert.equal(reads.length, 1);
+        const [x, y, w, h] = reads[0];
+        assert.ok(x > 0 && y > 0 && x + w < 200 && y + h < 100);
+        assert.equal(h, 1);
+
+        layer.updateLabels(view);
+        assert.equal(reads.length, 1);
+
+        view.camera.camera3D.position.set(1, 0, 100);
+        view.camera.camera3D.updateMatrixWorld();
+        layer.updateLabels(view);
+        assert.equal(reads.length, 2);
+
+        // When the tiles change, the depth buffer read by the view is used
+        const requesters = {};
+        view.addFrameRequester = (when, requester) => { requesters[when] = requester; };
+        view.mainLoop.gfxEngine.renderer = { domElement: { parentElement: fakeElement() } };
+        layer.attachToView(view);
+        view._changeSources = new Set([{ layer: tileLayer }]);
+        requesters[MAIN_LOOP_EVENTS.UPDATE_START]();
+        view._fullSizeDepthBuffer = new Uint8Array(200 * 100 * 4);
+        requesters[MAIN_LOOP_EVENTS.AFTER_RENDER]();
+        assert.equal(reads.length, 2);
+        assert.equal(layer._depth.buffer, view._fullSizeDepthBuffer);
+    });
+
+    it('should remove the labels of the removed tiles', function () {
+        layer.updateLabels(fakeView());
+        assert.equal(layer.domElement.children.length, 3);
+        tile.visible = false;
+        layer.updateLabels(fakeView());
+        assert.equal(layer.domElement.children.length, 0);
+        assert.equal(layer.labelObjects.size, 1);
+        tile.remove(tile.children[0]);
+        layer.updateLabels(fakeView());
+        assert.equal(layer.labelObjects.size, 0);
+    });
+});
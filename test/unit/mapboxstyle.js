@@ -0,0 +1,210 @@
+import assert from 'assert';
+import MapboxStyleParser from '../../src/Parser/MapboxStyleParser';
+
+// eslint-disable-next-line no-template-curly-in-string
+const tilesURL = 'https://server.geo/tiles/${z}/${x}/${y}.pbf';
+// eslint-disable-next-line no-template-curly-in-string
+const otherURL = 'https://other.geo/${z}/${x}/${y}.pbf';
+
+const style = {
+    version: 8,
+    sources: {
+        openmaptiles: {
+            type: 'vector',
+            tiles: ['https://server.geo/tiles/{z}/{x}/{y}.pbf'],
+            minzoom: 0,
+            maxzoom: 14,
+        },
+        raster: { type: 'raster', tiles: ['https://server.geo/ortho/{z}/{x}/{y}.png'] },
+    },
+    layers: [
+        { id: 'background', type: 'background', paint: { 'background-color': 'rgba(248, 244, 240, 0.5)' } },
+        { id: 'ortho', type: 'raster', source: 'raster' },
+        {
+            id: 'water',
+            type: 'fill',
+            source: 'openmaptiles',
+            'source-layer': 'water',
+            filter: ['==', '$type', 'Polygon'],
+            paint: { 'fill-color': '#0000ff', 'fill-opacity': { stops: [[4, 0.5], [8, 1]] } },
+        },
+        {
+            id: 'road',
+            type: 'line',
+            source: 'openmaptiles',
+            'source-layer': 'transportation',
+            minzoom: 5,
+            filter: ['all', ['in', 'class', 'primary', 'secondary'], ['!has', 'tunnel']],
+            paint: {
+                'line-color': ['match', ['get', 'class'], 'primary', '#ff0000', '#ffffff'],
+                'line-width': ['interpolate', ['exponential', 2], ['zoom'], 5, 1, 10, 32],
+                'line-dasharray': [2, 1],
+            },
+            layout: { 'line-cap': 'round' },
+        },
+        {
+            id: 'water-outline',
+            type: 'line',
+            source: 'openmaptiles',
+            'source-layer': 'water',
+            layout: { visibility: 'visible' },
+            paint: { 'line-color': '#000080' },
+        },
+        {
+            id: 'water-hidden',
+            type: 'fill',
+            source: 'openmaptiles',
+            'source-layer': 'water',
+            layout: { visibility: 'none' },
+        },
+        {
+            id: 'road-label',
+            type: 'symbol',
+            source: 'openmaptiles',
+            'source-layer': 'transportation',
+            layout: {
+                'symbol-placement': 'line',
+                'text-field': '{name} ({ref})',
+                'text-font': ['Open Sans Semibold Italic'],
+                'text-transform': 'uppercase',
+                'icon-image': 'road',
+            },
+            paint: { 'text-halo-width': 1 },
+        },
+    ],
+};
+
+describe('Mapbox GL styles', function () {
+    it('should evaluate legacy filters', function () {
+        const filter = MapboxStyleParser.compileFilter(['all',
+            ['==', '$type', 'LineString'],
+            ['any', ['>=', 'rank', 3], ['in', 'class', 'river', 'canal']],
+            ['none', ['has', 'intermittent']],
+            ['!=', 'name', 'Seine']]);
+        assert.ok(filter({ rank: 4 }, 'LineString'));
+        assert.ok(filter({ class: 'canal', name: 'Ourcq' }, 'LineString'));
+        assert.ok(!filter({ class: 'canal' }, 'Polygon'));
+        assert.ok(!filter({ rank: '4' }, 'LineString'));
+        assert.ok(!filter({ rank: 4, intermittent: 1 }, 'LineString'));
+        assert.ok(!filter({ rank: 4, name: 'Seine' }, 'LineString'));
+        assert.ok(MapboxStyleParser.compileFilter(['!in', '$type', 'Point'])({}, 'Polygon'));
+        assert.ok(MapboxStyleParser.compileFilter(undefined)({}, 'Point'));
+    });
+
+    it('should evaluate filter expressions', function () {
+        const filter = MapboxStyleParser.compileFilter(['all',
+            ['==', ['geometry-type'], 'Polygon'],
+            ['>', ['to-number', ['get', 'height']], ['*', 2, 5]],
+            ['!', ['has', 'hidden']],
+            ['case', ['<', ['zoom'], 10], ['==', ['get', 'class'], 'tower'], true],
+            ['match', ['get', 'class'], ['tower', 'house'], true, false],
+            ['in', ['get', 'class'], ['literal', ['tower', 'house']]]]);
+        assert.ok(filter({ height: '12', class: 'tower' }, 'Polygon', 8));
+        assert.ok(filter({ height: 12, class: 'house' }, 'Polygon', 12));
+        assert.ok(!filter({ height: 12, class: 'house' }, 'Polygon', 8));
+        assert.ok(!filter({ height: 8, class: 'tower' }, 'Polygon', 8));
+        assert.ok(!filter({ height: 12, class: 'tower', hidden: false }, 'Polygon', 8));
+        assert.ok(!filter({ height: 12, class: 'tower' }, 'Point', 8));
+        assert.throws(() => MapboxStyleParser.compileFilter(['within', {}]), /within/);
+    });
+
+    it('should evaluate zoom and property functions', function () {
+        const width = MapboxStyleParser.compileProperty({ base: 2, stops: [[10, 1], [12, 7]] });
+        assert.equal(width(5), 1);
+        assert.equal(width(11), 3);
+        assert.equal(width(14), 7);
+
+        const interval = MapboxStyleParser.compileProperty({ type: 'interval', stops: [[0, 'a'], [10, 'b']] });
+        assert.equal(interval(9.9), 'a');
+        assert.equal(interval(10), 'b');
+
+        const categorical = MapboxStyleParser.compileProperty({
+            property: 'class', type: 'categorical', stops: [['river', 2]], default: 1 });
+        assert.equal(categorical(10, { class: 'river' }), 2);
+        assert.equal(categorical(10, { class: 'canal' }), 1);
+
+        const composite = MapboxStyleParser.compileProperty({
+            property: 'rank',
+            stops: [[{ zoom: 0, value: 0 }, 0], [{ zoom: 0, value: 10 }, 10], [{ zoom: 10, value: 0 }, 10], [{ zoom: 10, value: 10 }, 30]],
+        });
+        assert.equal(composite(5, { rank: 5 }), 12.5);
+
+        const color = MapboxStyleParser.compileProperty({ stops: [[0, '#000000'], [10, 'rgba(255, 0, 100, 0)']] });
+        assert.equal(color(5), 'rgba(128,0,50,0.5)');
+    });
+
+    it('should evaluate property expressions', function () {
+        const step = MapboxStyleParser.compileProperty(['step', ['zoom'], 1, 8, ['get', 'width'], 12, 10]);
+        assert.equal(step(4, { width: 5 }), 1);
+        assert.equal(step(8, { width: 5 }), 5);
+        assert.equal(step(13, { width: 5 }), 10);
+
+        const linear = MapboxStyleParser.compileProperty(['interpolate', ['linear'], ['get', 'rank'], 0, ['*', 2, 1], 10, 12]);
+        assert.equal(linear(0, { rank: 5 }), 7);
+
+        const text = MapboxStyleParser.compileProperty(['concat', ['upcase', ['get', 'name']], ' ', ['coalesce', ['get', 'ref'], '-']]);
+        assert.equal(text(0, { name: 'a1' }), 'A1 -');
+        assert.equal(MapboxStyleParser.compileProperty('#ffffff')(3), '#ffffff');
+    });
+
+    it('should create the layers of a style', () =>
+        MapboxStyleParser.parse(style).then((layers) => {
+            assert.equal(layers.length, 1);
+            const layer = layers[0];
+            assert.equal(layer.type, 'color');
+            assert.equal(layer.id, 'openmaptiles');
+            assert.ok(!layer.transparent);
+            assert.equal(layer.source.protocol, 'xyz');
+            assert.equal(layer.source.url, tilesURL);
+            assert.deepEqual(layer.source.zoom, { min: 0, max: 14 });
+            assert.equal(layer.backgroundLayer.paint['background-color'], '#f8f4f0');
+
+            // The features of the other layers of the tiles are discarded
+            assert.ok(layer.filter({ vt_layer: 'water' }, { type: 'MultiPolygon' }, 3));
+            assert.ok(layer.filter({ vt_layer: 'transportation', class: 'primary' }, { type: 'LineString' }, 3));
+            assert.ok(!layer.filter({ vt_layer: 'water' }, { type: 'Point' }, 3));
+            assert.ok(!layer.filter({ vt_layer: 'building' }, { type: 'Polygon' }, 3));
+
+            // The hidden layer isn't drawn
+            const water = layer.style({ vt_layer: 'water' }, { type: 'polygon' }, 6);
+            assert.equal(water.length, 2);
+            assert.deepEqual(water[0], { order: 2, fill: '#0000ff', fillOpacity: 0.75 });
+            assert.deepEqual(water[1], { order: 4, stroke: '#000080', strokeOpacity: 1, strokeWidth: 1, lineCap: 'butt', lineJoin: 'miter' });
+
+            // The road layer starts at zoom 5
+            const road = { vt_layer: 'transportation', class: 'secondary' };
+            assert.deepEqual(layer.style(road, { type: 'linestring' }, 4).map(st => st.order), [6]);
+            const roadStyle = layer.style(road, { type: 'linestring' }, 6)[0];
+            assert.equal(roadStyle.stroke, '#ffffff');
+            assert.equal(roadStyle.strokeWidth, 2);
+            assert.equal(roadStyle.order, 3);
+            assert.equal(roadStyle.lineCap, 'round');
+            assert.deepEqual(roadStyle.strokeDashArray, [4, 2]);
+
+            // Without sprite, only the text of the symbols is drawn
+            road.name = 'Rue';
+            const label = layer.style(road, { type: 'linestring' }, 6)[1];
+            assert.equal(label.order, 6);
+            assert.equal(label.text, 'RUE ()');
+            assert.equal(label.textFont, '"Open Sans", sans-serif');
+            assert.equal(label.textWeight, 600);
+            assert.equal(label.textSize, 16);
+            assert.equal(label.textHaloWidth, 1);
+            assert.equal(label.placement, 'line');
+            assert.equal(label.icon, undefined);
+            road.tunnel = true;
+            assert.deepEqual(layer.style(road, { type: 'linestring' }, 6).map(st => st.order), [6]);
+        }));
+
+    it('should select layers and override their sources', () =>
+        MapboxStyleParser.parse(style, {
+            filter: layer => layer.type != 'background',
+            source: { url: otherURL, zoom: { min: 2, max: 10 } },
+        }).then((layers) => {
+            assert.equal(layers[0].backgroundLayer, undefined);
+            assert.ok(layers[0].transparent);
+            assert.equal(layers[0].source.url, otherURL);
+            assert.equal(layers[0].source.format, 'application/x-protobuf;type=mapbox-vector');
+            assert.deepEqual(layers[0].source.zoom, { min: 2, max: 10 });
+        }));
+});
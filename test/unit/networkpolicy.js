@@ -0,0 +1,146 @@
+/* global AbortController */
+import assert from 'assert';
+import * as THREE from 'three';
+import NetworkPolicy from '../../src/Provider/NetworkPolicy';
+import Fetcher from '../../src/Provider/Fetcher';
+
+// A request failing with the given statuses, then succeeding
+function failingRequest(statuses, headers = {}) {
+    const request = (url, options) => {
+        request.calls.push(options);
+        const status = statuses.shift();
+        if (status === undefined) {
+            return Promise.resolve('data');
+        }
+        const error = new Error(`Error loading ${url}: status ${status}`);
+        error.response = { status, headers: { get: name => headers[name] } };
+        return Promise.reject(error);
+    };
+    request.calls = [];
+    return request;
+}
+
+const policy = { backoff: 1, timeout: 0 };
+
+describe('NetworkPolicy', function () {
+    it('should retry temporary failures and dispatch events', function () {
+        const layer = new THREE.EventDispatcher();
+        const events = [];
+        layer.addEventListener('network-error', e => events.push(e));
+        const request = failingRequest([503, 500]);
+        return NetworkPolicy.fetch('http://server.geo/tile', request, {}, policy, layer).then((result) => {
+            assert.equal(result, 'data');
+            assert.equal(request.calls.length, 3);
+            assert.deepEqual(events.map(e => [e.status, e.attempt, e.retrying]), [[503, 0, true], [500, 1, true]]);
+        });
+    });
+
+    it('should give up after the maximum number of retries', function () {
+        const request = failingRequest([503, 503, 503, 503]);
+        return NetworkPolicy.fetch('http://server.geo/tile', request, {}, { backoff: 1, retries: 1 }).then(() => {
+            assert.fail('the request should fail');
+        }, (err) => {
+            assert.equal(err.response.status, 503);
+            assert.equal(request.calls.length, 2);
+        });
+    });
+
+    it('should honour Retry-After', function () {
+        const request = failingRequest([429], { 'Retry-After': '3600' });
+        return NetworkPolicy.fetch('http://server.geo/tile', request, {}, policy).then(() => {
+            assert.fail('the delay is longer than maxDelay');
+        }, (err) => {
+            assert.equal(err.response.status, 429);
+            assert.equal(request.calls.length, 1);
+        });
+    });
+
+    it('should classify the responses without content as empty', function () {
+        const fetch = global.fetch;
+        global.fetch = () => Promise.resolve(new Response(null, { status: 204 }));
+        const restore = () => { global.fetch = fetch; };
+        return NetworkPolicy.fetch('http://server.geo/tile', Fetcher.arrayBuffer, {}, policy).then(() => {
+            assert.fail('the tile is empty');
+        }, (err) => {
+            assert.ok(err.emptyTile);
+            assert.equal(err.response.status, 204);
+        }).then(restore, (err) => {
+            restore();
+            throw err;
+        });
+    });
+
+    it('should apply the policy to the textures', function () {
+        const fetch = global.fetch;
+        const statuses = [503, 404];
+        const urls = [];
+        global.fetch = (url) => {
+            urls.push(url);
+            return Promise.resolve(new Response('', { status: statuses.shift() }));
+        };
+        const restore = () => { global.fetch = fetch; };
+        const layer = new THREE.EventDispatcher();
+        const events = [];
+        layer.addEventListener('network-error', e => events.push(e));
+        return NetworkPolicy.fetch('http://server.geo/tile.png', Fetcher.texture, {}, policy, layer).then(() => {
+            assert.fail('the tile is empty');
+        }, (err) => {
+            assert.ok(err.emptyTile);
+            assert.equal(err.response.status, 404);
+            assert.deepEqual(urls, ['http://server.geo/tile.png', 'http://server.geo/tile.png']);
+            assert.deepEqual(events.map(e => [e.status, e.retrying, e.empty]), [[503, true, false], [404, false, true]]);
+        }).then(restore, (err) => {
+            restore();
+            throw err;
+        });
+    });
+
+    it('should not retry empty tiles', function () {
+        const layer = new THREE.EventDispatcher();
+        let event;
+        layer.addEventListener('network-error', (e) => { event = e; });
+        const request = failingRequest([404]);
+        return NetworkPolicy.fetch('http://server.geo/tile', request, {}, policy, layer).then(() => {
+            assert.fail('the tile is empty');
+        }, (err) => {
+            assert.ok(err.emptyTile);
+            assert.ok(event.empty);
+            assert.ok(!event.retrying);
+            assert.equal(request.calls.length, 1);
+        });
+    });
+
+    it('should abort and retry requests that time out', function () {
+        let calls = 0;
+        const request = (url, options) => new Promise((resolve, reject) => {
+            calls++;
+            if (calls == 2) {
+                resolve('data');
+            }
+            options.signal.addEventListener('abort', () => {
+                const error = new Error('aborted');
+                error.name = 'AbortError';
+                reject(error);
+            });
+        });
+        return NetworkPolicy.fetch('http://server.geo/tile', request, {}, { timeout: 5, backoff: 1 }).then((result) => {
+            assert.equal(result, 'data');
+            assert.equal(calls, 2);
+        });
+    });
+
+    it('should not retry aborted requests', function () {
+        const controller = new AbortController();
+        const request = failingRequest([503]);
+        const promise = NetworkPolicy.fetch('http://server.geo/tile', request, { signal: controller.signal }, { backoff: 50, timeout: 0 });
+        return Promise.resolve().then(() => {
+            controller.abort();
+            return promise;
+        }).then(() => {
+            assert.fail('the request should be aborted');
+        }, (err) => {
+            assert.equal(err.name, 'AbortError');
+            assert.equal(request.calls.length, 1);
+        });
+    });
+});
@@ -0,0 +1,272 @@
+import assert from 'assert';
+import PersistentCache from '../../src/Core/Scheduler/PersistentCache';
+import WMTSSource from '../../src/Source/WMTSSource';
+import Fetcher from '../../src/Provider/Fetcher';
+import Extent from '../../src/Core/Geographic/Extent';
+
+// Calls the callbacks of an IndexedDB request asynchronously, like browsers
+function request(run) {
+    const req = {};
+    Promise.resolve().then(() => {
+        try {
+            req.result = run();
+        } catch (error) {
+            req.error = error;
+            if (req.onerror) {
+                req.onerror(error);
+            }
+            return;
+        }
+        if (req.onsuccess) {
+            req.onsuccess();
+        }
+    });
+    return req;
+}
+
+// The number of records read in each object store
+const reads = new Map();
+function read(storeName, record) {
+    if (record) {
+        reads.set(storeName, (reads.get(storeName) || 0) + 1);
+    }
+    return record;
+}
+
+// A minimal in memory IndexedDB: a database is a map of object stores, an
+// object store is a map of records
+function fakeIndexedDB() {
+    const databases = new Map();
+    const objectStore = (storeName, records, keyPath, indexes) => ({
+        get: key => request(() => read(storeName, records.get(key))),
+        put: record => request(() => records.set(record[keyPath], Object.assign({}, record))),
+        delete: key => request(() => records.delete(key)),
+        clear: () => request(() => records.clear()),
+        createIndex: (name, path) => indexes.set(name, path),
+        index: name => ({
+            getAll: value => request(() => Array.from(records.values())
+                .filter(record => record[indexes.get(name)] === value)
+                .map(record => read(storeName, Object.assign({}, record)))),
+        }),
+    });
+    return {
+        open(name) {
+            const req = {};
+            Promise.resolve().then(() => {
+                if (!databases.has(name)) {
+                    const stores = new Map();
+                    databases.set(name, {
+                        objectStoreNames: { contains: storeName => stores.has(storeName) },
+                        deleteObjectStore: storeName => stores.delete(storeName),
+                        createObjectStore(storeName, options) {
+                            stores.set(storeName, { records: new Map(), keyPath: options.keyPath, indexes: new Map() });
+                            return this.transaction().objectStore(storeName);
+                        },
+                        transaction: () => ({
+                            objectStore(storeName) {
+                                const store = stores.get(storeName);
+                                return objectStore(storeName, store.records, store.keyPath, store.indexes);
+                            },
+                        }),
+                    });
+                    req.result = databases.get(name);
+                    req.onupgradeneeded();
+                }
+                req.result = databases.get(name);
+                req.onsuccess();
+            });
+            return req;
+        },
+    };
+}
+
+// Serve payloads from memory, or fail like an offline browser
+const server = new Map();
+let offline = false;
+let downloads = 0;
+const blob = Fetcher.blob;
+function fetchBlob(url) {
+    if (offline || !server.has(url)) {
+        return Promise.reject(new Error(`Error loading ${url}`));
+    }
+    downloads++;
+    return Promise.resolve(new Blob([server.get(url)]));
+}
+
+// Object urls of the payloads given to the fetchers
+const objectURLs = new Map();
+const fetcher = url => new Response(objectURLs.get(url)).text();
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('PersistentCache', function () {
+    let createObjectURL;
+    let revokeObjectURL;
+
+    before(function () {
+        createObjectURL = URL.createObjectURL;
+        revokeObjectURL = URL.revokeObjectURL;
+        URL.createObjectURL = (payload) => {
+            const url = `blob:${objectURLs.size}`;
+            objectURLs.set(url, payload);
+            return url;
+        };
+        URL.revokeObjectURL = url => objectURLs.delete(url);
+    });
+
+    after(function () {
+        URL.createObjectURL = createObjectURL;
+        URL.revokeObjectURL = revokeObjectURL;
+        Fetcher.blob = blob;
+    });
+
+    beforeEach(function () {
+        PersistentCache.setIndexedDB(fakeIndexedDB());
+        Fetcher.blob = fetchBlob;
+        server.clear();
+        reads.clear();
+        offline = false;
+        downloads = 0;
+    });
+
+    it('should store fetched payloads and read them back', function () {
+        const source = { url: 'http://server.geo', persistentCache: true };
+        server.set('http://server.geo/1', 'tile 1');
+        return PersistentCache.fetch('http://server.geo/1', source, fetcher).then((result) => {
+            assert.equal(result, 'tile 1');
+            return PersistentCache.fetch('http://server.geo/1', source, fetcher);
+        }).then((result) => {
+            assert.equal(result, 'tile 1');
+            assert.equal(downloads, 1);
+            assert.equal(objectURLs.size, 0);
+            return PersistentCache.getStats(source);
+        }).then((stats) => {
+            assert.equal(stats.name, 'http://server.geo');
+            assert.equal(stats.hits, 1);
+            assert.equal(stats.misses, 1);
+            assert.equal(stats.writes, 1);
+            assert.equal(stats.count, 1);
+            assert.equal(stats.size, 6);
+        });
+    });
+
+    it('should fetch expired payloads again, and use them offline', function () {
+        const source = { url: 'http://server.geo', persistentCache: { expiry: 1 } };
+        server.set('http://server.geo/1', 'old');
+        return PersistentCache.fetch('http://server.geo/1', source, fetcher)
+            .then(() => wait(5))
+            .then(() => {
+                server.set('http://server.geo/1', 'new');
+                return PersistentCache.fetch('http://server.geo/1', source, fetcher);
+            })
+            .then((result) => {
+                assert.equal(result, 'new');
+                assert.equal(downloads, 2);
+                return wait(5);
+            })
+            .then(() => {
+                offline = true;
+                return PersistentCache.fetch('http://server.geo/1', source, fetcher);
+            })
+            .then((result) => {
+                assert.equal(result, 'new');
+                return PersistentCache.fetch('http://server.geo/2', source, fetcher).then(() => {
+                    assert.fail('should not be fetched');
+                }, error => assert.ok(error.message.includes('http://server.geo/2')));
+            })
+            .then(() => PersistentCache.getStats(source))
+            .then((stats) => {
+                assert.equal(stats.staleHits, 1);
+                assert.equal(stats.count, 1);
+            });
+    });
+
+    it('should evict the least recently used payloads over the quota', function () {
+        const source = { url: 'http://server.geo', persistentCache: { name: 'small', quota: 10 } };
+        const other = { url: 'http://other.geo', persistentCache: { name: 'other' } };
+        ['a', 'b', 'c'].forEach(name => server.set(name, '1234'));
+        server.set('d', '1234');
+        const get = (url, s = source) => () => wait(2).then(() => PersistentCache.fetch(url, s, fetcher));
+        return Promise.resolve()
+            .then(get('a')).then(get('b'))
+            .then(get('d', other))
+            // a is used again, b becomes the least recently used
+            .then(get('a'))
+            .then(get('c'))
+            .then(() => PersistentCache.getStats('small'))
+            .then((stats) => {
+                // Only the payload of the hit is read, the eviction reads
+                // the metadata
+                assert.equal(reads.get('payloads'), 1);
+                assert.equal(stats.evictions, 1);
+                assert.equal(stats.count, 2);
+                assert.equal(stats.size, 8);
+                offline = true;
+                return PersistentCache.fetch('a', source, fetcher);
+            })
+            .then(() => PersistentCache.fetch('b', source, fetcher).then(() => {
+                assert.fail('b should be evicted');
+            }, () => PersistentCache.getStats('other')))
+            .then((stats) => {
+                assert.equal(stats.count, 1);
+                return PersistentCache.clear('small');
+            })
+            .then(() => PersistentCache.getStats('small'))
+            .then((stats) => {
+                assert.equal(stats.count, 0);
+                assert.equal(stats.size, 0);
+            });
+    });
+
+    it('should seed the tiles of a layer in an extent', function () {
+        const source = new WMTSSource({
+            url: 'http://server.geo/wmts',
+            name: 'ortho',
+            protocol: 'wmts',
+            format: 'image/png',
+            tileMatrixSet: 'WGS84G',
+            zoom: { min: 0, max: 20 },
+            persistentCache: true,
+        });
+        const layer = { id: 'ortho', source };
+        const parentLayer = {
+            extent: new Extent('EPSG:4326', -180, 180, -90, 90),
+            schemeTile: [
+                new Extent('EPSG:4326', -180, 0, -90, 90),
+                new Extent('EPSG:4326', 0, 180, -90, 90),
+            ],
+        };
+        const view = {
+            getLayers: filter => [layer].filter(filter),
+            getParentLayer: () => parentLayer,
+        };
+        const progress = [];
+        Fetcher.blob = url => Promise.resolve(new Blob([url]));
+        return PersistentCache.seed(view, 'ortho', new Extent('EPSG:4326', 1, 10, 40, 50), { min: 0, max: 2 },
+            (processed, count) => progress.push([processed, count]))
+            .then((result) => {
+                // One tile on levels 0 and 1, two on level 2
+                assert.equal(result.count, 4);
+                assert.equal(result.downloaded, 4);
+                assert.deepEqual(result.errors, []);
+                assert.deepEqual(progress[3], [4, 4]);
+                return PersistentCache.seed(view, layer, new Extent('EPSG:4326', 1, 10, 40, 50), { min: 2, max: 2 });
+            })
+            .then((result) => {
+                assert.equal(result.count, 2);
+                assert.equal(result.downloaded, 0);
+            })
+            .then(() => PersistentCache.seed(view, { id: 'other', source: { protocol: 'wmts' } },
+                new Extent('EPSG:4326', 1, 10, 40, 50), { min: 0, max: 0 }))
+            .then(() => {
+                assert.fail('should not be seeded');
+            }, (error) => {
+                if (error.name == 'AssertionError') {
+                    throw error;
+                }
+                assert.ok(error.message.includes('persistentCache'));
+            });
+    });
+});
@@ -41,4 +41,31 @@ describe('pnts parser', function () {
             done();
         });
     });
+
+    it('should read the batches of points of the BATCH_ID', function () {
+        const pad = (text) => {
+            text = JSON.stringify(text);
+            return Buffer.from(text + ' '.repeat((8 - (text.length % 8)) % 8));
+        };
+        const featureTable = pad({
+            POINTS_LENGTH: 4,
+            POSITION: { byteOffset: 0 },
+            BATCH_LENGTH: 2,
+            BATCH_ID: { byteOffset: 48, componentType: 'UNSIGNED_BYTE' },
+        });
+        const binary = Buffer.concat([
+            Buffer.from(new Float32Array(12).buffer),
+            Buffer.from([0, 1, 1, 0]),
+        ]);
+        const batchTable = pad({ name: ['a', 'b'] });
+        const length = 28 + featureTable.length + binary.length + batchTable.length;
+        const header = Buffer.from(new Uint32Array([1, length, featureTable.length, binary.length, batchTable.length, 0]).buffer);
+        const buffer = new Uint8Array(Buffer.concat([Buffer.from('pnts'), header, featureTable, binary, batchTable])).buffer;
+
+        return PntsParser.parse(buffer).then((result) => {
+            assert.deepEqual(Array.from(result.point.geometry.attributes._BATCHID.array), [0, 1, 1, 0]);
+            assert.equal(result.batchTable.batchLength, 2);
+            assert.deepEqual(result.batchTable.getProperties(1), { name: 'b' });
+        });
+    });
 });
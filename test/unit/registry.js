@@ -0,0 +1,98 @@
+import assert from 'assert';
+import Registry from '../../src/Core/Registry';
+import Source from '../../src/Source/Source';
+import FileSource from '../../src/Source/FileSource';
+import DataSourceProvider from '../../src/Provider/DataSourceProvider';
+import Extent from '../../src/Core/Geographic/Extent';
+// Registers the default sources
+import '../../src/Core/View';
+
+class CustomSource extends Source {
+    constructor(source) {
+        super(source);
+        this.url = source.url;
+        this.zoom = { min: 0, max: 20 };
+    }
+
+    urlFromExtent(extent) {
+        return `${this.url}/${extent.zoom}/${extent.row}/${extent.col}.csv`;
+    }
+
+    extentInsideLimit(extent) {
+        return extent.zoom >= this.zoom.min && extent.zoom <= this.zoom.max;
+    }
+}
+
+const csv = 'name,x,y\na,1,2\nb,3,4';
+
+function parseCsv(text) {
+    return {
+        type: 'FeatureCollection',
+        features: text.split('\n').slice(1).map((line) => {
+            const [name, x, y] = line.split(',');
+            return { type: 'Feature', properties: { name }, geometry: { type: 'Point', coordinates: [+x, +y] } };
+        }),
+    };
+}
+
+describe('Registry', function () {
+    it('should register a source class', () => {
+        assert.equal(Registry.getSource('wmts').name, 'WMTSSource');
+        Registry.registerSource('custom', CustomSource);
+        assert.equal(Registry.getSource('custom'), CustomSource);
+    });
+
+    it('should validate the registrations', () => {
+        assert.throws(() => Registry.registerSource('', CustomSource), /non-empty string/);
+        assert.throws(() => Registry.registerSource('custom', {}), /must be a function/);
+        assert.throws(() => Registry.registerSource('custom', function NotASource() {}), /urlFromExtent/);
+        assert.throws(() => Registry.registerFormat('text/csv', { parser: parseCsv }), /fetcher of 'text\/csv'/);
+        assert.throws(() => Registry.registerFileFormat('text/csv', {
+            extensions: ['csv'],
+            fetcher: () => Promise.resolve(csv),
+            parser: parseCsv,
+        }), /extensions/);
+    });
+
+    it('should throw a clear error for an unknown name', () => {
+        assert.throws(() => Registry.getSource('wmts2'), /Unknown source protocol 'wmts2', the registered ones are: wmts, /);
+        assert.throws(() => Registry.getFetcher('text/csv2'), /Unknown format 'text\/csv2'/);
+        assert.throws(() => Registry.getFileFormat('text/csv2'), /Unknown file format 'text\/csv2'/);
+        assert.throws(() => new FileSource({ protocol: 'file', url: 'http://server.geo/points.csv', format: 'text/csv2', projection: 'EPSG:4326' }),
+            /Unknown file format/);
+    });
+
+    it('should fetch and parse the data of a registered format', () => {
+        const urls = [];
+        Registry.registerFormat('text/csv', {
+            // The fetched data is an object, tagged with its extent
+            fetcher: (url) => {
+                urls.push(url);
+                return Promise.resolve({ text: csv });
+            },
+            parser: data => parseCsv(data.text).features.map(f => f.properties.name),
+        });
+        const source = new CustomSource({ protocol: 'custom', url: 'http://server.geo', format: 'text/csv' });
+        const layer = { source, convert: data => data };
+        const extent = new Extent('WMTS:WGS84G', 3, 2, 1);
+        return DataSourceProvider.executeCommand({ layer, extentsSource: [extent] }).then((result) => {
+            assert.deepEqual(urls, ['http://server.geo/3/2/1.csv']);
+            assert.deepEqual(result, [['a', 'b']]);
+        });
+    });
+
+    it('should read a registered file format', () => {
+        Registry.registerFileFormat('text/csv', {
+            extensions: ['.CSV'],
+            fetcher: () => Promise.resolve(csv),
+            parser: parseCsv,
+        });
+        assert.equal(Registry.findFileFormat('http://server.geo/points.csv?v=1').format, 'text/csv');
+        const source = new FileSource({ protocol: 'file', url: 'http://server.geo/points.csv', projection: 'EPSG:4326' }, 'EPSG:4326');
+        assert.equal(source.format, 'text/csv');
+        return source.whenReady.then(() => {
+            assert.equal(source.parsedData.features.length, 2);
+            assert.equal(source.parsedData.features[1].vertices[0].longitude(), 3);
+        });
+    });
+});
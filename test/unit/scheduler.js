@@ -1,5 +1,6 @@
 import assert from 'assert';
 import Scheduler from '../../src/Core/Scheduler/Scheduler';
+import CancelledCommandException from '../../src/Core/Scheduler/CancelledCommandException';
 
 const scheduler = new Scheduler();
 global.window = {
@@ -21,6 +22,17 @@ scheduler.addProtocolProvider('test', {
     },
 });
 
+// A provider whose requests last until they are aborted
+scheduler.addProtocolProvider('abortable', {
+    executeCommand: cmd => new Promise((resolve, reject) => {
+        cmd.signal.addEventListener('abort', () => {
+            const error = new Error('aborted');
+            error.name = 'AbortError';
+            reject(error);
+        });
+    }),
+});
+
 const view = {
     notifyChange: () => {},
 };
@@ -79,3 +91,29 @@ describe('Command execution', function () {
         });
     });
 });
+
+describe('Command abortion', function () {
+    it('should abort the running commands that are not needed anymore', function () {
+        const command = cmd('abortable-layer');
+        command.layer.protocol = 'abortable';
+        command.requester = { id: 'tile', visible: true };
+        command.earlyDropFunction = c => !c.requester.visible;
+        scheduler.resetCommandsCount('aborted');
+        const promise = scheduler.execute(command);
+
+        return Promise.resolve().then(() => {
+            // The command is running and its requester is visible
+            assert.equal(scheduler.abortObsoleteCommands(), 0);
+            command.requester.visible = false;
+            assert.equal(scheduler.abortObsoleteCommands(), 1);
+            return promise;
+        }).then(() => {
+            assert.fail('the command should be cancelled');
+        }, (err) => {
+            assert.ok(err instanceof CancelledCommandException);
+            assert.ok(command.signal.aborted);
+            assert.equal(scheduler.resetCommandsCount('aborted'), 1);
+            assert.equal(scheduler.resetCommandsCount('failed'), 0);
+        });
+    });
+});
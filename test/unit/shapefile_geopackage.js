@@ -0,0 +1,112 @@
+import assert from 'assert';
+import fs from 'fs';
+import Path from 'path';
+import proj4 from 'proj4';
+import ShapefileParser from '../../src/Parser/ShapefileParser';
+import GeoPackageParser from '../../src/Parser/GeoPackageParser';
+import PrjParser from '../../src/Parser/PrjParser';
+import GeoJsonParser from '../../src/Parser/GeoJsonParser';
+import FileSource from '../../src/Source/FileSource';
+import Registry from '../../src/Core/Registry';
+
+function readFixture(name) {
+    const file = fs.readFileSync(Path.resolve(__dirname, `../data/${name}`));
+    return file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+}
+
+const shapefile = readFixture('shp/buildings.zip');
+const geopackage = readFixture('gpkg/roads.gpkg');
+
+describe('PrjParser', function () {
+    it('should read the EPSG code of a WKT', () => {
+        assert.equal(PrjParser.parse('GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563]],' +
+            'PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433],AUTHORITY["EPSG","4326"]]'), 'EPSG:4326');
+    });
+
+    it('should recognize the WGS84 WKT without EPSG code', () => {
+        assert.equal(PrjParser.parse('GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137,298.257223563]],' +
+            'PRIMEM["Greenwich",0],UNIT["Degree",0.017453292519943295]]'), 'EPSG:4326');
+    });
+
+    it('should throw an error for an invalid WKT', () => {
+        assert.throws(() => PrjParser.parse('not a wkt'));
+    });
+});
+
+describe('ShapefileParser', function () {
+    it('should read the features of a zipped Shapefile', () =>
+        ShapefileParser.parse(shapefile).then((geojson) => {
+            // The third record has a null shape
+            assert.equal(geojson.features.length, 2);
+            const [mairie, eglise] = geojson.features;
+            assert.equal(mairie.geometry.type, 'Polygon');
+            assert.equal(mairie.geometry.coordinates.length, 2);
+            assert.deepEqual(mairie.geometry.coordinates[1][0], [2, 2]);
+            assert.equal(eglise.geometry.coordinates.length, 1);
+            assert.deepEqual(mairie.properties, { NOM: 'Mairie', HAUTEUR: 12, DETRUIT: false, DATE: '2018-03-17' });
+            assert.deepEqual(eglise.properties, { NOM: 'Église', HAUTEUR: 25.5, DETRUIT: true, DATE: null });
+        }));
+
+    it('should read the CRS of the .prj file', () =>
+        ShapefileParser.parse(shapefile).then((geojson) => {
+            assert.equal(geojson.crs.properties.name, 'RGF93_Lambert_93');
+            assert.ok(proj4.defs('RGF93_Lambert_93'));
+            return GeoJsonParser.parse(geojson, { crsOut: 'EPSG:4326', buildExtent: true });
+        }).then((collection) => {
+            assert.equal(collection.features.length, 2);
+            const coordinates = collection.features[0].vertices[0];
+            const expected = proj4('RGF93_Lambert_93', 'EPSG:4326', [0, 0]);
+            assert.equal(coordinates.crs, 'EPSG:4326');
+            assert.ok(Math.abs(coordinates.longitude() - expected[0]) < 1e-6);
+            assert.ok(Math.abs(coordinates.latitude() - expected[1]) < 1e-6);
+        }));
+
+    it('should throw an error for a missing layer', () =>
+        ShapefileParser.parse(shapefile, { layer: 'roads' }).then(() => assert.fail(), (error) => {
+            assert.ok(/No shp file/.test(error.message));
+        }));
+});
+
+describe('GeoPackageParser', function () {
+    it('should read the first table of features', () =>
+        GeoPackageParser.parse(geopackage).then((geojson) => {
+            assert.equal(geojson.crs.properties.name, 'EPSG:2154');
+            assert.equal(geojson.features.length, 100);
+            const feature = geojson.features[42];
+            assert.equal(feature.id, 43);
+            assert.deepEqual(feature.geometry, { type: 'Point', coordinates: [700420, 6600210] });
+            assert.deepEqual(feature.properties, { name: 'Stop 42', rank: 42000 });
+        }));
+
+    it('should read a table of features by its name', () =>
+        GeoPackageParser.parse(geopackage, { layer: 'roads' }).then((geojson) => {
+            assert.equal(geojson.features.length, 2);
+            const [avenue, rue] = geojson.features;
+            // The geometry of the avenue overflows its page
+            assert.equal(avenue.geometry.type, 'LineString');
+            assert.equal(avenue.geometry.coordinates.length, 100);
+            assert.deepEqual(avenue.geometry.coordinates[99], [700099, 6600001, 109]);
+            assert.deepEqual(avenue.properties, { name: 'Avenue', width: 7.5, lanes: 2 });
+            assert.deepEqual(rue.properties, { name: 'Rue', width: null, lanes: 1 });
+        }));
+});
+
+describe('FileSource', function () {
+    const format = 'application/geopackage+sqlite3';
+    const description = Registry.getFileFormat(format);
+    after(() => Registry.registerFileFormat(format, description));
+
+    it('should read the CRS of a GeoPackage', () => {
+        Registry.registerFileFormat(format, Object.assign({}, description, { fetcher: () => Promise.resolve(geopackage) }));
+        const source = new FileSource({ protocol: 'file', url: 'https://server.geo/roads.gpkg', layer: 'roads' }, 'EPSG:4326');
+        assert.equal(source.format, 'application/geopackage+sqlite3');
+        return source.whenReady.then(() => {
+            assert.equal(source.projection, 'EPSG:2154');
+            assert.equal(source.parsedData.features.length, 2);
+        });
+    });
+
+    it('should require the projection of the text files', () => {
+        assert.throws(() => new FileSource({ protocol: 'file', url: 'https://server.geo/roads.geojson' }, 'EPSG:4326'));
+    });
+});
@@ -1,6 +1,8 @@
 import assert from 'assert';
 import fs from 'fs';
+import * as THREE from 'three';
 import Path from 'path';
+import { DOMParser } from 'xmldom';
 import Source from '../../src/Source/Source';
 import WMTSSource from '../../src/Source/WMTSSource';
 import WMSSource from '../../src/Source/WMSSource';
@@ -8,7 +10,10 @@ import TMSSource from '../../src/Source/TMSSource';
 import FileSource from '../../src/Source/FileSource';
 import StaticSource from '../../src/Source/StaticSource';
 import Fetcher from '../../src/Provider/Fetcher';
+import View from '../../src/Core/View';
+import ElevationLayer from '../../src/Layer/ElevationLayer';
 import Extent from '../../src/Core/Geographic/Extent';
+import Coordinates from '../../src/Core/Geographic/Coordinates';
 
 function defer() {
     var deferredPromise = {};
@@ -26,6 +31,10 @@ fs.readFile(urlGeojson, 'utf8', function (err, content) {
     geojson.resolve(content);
 });
 
+const capabilities = new DOMParser().parseFromString(
+    fs.readFileSync(Path.resolve(__dirname, '../data/wmts/capabilities.xml'), 'utf8'),
+    'text/xml');
+
 global.window = {};
 global.URL = function URL() {
     this.ref = undefined;
@@ -70,6 +79,135 @@ describe('Source', function () {
         assert.ok(source.extentInsideLimit(extent));
         assert.ok(source.extentsInsideLimit([extent, extent]));
     });
+    it('Should keep the tiles of WMTSSource levels without limits out of the limits', function () {
+        const limits = { minTileRow: 0, maxTileRow: 1, minTileCol: 0, maxTileCol: 1 };
+        const source = new WMTSSource(Object.assign({ tileMatrixSetLimits: { 3: limits, 5: limits } }, paramsWMTS));
+        assert.deepEqual(source.zoom, { min: 3, max: 5 });
+        assert.ok(source.extentInsideLimit(new Extent('WMTS:PM', 5, 1, 1)));
+        assert.ok(!source.extentInsideLimit(new Extent('WMTS:PM', 4, 1, 1)));
+
+        const wider = new WMTSSource(Object.assign({ tileMatrixSetLimits: { 3: limits }, zoom: { min: 0, max: 10 } }, paramsWMTS));
+        assert.ok(wider.extentInsideLimit(new Extent('WMTS:PM', 3, 0, 0)));
+        assert.ok(!wider.extentInsideLimit(new Extent('WMTS:PM', 8, 0, 0)));
+    });
+    it('Should configure WMTSSource from capabilities', function () {
+        Fetcher.xml = function () { return Promise.resolve(capabilities); };
+        const source = new WMTSSource({
+            capabilities: 'http://server.geo/wmts?SERVICE=WMTS&REQUEST=GetCapabilities',
+            name: 'ORTHO',
+            protocol: 'wmts',
+        });
+        return source.whenReady.then(() => {
+            assert.equal(source.tileMatrixSet, 'PM');
+            assert.equal(source.projection, 'EPSG:3857');
+            assert.equal(source.format, 'image/jpeg');
+            assert.equal(source.style, 'normal');
+            assert.equal(source.zoom.min, 1);
+            assert.equal(source.zoom.max, 2);
+            assert.equal(source.tileMatrixSetLimits[2].minTileRow, 1);
+            assert.equal(source.attribution.name, 'Test provider');
+            assert.equal(source.extent.west(), -5.5);
+            assert.ok(!source.extentInsideLimit(new Extent('WMTS:PM', 2, 0, 0)));
+            assert.equal(source.urlFromExtent(new Extent('WMTS:PM', 2, 1, 2)),
+                'http://server.geo/wmts?LAYER=ORTHO&FORMAT=image/jpeg&SERVICE=WMTS&VERSION=1.0.0' +
+                '&REQUEST=GetTile&STYLE=normal&TILEMATRIXSET=GoogleMapsCompatible' +
+                '&TILEMATRIX=EPSG:3857:2&TILEROW=1&TILECOL=2');
+        });
+    });
+    it('Should configure WMTSSource from capabilities with REST encoding', function () {
+        Fetcher.xml = function () { return Promise.resolve(capabilities); };
+        const source = new WMTSSource({
+            url: 'http://server.geo/wmts',
+            capabilities: true,
+            name: 'ORTHO',
+            protocol: 'wmts',
+            style: 'grey',
+            requestEncoding: 'REST',
+        });
+        return source.whenReady.then(() => {
+            assert.equal(source.urlFromExtent(new Extent('WMTS:PM', 1, 0, 1)),
+                'http://server.geo/wmts/ORTHO/grey/GoogleMapsCompatible/EPSG:3857:1/0/1.jpg');
+        });
+    });
+    it('Should configure WMTSSource from capabilities with the requested TileMatrixSet', function () {
+        Fetcher.xml = function () { return Promise.resolve(capabilities); };
+        const source = new WMTSSource({
+            capabilities: 'http://server.geo/wmts?SERVICE=WMTS&REQUEST=GetCapabilities',
+            name: 'ELEVATION',
+            protocol: 'wmts',
+            tileMatrixSet: 'WGS84G',
+        });
+        return source.whenReady.then(() => {
+            assert.equal(source.projection, 'EPSG:4326');
+            assert.equal(source.format, 'image/x-bil;bits=32');
+            assert.equal(source.zoom.max, 1);
+            assert.equal(source.tileMatrixCallback, undefined);
+        });
+    });
+    it('Should reject the elevation layers of a globe whose capabilities resolve to PM', function () {
+        Fetcher.xml = function () { return Promise.resolve(capabilities); };
+        const attached = [];
+        const globe = {
+            extent: new Extent('EPSG:4326', -180, 180, -90, 90),
+            attach: layer => attached.push(layer),
+            detach: layer => attached.splice(attached.indexOf(layer), 1),
+        };
+        const view = {
+            getLayers: () => [],
+            mainLoop: { scheduler: { getProtocolProvider: () => undefined } },
+            notifyChange() {},
+            addFrameRequester() {},
+            _frameRequesters: {},
+        };
+        const layer = new ElevationLayer('elevation', {
+            source: {
+                capabilities: 'http://server.geo/wmts?SERVICE=WMTS&REQUEST=GetCapabilities',
+                name: 'ORTHO',
+                protocol: 'wmts',
+            },
+        });
+        return View.prototype.addLayer.call(view, layer, globe).then(() => {
+            assert.fail('the layer should be rejected');
+        }, (error) => {
+            assert.ok(error.message.includes('WGS84G'));
+            assert.equal(attached.length, 0);
+        });
+    });
+    it('Should configure WMTSSource from capabilities with a custom TileMatrixSet', function () {
+        Fetcher.xml = function () { return Promise.resolve(capabilities); };
+        const source = new WMTSSource({
+            capabilities: 'http://server.geo/wmts?SERVICE=WMTS&REQUEST=GetCapabilities',
+            name: 'ORTHO_L93',
+            protocol: 'wmts',
+        });
+        return source.whenReady.then(() => {
+            assert.equal(source.tileMatrixSet, 'LAMB93');
+            assert.equal(source.projection, 'EPSG:2154');
+            assert.equal(source.tileMatrices.length, 2);
+            assert.deepEqual(source.tileMatrices[1].topLeftCorner, [0, 12000000]);
+            assert.deepEqual(source.zoom, { min: 0, max: 1 });
+            assert.ok(source.urlFromExtent({ zoom: 1, row: 2, col: 3 }).endsWith('&TILEMATRIX=L93_1&TILEROW=2&TILECOL=3'));
+        });
+    });
+    it('Should reject an unknown layer in WMTS capabilities', function () {
+        Fetcher.xml = function () { return Promise.resolve(capabilities); };
+        const source = new WMTSSource({
+            capabilities: 'http://server.geo/wmts?SERVICE=WMTS&REQUEST=GetCapabilities',
+            name: 'UNKNOWN',
+            protocol: 'wmts',
+        });
+        return source.whenReady.then(() => assert.fail(), err => assert.ok(err.message.includes('UNKNOWN')));
+    });
+    it('Should instance and use WMTSSource with REST encoding', function () {
+        const source = new WMTSSource({
+            url: 'http://server.geo/wmts/{TileMatrixSet}/{TileMatrix}/{TileRow}/{TileCol}.png',
+            name: 'name',
+            protocol: 'wmts',
+            tileMatrixSet: 'PM',
+            requestEncoding: 'REST',
+        });
+        assert.equal(source.urlFromExtent(new Extent('WMTS:PM', 5, 3, 4)), 'http://server.geo/wmts/PM/5/3/4.png');
+    });
     it('Should instance and use WMSSource', function () {
         const source = new WMSSource(paramsWMS);
         const extent = new Extent('EPSG:4326', 0, 10, 0, 10);
@@ -78,6 +216,112 @@ describe('Source', function () {
         assert.ok(source.extentInsideLimit(extent));
         assert.ok(source.extentsInsideLimit([extent, extent]));
     });
+    it('Should build GetFeatureInfo url with WMSSource', function () {
+        const source = new WMSSource(paramsWMS);
+        const extent = new Extent('EPSG:4326', 0, 10, 0, 10);
+        const url = source.urlGetFeatureInfo(extent, new Coordinates('EPSG:4326', 2.5, 7.5), 'text/plain');
+        assert.ok(url.includes('REQUEST=GetFeatureInfo'));
+        assert.ok(url.includes('&QUERY_LAYERS=name&INFO_FORMAT=text/plain&I=64&J=64'));
+        assert.ok(url.includes('BBOX=0.000000000,0.000000000,10.000000000,10.000000000'));
+        assert.ok(url.includes('WIDTH=256&HEIGHT=256'));
+    });
+    it('Should build GetFeatureInfo url with WMTSSource', function () {
+        const source = new WMTSSource(Object.assign({ tileMatrixSet: 'WGS84G' }, paramsWMTS));
+        // Tile covering longitudes [0, 90] and latitudes [0, 90]
+        const extent = new Extent('WMTS:WGS84G', 1, 0, 2);
+        const url = source.urlGetFeatureInfo(extent, new Coordinates('EPSG:4326', 45, 22.5));
+        assert.ok(url.includes('REQUEST=GetFeatureInfo'));
+        assert.ok(url.includes('&TILEMATRIX=1&TILEROW=0&TILECOL=2&INFOFORMAT=application/json&I=128&J=192'));
+    });
+    describe('getFeatureInfoAt', function () {
+        // A view whose ground under the mouse is at position, displaying tile
+        function fakeView(position, tile) {
+            const extent = new Extent('EPSG:4326', -180, 180, -90, 90);
+            const root = { extent, children: [tile], material: { visible: true } };
+            return {
+                referenceCrs: 'EPSG:4326',
+                getPickingPositionFromDepth: () => position,
+                getParentLayer: () => ({ extent, level0Nodes: [root] }),
+            };
+        }
+        const mouse = { x: 10, y: 10 };
+        let fetchJson;
+        let fetchXml;
+        let urls;
+
+        before(function () {
+            fetchJson = Fetcher.json;
+            fetchXml = Fetcher.xml;
+        });
+        beforeEach(function () {
+            urls = [];
+            Fetcher.json = (url) => { urls.push(url); return Promise.resolve({ features: [] }); };
+            Fetcher.xml = (url) => { urls.push(url); return Promise.resolve('document'); };
+        });
+        after(function () {
+            Fetcher.json = fetchJson;
+            Fetcher.xml = fetchXml;
+        });
+
+        it('Should query the image the tile would request under the mouse', function () {
+            const layer = { id: 'wms', type: 'color', source: new WMSSource(paramsWMS) };
+            const tile = {
+                extent: new Extent('EPSG:4326', 0, 20, 0, 20),
+                children: [],
+                material: { visible: true, getLayerTextures: () => [] },
+                getCoordsForSource: () => [new Extent('EPSG:4326', 10, 20, 0, 10), new Extent('EPSG:4326', 0, 10, 0, 10)],
+            };
+            const view = fakeView(new THREE.Vector3(2.5, 7.5, 0), tile);
+            return View.prototype.getFeatureInfoAt.call(view, layer, mouse).then((info) => {
+                assert.deepEqual(info, { features: [] });
+                assert.equal(urls.length, 1);
+                assert.ok(urls[0].includes('&INFO_FORMAT=application/json&I=64&J=64'));
+                assert.ok(urls[0].includes('BBOX=0.000000000,0.000000000,10.000000000,10.000000000'));
+                // GML responses are returned as documents
+                return View.prototype.getFeatureInfoAt.call(view, layer, mouse, 'application/vnd.ogc.gml');
+            }).then((info) => {
+                assert.equal(info, 'document');
+                assert.ok(urls[1].includes('&INFO_FORMAT=application/vnd.ogc.gml&'));
+            });
+        });
+
+        it('Should query the texture displayed under the mouse', function () {
+            const layer = { id: 'wmts', type: 'color', source: new WMTSSource(Object.assign({ tileMatrixSet: 'WGS84G' }, paramsWMTS)) };
+            const tile = {
+                extent: new Extent('EPSG:4326', 0, 90, 0, 90),
+                children: [],
+                material: {
+                    visible: true,
+                    getLayerTextures: () => [
+                        { coords: new Extent('WMTS:WGS84G', 1, 0, 0) },
+                        { coords: new Extent('WMTS:WGS84G', 1, 0, 2) },
+                    ],
+                },
+                getCoordsForSource: () => assert.fail('the displayed texture should be queried'),
+            };
+            const view = fakeView(new THREE.Vector3(45, 22.5, 0), tile);
+            return View.prototype.getFeatureInfoAt.call(view, layer, mouse).then(() => {
+                assert.ok(urls[0].includes('&TILEMATRIX=1&TILEROW=0&TILECOL=2&INFOFORMAT=application/json&I=128&J=192'));
+            });
+        });
+
+        it('Should resolve with nothing without ground under the mouse', function () {
+            const layer = { id: 'wms', type: 'color', source: new WMSSource(paramsWMS) };
+            return View.prototype.getFeatureInfoAt.call(fakeView(undefined), layer, mouse).then((info) => {
+                assert.equal(info, undefined);
+                assert.equal(urls.length, 0);
+            });
+        });
+
+        it('Should reject the layers without GetFeatureInfo source', function () {
+            const tms = { id: 'tms', type: 'color', source: new TMSSource(paramsTMS) };
+            const elevation = { id: 'elevation', type: 'elevation', source: new WMSSource(paramsWMS) };
+            const view = fakeView(new THREE.Vector3(2.5, 7.5, 0));
+            return Promise.all([tms, elevation].map(layer => View.prototype.getFeatureInfoAt.call(view, layer, mouse).then(
+                () => assert.fail('the request should be rejected'),
+                error => assert.equal(error.message, `Layer ${layer.id} doesn't support GetFeatureInfo requests`))));
+        });
+    });
     it('Should instance and use TMSSource', function () {
         const source = new TMSSource(paramsTMS);
         const extent = new Extent('WMTS:PM', 5, 0, 0);
@@ -86,6 +330,16 @@ describe('Source', function () {
         assert.ok(source.extentInsideLimit(extent));
         assert.ok(source.extentsInsideLimit([extent, extent]));
     });
+    it('Should count the rows of WGS84G tiles from the bottom with TMSSource', function () {
+        const source = new TMSSource({
+            url: 'http://server.geo/%TILEMATRIX/%COL/%ROW.terrain',
+            protocol: 'tms',
+            tileMatrixSet: 'WGS84G',
+        });
+        // Northern tile of the 4 rows of level 2
+        const extent = new Extent('WMTS:WGS84G', 2, 0, 5);
+        assert.equal(source.urlFromExtent(extent), 'http://server.geo/2/5/3.terrain');
+    });
     it('Should instance and use FileSource', function () {
         Fetcher.text = function () { return geojson.promise; };
         const source = new FileSource({
@@ -0,0 +1,101 @@
+import * as THREE from 'three';
+import assert from 'assert';
+import TerrainImageParser from '../../src/Parser/TerrainImageParser';
+import QuantizedMeshParser from '../../src/Parser/QuantizedMeshParser';
+import DataSourceProvider, { supportedFetchers } from '../../src/Provider/DataSourceProvider';
+import TMSSource from '../../src/Source/TMSSource';
+import ElevationLayer from '../../src/Layer/ElevationLayer';
+import Extent from '../../src/Core/Geographic/Extent';
+
+function zigZag(value) {
+    return (value << 1) ^ (value >> 31);
+}
+
+// Encodes a quantized-mesh tile, without edges nor extensions
+function quantizedMesh(minHeight, maxHeight, vertices, indices) {
+    const buffer = new ArrayBuffer(88 + 4 + vertices.length * 6 + 4 + indices.length * 2);
+    const view = new DataView(buffer);
+    view.setFloat32(24, minHeight, true);
+    view.setFloat32(28, maxHeight, true);
+    view.setUint32(88, vertices.length, true);
+    for (let c = 0; c < 3; c++) {
+        let previous = 0;
+        vertices.forEach((vertex, i) => {
+            view.setUint16(92 + (c * vertices.length + i) * 2, zigZag(vertex[c] - previous), true);
+            previous = vertex[c];
+        });
+    }
+    const offset = 92 + vertices.length * 6;
+    view.setUint32(offset, indices.length / 3, true);
+    let highest = 0;
+    indices.forEach((index, i) => {
+        view.setUint16(offset + 4 + i * 2, highest - index, true);
+        if (index == highest) {
+            highest++;
+        }
+    });
+    return buffer;
+}
+
+// A square whose elevation goes from 100m on the west edge to 200m on the
+// east edge
+const square = quantizedMesh(100, 200,
+    [[0, 0, 0], [32767, 0, 32767], [0, 32767, 0], [32767, 32767, 32767]],
+    [0, 1, 2, 1, 3, 2]);
+
+describe('TerrainImageParser', function () {
+    it('should decode Terrain-RGB pixels', function () {
+        const elevations = TerrainImageParser.decode(new Uint8Array([1, 134, 160, 255, 1, 173, 176, 255]), 'terrain-rgb');
+        assert.equal(elevations.length, 2);
+        assert.ok(Math.abs(elevations[0]) < 1e-3);
+        assert.ok(Math.abs(elevations[1] - 1000) < 1e-3);
+    });
+
+    it('should decode Terrarium pixels', function () {
+        const elevations = TerrainImageParser.decode(new Uint8Array([128, 0, 0, 255, 128, 100, 128, 255]), 'terrarium');
+        assert.equal(elevations[0], 0);
+        assert.equal(elevations[1], 100.5);
+    });
+
+    it('should reject unknown encodings', function () {
+        assert.throws(() => TerrainImageParser.decode(new Uint8Array(4), 'png'), Error);
+    });
+});
+
+describe('QuantizedMeshParser', function () {
+    it('should rasterize the triangles into an elevation texture', () =>
+        QuantizedMeshParser.parse(square).then((texture) => {
+            const data = texture.image.data;
+            assert.equal(texture.image.width, 256);
+            assert.equal(data.length, 256 * 256);
+            assert.ok(Math.abs(data[0] - (100 + 100 * 0.5 / 256)) < 1e-3);
+            assert.ok(Math.abs(data[100 * 256 + 255] - (100 + 100 * 255.5 / 256)) < 1e-3);
+            // Every texel is covered by a triangle
+            assert.ok(data.every(e => e >= 100 && e <= 200));
+        }));
+});
+
+describe('Terrain formats in DataSourceProvider', function () {
+    it('should parse quantized-mesh tiles into elevation textures', () => {
+        supportedFetchers.set('application/vnd.quantized-mesh', () => Promise.resolve(square));
+        const layer = new ElevationLayer('terrain', {
+            source: new TMSSource({
+                url: 'http://server.geo/%TILEMATRIX/%COL/%ROW.terrain',
+                protocol: 'tms',
+                format: 'application/vnd.quantized-mesh',
+                tileMatrixSet: 'WGS84G',
+            }),
+        });
+        const extent = new Extent('WMTS:WGS84G', 3, 2, 9);
+        return DataSourceProvider.executeCommand({
+            layer,
+            extentsSource: [extent],
+            requester: { material: {} },
+        }).then((textures) => {
+            assert.ok(textures[0].isDataTexture);
+            assert.equal(textures[0].type, THREE.FloatType);
+            assert.equal(textures[0].coords, extent);
+            assert.ok(!textures[0].flipY);
+        });
+    });
+});
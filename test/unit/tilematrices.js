@@ -0,0 +1,78 @@
+import assert from 'assert';
+import proj4 from 'proj4';
+import Extent from '../../src/Core/Geographic/Extent';
+import OGCWebServiceHelper from '../../src/Provider/OGCWebServiceHelper';
+import WMTSSource from '../../src/Source/WMTSSource';
+
+proj4.defs('EPSG:2154', '+proj=lcc +lat_1=49 +lat_2=44 +lat_0=46.5 +lon_0=3 +x_0=700000 +y_0=6600000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs');
+
+// Pixel sizes are 560m, 280m and 84m: the last tile matrix isn't nested in
+// the previous one
+const tileMatrices = [2000000, 1000000, 300000].map((scaleDenominator, i) => ({
+    identifier: `L93_${i}`,
+    scaleDenominator,
+    topLeftCorner: [0, 12000000],
+    tileWidth: 256,
+    tileHeight: 256,
+    matrixWidth: 1000,
+    matrixHeight: 1000,
+}));
+
+const source = new WMTSSource({
+    url: 'http://server.geo/wmts',
+    name: 'ORTHO',
+    protocol: 'wmts',
+    projection: 'EPSG:2154',
+    tileMatrixSet: 'LAMB93',
+    tileMatrices,
+});
+
+function tile(west, east, south, north) {
+    return {
+        extent: new Extent('EPSG:2154', west, east, south, north),
+        wmtsCoords: {},
+    };
+}
+
+describe('Tile matrices', function () {
+    it('should use the tile matrix identifiers in urls', function () {
+        assert.deepEqual(source.zoom, { min: 0, max: 2 });
+        const url = source.urlFromExtent({ zoom: 2, row: 250, col: 30 });
+        assert.ok(url.includes('&TILEMATRIXSET=LAMB93&TILEMATRIX=L93_2&TILEROW=250&TILECOL=30'));
+    });
+
+    it('should find the tile containing a tile of the view', function () {
+        const coords = OGCWebServiceHelper.computeTileMatricesCoordinates(tile(650000, 660000, 6610000, 6620000), source);
+        assert.equal(coords.length, 1);
+        assert.equal(coords[0].crs(), 'EPSG:2154');
+        assert.equal(coords[0].zoom, 2);
+        assert.equal(coords[0].row, 250);
+        assert.equal(coords[0].col, 30);
+    });
+
+    it('should use a coarser tile matrix when a tile of the view is over several tiles', function () {
+        const coords = OGCWebServiceHelper.computeTileMatricesCoordinates(tile(660000, 670000, 6610000, 6620000), source);
+        assert.equal(coords[0].zoom, 1);
+        assert.equal(coords[0].row, 75);
+        assert.equal(coords[0].col, 9);
+    });
+
+    it('should not find any tile outside of the tile matrices', function () {
+        const coords = OGCWebServiceHelper.computeTileMatricesCoordinates(tile(-20000, -10000, 6610000, 6620000), source);
+        assert.equal(coords[0].zoom, -1);
+        assert.ok(!source.extentInsideLimit(coords[0]));
+    });
+
+    it('should find the parent tile and its offset', function () {
+        const coords = OGCWebServiceHelper.computeTileMatricesCoordinates(tile(650000, 660000, 6610000, 6620000), source);
+        const parent = OGCWebServiceHelper.getTileMatricesParent(coords[0], 1, source);
+        assert.equal(parent.zoom, 1);
+        assert.equal(parent.row, 75);
+        assert.equal(parent.col, 9);
+        assert.equal(parent.west(), 645120);
+        assert.equal(parent.north(), 6624000);
+        const offset = coords[0].offsetToParent(parent);
+        assert.equal(offset.z, 10000 / 71680);
+        assert.ok(offset.x > 0 && offset.x < 1 && offset.y > 0 && offset.y < 1);
+    });
+});
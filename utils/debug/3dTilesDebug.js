@@ -44,6 +44,8 @@ export default function create3dTilesDebugUI(datDebugTool, view, _3dTileslayer)
                     const material = new THREE.MeshBasicMaterial({ wireframe: true });
                     helper = new THREE.Mesh(g, material);
                     metadata.boundingVolume.box.getCenter(helper.position);
+                    // the box is oriented by its axes and placed at its center
+                    helper.applyMatrix(metadata.boundingVolume.matrix);
                 }
                 // 3dtiles with Sphere
                 if (metadata.boundingVolume.sphere) {